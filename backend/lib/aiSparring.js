@@ -0,0 +1,154 @@
+import { PHASE_LABELS } from './debatePhases.js';
+import { glicko2Update } from './glicko2.js';
+import { keyTermOf, personaInstructions, resolveSparringProfile } from './sparringPersonas.js';
+
+const positiveInteger = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Ranked AI sparring. A queued player who waits past the fallback window is
+// seated against a server-side opponent in a normal live room: same clocks,
+// phase rules, cognitive insights and blind panel. The AI's side is stored on
+// `matches.ai_side` (migration 013) and the result only moves the player's
+// "vs AI" format rating, never the main Elo. The player picks the AI's
+// persona and difficulty when queueing (migration 014); `rating` is the club
+// level and the other levels are offset from it.
+export const aiSparring = Object.freeze({
+  enabled: process.env.AI_SPARRING_FALLBACK !== 'off',
+  queueWaitMs: positiveInteger('AI_SPARRING_QUEUE_WAIT_MS', 60_000),
+  thinkMs: positiveInteger('AI_SPARRING_THINK_MS', 6_000),
+  rating: positiveInteger('AI_SPARRING_RATING', 1200),
+});
+
+export const VS_AI_RATING_FORMAT = 'vs AI';
+
+// Stands in for the AI's socket in `room.players`; no socket ever has this id.
+export const AI_OPPONENT_SOCKET = 'ai-opponent';
+
+export const shouldOfferAiOpponent = (player, now = Date.now(), config = aiSparring) => (
+  config.enabled
+  && Boolean(player?.userId)
+  && !player.isSyntheticSwarmBot
+  && now - Number(player.joinedAt) >= config.queueWaitMs
+);
+
+export const aiRatingFor = (difficulty, config = aiSparring) => (
+  config.rating + resolveSparringProfile({ difficulty }).difficulty.ratingOffset
+);
+
+// Seconds until a waiting player is offered the AI, for the lobby.
+export const aiFallbackInSeconds = (player, now = Date.now(), config = aiSparring) => {
+  if (!config.enabled || player?.isSyntheticSwarmBot) return null;
+  return Math.max(0, Math.ceil((Number(player?.joinedAt) + config.queueWaitMs - now) / 1000));
+};
+
+// The AI takes whichever side the player did not ask for.
+export const aiSideFor = (preferredRole, random = Math.random) => {
+  if (preferredRole === 'Critic') return 'Defender';
+  if (preferredRole === 'Defender') return 'Critic';
+  return random() < 0.5 ? 'Critic' : 'Defender';
+};
+
+const stanceOf = side => (side === 'Critic' ? 'against' : 'for');
+
+const lastTurnBy = (transcript, speaker) => [...(transcript || [])].reverse().find(turn => turn.speaker === speaker) || null;
+
+// The opening words of the opponent's last point, quoted back at them.
+const excerptOf = (text = '', maxWords = 12) => {
+  const sentence = String(text).split(/(?<=[.!?])\s/)[0].replace(/["“”]/g, '').replace(/[.!?]+$/, '').trim();
+  const words = sentence.split(/\s+/).filter(Boolean);
+  return words.length > maxWords ? `${words.slice(0, maxWords).join(' ')}…` : words.join(' ');
+};
+
+export const buildAiTurnPrompt = ({ topic, side, turn, transcript = [], maxWords, persona, difficulty }) => {
+  const task = turn.exchange === 'question'
+    ? 'Ask your opponent one pointed cross-examination question that exposes a weak premise. End with a question mark.'
+    : turn.exchange === 'answer'
+      ? 'Answer the question just put to you directly in the first sentence, then turn it back on your opponent.'
+      : turn.phase === 'closing'
+        ? 'Close: weigh the two cases and say why yours wins on the clash that mattered most.'
+        : turn.phase === 'opening'
+          ? 'Open: state your case with two clear claims, each with a warrant.'
+          : "Rebut the opponent's strongest recent claim: quote it, name the flaw, and extend your own case.";
+  const recent = transcript.slice(-8).map(entry => `${entry.speaker}: ${entry.text}`).join('\n');
+  const style = personaInstructions(resolveSparringProfile({ persona, difficulty }));
+  return `You are the ${side} in a live ranked debate on "${topic}". The ${side} argues ${stanceOf(side)} the motion. ${style} Phase: ${PHASE_LABELS[turn.phase] || 'Rebuttal'}. ${task} Write at most ${Math.min(maxWords, 140)} words of plain text: no markdown, no speaker label, no stage directions. Argue in good faith and do not invent statistics or sources.\n${recent}\n${side}:`;
+};
+
+const OPENINGS = Object.freeze({
+  against: [
+    'The motion asks us to accept a large change on the strength of its best-case outcome.',
+    'Supporters of this motion describe the benefits and skip the costs of getting there.',
+  ],
+  for: [
+    'The motion is the better answer to a problem the status quo keeps failing to solve.',
+    'The case for this motion rests on outcomes we can already observe, not on hope.',
+  ],
+});
+
+const REBUTTALS = Object.freeze([
+  'That claim carries a causal link it never establishes.',
+  'That point proves something narrower than the conclusion drawn from it.',
+  'That argument assumes the alternatives stay fixed while the change happens.',
+  'That is an example, and one example cannot carry a general rule.',
+]);
+
+/**
+ * Deterministic sparring turn for when Gemini is not configured or not
+ * available, in the spirit of the practice route's local opponent. Lines
+ * rotate with the transcript and probe in the persona's voice, so no turn
+ * repeats. A novice opponent does not quote the player back at them; an
+ * expert one presses with a second question.
+ */
+export const buildLocalAiTurn = ({ topic, side, turn, transcript = [], persona, difficulty }) => {
+  const profile = resolveSparringProfile({ persona, difficulty });
+  const index = transcript.length;
+  const motion = `“${topic || 'the motion'}”`;
+  const stance = stanceOf(side);
+  const opponent = lastTurnBy(transcript, side === 'Critic' ? 'Defender' : 'Critic');
+  const quoted = opponent && profile.difficulty.key !== 'novice' ? `You said “${excerptOf(opponent.text)}”.` : '';
+  const term = keyTermOf(opponent?.text || topic);
+  const probes = profile.persona.probes.map(line => line.replace('{term}', term));
+  const probe = profile.difficulty.key === 'expert'
+    ? `${probes[index % probes.length]} ${probes[(index + 1) % probes.length]}`
+    : probes[index % probes.length];
+
+  if (turn.exchange === 'question') {
+    return `${quoted} If that holds, what would we expect to see if ${motion} were ${stance === 'for' ? 'rejected' : 'adopted'}, and why have we not seen it?`.trim();
+  }
+  if (turn.exchange === 'answer') {
+    return `Directly: no, and the reason matters. My position on ${motion} does not depend on that premise; it depends on the trade-offs you have not priced in. ${probe}`;
+  }
+  if (turn.phase === 'opening' || !opponent) {
+    return `${OPENINGS[stance][index % OPENINGS[stance].length]} On ${motion}, I will show that the burden of proof sits with the other side and has not been met. ${probe}`;
+  }
+  if (turn.phase === 'closing') {
+    return `${quoted} That was the clash that decides ${motion}, and it was never answered with evidence. Weigh what was shown, not what was asserted, and the ${side} case stands.`.trim();
+  }
+  return `${quoted} ${REBUTTALS[index % REBUTTALS.length]} On ${motion}, ${stance === 'for' ? 'the benefits remain' : 'the risks remain'} larger than that point allows. ${probe}`.trim();
+};
+
+/**
+ * Trims a drafted turn to the format's budget and, for cross-examination
+ * questions, makes sure it actually asks one.
+ */
+export const fitAiTurn = (text, limits, exchange = null) => {
+  let words = String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  if (words.length > limits.maxWords) words = words.slice(0, limits.maxWords);
+  let fitted = words.join(' ').slice(0, limits.maxChars).trim();
+  if (exchange === 'question' && !fitted.includes('?')) fitted = `${fitted.replace(/[.!]+$/, '')}?`;
+  return fitted;
+};
+
+// The AI's rating never moves, so it is rated as a well-established opponent.
+export const AI_OPPONENT_RD = 50;
+
+/**
+ * Glicko-2 step for the player's "vs AI" rating (`{ rating, rd, volatility,
+ * ratedAt }`) against the sparring opponent's fixed rating. `score` is the
+ * player's result: 1, 0.5 or 0.
+ */
+export const vsAiRatingUpdate = ({ rating = 1000, rd, volatility, ratedAt, aiRating = aiSparring.rating, score }, now = Date.now()) => (
+  glicko2Update({ rating, rd, volatility, ratedAt }, [{ rating: aiRating, rd: AI_OPPONENT_RD, score }], now)
+);
@@ -207,6 +207,24 @@ const inferDimensions = ({ text, topic, tone, fallacies, contradiction }) => {
   };
 };
 
+// Closings should only summarise ground already covered. Content words that
+// never appeared earlier in the debate (or in the topic) suggest a new
+// argument the opponent has no chance to answer.
+const detectNewArgument = (message, transcript, topic) => {
+  if (message.phase !== 'closing') return null;
+  const closingTerms = unique(tokenize(message.text));
+  if (closingTerms.length < 6) return null;
+  const covered = new Set([...tokenize(topic), ...transcript.flatMap((turn) => tokenize(turn?.text))]);
+  const novelTerms = closingTerms.filter((token) => !covered.has(token));
+  const novelty = novelTerms.length / closingTerms.length;
+  if (novelTerms.length < 5 || novelty < 0.45) return null;
+  return {
+    confidence: clamp(0.35 + novelty * 0.6, 0, 0.9),
+    novelTerms: novelTerms.slice(0, 6),
+    summary: `Closing introduces material not raised earlier (${novelTerms.slice(0, 3).join(', ')}).`
+  };
+};
+
 const severityFromRisk = (riskScore) => {
   if (riskScore >= 0.68) return 'high';
   if (riskScore >= 0.38) return 'medium';
@@ -217,6 +235,7 @@ export const analyzeCognitiveTurn = ({ message, transcript, topic }) => {
   const priorTranscript = (transcript || []).filter((item) => item?.id !== message.id);
   const fallacies = detectFallacies(message.text);
   const contradiction = detectContradiction(message, priorTranscript);
+  const newArgument = detectNewArgument(message, priorTranscript, topic);
   const dimensions = inferDimensions({
     text: message.text,
     topic,
@@ -234,6 +253,7 @@ export const analyzeCognitiveTurn = ({ message, transcript, topic }) => {
   const riskScore = clamp(
     fallacyWeight +
     (contradiction ? contradiction.confidence * 0.38 : 0) +
+    (newArgument ? newArgument.confidence * 0.3 : 0) +
     ((dimensions.evidence < 0.38 && dimensions.intensity > 0.5) ? 0.16 : 0)
   );
 
@@ -243,11 +263,13 @@ export const analyzeCognitiveTurn = ({ message, transcript, topic }) => {
     id: crypto.randomUUID(),
     messageId: message.id,
     speaker: message.speaker,
+    phase: message.phase || null,
     turnIndex: (transcript || []).length,
     riskScore,
     severity: severityFromRisk(riskScore),
     fallacies,
     contradiction,
+    newArgument,
     dimensions,
     keywords,
     createdAt: new Date().toISOString()
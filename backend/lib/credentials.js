@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+import { signCredential } from './platformWorkflows.js';
+
+// Signed, publicly verifiable credentials. Shared by the product routes
+// (tournaments, team debates, assignments, reasoning profiles) and the
+// season scheduler; re-issuing the same `key` to a user replaces it.
+export const createCredentialIssuer = ({ supabase }) => async ({ userId, key, title, level = 'verified', type = 'skill', evidence = {}, issuerId = null }) => {
+  const signingSecret = process.env.CREDENTIAL_SIGNING_SECRET || process.env.ADMIN_SECRET;
+  if (!signingSecret) throw Object.assign(new Error('Credential signing is not configured'), { statusCode: 503 });
+  const verificationCode = `SA-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+  const issuedAt = new Date().toISOString();
+  const credential = {
+    user_id: userId,
+    credential_key: key,
+    title,
+    level,
+    credential_type: type,
+    evidence,
+    issuer_id: issuerId,
+    verification_code: verificationCode,
+    issued_at: issuedAt,
+  };
+  credential.signature = signCredential(credential, signingSecret);
+  const { data, error } = await supabase.from('credentials').upsert(credential, { onConflict: 'user_id,credential_key' }).select().single();
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,204 @@
+// Debate format registry. Clock formats run a chess clock per side (with an
+// optional Fischer increment); speech formats run a fixed sequence of timed
+// segments that the room referee advances on submission or expiry.
+const ROLES = ['Critic', 'Defender'];
+
+const otherRole = role => (role === 'Critic' ? 'Defender' : 'Critic');
+
+// Server-side turn budgets. Speech formats allow longer prepared speeches;
+// blitz keeps turns short enough to type against a three-minute clock.
+const turnLimits = (minWords, maxWords, maxChars) => Object.freeze({ minWords, maxWords, maxChars });
+
+const speech = (phase, speaker, seconds, label) => Object.freeze({ phase, speaker, seconds, label });
+const crossExamination = (questioner, seconds, label) => Object.freeze({
+  phase: 'cross_examination',
+  speaker: questioner,
+  respondent: otherRole(questioner),
+  seconds,
+  label,
+});
+
+export const DEBATE_FORMATS = Object.freeze({
+  blitz: Object.freeze({
+    key: 'blitz',
+    label: 'Blitz 3+0',
+    mode: 'clock',
+    ratingFormat: 'Blitz',
+    clock: Object.freeze({ initialSeconds: 180, incrementSeconds: 0 }),
+    turnLimits: turnLimits(3, 120, 900),
+  }),
+  classic: Object.freeze({
+    key: 'classic',
+    label: 'Classic 5+0',
+    mode: 'clock',
+    // Kept as the historical key so existing format ratings carry over.
+    ratingFormat: 'Ranked Classic',
+    clock: Object.freeze({ initialSeconds: 300, incrementSeconds: 0 }),
+    turnLimits: turnLimits(3, 250, 1800),
+  }),
+  fischer: Object.freeze({
+    key: 'fischer',
+    label: 'Fischer 3+15',
+    mode: 'clock',
+    ratingFormat: 'Fischer',
+    clock: Object.freeze({ initialSeconds: 180, incrementSeconds: 15 }),
+    turnLimits: turnLimits(3, 180, 1300),
+  }),
+  lincoln_douglas: Object.freeze({
+    key: 'lincoln_douglas',
+    label: 'Lincoln–Douglas',
+    mode: 'speeches',
+    ratingFormat: 'Lincoln-Douglas',
+    turnLimits: turnLimits(3, 450, 3200),
+    segments: Object.freeze([
+      speech('opening', 'Defender', 180, 'Affirmative constructive'),
+      crossExamination('Critic', 90, 'Negative cross-examines'),
+      speech('opening', 'Critic', 210, 'Negative constructive'),
+      crossExamination('Defender', 90, 'Affirmative cross-examines'),
+      speech('rebuttal', 'Defender', 120, 'First affirmative rebuttal'),
+      speech('closing', 'Critic', 180, 'Negative rebuttal'),
+      speech('closing', 'Defender', 90, 'Second affirmative rebuttal'),
+    ]),
+  }),
+  oxford: Object.freeze({
+    key: 'oxford',
+    label: 'Oxford',
+    mode: 'speeches',
+    ratingFormat: 'Oxford',
+    turnLimits: turnLimits(3, 400, 2800),
+    segments: Object.freeze([
+      speech('opening', 'Defender', 180, 'Proposition opening'),
+      speech('opening', 'Critic', 180, 'Opposition opening'),
+      speech('rebuttal', 'Defender', 120, 'Proposition rebuttal'),
+      speech('rebuttal', 'Critic', 120, 'Opposition rebuttal'),
+      speech('closing', 'Critic', 90, 'Opposition closing'),
+      speech('closing', 'Defender', 90, 'Proposition closing'),
+    ]),
+  }),
+});
+
+export const DEFAULT_FORMAT_KEY = 'classic';
+
+export const resolveDebateFormat = key => DEBATE_FORMATS[key] || DEBATE_FORMATS[DEFAULT_FORMAT_KEY];
+
+export const isDebateFormat = key => Object.hasOwn(DEBATE_FORMATS, key);
+
+export const debateFormatCatalog = () => Object.values(DEBATE_FORMATS).map(format => ({
+  key: format.key,
+  label: format.label,
+  mode: format.mode,
+  ratingFormat: format.ratingFormat,
+  clock: format.clock || null,
+  segments: format.segments || null,
+  turnLimits: format.turnLimits,
+}));
+
+export const currentSegment = room => {
+  const format = resolveDebateFormat(room?.formatKey);
+  return format.mode === 'speeches' ? format.segments[room.segmentIndex] || null : null;
+};
+
+// Speech formats show each side the speaking time it has left: the rest of
+// the live segment plus every later segment it leads.
+const speechAllocations = (format, room) => Object.fromEntries(ROLES.map(role => {
+  const upcoming = format.segments
+    .slice(room.segmentIndex + 1)
+    .filter(segment => segment.speaker === role)
+    .reduce((total, segment) => total + segment.seconds, 0);
+  const live = format.segments[room.segmentIndex]?.speaker === role ? room.segmentTime : 0;
+  return [role === 'Critic' ? 'criticTime' : 'defenderTime', upcoming + live];
+}));
+
+const enterSegment = (room, format, index) => {
+  room.segmentIndex = index;
+  const segment = format.segments[index];
+  room.segmentTime = segment ? segment.seconds : 0;
+  if (segment) room.activeSpeaker = segment.speaker;
+  Object.assign(room, speechAllocations(format, room));
+  return Boolean(segment);
+};
+
+export const createFormatState = (formatKey) => {
+  const format = resolveDebateFormat(formatKey);
+  if (format.mode === 'clock') {
+    return {
+      formatKey: format.key,
+      activeSpeaker: 'Critic',
+      criticTime: format.clock.initialSeconds,
+      defenderTime: format.clock.initialSeconds,
+    };
+  }
+  const state = { formatKey: format.key };
+  enterSegment(state, format, 0);
+  return state;
+};
+
+/**
+ * Advances the room clock by one second. Returns `{ ended, reason, winner }`
+ * where `reason` is `timeout` (a chess clock flagged) or `format_complete`
+ * (the last speech ran out), plus `segmentChanged` for phase transitions.
+ */
+export const tickFormatClock = (room) => {
+  const format = resolveDebateFormat(room.formatKey);
+  if (format.mode === 'clock') {
+    const key = room.activeSpeaker === 'Critic' ? 'criticTime' : 'defenderTime';
+    room[key] = Math.max(0, room[key] - 1);
+    if (room[key] > 0) return { ended: false };
+    return { ended: true, reason: 'timeout', winner: otherRole(room.activeSpeaker) };
+  }
+
+  room.segmentTime = Math.max(0, room.segmentTime - 1);
+  if (room.segmentTime > 0) {
+    Object.assign(room, speechAllocations(format, room));
+    return { ended: false };
+  }
+  if (!enterSegment(room, format, room.segmentIndex + 1)) return { ended: true, reason: 'format_complete', winner: null };
+  return { ended: false, segmentChanged: true };
+};
+
+/**
+ * Applies a submitted turn to the clock: adds any Fischer increment and hands
+ * the floor over (to `nextSpeaker` when the phase engine scripts it; chess
+ * clocks otherwise alternate). Cross-examination keeps the floor alternating
+ * inside the segment; any other speech ends its segment early.
+ */
+export const applyTurnToClock = (room, speaker, { nextSpeaker = null } = {}) => {
+  const format = resolveDebateFormat(room.formatKey);
+  if (format.mode === 'clock') {
+    const key = speaker === 'Critic' ? 'criticTime' : 'defenderTime';
+    room[key] += format.clock.incrementSeconds;
+    room.activeSpeaker = nextSpeaker || otherRole(speaker);
+    return { ended: false };
+  }
+
+  const segment = format.segments[room.segmentIndex];
+  if (segment?.phase === 'cross_examination') {
+    room.activeSpeaker = otherRole(speaker);
+    return { ended: false };
+  }
+  if (!enterSegment(room, format, room.segmentIndex + 1)) return { ended: true, reason: 'format_complete', winner: null };
+  return { ended: false, segmentChanged: true };
+};
+
+export const formatClockState = (room) => {
+  const format = resolveDebateFormat(room.formatKey);
+  const segment = currentSegment(room);
+  return {
+    criticTime: room.criticTime,
+    defenderTime: room.defenderTime,
+    activeSpeaker: room.activeSpeaker,
+    format: format.key,
+    formatLabel: format.label,
+    segment: segment
+      ? {
+        index: room.segmentIndex,
+        total: format.segments.length,
+        phase: segment.phase,
+        label: segment.label,
+        speaker: segment.speaker,
+        respondent: segment.respondent || null,
+        secondsLeft: room.segmentTime,
+      }
+      : null,
+  };
+};
@@ -0,0 +1,96 @@
+import { currentSegment, resolveDebateFormat } from './debateFormats.js';
+
+// Phase engine for 1v1 rooms. Speech formats take phases from their scheduled
+// segments; chess-clock formats follow a short opening script (openings, then
+// one cross-examination exchange each way) before free rebuttals, and a side
+// moves into its closing once its clock is nearly spent.
+export const PHASE_LABELS = Object.freeze({
+  opening: 'Opening',
+  cross_examination: 'Cross-examination',
+  rebuttal: 'Rebuttal',
+  closing: 'Closing',
+});
+
+export const CLOSING_WINDOW_SECONDS = 45;
+
+const CLOCK_SCRIPT = Object.freeze([
+  { phase: 'opening', speaker: 'Critic' },
+  { phase: 'opening', speaker: 'Defender' },
+  { phase: 'cross_examination', speaker: 'Critic', exchange: 'question' },
+  { phase: 'cross_examination', speaker: 'Defender', exchange: 'answer' },
+  { phase: 'cross_examination', speaker: 'Defender', exchange: 'question' },
+  { phase: 'cross_examination', speaker: 'Critic', exchange: 'answer' },
+]);
+
+const otherRole = role => (role === 'Critic' ? 'Defender' : 'Critic');
+
+const clockFor = (room, speaker) => (speaker === 'Critic' ? room.criticTime : room.defenderTime);
+
+/**
+ * Describes the next turn for `speaker`: its phase and its role in a
+ * cross-examination exchange. Clients use it to prompt the right kind of turn.
+ */
+export const describeNextTurn = (room, speaker = room.activeSpeaker) => {
+  const segment = currentSegment(room);
+  if (segment) {
+    const exchange = segment.phase === 'cross_examination' ? (speaker === segment.speaker ? 'question' : 'answer') : null;
+    return { speaker, phase: segment.phase, exchange };
+  }
+  const scripted = CLOCK_SCRIPT[(room.transcript || []).length];
+  return {
+    speaker,
+    phase: scripted?.phase || (clockFor(room, speaker) <= CLOSING_WINDOW_SECONDS ? 'closing' : 'rebuttal'),
+    exchange: scripted?.exchange || null,
+  };
+};
+
+/**
+ * Tags the turn `speaker` is about to take and links answers to the pending
+ * question. Returns an `error` string instead when the turn breaks
+ * cross-examination rules.
+ */
+export const resolveTurnPhase = (room, speaker, text = '') => {
+  const { phase, exchange } = describeNextTurn(room, speaker);
+  if (exchange === 'question' && !String(text).includes('?')) {
+    return { error: 'Cross-examination turns must ask your opponent a question.' };
+  }
+  const pending = room.pendingQuestion || null;
+  return {
+    phase,
+    exchange,
+    answersTo: exchange === 'answer' && pending && pending.asker !== speaker ? pending.id : null,
+  };
+};
+
+/**
+ * Records the turn's effect on the exchange state and, for chess-clock
+ * formats, returns who holds the floor next (the script can keep the same
+ * speaker on the floor to ask their own question after answering).
+ */
+export const advancePhaseState = (room, turn) => {
+  if (turn.exchange === 'question') room.pendingQuestion = { id: turn.id, asker: turn.speaker };
+  else if (turn.exchange === 'answer') room.pendingQuestion = null;
+
+  if (resolveDebateFormat(room.formatKey).mode !== 'clock') return null;
+  const scripted = CLOCK_SCRIPT[(room.transcript || []).length];
+  return scripted?.speaker || otherRole(turn.speaker);
+};
+
+// When a cross-examination segment ends mid-exchange the question stays on
+// the record as unanswered so judges can weigh the evasion.
+export const expirePendingQuestion = (room) => {
+  const pending = room.pendingQuestion;
+  if (!pending) return null;
+  const segment = currentSegment(room);
+  if (segment?.phase === 'cross_examination') return null;
+  const question = (room.transcript || []).find(turn => turn.id === pending.id);
+  if (question) question.unanswered = true;
+  room.pendingQuestion = null;
+  return question || null;
+};
+
+export const phaseLabel = (turn) => {
+  if (!turn?.phase) return null;
+  const label = PHASE_LABELS[turn.phase] || turn.phase;
+  return turn.exchange ? `${label} ${turn.exchange}` : label;
+};
@@ -0,0 +1,138 @@
+// Glicko-2 ratings (Glickman, "Example of the Glicko-2 system"). Each rating
+// carries a deviation (RD, how uncertain it is) and a volatility (how erratic
+// the player's results are). Every game is one rating period, and RD grows
+// back by one period for each idle day so inactive ratings regain
+// uncertainty. The same step runs in SQL inside `resolve_match_service`
+// (migration 016); this module is the reference the server and tests use.
+const positiveNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const glicko = Object.freeze({
+  // System constant; migration 016 uses the same value.
+  tau: 0.5,
+  defaultRd: 350,
+  defaultVolatility: 0.06,
+  minRd: 45,
+  provisionalRd: positiveNumber('GLICKO_PROVISIONAL_RD', 110),
+  periodDays: 1,
+});
+
+// Converts between the display scale and Glicko-2's internal one.
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clampRd = rd => Math.min(glicko.defaultRd, Math.max(glicko.minRd, rd));
+
+const idlePeriods = (ratedAt, now) => {
+  if (!ratedAt) return 0;
+  const elapsed = new Date(now).getTime() - new Date(ratedAt).getTime();
+  return Number.isFinite(elapsed) && elapsed > 0 ? Math.floor(elapsed / (glicko.periodDays * DAY_MS)) : 0;
+};
+
+/**
+ * A rating's RD today: the stored RD grown by one volatility step for each
+ * whole idle period since `ratedAt`, capped at the starting RD.
+ */
+export const decayedRd = ({ rd = glicko.defaultRd, volatility = glicko.defaultVolatility, ratedAt = null }, now = Date.now()) => {
+  const periods = idlePeriods(ratedAt, now);
+  if (!periods) return Math.min(glicko.defaultRd, Number(rd));
+  const phi = Number(rd) / SCALE;
+  const sigma = Number(volatility);
+  return Math.min(glicko.defaultRd, SCALE * Math.sqrt(phi * phi + periods * sigma * sigma));
+};
+
+export const isProvisional = (rating, now = Date.now()) => decayedRd(rating, now) > glicko.provisionalRd;
+
+const g = phi => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const nextVolatility = ({ phi, sigma, delta, v }) => {
+  const a = Math.log(sigma * sigma);
+  const tau2 = glicko.tau * glicko.tau;
+  const f = x => {
+    const ex = Math.exp(x);
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * (phi * phi + v + ex) ** 2) - (x - a) / tau2;
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * glicko.tau) < 0) k += 1;
+    B = a - k * glicko.tau;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+};
+
+/**
+ * One Glicko-2 rating period for `player` against `opponents`
+ * (`[{ rating, rd, score }]`, score 1, 0.5 or 0). Ratings are
+ * `{ rating, rd, volatility, ratedAt }`; idle decay is applied to the player
+ * first. Returns the new `{ rating, rd, volatility, change }` with the rating
+ * rounded for storage and `change` the rounded rating difference.
+ */
+export const glicko2Update = (player, opponents, now = Date.now()) => {
+  const rating = Number(player.rating);
+  const sigma = Number(player.volatility) || glicko.defaultVolatility;
+  const phi = decayedRd(player, now) / SCALE;
+  if (!opponents.length) {
+    return { rating: Math.round(rating), rd: clampRd(SCALE * Math.sqrt(phi * phi + sigma * sigma)), volatility: sigma, change: 0 };
+  }
+
+  const mu = (rating - 1500) / SCALE;
+  let vInverse = 0;
+  let improvement = 0;
+  for (const opponent of opponents) {
+    const gPhi = g(Number(opponent.rd ?? glicko.defaultRd) / SCALE);
+    const expected = 1 / (1 + Math.exp(-gPhi * (mu - (Number(opponent.rating) - 1500) / SCALE)));
+    vInverse += gPhi * gPhi * expected * (1 - expected);
+    improvement += gPhi * (opponent.score - expected);
+  }
+  const v = 1 / vInverse;
+
+  const volatility = nextVolatility({ phi, sigma, delta: v * improvement, v });
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const phiNext = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const next = Math.round(SCALE * (mu + phiNext * phiNext * improvement) + 1500);
+  return {
+    rating: next,
+    rd: clampRd(SCALE * phiNext),
+    volatility,
+    change: next - Math.round(rating),
+  };
+};
+
+// A `profiles` row's main-ladder rating in the shape `glicko2Update` takes.
+export const profileRating = profile => ({
+  rating: Number(profile?.elo_rating) || 1200,
+  rd: profile?.glicko_rd ?? glicko.defaultRd,
+  volatility: profile?.glicko_volatility ?? glicko.defaultVolatility,
+  ratedAt: profile?.rating_updated_at || null,
+});
+
+// The `profiles` columns for a rating after a game at `now`.
+export const profileRatingFields = (next, now = Date.now()) => ({
+  elo_rating: next.rating,
+  glicko_rd: next.rd,
+  glicko_volatility: next.volatility,
+  rating_updated_at: new Date(now).toISOString(),
+});
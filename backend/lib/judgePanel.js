@@ -1,3 +1,5 @@
+import { phaseLabel } from './debatePhases.js';
+import { condenseTranscript, condensedTranscriptText, turnRef } from './transcriptDigest.js';
 import {
   REASONING_METRICS,
   aggregateBlindPanelVerdicts,
@@ -22,7 +24,7 @@ const scoreShape = () => ({
   humility: 6,
   sourceReliability: 6,
   emotionalControl: 6,
-  feedback: 'A full Gemini panel was unavailable, so this neutral score cannot certify a competitive result.',
+  feedback: 'A full judge panel was unavailable, so this neutral score cannot certify a competitive result.',
 });
 
 export const neutralJudgeVerdict = (judge, index, sideKeys = ['critic', 'defender']) => ({
@@ -33,14 +35,45 @@ export const neutralJudgeVerdict = (judge, index, sideKeys = ['critic', 'defende
   confidence: 0.45 + index * 0.01,
   rationale: 'Neutral offline fallback.',
   flagged_claims: [],
+  turn_annotations: [],
 });
 
-const transcriptText = (transcript = []) => transcript
-  .slice(-40)
-  .map(turn => `${turn.side || turn.speaker || 'speaker'}: ${turn.text}`)
-  .join('\n');
+const turnTags = (turn) => {
+  const tags = [phaseLabel(turn)];
+  if (turn.unanswered) tags.push('left unanswered');
+  if (turn.cognitive?.newArgument) tags.push('flagged: possible new argument in closing');
+  return tags.filter(Boolean);
+};
+
+// Every turn leads with its message id so judges can annotate it.
+const turnLine = (turn, ref) => {
+  const tags = turnTags(turn);
+  return `[${ref}] ${tags.length ? `[${tags.join('; ')}] ` : ''}${turn.side || turn.speaker || 'speaker'}: ${turn.text}`;
+};
+
+// The whole transcript verbatim, or, once condensed, the digests of its
+// earlier turns followed by the recent window.
+const transcriptText = (transcript = [], condensed = null) => (condensed
+  ? condensedTranscriptText(condensed, turnLine)
+  : transcript.map((turn, index) => turnLine(turn, turnRef(turn, index))).join('\n'));
+
+const MAX_TURN_ANNOTATIONS = 8;
 
-export const buildBlindJudgePrompt = ({ judge, topic, transcript, sideKeys, sideLabels }) => {
+// Keeps annotations that point at a real message and a real side, with the
+// effect clamped to the -2..2 scale the prompt asks for.
+const normalizeTurnAnnotations = (annotations, knownIds, sideKeys) => (Array.isArray(annotations) ? annotations : [])
+  .map(annotation => ({
+    message_id: String(annotation?.message_id ?? ''),
+    side: annotation?.side,
+    effect: Math.max(-2, Math.min(2, Math.round(Number(annotation?.effect) || 0))),
+    reason: String(annotation?.reason || '').trim().slice(0, 240),
+  }))
+  .filter(annotation => knownIds.has(annotation.message_id) && sideKeys.includes(annotation.side) && annotation.effect !== 0)
+  .slice(0, MAX_TURN_ANNOTATIONS);
+
+const PHASE_GUIDANCE = `Turns are tagged with their debate phase. Credit rebuttals for directly answering the opponent's earlier case. Closings should summarise; do not reward arguments first raised in a closing, especially turns flagged as possible new arguments. In cross-examination, a question left unanswered or evaded counts against the respondent.`;
+
+export const buildBlindJudgePrompt = ({ judge, topic, transcript, sideKeys, sideLabels, condensed = null }) => {
   const [firstSide, secondSide] = sideKeys;
   const [firstLabel, secondLabel] = sideLabels;
   const sideTemplate = `{
@@ -49,10 +82,11 @@ export const buildBlindJudgePrompt = ({ judge, topic, transcript, sideKeys, side
     "calibration": 1, "humility": 1, "sourceReliability": 1,
     "emotionalControl": 1, "feedback": "two concrete sentences"
   }`;
-  return `You are the ${judge.role} on a blind debate panel. Player identities are hidden. Judge only the transcript and do not reward aggression, accent, vocabulary, ideology, or verbosity. Focus on ${judge.lens}. Treat factual claims as unverified unless the speaker provides a checkable source. Score both sides independently from 1-10.
+  const phased = transcript?.some(turn => turn?.phase);
+  return `You are the ${judge.role} on a blind debate panel. Player identities are hidden. Judge only the transcript and do not reward aggression, accent, vocabulary, ideology, or verbosity. Focus on ${judge.lens}. Treat factual claims as unverified unless the speaker provides a checkable source. Score both sides independently from 1-10. Then annotate up to ${MAX_TURN_ANNOTATIONS} turns that most moved your scores, by the message id in square brackets: "effect" runs from -2 (cost that side points) to 2 (won that side points).
 
 Topic: ${topic || 'Debate topic not supplied'}
-Side labels: ${firstSide} means ${firstLabel}; ${secondSide} means ${secondLabel}.
+Side labels: ${firstSide} means ${firstLabel}; ${secondSide} means ${secondLabel}.${phased ? `\n${PHASE_GUIDANCE}` : ''}
 
 Return ONLY JSON in this exact structure:
 {
@@ -62,17 +96,84 @@ Return ONLY JSON in this exact structure:
   "overall_summary": "one sentence",
   "confidence": 0.0,
   "rationale": "one concise panel note",
-  "flagged_claims": [{ "speaker": "${firstSide} or ${secondSide}", "claim": "claim requiring verification", "reason": "why" }]
+  "flagged_claims": [{ "speaker": "${firstSide} or ${secondSide}", "claim": "claim requiring verification", "reason": "why" }],
+  "turn_annotations": [{ "message_id": "id", "side": "${firstSide} or ${secondSide}", "effect": 0, "reason": "what this turn did to that side's score" }]
 }
 
 Transcript, in original speaking order:
-${transcriptText(transcript)}`;
+${transcriptText(transcript, condensed)}`;
+};
+
+/**
+ * Binds each JUDGE_PANEL seat to a model so the lenses do not share one
+ * model's blind spots. `spec` (JUDGE_PANEL_MODELS) lists one
+ * `provider:model@temperature` entry per seat in panel order, for example
+ * `gemini:gemini-2.5-flash,openai:gpt-4o-mini@0.2,ollama`. Any part may be
+ * left out; the judge feature's provider and model fill the gaps.
+ */
+export const parseJudgeSeats = (spec = '') => {
+  const entries = String(spec || '').split(',').map(entry => entry.trim());
+  return JUDGE_PANEL.map((judge, index) => {
+    const [binding, temperatureText] = (entries[index] || '').split('@');
+    const separator = binding.indexOf(':');
+    const provider = (separator < 0 ? binding : binding.slice(0, separator)).trim().toLowerCase();
+    const model = separator < 0 ? '' : binding.slice(separator + 1).trim();
+    const temperature = Number(temperatureText);
+    return {
+      ...(provider ? { provider } : {}),
+      ...(model ? { model } : {}),
+      ...(temperatureText && temperature >= 0 && temperature <= 2 ? { temperature } : {}),
+    };
+  });
 };
 
+// The provider, model and temperature every seat will run on.
+export const resolveJudgeSeats = (llm, spec = process.env.JUDGE_PANEL_MODELS) => parseJudgeSeats(spec).map((binding) => {
+  const { provider, model } = llm.describe('judge', binding);
+  return { provider, model, temperature: binding.temperature ?? null };
+});
+
 const sideOverall = scores => (
   REASONING_METRICS.reduce((sum, metric) => sum + readMetric(scores, metric), 0) / REASONING_METRICS.length
 );
 
+const round2 = value => Number(value.toFixed(2));
+const winnerFor = (margin, sideKeys) => (Math.abs(margin) < 0.15 ? 'draw' : margin > 0 ? sideKeys[0] : sideKeys[1]);
+
+/**
+ * Compares the models on the panel. Each model's margin is the mean of its
+ * seats' first-minus-second side scores and `lean` is that margin relative
+ * to the whole panel's, so a model that keeps leaning one way across matches
+ * shows up when `result_metadata.model_agreement` is queried in aggregate.
+ * Neutral fallback verdicts carry no model and are left out.
+ */
+export const summarizeModelAgreement = (verdicts = [], sideKeys = ['critic', 'defender']) => {
+  const margins = new Map();
+  for (const verdict of verdicts) {
+    if (!verdict?.model || !verdict[sideKeys[0]] || !verdict[sideKeys[1]]) continue;
+    const id = `${verdict.model.provider}:${verdict.model.model}`;
+    margins.set(id, [...(margins.get(id) || []), sideOverall(verdict[sideKeys[0]]) - sideOverall(verdict[sideKeys[1]])]);
+  }
+  const all = [...margins.values()].flat();
+  const panelMargin = all.length ? all.reduce((sum, margin) => sum + margin, 0) / all.length : 0;
+  const models = [...margins].map(([model, values]) => {
+    const margin = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return { model, seats: values.length, margin: round2(margin), lean: round2(margin - panelMargin), winner: winnerFor(margin, sideKeys) };
+  });
+  const pairs = models.flatMap((first, index) => models.slice(index + 1).map(second => ({
+    models: [first.model, second.model],
+    same_winner: first.winner === second.winner,
+    margin_gap: round2(Math.abs(first.margin - second.margin)),
+  })));
+  return {
+    heterogeneous: models.length > 1,
+    models,
+    pairs,
+    agreement: pairs.length ? round2(pairs.filter(pair => pair.same_winner).length / pairs.length) : 1,
+    max_margin_gap: Math.max(0, ...pairs.map(pair => pair.margin_gap)),
+  };
+};
+
 export const runBlindJudgePanel = async ({
   topic,
   transcript,
@@ -82,17 +183,30 @@ export const runBlindJudgePanel = async ({
   sideKeys = ['critic', 'defender'],
   sideLabels = sideKeys,
   version = 'arena-panel-1.0',
+  seats = [],
+  summarize = null,
 } = {}) => {
   if ((!advancedAi || typeof generate !== 'function') && !allowFallback) {
-    throw Object.assign(new Error('The blind Gemini judge panel is not configured'), { code: 'JUDGE_PANEL_UNAVAILABLE' });
+    throw Object.assign(new Error('The blind judge panel is not configured'), { code: 'JUDGE_PANEL_UNAVAILABLE' });
   }
 
+  // Every judge reads the same condensed transcript; `summarize` is the LLM
+  // call that digests turns older than the recent window.
+  const panelReady = advancedAi && typeof generate === 'function';
+  const condensed = await condenseTranscript(transcript, { generate: panelReady ? summarize : null });
+  const knownIds = new Set((transcript || []).map((turn, index) => turnRef(turn, index)));
   const verdicts = await Promise.all(JUDGE_PANEL.map(async (judge, index) => {
-    if (!advancedAi || typeof generate !== 'function') return neutralJudgeVerdict(judge, index, sideKeys);
+    if (!panelReady) return neutralJudgeVerdict(judge, index, sideKeys);
+    const seat = seats[index] || null;
     try {
-      const verdict = await generate(buildBlindJudgePrompt({ judge, topic, transcript, sideKeys, sideLabels }), 3, true);
+      const verdict = await generate(buildBlindJudgePrompt({ judge, topic, transcript, sideKeys, sideLabels, condensed }), 3, true, seat || {});
       if (!verdict?.[sideKeys[0]] || !verdict?.[sideKeys[1]]) throw new Error('Judge returned an incomplete scorecard');
-      return { ...verdict, judge: verdict.judge || judge.role };
+      return {
+        ...verdict,
+        judge: verdict.judge || judge.role,
+        model: seat,
+        turn_annotations: normalizeTurnAnnotations(verdict.turn_annotations, knownIds, sideKeys),
+      };
     } catch (error) {
       if (!allowFallback) throw error;
       return neutralJudgeVerdict(judge, index, sideKeys);
@@ -107,7 +221,7 @@ export const runBlindJudgePanel = async ({
   const firstOverall = sideOverall(scores[sideKeys[0]]);
   const secondOverall = sideOverall(scores[sideKeys[1]]);
   const margin = firstOverall - secondOverall;
-  const winningSide = Math.abs(margin) < 0.15 ? 'draw' : margin > 0 ? sideKeys[0] : sideKeys[1];
+  const winningSide = winnerFor(margin, sideKeys);
   return {
     verdicts,
     scores: {
@@ -120,6 +234,8 @@ export const runBlindJudgePanel = async ({
           [sideKeys[1]]: Number(secondOverall.toFixed(2)),
         },
         winning_margin: Number(Math.abs(margin).toFixed(2)),
+        model_agreement: summarizeModelAgreement(verdicts, sideKeys),
+        transcript_coverage: condensed.metadata,
       },
     },
     winningSide,
@@ -0,0 +1,118 @@
+import { DEBATE_FORMATS } from './debateFormats.js';
+import { RATING_DOMAINS } from './ratingDomains.js';
+
+const positiveInteger = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Leaderboards. All-time boards page through the `leaderboard_entries`
+// materialized view (migration 018), which every instance asks Postgres to
+// refresh on `refreshMs`; the database skips the refresh when another
+// instance has just done it. Movers windows sum the board's own rating
+// changes (migration 023), and finished seasons read their standings snapshot.
+export const leaderboards = Object.freeze({
+  refreshMs: positiveInteger('LEADERBOARD_REFRESH_MS', 300_000),
+  pageSize: 25,
+  maxPageSize: 100,
+});
+
+export const OVERALL_BOARD = 'Overall';
+
+export const LEADERBOARD_REGIONS = Object.freeze([
+  'Africa',
+  'Asia Pacific',
+  'Europe',
+  'Latin America',
+  'Middle East',
+  'North America',
+  'South Asia',
+]);
+
+// Days covered by each movers window; `all` is the all-time board.
+export const LEADERBOARD_WINDOWS = Object.freeze({ all: null, week: 7, month: 30 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isUuid = value => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(value || '');
+const isMissingTable = error => /does not exist|schema cache|not configured/i.test(error?.message || '');
+const badRequest = message => Object.assign(new Error(message), { statusCode: 400 });
+
+// Every board a player can be ranked on: the ladder, each format rating and
+// each topic domain rating.
+export const leaderboardBoards = () => [
+  { key: OVERALL_BOARD, kind: 'ladder' },
+  ...[...new Set(Object.values(DEBATE_FORMATS).map(format => format.ratingFormat))].map(key => ({ key, kind: 'format' })),
+  ...RATING_DOMAINS.map(key => ({ key, kind: 'domain' })),
+];
+
+/**
+ * Validates a leaderboard query string. Unknown boards, regions and windows
+ * are rejected rather than silently widened, and a season cannot be combined
+ * with a movers window.
+ */
+export const parseLeaderboardQuery = (query = {}) => {
+  const board = String(query.board || OVERALL_BOARD);
+  if (!leaderboardBoards().some(item => item.key === board)) throw badRequest('Unknown leaderboard');
+  const window = String(query.window || 'all');
+  if (!Object.hasOwn(LEADERBOARD_WINDOWS, window)) throw badRequest('Unknown time window');
+  const region = query.region ? String(query.region) : null;
+  if (region && !LEADERBOARD_REGIONS.includes(region)) throw badRequest('Unknown region');
+  const clubId = query.club ? String(query.club) : null;
+  if (clubId && !isUuid(clubId)) throw badRequest('Unknown club');
+  const season = query.season ? String(query.season).slice(0, 80) : null;
+  if (season && window !== 'all') throw badRequest('Choose either a season or a time window');
+
+  const limit = Math.min(leaderboards.maxPageSize, Math.max(1, Number.parseInt(query.limit, 10) || leaderboards.pageSize));
+  const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
+  return { board, window, region, clubId, season, page, limit, offset: (page - 1) * limit };
+};
+
+// Arguments for `get_leaderboard`.
+export const buildLeaderboardArgs = ({ board, region, clubId, limit, offset }, { ratedSince = null, minMatches = 1 } = {}) => ({
+  p_board: board,
+  p_region: region,
+  p_club_id: clubId,
+  p_rated_since: ratedSince,
+  p_min_matches: minMatches,
+  p_limit: limit,
+  p_offset: offset,
+});
+
+// Arguments for `get_leaderboard_movers`: the ladder sums per-match Elo
+// changes, a format or domain board the rating history of that rating.
+export const buildMoversArgs = ({ board, window, region, clubId, limit, offset }, now = Date.now()) => ({
+  p_since: new Date(new Date(now).getTime() - LEADERBOARD_WINDOWS[window] * DAY_MS).toISOString(),
+  p_board: board,
+  p_region: region,
+  p_club_id: clubId,
+  p_limit: limit,
+  p_offset: offset,
+});
+
+export const createLeaderboardRefresher = ({ supabase, intervalMs = leaderboards.refreshMs } = {}) => {
+  let disabled = !supabase;
+
+  const refresh = async () => {
+    if (disabled) return false;
+    const { data, error } = await supabase.rpc('refresh_leaderboards', {
+      p_min_age_seconds: Math.max(0, Math.floor(intervalMs / 1000) - 30),
+    });
+    if (!error) return Boolean(data);
+    if (isMissingTable(error)) {
+      // Migration 018 not applied: boards are unavailable until it is.
+      disabled = true;
+      console.warn('[Leaderboards] leaderboard_entries missing; refresher disabled.');
+      return false;
+    }
+    console.warn('[Leaderboards] Refresh failed:', error.message);
+    return false;
+  };
+
+  const timer = disabled ? null : setInterval(() => { refresh(); }, intervalMs);
+  timer?.unref?.();
+
+  return {
+    refresh,
+    close: () => clearInterval(timer),
+  };
+};
@@ -0,0 +1,265 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { recordAiRequest, recordAiTokens } from './observability.js';
+
+const positiveInteger = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// LLM providers. Every model call in the backend goes through one client.
+// Each feature picks its provider and model from the environment
+// (LLM_<FEATURE>_PROVIDER and LLM_<FEATURE>_MODEL, falling back to
+// LLM_PROVIDER and LLM_MODEL), and the client adds the retries, JSON repair,
+// token accounting and ai_requests metrics all of them share.
+export const llmSettings = Object.freeze({
+  timeoutMs: positiveInteger('LLM_TIMEOUT_MS', 60_000),
+  retryBaseMs: 1000,
+});
+
+// `topics` covers the topic bouncer and semantic topic search.
+export const LLM_FEATURES = Object.freeze(['judge', 'objection', 'summary', 'practice', 'agents', 'topics']);
+
+export const LLM_DEFAULT_MODELS = Object.freeze({
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  stub: 'stub',
+});
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const configError = message => Object.assign(new Error(message), { code: 'LLM_CONFIG' });
+
+/**
+ * The provider and model a feature uses. A feature that overrides only the
+ * provider gets that provider's default model, not LLM_MODEL.
+ */
+export const resolveLlmConfig = (feature, env = process.env) => {
+  if (!LLM_FEATURES.includes(feature)) throw configError(`Unknown LLM feature "${feature}"`);
+  const prefix = `LLM_${feature.toUpperCase()}_`;
+  const defaultProvider = String(env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+  const provider = String(env[`${prefix}PROVIDER`] || defaultProvider).trim().toLowerCase();
+  if (!Object.hasOwn(LLM_DEFAULT_MODELS, provider)) throw configError(`Unknown LLM provider "${provider}" for ${feature}`);
+  const model = env[`${prefix}MODEL`] || (provider === defaultProvider && env.LLM_MODEL) || LLM_DEFAULT_MODELS[provider];
+  return { feature, provider, model };
+};
+
+// Messages are `{ role: 'system' | 'user', content }`.
+const systemText = messages => messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+const userText = messages => messages.filter(message => message.role !== 'system').map(message => message.content).join('\n\n');
+
+const httpError = async (provider, response) => {
+  const body = await response.text().catch(() => '');
+  return Object.assign(new Error(`${provider} request failed with ${response.status}: ${body.slice(0, 200)}`), { status: response.status });
+};
+
+const postJson = async (provider, url, body, { headers = {}, fetchImpl = fetch, timeoutMs = llmSettings.timeoutMs } = {}) => {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) throw await httpError(provider, response);
+  return response.json();
+};
+
+export const createGeminiProvider = ({ apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY } = {}) => {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  return {
+    name: 'gemini',
+    configured: Boolean(client),
+    generate: async ({ messages, model, json, temperature }) => {
+      if (!client) throw configError('GEMINI_API_KEY is not set');
+      const system = systemText(messages);
+      const result = await client.getGenerativeModel({
+        model,
+        ...(system ? { systemInstruction: system } : {}),
+        generationConfig: {
+          ...(json ? { responseMimeType: 'application/json' } : {}),
+          ...(temperature == null ? {} : { temperature }),
+        },
+      }).generateContent(userText(messages));
+      const usage = result.response.usageMetadata || {};
+      return { text: result.response.text(), inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 };
+    },
+  };
+};
+
+// Any OpenAI-compatible chat completions endpoint: OpenAI itself, a hosted
+// gateway, or a local llama.cpp / vLLM server (no API key needed there).
+export const createOpenAiProvider = ({ baseUrl = process.env.OPENAI_BASE_URL || OPENAI_BASE_URL, apiKey = process.env.OPENAI_API_KEY, fetchImpl } = {}) => ({
+  name: 'openai',
+  configured: Boolean(apiKey) || baseUrl.replace(/\/+$/, '') !== OPENAI_BASE_URL,
+  generate: async ({ messages, model, json, temperature }) => {
+    const data = await postJson('openai', `${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      model,
+      messages,
+      ...(temperature == null ? {} : { temperature }),
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    }, { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, fetchImpl });
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0,
+    };
+  },
+});
+
+export const createOllamaProvider = ({ baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434', fetchImpl } = {}) => ({
+  name: 'ollama',
+  configured: true,
+  generate: async ({ messages, model, json, temperature }) => {
+    const data = await postJson('ollama', `${baseUrl.replace(/\/+$/, '')}/api/chat`, {
+      model,
+      messages,
+      stream: false,
+      ...(json ? { format: 'json' } : {}),
+      ...(temperature == null ? {} : { options: { temperature } }),
+    }, { fetchImpl });
+    return { text: data.message?.content || '', inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+  },
+});
+
+const countWords = text => String(text || '').split(/\s+/).filter(Boolean).length;
+
+/**
+ * A deterministic provider for tests and offline development. `reply`
+ * receives `{ messages, model, json }` and returns the text; by default JSON
+ * calls get `{}` and text calls echo the start of the prompt, so callers
+ * exercise their own fallbacks.
+ */
+export const createStubProvider = ({ reply } = {}) => ({
+  name: 'stub',
+  configured: true,
+  generate: async request => {
+    const prompt = userText(request.messages);
+    const text = reply ? await reply(request) : request.json ? '{}' : `Stub reply: ${prompt.slice(0, 80)}`;
+    return { text: String(text), inputTokens: countWords(prompt), outputTokens: countWords(text) };
+  },
+});
+
+export const createDefaultProviders = () => ({
+  gemini: createGeminiProvider(),
+  openai: createOpenAiProvider(),
+  ollama: createOllamaProvider(),
+  stub: createStubProvider(),
+});
+
+// Cuts `text` after its first complete JSON value, or closes whatever a
+// truncated reply left open.
+const balanceJson = (text) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (!stack.length) return text.slice(0, index + 1);
+    }
+  }
+  const open = `${text}${inString ? '"' : ''}`.replace(/,\s*$/, '');
+  return `${open}${stack.reverse().join('')}`;
+};
+
+/**
+ * Parses a model's JSON reply, tolerating markdown fences, prose around the
+ * value, trailing commas and a reply cut off before its closing brackets.
+ */
+export const repairJson = (raw) => {
+  const text = String(raw ?? '').replace(/```(?:json)?/gi, '').trim();
+  const start = text.search(/[[{]/);
+  if (start < 0) throw new Error('No JSON found in response');
+  const candidate = balanceJson(text.slice(start));
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return JSON.parse(balanceJson(candidate.replace(/,\s*([}\]])/g, '$1')));
+  }
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createLlmClient = ({
+  env = process.env,
+  providers = createDefaultProviders(),
+  retryBaseMs = llmSettings.retryBaseMs,
+  sleep = wait,
+} = {}) => {
+  const configs = new Map();
+  const configFor = (feature) => {
+    if (!configs.has(feature)) configs.set(feature, resolveLlmConfig(feature, env));
+    return configs.get(feature);
+  };
+
+  // `override` binds one call to another provider and/or model, e.g. a judge
+  // panel seat; switching provider without a model uses that provider's default.
+  const describe = (feature, { provider, model } = {}) => {
+    const base = configFor(feature);
+    if (!provider && !model) return base;
+    const name = String(provider || base.provider).trim().toLowerCase();
+    if (!Object.hasOwn(LLM_DEFAULT_MODELS, name)) throw configError(`Unknown LLM provider "${name}" for ${feature}`);
+    return { feature, provider: name, model: model || (name === base.provider ? base.model : LLM_DEFAULT_MODELS[name]) };
+  };
+
+  const configured = (feature, override) => Boolean(providers[describe(feature, override).provider]?.configured);
+
+  /**
+   * Runs `input` (a prompt string or a message list) on the feature's
+   * provider. JSON calls return the parsed value; a reply that cannot be
+   * repaired counts as a failed attempt and is retried with exponential
+   * backoff like any provider error.
+   */
+  const generate = async (feature, input, { json = true, maxRetries = 3, temperature, provider: providerOverride, model: modelOverride } = {}) => {
+    const { provider: providerName, model } = describe(feature, { provider: providerOverride, model: modelOverride });
+    const provider = providers[providerName];
+    const messages = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+    const mode = json ? 'json' : 'text';
+    const startedAt = Date.now();
+    const labels = { mode, provider: providerName, feature };
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const reply = await provider.generate({ messages, model, json, temperature });
+        recordAiTokens({ provider: providerName, feature, inputTokens: reply.inputTokens, outputTokens: reply.outputTokens });
+        const value = json ? repairJson(reply.text) : reply.text;
+        recordAiRequest({ ...labels, status: 'success', durationSeconds: (Date.now() - startedAt) / 1000 });
+        return value;
+      } catch (error) {
+        console.error(`[LLM] ${providerName} ${feature} call failed (attempt ${attempt}/${maxRetries}):`, error.message);
+        if (attempt >= maxRetries || error.code === 'LLM_CONFIG') {
+          recordAiRequest({ ...labels, status: 'failure', durationSeconds: (Date.now() - startedAt) / 1000 });
+          throw error;
+        }
+        await sleep(retryBaseMs * 2 ** attempt);
+      }
+    }
+  };
+
+  return {
+    generate,
+    configured,
+    describe,
+    // `generateWithRetry(prompt, maxRetries, expectJson, binding)` bound to a
+    // feature, for callers such as the judge panel that take a generate
+    // function; `binding` is an optional `{ provider, model, temperature }`.
+    forFeature: feature => (prompt, maxRetries = 3, expectJson = true, binding = {}) => generate(feature, prompt, { ...binding, json: expectJson, maxRetries }),
+  };
+};
+
+let sharedClient = null;
+
+// The process-wide client, built from the environment on first use.
+export const sharedLlmClient = () => {
+  sharedClient ||= createLlmClient();
+  return sharedClient;
+};
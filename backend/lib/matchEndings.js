@@ -0,0 +1,85 @@
+// How a 1v1 match ended. Clock and schedule endings still go to the judges
+// and audience; a resignation or an agreed draw settles the result itself and
+// is rated straight away. Stored on `matches.ending_type` (migration 010).
+export const MATCH_ENDING_TYPES = Object.freeze(['timeout', 'format_complete', 'resignation', 'draw_agreed', 'abandoned']);
+
+export const DECIDED_ENDINGS = Object.freeze(['resignation', 'draw_agreed']);
+
+export const DRAW_OFFER_TTL_MS = 30_000;
+export const DRAW_OFFERS_PER_SIDE = 2;
+
+const otherRole = role => (role === 'Critic' ? 'Defender' : 'Critic');
+
+const endingError = message => ({ error: message });
+
+const pendingOffer = (room, now) => (room.drawOffer && room.drawOffer.expiresAt > now ? room.drawOffer : null);
+
+/**
+ * Offers the opponent a draw. Each side may offer a limited number of times
+ * per match; a crossing offer (both sides offered) is an agreement.
+ */
+export const offerDraw = (room, role, now = Date.now()) => {
+  const pending = pendingOffer(room, now);
+  if (pending?.by === otherRole(role)) {
+    room.drawOffer = null;
+    return { agreed: true };
+  }
+  if (pending) return endingError('Your draw offer is still waiting for an answer.');
+  const used = Number(room.drawOffersMade?.[role]) || 0;
+  if (used >= DRAW_OFFERS_PER_SIDE) return endingError('You have no draw offers left this match.');
+  room.drawOffersMade = { ...room.drawOffersMade, [role]: used + 1 };
+  room.drawOffer = { by: role, expiresAt: now + DRAW_OFFER_TTL_MS };
+  return { offer: room.drawOffer };
+};
+
+export const acceptDraw = (room, role, now = Date.now()) => {
+  const pending = pendingOffer(room, now);
+  room.drawOffer = null;
+  if (!pending || pending.by !== otherRole(role)) return endingError('There is no draw offer to accept.');
+  return { agreed: true };
+};
+
+// The `match_over` payload fields for a debater conceding.
+export const resignationResult = role => ({ reason: 'resignation', winner: otherRole(role), resignedBy: role });
+
+/**
+ * Elo scores for endings that decide the result without judging:
+ * `{ sCritic, sDefender, winnerId }`, or null when the verdict comes from the
+ * AI panel and audience instead.
+ */
+export const decidedOutcome = match => {
+  if (match?.ending_type === 'draw_agreed') return { sCritic: 0.5, sDefender: 0.5, winnerId: null };
+  if (match?.ending_type !== 'resignation') return null;
+  // Only the player can resign an AI spar, so the AI's side takes it.
+  if (match.ai_side === 'Critic') return { sCritic: 1, sDefender: 0, winnerId: null };
+  if (match.ai_side === 'Defender') return { sCritic: 0, sDefender: 1, winnerId: null };
+  if (!match.winner_id) return null;
+  if (match.winner_id === match.critic_id) return { sCritic: 1, sDefender: 0, winnerId: match.critic_id };
+  if (match.winner_id === match.defender_id) return { sCritic: 0, sDefender: 1, winnerId: match.defender_id };
+  return null;
+};
+
+/**
+ * Win/loss/draw record for a user plus how their decided matches ended, for
+ * the dashboard. Matches still awaiting votes are not counted, nor are AI
+ * spars, which have their own "vs AI" rating.
+ */
+export const summarizeMatchEndings = (matches = [], userId) => {
+  const record = { wins: 0, losses: 0, draws: 0, resigned: 0, opponentResigned: 0, drawsAgreed: 0, abandoned: 0 };
+  for (const match of matches) {
+    if (!['completed', 'abandoned'].includes(match.status) || match.ai_side) continue;
+    if (match.winner_id === userId) record.wins += 1;
+    else if (match.winner_id) record.losses += 1;
+    else if (match.status === 'completed') record.draws += 1;
+
+    if (match.ending_type === 'resignation') {
+      if (match.winner_id === userId) record.opponentResigned += 1;
+      else record.resigned += 1;
+    } else if (match.ending_type === 'draw_agreed') {
+      record.drawsAgreed += 1;
+    } else if (match.status === 'abandoned') {
+      record.abandoned += 1;
+    }
+  }
+  return record;
+};
@@ -0,0 +1,133 @@
+// Append-only event stream per match. Live rooms record turns, clock
+// snapshots, pauses, AI interventions and presence changes; the buffer is
+// flushed to Supabase in small batches so the realtime path never waits on
+// the database. The replay endpoint rebuilds a timeline from these rows.
+export const MATCH_EVENT_TYPES = Object.freeze([
+  'match_started',
+  'turn_submitted',
+  'clock_snapshot',
+  'segment_changed',
+  'ai_intervention',
+  'room_paused',
+  'room_resumed',
+  'player_disconnected',
+  'player_rejoined',
+  'spectators_changed',
+  'draw_offered',
+  'match_ended',
+]);
+
+const FLUSH_INTERVAL_MS = 2000;
+const FLUSH_BATCH_SIZE = 50;
+
+const isMissingTable = error => /does not exist|schema cache|not configured/i.test(error?.message || '');
+
+const clockSnapshot = clock => (clock
+  ? {
+    criticTime: clock.criticTime,
+    defenderTime: clock.defenderTime,
+    activeSpeaker: clock.activeSpeaker,
+    segment: clock.segment || null,
+    paused: Boolean(clock.pause?.paused),
+  }
+  : null);
+
+export const createMatchEventLog = ({ supabase, flushIntervalMs = FLUSH_INTERVAL_MS, batchSize = FLUSH_BATCH_SIZE } = {}) => {
+  let buffer = [];
+  let disabled = !supabase;
+  let flushing = null;
+
+  const flush = async () => {
+    if (flushing) return flushing;
+    if (disabled || !buffer.length) {
+      if (disabled) buffer = [];
+      return 0;
+    }
+    const batch = buffer.splice(0, buffer.length);
+    flushing = (async () => {
+      const { error } = await supabase.from('match_events').insert(batch);
+      if (!error) return batch.length;
+      if (isMissingTable(error)) {
+        // Migration 009 not applied: stop buffering instead of leaking memory.
+        disabled = true;
+        console.warn('[MatchEvents] match_events table missing; event log disabled.');
+        return 0;
+      }
+      console.warn('[MatchEvents] Flush failed:', error.message);
+      buffer = [...batch, ...buffer].slice(-batchSize * 20);
+      return 0;
+    })().catch(error => {
+      console.warn('[MatchEvents] Flush failed:', error.message);
+      return 0;
+    }).finally(() => { flushing = null; });
+    return flushing;
+  };
+
+  const timer = setInterval(() => { flush(); }, flushIntervalMs);
+  timer.unref?.();
+
+  /**
+   * Queues one event. `clock` is the room's clock payload at the moment of
+   * the event so the replay can tick from any point in the match.
+   */
+  const record = (matchId, eventType, payload = {}, clock = null) => {
+    if (disabled || !matchId || !MATCH_EVENT_TYPES.includes(eventType)) return;
+    buffer.push({
+      match_id: matchId,
+      event_type: eventType,
+      payload,
+      clock: clockSnapshot(clock),
+      occurred_at: new Date().toISOString(),
+    });
+    if (buffer.length >= batchSize) flush();
+  };
+
+  return {
+    record,
+    flush,
+    pending: () => buffer.length,
+    close: async () => {
+      clearInterval(timer);
+      await flush();
+    },
+  };
+};
+
+const toMillis = value => {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Builds a replay timeline: events ordered by time with `t` as milliseconds
+ * from the first event. Matches played before the event log existed fall back
+ * to their transcript timestamps, without clock data.
+ */
+export const buildReplayTimeline = (events = [], { transcript = [] } = {}) => {
+  let source = events
+    .map(event => ({
+      type: event.event_type,
+      at: toMillis(event.occurred_at),
+      payload: event.payload || {},
+      clock: event.clock || null,
+      id: event.id ?? null,
+    }))
+    .filter(event => event.at !== null);
+
+  const legacy = !source.length;
+  if (legacy) {
+    source = (transcript || [])
+      .map(turn => ({ type: 'turn_submitted', at: toMillis(turn.timestamp), payload: { turn }, clock: null, id: null }))
+      .filter(event => event.at !== null);
+  }
+
+  source.sort((a, b) => a.at - b.at || (a.id ?? 0) - (b.id ?? 0));
+  const startedAt = source[0]?.at ?? null;
+  const timeline = source.map(event => ({ type: event.type, t: event.at - startedAt, payload: event.payload, clock: event.clock }));
+  return {
+    legacy,
+    startedAt: startedAt === null ? null : new Date(startedAt).toISOString(),
+    durationMs: timeline.length ? timeline[timeline.length - 1].t : 0,
+    events: timeline,
+  };
+};
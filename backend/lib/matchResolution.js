@@ -0,0 +1,55 @@
+import { decidedOutcome } from './matchEndings.js';
+
+// Match resolution is split in two: the server works out the verdict from
+// the judges, audience and ending, and the `resolve_match_service` /
+// `rate_series_service` functions (migrations 015 and 016) apply it in one
+// locked, idempotent transaction. This module is the server half.
+
+const judgeScore = side => (side.logic * 0.4) + (side.facts * 0.4) + (side.relevance * 0.2) || 0;
+
+/**
+ * Verdict for a match awaiting resolution: rating scores and winner. A
+ * resignation or agreed draw has already settled the result; otherwise the
+ * judges weigh 70% against the audience's 30%, or the audience decides alone
+ * when the panel never scored the match.
+ */
+export const resolveVerdict = match => {
+  const criticVotes = match.audience_votes_critic || 0;
+  const defenderVotes = match.audience_votes_defender || 0;
+  const totalVotes = criticVotes + defenderVotes;
+
+  const decided = decidedOutcome(match);
+  if (decided) return { ...decided, decided: true };
+
+  const audience = totalVotes > 0 ? (criticVotes - defenderVotes) / totalVotes : 0;
+  const judged = Boolean(match.ai_scores?.critic && match.ai_scores?.defender);
+  const composite = judged
+    ? ((judgeScore(match.ai_scores.critic) - judgeScore(match.ai_scores.defender)) / 10) * 0.7 + audience * 0.3
+    : audience;
+
+  let verdict = { sCritic: 0.5, sDefender: 0.5, winnerId: null };
+  if (composite > 0.1) verdict = { sCritic: 1, sDefender: 0, winnerId: match.critic_id };
+  else if (composite < -0.1) verdict = { sCritic: 0, sDefender: 1, winnerId: match.defender_id };
+  return { ...verdict, decided: false, judged };
+};
+
+// Arguments for `resolve_match_service`.
+export const buildResolutionArgs = ({ match, verdict, ratingFormats = [], rated = true, aiRating = null }) => ({
+  p_match_id: match.id,
+  p_s_critic: verdict.sCritic,
+  p_winner_id: verdict.winnerId,
+  p_rating_formats: ratingFormats,
+  p_rated: rated,
+  p_ai_rating: aiRating,
+});
+
+// Arguments for `rate_series_service` from a decided `seriesStanding`.
+export const buildSeriesRatingArgs = ({ series, standing, ratingFormats = [] }) => ({
+  p_series_id: series.id,
+  p_a_score: standing.aScore,
+  p_b_score: standing.bScore,
+  p_games_played: standing.played,
+  p_s_a: standing.sA,
+  p_winner_id: standing.winnerId,
+  p_rating_formats: ratingFormats,
+});
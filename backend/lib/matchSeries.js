@@ -0,0 +1,53 @@
+// Best-of-N series built on `matches` (migration 012). Games alternate sides
+// through the rematch path, each game's verdict is tallied here, and the
+// series result is rated once when one side can no longer be caught.
+// Open series (best_of null) are plain rematch chains rated game by game.
+export const SERIES_LENGTHS = Object.freeze([1, 3, 5]);
+
+export const normalizeBestOf = value => (SERIES_LENGTHS.includes(Number(value)) ? Number(value) : 1);
+
+export const isRatedAsSet = series => Number(series?.best_of) > 1;
+
+/**
+ * Aggregate standing of a series from its resolved games. A drawn game is
+ * half a point each. Player A is the first game's Critic.
+ */
+export const seriesStanding = (series, games = []) => {
+  let aScore = 0;
+  let bScore = 0;
+  let played = 0;
+  for (const game of games) {
+    if (game.status !== 'completed') continue;
+    played += 1;
+    if (game.winner_id === series.player_a_id) aScore += 1;
+    else if (game.winner_id === series.player_b_id) bScore += 1;
+    else {
+      aScore += 0.5;
+      bScore += 0.5;
+    }
+  }
+
+  const bestOf = Number(series.best_of) || 1;
+  const majority = bestOf / 2;
+  const decided = aScore > majority || bScore > majority || played >= bestOf;
+  const sA = aScore > bScore ? 1 : aScore < bScore ? 0 : 0.5;
+  return {
+    aScore,
+    bScore,
+    played,
+    decided,
+    sA: decided ? sA : null,
+    winnerId: decided && sA !== 0.5 ? (sA === 1 ? series.player_a_id : series.player_b_id) : null,
+  };
+};
+
+// The `match_series` row for a set started from a private arena or challenge.
+export const buildSeriesInsert = ({ bestOf, criticUserId, defenderUserId, topic, formatKey, source }) => ({
+  best_of: normalizeBestOf(bestOf),
+  player_a_id: criticUserId,
+  player_b_id: defenderUserId,
+  topic_title: topic,
+  format_key: formatKey,
+  status: 'active',
+  source,
+});
@@ -0,0 +1,136 @@
+import { DEFAULT_FORMAT_KEY } from './debateFormats.js';
+
+const positiveInteger = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Rating-aware pairing starts with a tight Elo window and widens it in steps
+// the longer a player waits, so queues stay fair without leaving anyone stuck.
+export const matchmakingBands = Object.freeze({
+  initial: positiveInteger('MATCHMAKING_ELO_BAND_INITIAL', 100),
+  step: positiveInteger('MATCHMAKING_ELO_BAND_STEP', 75),
+  intervalMs: positiveInteger('MATCHMAKING_ELO_BAND_INTERVAL_MS', 10_000),
+  max: positiveInteger('MATCHMAKING_ELO_BAND_MAX', 600),
+});
+
+const DEFAULT_RATING = 1000;
+
+// Players who will debate any of several topics wait here instead of in a
+// single topic queue; topic-specific joiners also search it for overlap.
+export const ANY_ARENA_QUEUE = 'any-arena';
+
+const NEGOTIATION_MESSAGES = Object.freeze({
+  same_topic: 'Both debaters queued for this topic.',
+  fixed_topic: "One debater queued for this exact topic and it was on the other debater's list.",
+  mutual_follow: 'Both debaters follow this topic.',
+  shared_choice: "This topic ranked highest across both debaters' lists.",
+});
+
+const playerRating = player => {
+  const rating = Number(player?.rating);
+  return Number.isFinite(rating) ? rating : DEFAULT_RATING;
+};
+
+export const rolesCompatible = (left, right) => (
+  left.preferredRole === 'Random' || right.preferredRole === 'Random' || left.preferredRole !== right.preferredRole
+);
+
+export const formatsCompatible = (left, right) => (
+  (left.formatKey || DEFAULT_FORMAT_KEY) === (right.formatKey || DEFAULT_FORMAT_KEY)
+);
+
+export const acceptableTopics = player => {
+  if (Array.isArray(player?.topics) && player.topics.length) return player.topics;
+  return player?.topicId && player.topicId !== ANY_ARENA_QUEUE
+    ? [{ id: player.topicId, title: player.topicTitle, source: 'selected' }]
+    : [];
+};
+
+// Picks the topic with the best combined rank on both lists; ties go to the
+// earlier joiner's ordering. Returns null when the lists do not overlap.
+export const negotiateTopic = (left, right) => {
+  const leftTopics = acceptableTopics(left);
+  const rightTopics = acceptableTopics(right);
+  const rightRank = new Map(rightTopics.map((topic, index) => [topic.id, index]));
+  const shared = leftTopics
+    .map((topic, index) => (rightRank.has(topic.id)
+      ? { topic, other: rightTopics[rightRank.get(topic.id)], score: index + rightRank.get(topic.id), index }
+      : null))
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || a.index - b.index);
+  if (!shared.length) return null;
+
+  const { topic, other } = shared[0];
+  let reason = 'shared_choice';
+  if (leftTopics.length === 1 && rightTopics.length === 1) reason = 'same_topic';
+  else if (leftTopics.length === 1 || rightTopics.length === 1) reason = 'fixed_topic';
+  else if (topic.source === 'followed' && other.source === 'followed') reason = 'mutual_follow';
+  return {
+    id: topic.id,
+    title: topic.title || other.title,
+    reason,
+    message: NEGOTIATION_MESSAGES[reason],
+    overlap: shared.length,
+  };
+};
+
+export const searchBand = (player, now = Date.now(), bands = matchmakingBands) => {
+  const joinedAt = Number(player?.joinedAt);
+  const waitedMs = Number.isFinite(joinedAt) ? Math.max(0, now - joinedAt) : 0;
+  const width = Math.min(bands.max, bands.initial + Math.floor(waitedMs / bands.intervalMs) * bands.step);
+  const rating = playerRating(player);
+  return {
+    rating,
+    width,
+    min: Math.max(0, rating - width),
+    max: rating + width,
+    waitedSeconds: Math.floor(waitedMs / 1000),
+    widest: width >= bands.max,
+  };
+};
+
+// Either player's patience can widen the window: a veteran who has waited a
+// minute accepts a wider spread than one who just joined.
+export const ratingsCompatible = (left, right, now = Date.now(), bands = matchmakingBands) => {
+  const allowed = Math.max(searchBand(left, now, bands).width, searchBand(right, now, bands).width);
+  return Math.abs(playerRating(left) - playerRating(right)) <= allowed;
+};
+
+export const findOpponentIndex = (queue = [], player, now = Date.now(), bands = matchmakingBands) => {
+  let best = -1;
+  queue.forEach((waiting, index) => {
+    if (!waiting || waiting.socketId === player.socketId) return;
+    if (waiting.userId && waiting.userId === player.userId) return;
+    if (!formatsCompatible(waiting, player) || !rolesCompatible(waiting, player)) return;
+    if (!ratingsCompatible(waiting, player, now, bands)) return;
+    if (!negotiateTopic(waiting, player)) return;
+    if (best === -1) {
+      best = index;
+      return;
+    }
+    const gap = Math.abs(playerRating(waiting) - playerRating(player));
+    const bestGap = Math.abs(playerRating(queue[best]) - playerRating(player));
+    if (gap < bestGap) best = index;
+  });
+  return best;
+};
+
+// Pairs already-queued players whose bands have widened into each other since
+// they joined. Earlier joiners pick first so the longest wait is served first.
+export const pairWaitingPlayers = (queue = [], now = Date.now(), bands = matchmakingBands) => {
+  const ordered = [...queue].sort((a, b) => (Number(a.joinedAt) || 0) - (Number(b.joinedAt) || 0));
+  const pairs = [];
+  const paired = new Set();
+  ordered.forEach((player, index) => {
+    if (paired.has(player)) return;
+    const candidates = ordered.map((other, otherIndex) => (otherIndex > index && !paired.has(other) ? other : null));
+    const opponentIndex = findOpponentIndex(candidates, player, now, bands);
+    if (opponentIndex === -1) return;
+    const opponent = candidates[opponentIndex];
+    paired.add(player);
+    paired.add(opponent);
+    pairs.push([player, opponent]);
+  });
+  return { pairs, remaining: ordered.filter(player => !paired.has(player)) };
+};
@@ -54,17 +54,23 @@ const matchEventsTotal = new client.Counter({
 
 const aiRequestsTotal = new client.Counter({
   name: `${METRIC_PREFIX}ai_requests_total`,
-  help: 'Gemini AI requests attempted by the backend.',
-  labelNames: ['status', 'mode'],
+  help: 'LLM requests attempted by the backend.',
+  labelNames: ['status', 'mode', 'provider', 'feature'],
 });
 
 const aiRequestDurationSeconds = new client.Histogram({
   name: `${METRIC_PREFIX}ai_request_duration_seconds`,
-  help: 'Gemini AI request duration in seconds.',
-  labelNames: ['status', 'mode'],
+  help: 'LLM request duration in seconds, retries included.',
+  labelNames: ['status', 'mode', 'provider', 'feature'],
   buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 40, 80],
 });
 
+const aiTokensTotal = new client.Counter({
+  name: `${METRIC_PREFIX}ai_tokens_total`,
+  help: 'LLM tokens reported by providers, by direction.',
+  labelNames: ['provider', 'feature', 'direction'],
+});
+
 const aiAllowanceEventsTotal = new client.Counter({
   name: `${METRIC_PREFIX}ai_allowance_events_total`,
   help: 'Launch allowance decisions for variable-cost AI features.',
@@ -83,6 +89,12 @@ const cognitiveInsightsTotal = new client.Counter({
   labelNames: ['severity', 'speaker'],
 });
 
+const turnRejectionsTotal = new client.Counter({
+  name: `${METRIC_PREFIX}turn_rejections_total`,
+  help: 'Debate turns rejected by server-side validation.',
+  labelNames: ['reason', 'format'],
+});
+
 const cognitiveRiskScore = new client.Histogram({
   name: `${METRIC_PREFIX}cognitive_risk_score`,
   help: 'Realtime cognitive risk score for debate turns.',
@@ -99,10 +111,12 @@ register.registerMetric(waitingQueuePlayers);
 register.registerMetric(matchEventsTotal);
 register.registerMetric(aiRequestsTotal);
 register.registerMetric(aiRequestDurationSeconds);
+register.registerMetric(aiTokensTotal);
 register.registerMetric(aiAllowanceEventsTotal);
 register.registerMetric(alertsReceivedTotal);
 register.registerMetric(cognitiveInsightsTotal);
 register.registerMetric(cognitiveRiskScore);
+register.registerMetric(turnRejectionsTotal);
 
 let connectedSockets = 0;
 
@@ -177,15 +191,23 @@ export const recordMatchEvent = (eventName) => {
   matchEventsTotal.inc({ event: sanitizeLabel(eventName) });
 };
 
-export const recordAiRequest = ({ status, mode, durationSeconds }) => {
+export const recordAiRequest = ({ status, mode, provider = 'gemini', feature = 'unknown', durationSeconds }) => {
   const labels = {
     status: sanitizeLabel(status),
     mode: sanitizeLabel(mode),
+    provider: sanitizeLabel(provider),
+    feature: sanitizeLabel(feature),
   };
   aiRequestsTotal.inc(labels);
   aiRequestDurationSeconds.observe(labels, Math.max(0, durationSeconds || 0));
 };
 
+export const recordAiTokens = ({ provider, feature, inputTokens, outputTokens }) => {
+  const labels = { provider: sanitizeLabel(provider), feature: sanitizeLabel(feature) };
+  if (inputTokens > 0) aiTokensTotal.inc({ ...labels, direction: 'input' }, inputTokens);
+  if (outputTokens > 0) aiTokensTotal.inc({ ...labels, direction: 'output' }, outputTokens);
+};
+
 export const recordAiAllowance = ({ feature, outcome, scope, mode }) => {
   aiAllowanceEventsTotal.inc({
     feature: sanitizeLabel(feature),
@@ -208,4 +230,11 @@ export const recordCognitiveInsight = ({ severity, speaker, riskScore }) => {
   cognitiveRiskScore.observe(labels, Math.max(0, Math.min(1, riskScore || 0)));
 };
 
+export const recordTurnRejection = ({ reason, format }) => {
+  turnRejectionsTotal.inc({
+    reason: sanitizeLabel(reason),
+    format: sanitizeLabel(format),
+  });
+};
+
 export { register };
@@ -0,0 +1,21 @@
+// Topic domains that carry their own rating beside the debate format's. A
+// head-to-head result moves the domain inferred from the topic title;
+// `rating_domain()` in migration 018 mirrors these rules for leaderboards.
+export const RATING_DOMAINS = Object.freeze([
+  'Technology',
+  'Politics & Policy',
+  'Philosophy',
+  'Economics',
+  'Science',
+  'Open',
+]);
+
+export const inferRatingDomain = (topic = '') => {
+  const value = topic.toLowerCase();
+  if (/\b(ai|technology|software|internet|digital|robot|crypto)\b/.test(value)) return 'Technology';
+  if (/\b(election|government|policy|democracy|law|rights)\b/.test(value)) return 'Politics & Policy';
+  if (/\b(ethic|moral|truth|free will|consciousness|meaning)\b/.test(value)) return 'Philosophy';
+  if (/\b(econom|market|capital|trade|tax|wealth)\b/.test(value)) return 'Economics';
+  if (/\b(science|climate|space|genetic|health|medicine)\b/.test(value)) return 'Science';
+  return 'Open';
+};
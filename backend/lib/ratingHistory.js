@@ -0,0 +1,79 @@
+// Rating history (migration 019). Rows are written by trigger whenever a
+// ladder or format rating changes; this module shapes them for the profile
+// chart: peaks, streaks and the tournament fixtures a point came from.
+
+export const OVERALL_HISTORY = 'Overall';
+
+export const ratingHistory = Object.freeze({
+  maxPoints: 500,
+});
+
+// Reasons that are a game result; adjustments (season resets, manual edits)
+// move the line but neither extend nor break a streak.
+const RESULT_REASONS = new Set(['match', 'series', 'abandon']);
+
+/**
+ * Validates `?key=&limit=` for a player's history. `key` is 'Overall' or a
+ * format_ratings key; the latest `limit` points are returned.
+ */
+export const parseRatingHistoryQuery = (query = {}) => ({
+  key: String(query.key || OVERALL_HISTORY).trim().slice(0, 80) || OVERALL_HISTORY,
+  limit: Math.min(ratingHistory.maxPoints, Math.max(1, Number.parseInt(query.limit, 10) || 100)),
+});
+
+/**
+ * Peak, low and streaks of a history in chronological order. A streak is a
+ * run of results that all gained (or all lost) rating; a result that left
+ * the rating unchanged ends it.
+ */
+export const summarizeRatingHistory = (points = []) => {
+  if (!points.length) return { peak: null, low: null, current: null, longestWinStreak: 0, longestLossStreak: 0, currentStreak: null };
+
+  let peak = points[0];
+  let low = points[0];
+  let longestWinStreak = 0;
+  let longestLossStreak = 0;
+  let streak = null;
+  for (const point of points) {
+    if (point.rating > peak.rating) peak = point;
+    if (point.rating < low.rating) low = point;
+    if (!RESULT_REASONS.has(point.reason)) continue;
+    const type = point.change > 0 ? 'win' : point.change < 0 ? 'loss' : null;
+    streak = type && streak?.type === type ? { type, length: streak.length + 1 } : type ? { type, length: 1 } : null;
+    if (streak?.type === 'win') longestWinStreak = Math.max(longestWinStreak, streak.length);
+    if (streak?.type === 'loss') longestLossStreak = Math.max(longestLossStreak, streak.length);
+  }
+
+  const at = point => ({ rating: point.rating, at: point.created_at });
+  return {
+    peak: at(peak),
+    low: at(low),
+    current: at(points[points.length - 1]),
+    longestWinStreak,
+    longestLossStreak,
+    currentStreak: streak,
+  };
+};
+
+/**
+ * Chart points: each history row with the tournament it was played in, when
+ * its match was a bracket fixture (`fixtures` rows carry `tournaments`).
+ */
+export const buildRatingHistoryPoints = (rows = [], fixtures = []) => {
+  const byMatch = new Map(fixtures.filter(fixture => fixture.match_id).map(fixture => [fixture.match_id, fixture]));
+  return rows.map(row => {
+    const fixture = row.match_id ? byMatch.get(row.match_id) : null;
+    return {
+      at: row.created_at,
+      rating: row.rating,
+      change: row.change,
+      rating_deviation: row.rating_deviation == null ? null : Number(row.rating_deviation),
+      reason: row.reason,
+      match_id: row.match_id,
+      series_id: row.series_id,
+      tournament: fixture
+        ? { id: fixture.tournament_id, title: fixture.tournaments?.title || 'Tournament', round: fixture.round_number }
+        : null,
+    };
+  });
+};
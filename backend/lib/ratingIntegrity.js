@@ -0,0 +1,263 @@
+const positiveInteger = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Rating integrity. Every instance periodically scores the last
+// `windowDays` of human matches for three patterns: a pair of players
+// trading wins between themselves, a player dumping rating through a run of
+// quick losses, and a new account that mostly exists to lose to one player.
+// Cases above `reportScore` are filed into `moderation_reports` for the
+// moderators (migration 020 keeps one open report per case); with
+// INTEGRITY_FREEZE_RATINGS=true, cases above `freezeScore` also freeze the
+// players' ladder ratings until the report is resolved.
+export const ratingIntegrity = Object.freeze({
+  intervalMs: positiveInteger('INTEGRITY_SCAN_INTERVAL_MS', 900_000),
+  windowDays: positiveInteger('INTEGRITY_WINDOW_DAYS', 30),
+  freezeRatings: process.env.INTEGRITY_FREEZE_RATINGS === 'true',
+  reportScore: 0.6,
+  freezeScore: 0.85,
+  minPairGames: 4,
+  minDumpLosses: 5,
+  dumpRatingLoss: 150,
+  quickMatchSeconds: 180,
+  newAccountDays: 14,
+  maxMatches: 5000,
+});
+
+export const INTEGRITY_CATEGORY = 'Rating integrity';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUICK_ENDINGS = new Set(['resignation', 'abandoned']);
+
+const isMissingTable = error => /does not exist|schema cache|not configured/i.test(error?.message || '');
+const clamp01 = value => Math.min(1, Math.max(0, value));
+const round2 = value => Math.round(value * 100) / 100;
+
+// A resignation, a walk-out or a game decided within `quickMatchSeconds`.
+const isQuick = (match, rules) => {
+  if (QUICK_ENDINGS.has(match.ending_type) || match.status === 'abandoned') return true;
+  const started = new Date(match.created_at).getTime();
+  const ended = new Date(match.resolved_at || match.created_at).getTime();
+  return Number.isFinite(started) && Number.isFinite(ended) && ended - started < rules.quickMatchSeconds * 1000;
+};
+
+// Each human match as seen by both players, oldest first.
+const normalizeMatches = (matches, rules) => matches
+  .filter(match => match.critic_id && match.defender_id && match.critic_id !== match.defender_id)
+  .map(match => ({
+    id: match.id,
+    players: [match.critic_id, match.defender_id],
+    winner: match.winner_id || null,
+    change: { [match.critic_id]: Number(match.elo_change_critic) || 0, [match.defender_id]: Number(match.elo_change_defender) || 0 },
+    quick: isQuick(match, rules),
+    at: match.resolved_at || match.created_at,
+  }))
+  .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+const buildCase = (kind, userIds, reportedUserId, score, games, summary, evidence) => {
+  const last = games[games.length - 1];
+  return {
+    kind,
+    key: `${kind}:${[...userIds].sort().join(':')}`,
+    userIds,
+    reportedUserId,
+    score: round2(score),
+    matchIds: games.map(game => game.id),
+    lastMatchId: last.id,
+    lastMatchAt: last.at,
+    summary,
+    evidence,
+  };
+};
+
+/**
+ * Scores suspicious patterns in `matches` (rows with critic_id, defender_id,
+ * winner_id, status, ending_type, elo_change_critic/defender, created_at and
+ * resolved_at). `profiles` maps a player id to `{ created_at }` for the
+ * account-age check. Returns every case, highest score first; callers
+ * decide which to report.
+ */
+export const analyzeRatingIntegrity = (matches = [], { profiles = {}, now = Date.now(), rules = ratingIntegrity } = {}) => {
+  const games = normalizeMatches(matches, rules);
+  const byPlayer = new Map();
+  const byPair = new Map();
+  for (const game of games) {
+    for (const player of game.players) byPlayer.set(player, [...(byPlayer.get(player) || []), game]);
+    const pair = [...game.players].sort().join(':');
+    byPair.set(pair, [...(byPair.get(pair) || []), game]);
+  }
+
+  const cases = [];
+  for (const [pair, pairGames] of byPair) {
+    if (pairGames.length < rules.minPairGames) continue;
+    const [a, b] = pair.split(':');
+    const wins = { [a]: pairGames.filter(game => game.winner === a).length, [b]: pairGames.filter(game => game.winner === b).length };
+    const gained = { [a]: pairGames.reduce((sum, game) => sum + game.change[a], 0), [b]: pairGames.reduce((sum, game) => sum + game.change[b], 0) };
+    const share = { [a]: pairGames.length / byPlayer.get(a).length, [b]: pairGames.length / byPlayer.get(b).length };
+    const beneficiary = gained[a] >= gained[b] ? a : b;
+    const feeder = beneficiary === a ? b : a;
+    const quickShare = pairGames.filter(game => game.quick).length / pairGames.length;
+    const repeat = clamp01(pairGames.length / (rules.minPairGames * 2));
+
+    // A young account that plays almost only this opponent and loses to it.
+    const age = (new Date(now).getTime() - new Date(profiles[feeder]?.created_at || 0).getTime()) / DAY_MS;
+    const feederLossShare = wins[beneficiary] / pairGames.length;
+    if (age < rules.newAccountDays && share[feeder] >= 0.8 && feederLossShare >= 0.75) {
+      cases.push(buildCase('alt_account', [beneficiary, feeder], beneficiary, clamp01(0.4 + 0.6 * feederLossShare * share[feeder] * repeat), pairGames,
+        `A ${Math.max(0, Math.floor(age))}-day-old account lost ${wins[beneficiary]} of ${pairGames.length} games to the same opponent.`,
+        { feeder, beneficiary, account_age_days: Math.floor(age), games: pairGames.length, feeder_share: round2(share[feeder]), rating_gained: gained[beneficiary] }));
+      continue;
+    }
+
+    // Win trading: results flipping back and forth, or one side winning
+    // nearly every game, between players who mostly face each other.
+    const decided = pairGames.filter(game => game.winner);
+    const flips = decided.slice(1).filter((game, index) => game.winner !== decided[index].winner).length;
+    const alternation = decided.length > 1 ? flips / (decided.length - 1) : 0;
+    const oneSided = Math.max(wins[a], wins[b]) / pairGames.length;
+    const pattern = Math.max(alternation, oneSided >= 0.8 ? oneSided : 0);
+    const concentration = Math.max(share[a], share[b]);
+    const score = repeat * (0.4 * concentration + 0.3 * quickShare + 0.3 * pattern);
+    cases.push(buildCase('win_trading', [a, b], beneficiary, score, pairGames,
+      `${pairGames.length} games between the same two players (${wins[a]}-${wins[b]}), ${Math.round(quickShare * 100)}% of them ended early.`,
+      { games: pairGames.length, wins, rating_gained: gained, share: { [a]: round2(share[a]), [b]: round2(share[b]) }, quick_share: round2(quickShare), alternation: round2(alternation) }));
+  }
+
+  for (const [player, playerGames] of byPlayer) {
+    const losses = playerGames.filter(game => game.winner && game.winner !== player);
+    if (losses.length < rules.minDumpLosses) continue;
+    const quickLosses = losses.filter(game => game.quick);
+    const ratingLost = -losses.reduce((sum, game) => sum + Math.min(0, game.change[player]), 0);
+    const lossRate = losses.length / playerGames.length;
+    const score = (quickLosses.length / losses.length) * clamp01(lossRate / 0.8) * clamp01(ratingLost / rules.dumpRatingLoss);
+    const beneficiaries = [...new Set(losses.map(game => game.players.find(id => id !== player)))];
+    cases.push(buildCase('rating_dumping', [player], player, score, losses,
+      `${losses.length} losses in ${playerGames.length} games, ${quickLosses.length} of them resigned, abandoned or over within minutes, for ${ratingLost} rating.`,
+      { losses: losses.length, games: playerGames.length, quick_losses: quickLosses.length, rating_lost: ratingLost, opponents: beneficiaries.slice(0, 10) }));
+  }
+
+  return cases.sort((x, y) => y.score - x.score);
+};
+
+// The moderation_reports row for a case. `integrity_key` changes only when a
+// newer match joins the case, so a dismissed case is not filed again until
+// the pattern continues.
+export const integrityReportRow = (integrityCase) => ({
+  reporter_id: null,
+  reported_user_id: integrityCase.reportedUserId,
+  match_id: integrityCase.lastMatchId,
+  category: INTEGRITY_CATEGORY,
+  details: integrityCase.summary,
+  evidence: {
+    kind: integrityCase.kind,
+    score: integrityCase.score,
+    players: integrityCase.userIds,
+    match_ids: integrityCase.matchIds.slice(-20),
+    ...integrityCase.evidence,
+  },
+  source: 'integrity',
+  integrity_case: integrityCase.key,
+  integrity_key: `${integrityCase.key}:${integrityCase.lastMatchId}`,
+  integrity_score: integrityCase.score,
+});
+
+/**
+ * Lifts the rating freezes placed by integrity report `reportId` once it is
+ * resolved. A player still named in another open integrity report stays
+ * frozen, now under that report, so resolving it releases them instead.
+ */
+export const releaseIntegrityFreeze = async ({ supabase, reportId }) => {
+  const { data: frozen, error } = await supabase.from('profiles').select('id').eq('rating_frozen_report_id', reportId);
+  if (error) throw error;
+  let released = 0;
+  for (const { id } of frozen || []) {
+    const { data: open, error: openError } = await supabase.from('moderation_reports')
+      .select('id')
+      .eq('source', 'integrity')
+      .in('status', ['open', 'triaged'])
+      .neq('id', reportId)
+      .contains('evidence', { players: [id] })
+      .order('created_at', { ascending: true })
+      .limit(1);
+    if (openError) throw openError;
+    const update = open?.length ? { rating_frozen_report_id: open[0].id } : { rating_frozen_at: null, rating_frozen_report_id: null };
+    const { error: updateError } = await supabase.from('profiles').update(update).eq('id', id).eq('rating_frozen_report_id', reportId);
+    if (updateError) throw updateError;
+    if (!open?.length) released += 1;
+  }
+  return released;
+};
+
+export const createRatingIntegrityMonitor = ({ supabase, intervalMs = ratingIntegrity.intervalMs, rules = ratingIntegrity, now = () => Date.now() } = {}) => {
+  let disabled = !supabase;
+  let running = null;
+
+  const freeze = async (integrityCase, reportId) => {
+    const { error } = await supabase.from('profiles')
+      .update({ rating_frozen_at: new Date(now()).toISOString(), rating_frozen_report_id: reportId })
+      .in('id', integrityCase.userIds)
+      .is('rating_frozen_at', null);
+    if (error) throw error;
+    console.warn(`[Integrity] Ratings frozen for ${integrityCase.userIds.length} player(s) pending report ${reportId}.`);
+  };
+
+  const run = async () => {
+    const since = new Date(now() - rules.windowDays * DAY_MS).toISOString();
+    const { data: matches, error } = await supabase.from('matches')
+      .select('id,critic_id,defender_id,winner_id,status,ending_type,elo_change_critic,elo_change_defender,created_at,resolved_at')
+      .in('status', ['completed', 'abandoned'])
+      .is('ai_side', null)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(rules.maxMatches);
+    if (error) throw error;
+
+    const ids = [...new Set((matches || []).flatMap(match => [match.critic_id, match.defender_id]).filter(Boolean))];
+    const { data: players, error: playersError } = ids.length
+      ? await supabase.from('profiles').select('id,created_at').in('id', ids)
+      : { data: [], error: null };
+    if (playersError) throw playersError;
+
+    const profiles = Object.fromEntries((players || []).map(player => [player.id, player]));
+    const flagged = analyzeRatingIntegrity(matches || [], { profiles, now: now(), rules }).filter(item => item.score >= rules.reportScore);
+    let filed = 0;
+    for (const integrityCase of flagged) {
+      const { data: report, error: reportError } = await supabase.from('moderation_reports')
+        .insert(integrityReportRow(integrityCase))
+        .select('id')
+        .single();
+      // 23505: the case already has an open report, or was reviewed at this match.
+      if (reportError?.code === '23505') continue;
+      if (reportError) throw reportError;
+      filed += 1;
+      if (rules.freezeRatings && integrityCase.score >= rules.freezeScore) await freeze(integrityCase, report.id);
+    }
+    if (filed) console.warn(`[Integrity] Filed ${filed} rating integrity report(s).`);
+    return filed;
+  };
+
+  const scan = async () => {
+    if (disabled) return 0;
+    if (running) return running;
+    running = run().catch(error => {
+      if (isMissingTable(error) || /integrity_|rating_frozen/.test(error.message || '')) {
+        // Migration 020 not applied: nothing is analyzed until it is.
+        disabled = true;
+        console.warn('[Integrity] Integrity columns missing; analyzer disabled.');
+        return 0;
+      }
+      console.warn('[Integrity] Scan failed:', error.message);
+      return 0;
+    }).finally(() => { running = null; });
+    return running;
+  };
+
+  const timer = disabled ? null : setInterval(() => { scan(); }, intervalMs);
+  timer?.unref?.();
+
+  return {
+    scan,
+    close: () => clearInterval(timer),
+  };
+};
@@ -1,14 +1,19 @@
 import crypto from 'crypto';
 import { createAdapter } from '@socket.io/redis-adapter';
 import { createClient } from 'redis';
+import { findOpponentIndex, pairWaitingPlayers } from './matchmaking.js';
 
-const compatible = (left, right) => (
-  left.preferredRole === 'Random' || right.preferredRole === 'Random' || left.preferredRole !== right.preferredRole
-);
-
-export const createRealtimeCoordinator = async ({ io, redisUrl = process.env.REDIS_URL } = {}) => {
+// `createRedisClient` is node-redis `createClient` unless a test passes a fake.
+export const createRealtimeCoordinator = async ({ io, redisUrl = process.env.REDIS_URL, createRedisClient = createClient } = {}) => {
   const instanceId = process.env.INSTANCE_ID || crypto.randomUUID();
   if (!redisUrl) {
+    // Rematch offers outlive the room, so even a single instance keeps them here.
+    const rematchOffers = new Map();
+    const liveOffer = matchId => {
+      const offer = rematchOffers.get(matchId);
+      if (offer && offer.expiresAt <= Date.now()) rematchOffers.delete(matchId);
+      return rematchOffers.get(matchId) || null;
+    };
     return {
       enabled: false,
       instanceId,
@@ -16,10 +21,23 @@ export const createRealtimeCoordinator = async ({ io, redisUrl = process.env.RED
       loadRoom: async () => null,
       deleteRoom: async () => {},
       matchmake: async () => null,
+      sweepQueues: async () => ({ pairs: [], waiting: [] }),
       removeQueuedSocket: async () => 0,
       acquireTimerLease: async () => true,
       renewTimerLease: async () => true,
       releaseTimerLease: async () => {},
+      endRoom: async () => {},
+      adoptOrphanedRooms: async () => [],
+      setRoomPause: async () => {},
+      getRoomPause: async () => null,
+      clearRoomPause: async () => {},
+      setRematchOffer: async (matchId, offer) => { rematchOffers.set(matchId, offer); },
+      getRematchOffer: async matchId => liveOffer(matchId),
+      takeRematchOffer: async (matchId) => {
+        const offer = liveOffer(matchId);
+        rematchOffers.delete(matchId);
+        return offer;
+      },
       setPresence: async () => {},
       removePresence: async () => {},
       setSocketRoom: async () => {},
@@ -30,7 +48,7 @@ export const createRealtimeCoordinator = async ({ io, redisUrl = process.env.RED
     };
   }
 
-  const state = createClient({ url: redisUrl });
+  const state = createRedisClient({ url: redisUrl });
   const publisher = state.duplicate();
   const subscriber = state.duplicate();
   for (const client of [state, publisher, subscriber]) {
@@ -43,6 +61,8 @@ export const createRealtimeCoordinator = async ({ io, redisUrl = process.env.RED
   const queueKey = topicId => `arena:queue:${topicId}`;
   const leaseKey = roomId => `arena:timer:${roomId}`;
   const socketRoomKey = socketId => `arena:socket-room:${socketId}`;
+  const pauseKey = roomId => `arena:pause:${roomId}`;
+  const rematchKey = matchId => `arena:rematch:${matchId}`;
 
   const saveRoom = async (roomId, room) => {
     if (!roomId || !room) return;
@@ -54,32 +74,70 @@ export const createRealtimeCoordinator = async ({ io, redisUrl = process.env.RED
     return value ? JSON.parse(value) : null;
   };
 
-  const matchmake = async (topicId, player) => {
-    const key = queueKey(topicId);
+  // node-redis yields one page (an array of keys) per SCAN step.
+  const scanKeys = async (pattern) => {
+    const keys = [];
+    for await (const page of state.scanIterator({ MATCH: pattern, COUNT: 100 })) keys.push(...page);
+    return keys;
+  };
+
+  const parseQueue = rawPlayers => rawPlayers.map(raw => {
+    try {
+      return { raw, player: JSON.parse(raw) };
+    } catch {
+      return { raw, player: null };
+    }
+  });
+
+  // Entries are tagged with their queue key so a claim can be removed from
+  // whichever topic (or any-arena) queue it was found in.
+  const readQueues = async keys => (
+    await Promise.all(keys.map(async key => parseQueue(await state.lRange(key, 0, -1)).map(entry => ({ ...entry, key }))))
+  ).flat().filter(entry => entry.player);
+
+  const matchmake = async (topicId, player, now = Date.now(), searchQueueIds = [topicId]) => {
+    const homeKey = queueKey(topicId);
+    const keys = [...new Set([homeKey, ...searchQueueIds.map(queueKey)])];
     for (let attempt = 0; attempt < 5; attempt += 1) {
-      await state.watch(key);
-      const rawPlayers = await state.lRange(key, 0, -1);
-      const selectedRaw = rawPlayers.find(raw => {
-        try {
-          const waiting = JSON.parse(raw);
-          return waiting.socketId !== player.socketId && compatible(waiting, player);
-        } catch {
-          return false;
-        }
-      });
+      await state.watch(keys);
+      const entries = await readQueues(keys);
+      const opponentIndex = findOpponentIndex(entries.map(entry => entry.player), player, now);
+      const selected = opponentIndex === -1 ? null : entries[opponentIndex];
       const transaction = state.multi();
-      if (selectedRaw) transaction.lRem(key, 1, selectedRaw);
-      else transaction.rPush(key, JSON.stringify(player));
-      transaction.expire(key, 60 * 15);
+      if (selected) transaction.lRem(selected.key, 1, selected.raw);
+      else transaction.rPush(homeKey, JSON.stringify(player));
+      transaction.expire(homeKey, 60 * 15);
       const result = await transaction.exec();
-      if (result !== null) return selectedRaw ? JSON.parse(selectedRaw) : null;
+      if (result !== null) return selected ? selected.player : null;
     }
     throw new Error('Distributed matchmaking contention exceeded retry limit');
   };
 
+  // Re-evaluates every queue together as search bands widen, so any-arena
+  // players can pair with topic queues. Pairs are claimed with the same
+  // WATCH/MULTI guard as matchmake, so only one instance starts each match.
+  const sweepQueues = async (now = Date.now()) => {
+    const keys = await scanKeys('arena:queue:*');
+    if (!keys.length) return { pairs: [], waiting: [] };
+
+    await state.watch(keys);
+    const entries = await readQueues(keys);
+    const { pairs, remaining } = pairWaitingPlayers(entries.map(entry => entry.player), now);
+    if (!pairs.length) {
+      await state.unwatch();
+      return { pairs: [], waiting: remaining };
+    }
+    const entryFor = player => entries.find(entry => entry.player === player);
+    const transaction = state.multi();
+    pairs.flat().forEach(player => transaction.lRem(entryFor(player).key, 1, entryFor(player).raw));
+    const result = await transaction.exec();
+    if (result === null) return { pairs: [], waiting: [] };
+    return { pairs: pairs.map(([first, second]) => ({ first, second })), waiting: remaining };
+  };
+
   const removeQueuedSocket = async (socketId) => {
     let removed = 0;
-    for await (const key of state.scanIterator({ MATCH: 'arena:queue:*', COUNT: 100 })) {
+    for (const key of await scanKeys('arena:queue:*')) {
       const players = await state.lRange(key, 0, -1);
       for (const raw of players) {
         try {
@@ -104,17 +162,83 @@ export const createRealtimeCoordinator = async ({ io, redisUrl = process.env.RED
     if ((await state.get(leaseKey(roomId))) === instanceId) await state.del(leaseKey(roomId));
   };
 
+  // Records that a room has ended before any slow persistence runs, so the
+  // orphan sweep never adopts it again. The lease is dropped whoever holds it:
+  // a room ended through another instance stops the holder's timer when its
+  // next renewal fails.
+  const endRoom = async (roomId, room) => {
+    await saveRoom(roomId, room);
+    await state.del(leaseKey(roomId));
+  };
+
+  // Claims live rooms whose timer lease has lapsed (the owning instance
+  // crashed or drained). The lease is taken with NX before the room is read,
+  // so when several instances sweep at once exactly one adopts each room.
+  // Rooms younger than `minAgeMs` are skipped: their creator saves the room
+  // a moment before it takes the lease.
+  const adoptOrphanedRooms = async ({ now = Date.now(), minAgeMs = 10_000 } = {}) => {
+    const adopted = [];
+    for (const key of await scanKeys('arena:room:*')) {
+      const roomId = key.slice('arena:room:'.length);
+      if (await state.exists(leaseKey(roomId))) continue;
+      if ((await state.set(leaseKey(roomId), instanceId, { NX: true, PX: 5000 })) !== 'OK') continue;
+      const room = await loadRoom(roomId).catch(() => null);
+      if (!room || room.status !== 'active' || now - (room.startTime || 0) < minAgeMs) {
+        await releaseTimerLease(roomId);
+        continue;
+      }
+      adopted.push({ roomId, room });
+    }
+    return adopted;
+  };
+
+  // Pauses live beside the room so whichever instance holds the timer lease
+  // sees a pause called through another instance on its next tick. The key
+  // outlives the deadline slightly; the lease holder clears it on resume.
+  const setRoomPause = async (roomId, pause) => {
+    if (!roomId || !pause) return;
+    const ttl = Math.max(1000, pause.resumesAt - Date.now() + 5000);
+    await state.set(pauseKey(roomId), JSON.stringify(pause), { PX: ttl });
+  };
+  const getRoomPause = async (roomId) => {
+    const value = await state.get(pauseKey(roomId));
+    return value ? JSON.parse(value) : null;
+  };
+
+  const setRematchOffer = async (matchId, offer) => {
+    if (!matchId || !offer) return;
+    await state.set(rematchKey(matchId), JSON.stringify(offer), { PX: Math.max(1000, offer.expiresAt - Date.now()) });
+  };
+
+  // GETDEL makes accepting atomic: only one instance can claim an offer.
+  const takeRematchOffer = async (matchId) => {
+    const value = await state.getDel(rematchKey(matchId));
+    return value ? JSON.parse(value) : null;
+  };
+
   return {
     enabled: true,
     instanceId,
     saveRoom,
     loadRoom,
-    deleteRoom: async roomId => { await state.del(roomKey(roomId), leaseKey(roomId)); },
+    deleteRoom: async roomId => { await state.del([roomKey(roomId), leaseKey(roomId), pauseKey(roomId)]); },
     matchmake,
+    sweepQueues,
     removeQueuedSocket,
     acquireTimerLease,
     renewTimerLease,
     releaseTimerLease,
+    endRoom,
+    adoptOrphanedRooms,
+    setRoomPause,
+    getRoomPause,
+    clearRoomPause: async roomId => { await state.del(pauseKey(roomId)); },
+    setRematchOffer,
+    getRematchOffer: async (matchId) => {
+      const value = await state.get(rematchKey(matchId));
+      return value ? JSON.parse(value) : null;
+    },
+    takeRematchOffer,
     setPresence: async (userId, socketId) => {
       if (!userId || !socketId) return;
       await state.hSet(`arena:presence:${userId}`, socketId, JSON.stringify({ instanceId, connectedAt: Date.now() }));
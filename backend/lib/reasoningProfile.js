@@ -64,6 +64,38 @@ export const pickDrill = (metrics = {}) => {
   return DRILL_CATALOG.find(drill => drill.metric === weakest) || DRILL_CATALOG[0];
 };
 
+/**
+ * Per-turn annotations across the panel, one entry per message and side.
+ * A judge who did not annotate a turn counts as a zero effect, so the median
+ * only moves when most of the panel agrees the turn mattered; entries whose
+ * median is zero are dropped. Each judge's reason is kept for the review.
+ */
+export const aggregateTurnAnnotations = (verdicts = [], sideKeys = ['critic', 'defender']) => {
+  const byTurn = new Map();
+  verdicts.forEach((verdict, index) => {
+    for (const annotation of Array.isArray(verdict?.turn_annotations) ? verdict.turn_annotations : []) {
+      const effect = Number(annotation?.effect);
+      if (!annotation?.message_id || !sideKeys.includes(annotation.side) || !Number.isFinite(effect)) continue;
+      const key = `${annotation.message_id}:${annotation.side}`;
+      const entry = byTurn.get(key) || { message_id: String(annotation.message_id), side: annotation.side, effects: new Map(), reasons: [] };
+      if (entry.effects.has(index)) continue;
+      entry.effects.set(index, effect);
+      entry.reasons.push({ judge: verdict.judge || `Panel ${index + 1}`, effect, reason: annotation.reason || '' });
+      byTurn.set(key, entry);
+    }
+  });
+  return [...byTurn.values()]
+    .map(entry => ({
+      message_id: entry.message_id,
+      side: entry.side,
+      effect: Number(median(verdicts.map((_, index) => entry.effects.get(index) ?? 0)).toFixed(1)),
+      judges: entry.effects.size,
+      reasons: entry.reasons,
+    }))
+    .filter(entry => entry.effect !== 0)
+    .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect));
+};
+
 export const aggregateBlindPanelVerdicts = (
   verdicts = [],
   { version = 'arena-panel-1.0', sideKeys = ['critic', 'defender'] } = {},
@@ -126,6 +158,7 @@ export const aggregateBlindPanelVerdicts = (
       confidence: Number(verdict.confidence) || 0.75,
       rationale: verdict.rationale || verdict.overall_summary || '',
     })),
+    turn_annotations: aggregateTurnAnnotations(valid, sideKeys),
   };
 };
 
@@ -0,0 +1,88 @@
+import { isRatedAsSet } from './matchSeries.js';
+
+// Rematches: after a 1v1 ends, either debater can ask to run it back. The
+// opponent has a short window to accept; the new match swaps Critic and
+// Defender on the same topic and format and joins the old one's series
+// (migration 011). Inside a best-of set the same handshake starts the next game.
+export const REMATCH_OFFER_TTL_MS = 30_000;
+
+const REMATCHABLE_STATUSES = ['pending_votes', 'completed'];
+
+const rematchError = message => ({ error: message });
+
+export const rematchOpponent = (match, userId) => {
+  if (match?.critic_id === userId) return match.defender_id;
+  if (match?.defender_id === userId) return match.critic_id;
+  return null;
+};
+
+/**
+ * Checks that `userId` may ask for (or answer) a rematch of `match`: they
+ * played it, it has finished normally, and it has not been rematched yet.
+ * `match.series` is its series row, if any: a set only continues while it is
+ * undecided and once this game's verdict is in.
+ */
+export const checkRematchEligibility = (match, userId) => {
+  if (!match) return rematchError('Match not found.');
+  const opponentId = rematchOpponent(match, userId);
+  if (!opponentId) return rematchError('Only the two debaters can ask for a rematch.');
+  if (!REMATCHABLE_STATUSES.includes(match.status)) {
+    return rematchError(match.status === 'active' ? 'The match is still in progress.' : 'Abandoned matches cannot be rematched.');
+  }
+  if (match.rematched) return rematchError('This match has already been rematched.');
+  if (isRatedAsSet(match.series)) {
+    if (match.series.status !== 'active') return rematchError('This series is over.');
+    if (match.status !== 'completed') return rematchError('The judges are still scoring this game.');
+  }
+  return { opponentId };
+};
+
+export const createRematchOffer = (match, userId, now = Date.now()) => ({
+  matchId: match.id,
+  by: userId,
+  to: rematchOpponent(match, userId),
+  expiresAt: now + REMATCH_OFFER_TTL_MS,
+});
+
+export const isLiveRematchOffer = (offer, now = Date.now()) => Boolean(offer && offer.expiresAt > now);
+
+/**
+ * The `matches` insert for the rematch: roles swapped, same topic and
+ * format, linked to the series the original match started (or belongs to).
+ */
+export const buildRematchInsert = match => ({
+  topic: match.topic_title || match.topic,
+  topic_title: match.topic_title || match.topic,
+  status: 'active',
+  critic_id: match.defender_id,
+  defender_id: match.critic_id,
+  format_key: match.format_key,
+  series_id: match.series_id || match.id,
+  series_game: (Number(match.series_game) || 1) + 1,
+  rematch_of: match.id,
+});
+
+// A missing column, not any error that happens to name one: Postgres reports
+// undefined columns as 42703 and PostgREST as PGRST204 ("Could not find the
+// 'series_id' column"). A unique violation on idx_matches_rematch_of (23505)
+// means the match was already rematched and must not fall through.
+const SERIES_LINK_COLUMNS = /\b(series_id|series_game|rematch_of)\b/;
+export const isMissingSeriesLink = error => (
+  error?.code === '42703' || error?.code === 'PGRST204'
+) && SERIES_LINK_COLUMNS.test(error?.message || '');
+
+/**
+ * Starts the rematch through `launch(insert, { linked })`. Until migration 011
+ * adds the series columns the rematch still runs, just unlinked; every other
+ * error, a duplicate accept included, is rethrown.
+ */
+export const launchLinkedRematch = async (insert, launch) => {
+  try {
+    return await launch(insert, { linked: true });
+  } catch (error) {
+    if (!isMissingSeriesLink(error)) throw error;
+    console.warn('[Rematch] Series columns missing; starting rematch without a series link.');
+    const { series_id: _seriesId, series_game: _seriesGame, rematch_of: _rematchOf, ...unlinked } = insert;
+    return launch(unlinked, { linked: false });
+  }
+};
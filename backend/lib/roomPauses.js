@@ -0,0 +1,87 @@
+// Pauses a debater can call in a live room. Each side gets one short tactical
+// timeout per match; a longer mutual pause needs the other side to accept.
+// Pauses are wall-clock deadlines (`resumesAt`) rather than countdowns so any
+// instance that picks up the room timer lease can honour them.
+export const TACTICAL_TIMEOUT_SECONDS = 30;
+export const MUTUAL_PAUSE_SECONDS = 120;
+export const PAUSE_REQUEST_TTL_MS = 20_000;
+
+const otherRole = role => (role === 'Critic' ? 'Defender' : 'Critic');
+
+const pauseError = message => ({ error: message });
+
+const timeoutsUsed = room => ({
+  Critic: Boolean(room.timeoutsUsed?.Critic),
+  Defender: Boolean(room.timeoutsUsed?.Defender),
+});
+
+const startPause = (room, kind, by, seconds, now) => {
+  room.pause = { kind, by, startedAt: now, resumesAt: now + seconds * 1000 };
+  room.pauseRequest = null;
+  return { pause: room.pause };
+};
+
+export const isRoomPaused = (room, now = Date.now()) => Boolean(room?.pause && now < room.pause.resumesAt);
+
+export const callTacticalTimeout = (room, role, now = Date.now()) => {
+  if (isRoomPaused(room, now)) return pauseError('The match is already paused.');
+  if (room.timeoutsUsed?.[role]) return pauseError('You have already used your timeout this match.');
+  room.timeoutsUsed = { ...timeoutsUsed(room), [role]: true };
+  return startPause(room, 'timeout', role, TACTICAL_TIMEOUT_SECONDS, now);
+};
+
+/**
+ * Asks the opponent for a mutual pause. A crossing request (both sides asked)
+ * counts as acceptance and starts the pause straight away.
+ */
+export const requestMutualPause = (room, role, now = Date.now()) => {
+  if (isRoomPaused(room, now)) return pauseError('The match is already paused.');
+  const pending = room.pauseRequest;
+  if (pending && pending.expiresAt > now) {
+    if (pending.by === role) return pauseError('Your pause request is still waiting for an answer.');
+    return startPause(room, 'mutual', role, MUTUAL_PAUSE_SECONDS, now);
+  }
+  room.pauseRequest = { by: role, expiresAt: now + PAUSE_REQUEST_TTL_MS };
+  return { request: room.pauseRequest };
+};
+
+export const respondToPauseRequest = (room, role, accept, now = Date.now()) => {
+  const pending = room.pauseRequest;
+  if (!pending || pending.expiresAt <= now) {
+    room.pauseRequest = null;
+    return pauseError('There is no pause request to answer.');
+  }
+  // The requester cannot answer (or withdraw) their own request.
+  if (pending.by !== otherRole(role)) return pauseError('Only your opponent can answer your pause request.');
+  if (!accept) {
+    room.pauseRequest = null;
+    return { declined: pending };
+  }
+  return startPause(room, 'mutual', role, MUTUAL_PAUSE_SECONDS, now);
+};
+
+// Either side may end a mutual pause early; a tactical timeout can only be
+// cut short by the debater who called it.
+export const resumeFromPause = (room, role, now = Date.now()) => {
+  if (!isRoomPaused(room, now)) return pauseError('The match is not paused.');
+  if (room.pause.kind === 'timeout' && room.pause.by !== role) {
+    return pauseError('Only the debater who called the timeout can end it early.');
+  }
+  const pause = room.pause;
+  room.pause = null;
+  return { pause };
+};
+
+export const pauseSnapshot = (room, now = Date.now()) => {
+  const pause = isRoomPaused(room, now) ? room.pause : null;
+  const pending = room.pauseRequest && room.pauseRequest.expiresAt > now ? room.pauseRequest : null;
+  return {
+    paused: Boolean(pause),
+    kind: pause?.kind || null,
+    by: pause?.by || null,
+    resumesAt: pause?.resumesAt || null,
+    secondsLeft: pause ? Math.ceil((pause.resumesAt - now) / 1000) : 0,
+    timeoutsUsed: timeoutsUsed(room),
+    pendingRequest: pending,
+  };
+};
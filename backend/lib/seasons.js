@@ -0,0 +1,225 @@
+const positiveInteger = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Season lifecycle. A scheduler on every instance opens upcoming seasons once
+// they start and closes active ones once they end; closing runs in
+// `close_season_service` (migration 017), which snapshots the standings and
+// applies the soft rating reset under a row lock, so instances racing on the
+// same season do the work once. Credentials for the top finishers are issued
+// from the snapshot afterwards.
+export const seasonScheduler = Object.freeze({
+  intervalMs: positiveInteger('SEASON_SCHEDULER_INTERVAL_MS', 60_000),
+});
+
+// Standings key for the main ladder; other standings use the format key.
+export const OVERALL_STANDINGS = 'Overall';
+
+export const DEFAULT_SEASON_RULES = Object.freeze({
+  minMatches: 5,
+  resetFactor: 0.5,
+  ladderBase: 1200,
+  formatBase: 1000,
+  resetRd: 150,
+  awardTop: 3,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isMissingTable = error => /does not exist|schema cache|not configured/i.test(error?.message || '');
+
+const clampNumber = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+/**
+ * A season's `rules` JSON (snake_case keys, as admins write it) over the
+ * defaults. `reset_factor` is how far ratings move back to their base at the
+ * end of the season: 0 keeps them, 1 resets them fully.
+ */
+export const seasonRules = (rules = {}) => ({
+  minMatches: Math.round(clampNumber(rules?.min_matches, 1, 100, DEFAULT_SEASON_RULES.minMatches)),
+  resetFactor: clampNumber(rules?.reset_factor, 0, 1, DEFAULT_SEASON_RULES.resetFactor),
+  ladderBase: Math.round(clampNumber(rules?.ladder_base, 100, 3000, DEFAULT_SEASON_RULES.ladderBase)),
+  formatBase: Math.round(clampNumber(rules?.format_base, 100, 3000, DEFAULT_SEASON_RULES.formatBase)),
+  resetRd: clampNumber(rules?.reset_rd, 45, 350, DEFAULT_SEASON_RULES.resetRd),
+  awardTop: Math.round(clampNumber(rules?.award_top, 0, 100, DEFAULT_SEASON_RULES.awardTop)),
+});
+
+// Arguments for `close_season_service`.
+export const buildCloseSeasonArgs = (season, rules = seasonRules(season.rules)) => ({
+  p_season_id: season.id,
+  p_min_matches: rules.minMatches,
+  p_reset_factor: rules.resetFactor,
+  p_ladder_base: rules.ladderBase,
+  p_format_base: rules.formatBase,
+  p_reset_rd: rules.resetRd,
+});
+
+// The rating a player carries into the next season; mirrors the SQL reset.
+export const softResetRating = (rating, base, resetFactor) => Math.max(100, Math.round(base + (Number(rating) - base) * (1 - resetFactor)));
+
+/**
+ * What the scheduler should do now: close every active season that has
+ * ended, then open the earliest upcoming season that has started, but only
+ * when no season is left running.
+ */
+export const dueSeasonTransitions = (seasons = [], now = Date.now()) => {
+  const time = new Date(now).getTime();
+  const close = seasons.filter(season => season.status === 'active' && new Date(season.ends_at).getTime() <= time);
+  const stillActive = seasons.some(season => season.status === 'active' && !close.includes(season));
+  const open = stillActive
+    ? null
+    : seasons
+      .filter(season => season.status === 'upcoming' && new Date(season.starts_at).getTime() <= time)
+      .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at))[0] || null;
+  return { close, open };
+};
+
+/**
+ * Ranks one format's rows (`{ user_id, rating, rating_deviation,
+ * matches_played }`) for a live season the way the close snapshot does:
+ * players below `minMatches` are left out, the more certain rating wins a
+ * tie and exact ties share a rank.
+ */
+export const rankStandings = (rows = [], { minMatches = DEFAULT_SEASON_RULES.minMatches } = {}) => {
+  const deviation = row => Number(row.rating_deviation ?? 350);
+  const eligible = rows
+    .filter(row => Number(row.matches_played) >= minMatches)
+    .sort((a, b) => (Number(b.rating) - Number(a.rating)) || (deviation(a) - deviation(b)));
+  let previous = null;
+  return eligible.map((row, index) => {
+    const tied = previous && Number(previous.rating) === Number(row.rating) && deviation(previous) === deviation(row);
+    previous = { ...row, rank: tied ? previous.rank : index + 1 };
+    return previous;
+  });
+};
+
+// How far through the season `now` is, for the season card.
+export const seasonProgress = (season, now = Date.now()) => {
+  const start = new Date(season.starts_at).getTime();
+  const end = new Date(season.ends_at).getTime();
+  const time = new Date(now).getTime();
+  const span = Math.max(1, end - start);
+  return {
+    progress: Math.max(0, Math.min(100, Math.round(((time - start) / span) * 100))),
+    days_left: Math.max(0, Math.ceil((end - time) / DAY_MS)),
+  };
+};
+
+/**
+ * Credentials for a closed season's snapshot: the top `awardTop` of every
+ * standings table, one per player and table.
+ */
+export const seasonCredentials = (season, standings = [], rules = seasonRules(season.rules)) => standings
+  .filter(row => Number(row.rank) >= 1 && Number(row.rank) <= rules.awardTop)
+  .map(row => {
+    const overall = row.format_key === OVERALL_STANDINGS;
+    const table = overall ? '' : ` ${row.format_key}`;
+    const champion = Number(row.rank) === 1;
+    return {
+      userId: row.user_id,
+      key: `season:${season.slug}:${row.format_key.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      title: champion ? `${season.name}${table} Champion` : `${season.name}${table} Top ${rules.awardTop}`,
+      level: champion ? 'champion' : 'podium',
+      type: 'season',
+      evidence: {
+        season_id: season.id,
+        season_slug: season.slug,
+        format_key: row.format_key,
+        rank: row.rank,
+        rating: row.rating,
+        matches_played: row.matches_played,
+      },
+    };
+  });
+
+export const createSeasonScheduler = ({ supabase, issueCredential, intervalMs = seasonScheduler.intervalMs, now = () => Date.now() } = {}) => {
+  let disabled = !supabase;
+  let running = null;
+
+  const openSeason = async season => {
+    const { data, error } = await supabase.from('seasons')
+      .update({ status: 'active', opened_at: new Date(now()).toISOString() })
+      .eq('id', season.id)
+      .eq('status', 'upcoming')
+      .select();
+    // 23505: another instance opened a season first (one active at a time).
+    if (error && error.code !== '23505') throw error;
+    if (data?.length) console.log(`[Seasons] Opened ${season.slug}.`);
+    return Boolean(data?.length);
+  };
+
+  const closeSeason = async season => {
+    const { data, error } = await supabase.rpc('close_season_service', buildCloseSeasonArgs(season));
+    if (error) throw error;
+    if (data?.closed) console.log(`[Seasons] Closed ${season.slug}; ${data.ranked} standings recorded.`);
+    return Boolean(data?.closed);
+  };
+
+  // Claims the season's awards first so only one instance issues them; the
+  // claim is released if any credential fails so the next tick retries.
+  const awardSeason = async season => {
+    const { data: claimed, error } = await supabase.from('seasons')
+      .update({ credentials_issued_at: new Date(now()).toISOString() })
+      .eq('id', season.id)
+      .is('credentials_issued_at', null)
+      .select();
+    if (error) throw error;
+    if (!claimed?.length || !issueCredential) return 0;
+
+    const rules = seasonRules(season.rules);
+    const { data: standings, error: standingsError } = await supabase.from('season_standings')
+      .select('*')
+      .eq('season_id', season.id)
+      .lte('rank', rules.awardTop);
+    if (standingsError) throw standingsError;
+
+    const credentials = seasonCredentials(season, standings || [], rules);
+    const outcomes = await Promise.allSettled(credentials.map(credential => issueCredential(credential)));
+    const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+    if (failed.length) {
+      await supabase.from('seasons').update({ credentials_issued_at: null }).eq('id', season.id);
+      console.warn(`[Seasons] ${failed.length} credential(s) for ${season.slug} failed: ${failed[0].reason?.message}`);
+    }
+    return credentials.length - failed.length;
+  };
+
+  const run = async () => {
+    const { data: seasons, error } = await supabase.from('seasons')
+      .select('*')
+      .or('status.in.(upcoming,active),and(status.eq.completed,credentials_issued_at.is.null,closed_at.not.is.null)');
+    if (error) throw error;
+
+    const { close, open } = dueSeasonTransitions(seasons || [], now());
+    for (const season of close) await closeSeason(season);
+    const awaiting = (seasons || []).filter(season => season.status === 'completed');
+    for (const season of [...close, ...awaiting]) await awardSeason(season);
+    if (open) await openSeason(open);
+  };
+
+  const tick = async () => {
+    if (disabled) return;
+    if (running) return running;
+    running = run().catch(error => {
+      if (isMissingTable(error)) {
+        // Migration 017 not applied: seasons stay as an admin-managed table.
+        disabled = true;
+        console.warn('[Seasons] Season lifecycle tables missing; scheduler disabled.');
+        return;
+      }
+      console.warn('[Seasons] Scheduler tick failed:', error.message);
+    }).finally(() => { running = null; });
+    return running;
+  };
+
+  const timer = disabled ? null : setInterval(() => { tick(); }, intervalMs);
+  timer?.unref?.();
+
+  return {
+    tick,
+    close: () => clearInterval(timer),
+  };
+};
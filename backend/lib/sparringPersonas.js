@@ -0,0 +1,175 @@
+// AI sparring personas and difficulty levels, shared by the practice room and
+// the live-room AI opponent. A persona sets the voice (how the AI attacks);
+// a difficulty sets how hard it presses and, in ranked spars, the rating the
+// player is measured against. Each has a Gemini prompt and an offline
+// template so practice works the same without a model.
+export const SPARRING_DIFFICULTIES = Object.freeze({
+  novice: Object.freeze({
+    key: 'novice',
+    label: 'Novice',
+    ratingOffset: -200,
+    words: '50-80',
+    guidance: 'Make one clear counterpoint in plain language. Leave at least one gap a careful learner could exploit.',
+  }),
+  club: Object.freeze({
+    key: 'club',
+    label: 'Club',
+    ratingOffset: 0,
+    words: '70-120',
+    guidance: 'Give a direct counterargument and identify one unsupported assumption.',
+  }),
+  expert: Object.freeze({
+    key: 'expert',
+    label: 'Expert',
+    ratingOffset: 250,
+    words: '100-150',
+    guidance: "Steelman the learner's point in one sentence, then attack its weakest warrant. Hold them to anything they conceded earlier.",
+  }),
+});
+
+export const SPARRING_PERSONAS = Object.freeze({
+  socratic: Object.freeze({
+    key: 'socratic',
+    label: 'Socratic questioner',
+    voice: 'You argue mostly through questions: make the learner define their terms and trace each claim back to what it rests on.',
+    openers: Object.freeze([
+      'Before we go further, I want to be sure what we are debating.',
+      'Let us slow down and examine that claim piece by piece.',
+      'I am not yet convinced we mean the same thing.',
+    ]),
+    probes: Object.freeze([
+      'What exactly do you mean by “{term}”?',
+      'If “{term}” is true, what else must be true with it?',
+      'How would you know if you were wrong about “{term}”?',
+    ]),
+  }),
+  skeptic: Object.freeze({
+    key: 'skeptic',
+    label: 'Data-driven skeptic',
+    voice: 'You are a data-driven skeptic: ask for base rates, measurable outcomes and the evidence that would settle the question. Never invent figures yourself.',
+    openers: Object.freeze([
+      'That is a claim about the world, so it should show up in the evidence.',
+      'I hear a prediction, but not yet the data behind it.',
+      'Anecdotes are not base rates.',
+    ]),
+    probes: Object.freeze([
+      'What is the base rate for “{term}”, and compared with what?',
+      'Which measurable outcome would show “{term}” is working?',
+      'What study or dataset would change your mind about “{term}”?',
+    ]),
+  }),
+  devils_advocate: Object.freeze({
+    key: 'devils_advocate',
+    label: "Devil's advocate",
+    voice: "You are a devil's advocate: argue the strongest version of the unpopular side with conviction, and make the learner defend what they take for granted.",
+    openers: Object.freeze([
+      'Let me defend the position nobody in the room wants to defend.',
+      'Suppose the uncomfortable answer is the right one.',
+      'The conventional view deserves harder pushback than that.',
+    ]),
+    probes: Object.freeze([
+      'Why should anyone accept “{term}” as a given?',
+      'Who loses if we take “{term}” seriously, and why do they not count?',
+      'What if “{term}” is exactly backwards?',
+    ]),
+  }),
+});
+
+export const DEFAULT_SPARRING_PERSONA = 'socratic';
+export const DEFAULT_SPARRING_DIFFICULTY = 'club';
+
+/**
+ * Normalises a client's persona and difficulty choice to known keys, falling
+ * back to the defaults.
+ */
+export const resolveSparringProfile = ({ persona, difficulty } = {}) => ({
+  persona: SPARRING_PERSONAS[persona] || SPARRING_PERSONAS[DEFAULT_SPARRING_PERSONA],
+  difficulty: SPARRING_DIFFICULTIES[difficulty] || SPARRING_DIFFICULTIES[DEFAULT_SPARRING_DIFFICULTY],
+});
+
+export const sparringCatalog = () => ({
+  personas: Object.values(SPARRING_PERSONAS).map(({ key, label }) => ({ key, label })),
+  difficulties: Object.values(SPARRING_DIFFICULTIES).map(({ key, label }) => ({ key, label })),
+  defaults: { persona: DEFAULT_SPARRING_PERSONA, difficulty: DEFAULT_SPARRING_DIFFICULTY },
+});
+
+// The persona and difficulty half of any sparring prompt.
+export const personaInstructions = ({ persona, difficulty }) => `${persona.voice} ${difficulty.guidance}`;
+
+const STOPWORDS = new Set(['because', 'should', 'would', 'could', 'their', 'there', 'these', 'those', 'which', 'about', 'think', 'people', 'really', 'argument']);
+
+// The most substantive word of the learner's turn, for templated probes.
+export const keyTermOf = (message = '') => {
+  const words = String(message).toLowerCase().match(/[a-z][a-z-]{5,}/g) || [];
+  return words.filter(word => !STOPWORDS.has(word)).sort((a, b) => b.length - a.length || a.localeCompare(b))[0] || 'that claim';
+};
+
+const pick = (lines, index) => lines[Math.abs(index) % lines.length];
+
+export const buildPracticePrompt = ({ persona, difficulty, topic, stance, scenarioKey, history = [], message }) => (
+  `You are a rigorous but constructive sparring partner. ${personaInstructions({ persona, difficulty })} The learner argues ${stance} "${topic}"${scenarioKey ? ` in ${scenarioKey}` : ''}. Reply in ${difficulty.words} words and end with one probing question. No markdown.\n${history.slice(-6).map(turn => `${turn.role}: ${turn.text}`).join('\n')}\nLearner: ${message}`
+);
+
+/**
+ * Offline practice reply in the persona's voice. Harder levels press more:
+ * novice makes one point, club adds the opposing case, expert also holds the
+ * learner to their own words and asks a second question.
+ */
+export const buildPersonaReply = ({ persona, difficulty, topic, stance, message = '', round = 1 }) => {
+  const term = keyTermOf(message);
+  const opener = pick(persona.openers, round - 1);
+  const probe = pick(persona.probes, round - 1).replace('{term}', term);
+  if (difficulty.key === 'novice') return `${opener} ${probe}`;
+
+  const opposing = `On “${topic || 'the proposed position'},” ${stance === 'against' ? 'a supporter could argue' : 'a skeptic could argue'} that your position underestimates trade-offs and alternative causes.`;
+  if (difficulty.key === 'club') return `${opener} ${opposing} ${probe}`;
+
+  const followUp = pick(persona.probes, round).replace('{term}', term);
+  const held = message.length > 220
+    ? 'You gave several reasons; the case stands or falls on the weakest one, so name it.'
+    : 'You asserted the conclusion, but the warrant connecting it to your premise is still missing.';
+  return `${opener} ${opposing} ${held} ${probe} And a second question: ${followUp}`;
+};
+
+/**
+ * Practice record per persona and difficulty from `practice_sessions` rows,
+ * best level first: sessions played, best and average score (0-100), last
+ * session date and, for ranked AI spars, the win/loss/draw tally.
+ */
+export const summarizePersonaProgress = (sessions = []) => {
+  const byLevel = new Map();
+  for (const session of sessions) {
+    if (!SPARRING_PERSONAS[session.persona] || !SPARRING_DIFFICULTIES[session.difficulty]) continue;
+    const key = `${session.persona}:${session.difficulty}`;
+    const entry = byLevel.get(key) || {
+      persona: session.persona,
+      difficulty: session.difficulty,
+      sessions: 0,
+      scored: 0,
+      total: 0,
+      best: null,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      lastPlayedAt: null,
+    };
+    entry.sessions += 1;
+    const overall = Number(session.scores?.overall);
+    if (Number.isFinite(overall)) {
+      entry.scored += 1;
+      entry.total += overall;
+      entry.best = Math.max(entry.best ?? 0, overall);
+    }
+    const result = session.scores?.result;
+    if (result === 'win') entry.wins += 1;
+    else if (result === 'loss') entry.losses += 1;
+    else if (result === 'draw') entry.draws += 1;
+    if (!entry.lastPlayedAt || session.completed_at > entry.lastPlayedAt) entry.lastPlayedAt = session.completed_at;
+    byLevel.set(key, entry);
+  }
+
+  const levelOrder = Object.keys(SPARRING_DIFFICULTIES);
+  return [...byLevel.values()]
+    .map(({ scored, total, ...entry }) => ({ ...entry, average: scored ? Math.round(total / scored) : null }))
+    .sort((a, b) => levelOrder.indexOf(b.difficulty) - levelOrder.indexOf(a.difficulty) || a.persona.localeCompare(b.persona));
+};
@@ -0,0 +1,57 @@
+import { resolveDebateFormat } from './debateFormats.js';
+
+// Submission attempts (accepted or not) allowed per debater inside the window.
+// Humans take turns seconds apart; a burst beyond this is a scripted client.
+export const TURN_ATTEMPT_WINDOW_MS = 10_000;
+export const TURN_ATTEMPTS_PER_WINDOW = 5;
+
+const normalizeTurnText = text => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const countWords = text => (text.match(/\S+/g) || []).length;
+
+const reject = (code, message, details = {}) => ({ ok: false, code, message, ...details });
+
+/**
+ * Records a submission attempt for `speaker` and reports whether it breaks
+ * the rate limit. Attempts are stored on the room so every instance that
+ * loads it from Redis enforces the same window.
+ */
+export const recordTurnAttempt = (room, speaker, now = Date.now()) => {
+  if (!room.turnAttempts || typeof room.turnAttempts !== 'object') room.turnAttempts = {};
+  const recent = (room.turnAttempts[speaker] || []).filter(at => now - at < TURN_ATTEMPT_WINDOW_MS);
+  recent.push(now);
+  room.turnAttempts[speaker] = recent;
+  return recent.length > TURN_ATTEMPTS_PER_WINDOW;
+};
+
+/**
+ * Validates a turn against the room's format budget. Returns `{ ok, text }`
+ * with the trimmed message, or `{ ok: false, code, message, limit }` for a
+ * structured `turn_rejected` event. Cross-examination exchanges may be as
+ * short as one word ("Yes.") but share the format's upper bounds.
+ */
+export const validateTurn = ({ room, message, exchange = null }) => {
+  const limits = resolveDebateFormat(room?.formatKey).turnLimits;
+  if (typeof message !== 'string') return reject('INVALID_TURN', 'Turn text must be a string.');
+
+  const text = message.trim();
+  if (!text) return reject('EMPTY_TURN', 'Write something before submitting your turn.');
+  if (text.length > limits.maxChars) {
+    return reject('TOO_MANY_CHARACTERS', `Turns in this format are limited to ${limits.maxChars} characters.`, { limit: limits.maxChars, actual: text.length });
+  }
+
+  const words = countWords(text);
+  const minWords = exchange ? 1 : limits.minWords;
+  if (words < minWords) {
+    return reject('TOO_FEW_WORDS', `Turns need at least ${minWords} words.`, { limit: minWords, actual: words });
+  }
+  if (words > limits.maxWords) {
+    return reject('TOO_MANY_WORDS', `Turns in this format are limited to ${limits.maxWords} words.`, { limit: limits.maxWords, actual: words });
+  }
+
+  const normalized = normalizeTurnText(text);
+  const duplicate = (room.transcript || []).some(turn => typeof turn?.text === 'string' && normalizeTurnText(turn.text) === normalized);
+  if (duplicate && words > 1) return reject('DUPLICATE_TURN', 'That turn repeats an earlier one word for word.');
+
+  return { ok: true, text };
+};
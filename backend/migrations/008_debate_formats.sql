@@ -0,0 +1,24 @@
+-- Debate formats: every match and private arena records the format it was
+-- played under so the referee can rebuild its clock and ratings stay per format.
+-- Keys match backend/lib/debateFormats.js; existing rows were all Classic 5+0.
+
+alter table public.matches
+  add column if not exists format_key text not null default 'classic';
+
+alter table public.private_arenas
+  add column if not exists format_key text not null default 'classic';
+
+alter table public.matches
+  drop constraint if exists matches_format_key_check;
+alter table public.matches
+  add constraint matches_format_key_check
+  check (format_key in ('blitz', 'classic', 'fischer', 'lincoln_douglas', 'oxford'));
+
+alter table public.private_arenas
+  drop constraint if exists private_arenas_format_key_check;
+alter table public.private_arenas
+  add constraint private_arenas_format_key_check
+  check (format_key in ('blitz', 'classic', 'fischer', 'lincoln_douglas', 'oxford'));
+
+create index if not exists idx_matches_format_created
+  on public.matches(format_key, created_at desc);
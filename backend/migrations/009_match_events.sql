@@ -0,0 +1,31 @@
+-- Match event log: an append-only stream per match (turns, clock snapshots,
+-- pauses, AI interventions, presence) written by the realtime server so a
+-- debate can be replayed with its clocks as they ran live.
+-- Event types match MATCH_EVENT_TYPES in backend/lib/matchEventLog.js.
+
+create table if not exists public.match_events (
+  id bigint generated by default as identity primary key,
+  match_id uuid not null references public.matches(id) on delete cascade,
+  event_type text not null,
+  payload jsonb not null default '{}'::jsonb,
+  clock jsonb,
+  occurred_at timestamptz not null default now()
+);
+
+alter table public.match_events
+  drop constraint if exists match_events_event_type_check;
+alter table public.match_events
+  add constraint match_events_event_type_check
+  check (event_type in (
+    'match_started', 'turn_submitted', 'clock_snapshot', 'segment_changed',
+    'ai_intervention', 'room_paused', 'room_resumed', 'player_disconnected',
+    'player_rejoined', 'spectators_changed', 'match_ended'
+  ));
+
+create index if not exists idx_match_events_match_time
+  on public.match_events(match_id, occurred_at, id);
+
+-- Written and read only through the service role (realtime server and the
+-- replay endpoint); rows are never updated or deleted outside match cascade.
+alter table public.match_events enable row level security;
+revoke all on public.match_events from anon, authenticated;
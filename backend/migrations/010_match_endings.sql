@@ -0,0 +1,27 @@
+-- Match endings: how a 1v1 debate finished, so reviews and stats can tell a
+-- resignation or an agreed draw from a clock or schedule ending. Keys match
+-- MATCH_ENDING_TYPES in backend/lib/matchEndings.js; older rows stay null.
+
+alter table public.matches
+  add column if not exists ending_type text;
+
+alter table public.matches
+  drop constraint if exists matches_ending_type_check;
+alter table public.matches
+  add constraint matches_ending_type_check
+  check (ending_type is null or ending_type in ('timeout', 'format_complete', 'resignation', 'draw_agreed', 'abandoned'));
+
+update public.matches
+  set ending_type = 'abandoned'
+  where status = 'abandoned' and ending_type is null;
+
+-- Draw offers are part of the replay log.
+alter table public.match_events
+  drop constraint if exists match_events_event_type_check;
+alter table public.match_events
+  add constraint match_events_event_type_check
+  check (event_type in (
+    'match_started', 'turn_submitted', 'clock_snapshot', 'segment_changed',
+    'ai_intervention', 'room_paused', 'room_resumed', 'player_disconnected',
+    'player_rejoined', 'spectators_changed', 'draw_offered', 'match_ended'
+  ));
@@ -0,0 +1,23 @@
+-- Match series: a rematch swaps Critic and Defender on the same topic and is
+-- linked to the match it followed. `series_id` is the first match of the run,
+-- `series_game` its position, and `rematch_of` the match it directly follows.
+-- The unique index means a match can only ever be rematched once.
+
+alter table public.matches
+  add column if not exists series_id uuid references public.matches(id) on delete set null,
+  add column if not exists series_game integer not null default 1,
+  add column if not exists rematch_of uuid references public.matches(id) on delete set null;
+
+alter table public.matches
+  drop constraint if exists matches_series_game_check;
+alter table public.matches
+  add constraint matches_series_game_check
+  check (series_game >= 1);
+
+create unique index if not exists idx_matches_rematch_of
+  on public.matches(rematch_of)
+  where rematch_of is not null;
+
+create index if not exists idx_matches_series
+  on public.matches(series_id, series_game)
+  where series_id is not null;
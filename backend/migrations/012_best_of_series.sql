@@ -0,0 +1,87 @@
+-- Best-of-N series: a set of games between two players on one topic where
+-- sides alternate and the series, not each game, is rated. Rematch chains
+-- from migration 011 become open series (best_of null) and keep per-game
+-- ratings. Series ids reuse the first match's id so existing links hold.
+
+create table if not exists public.match_series (
+  id uuid primary key default gen_random_uuid(),
+  best_of integer,
+  player_a_id uuid not null references public.profiles(id) on delete cascade,
+  player_b_id uuid not null references public.profiles(id) on delete cascade,
+  topic_title text,
+  format_key text not null default 'classic',
+  source text not null default 'rematch',
+  status text not null default 'active',
+  a_score numeric not null default 0,
+  b_score numeric not null default 0,
+  games_played integer not null default 0,
+  winner_id uuid references public.profiles(id) on delete set null,
+  elo_change_a integer,
+  elo_change_b integer,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+alter table public.match_series
+  drop constraint if exists match_series_best_of_check;
+alter table public.match_series
+  add constraint match_series_best_of_check
+  check (best_of is null or best_of in (1, 3, 5));
+
+alter table public.match_series
+  drop constraint if exists match_series_status_check;
+alter table public.match_series
+  add constraint match_series_status_check
+  check (status in ('open', 'active', 'completed', 'abandoned'));
+
+alter table public.match_series
+  drop constraint if exists match_series_source_check;
+alter table public.match_series
+  add constraint match_series_source_check
+  check (source in ('rematch', 'private_arena', 'challenge'));
+
+create index if not exists idx_match_series_players
+  on public.match_series(player_a_id, player_b_id, created_at desc);
+
+-- Existing rematch chains become open series keyed by their first match.
+insert into public.match_series (id, best_of, player_a_id, player_b_id, topic_title, format_key, source, status, created_at)
+select m.id, null, m.critic_id, m.defender_id, coalesce(m.topic_title, m.topic), m.format_key, 'rematch', 'open', m.created_at
+from public.matches m
+where m.id in (select distinct series_id from public.matches where series_id is not null)
+  and m.critic_id is not null and m.defender_id is not null
+on conflict (id) do nothing;
+
+alter table public.matches
+  drop constraint if exists matches_series_id_fkey;
+alter table public.matches
+  add constraint matches_series_id_fkey
+  foreign key (series_id) references public.match_series(id) on delete set null;
+
+-- Rematches only linked the games after the first; the first match of each
+-- chain is game 1 of its series.
+update public.matches m
+set series_id = m.id, series_game = 1
+where m.series_id is null
+  and exists (select 1 from public.match_series s where s.id = m.id);
+
+-- Sets are chosen when a private arena or challenge is created.
+alter table public.private_arenas
+  add column if not exists best_of integer not null default 1;
+alter table public.challenges
+  add column if not exists best_of integer not null default 1;
+
+alter table public.private_arenas
+  drop constraint if exists private_arenas_best_of_check;
+alter table public.private_arenas
+  add constraint private_arenas_best_of_check
+  check (best_of in (1, 3, 5));
+
+alter table public.challenges
+  drop constraint if exists challenges_best_of_check;
+alter table public.challenges
+  add constraint challenges_best_of_check
+  check (best_of in (1, 3, 5));
+
+-- Read and written by the service role only; players see series through the API.
+alter table public.match_series enable row level security;
+revoke all on public.match_series from anon, authenticated;
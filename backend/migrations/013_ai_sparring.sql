@@ -0,0 +1,17 @@
+-- AI sparring: a queued player who waits out the queue debates a server-side
+-- opponent in a live room. The AI's seat has no user, so its side is recorded
+-- here; resolution uses it to rate the player on the separate "vs AI" format
+-- rating (format_ratings.format_key = 'vs AI') instead of the main Elo.
+
+alter table public.matches
+  add column if not exists ai_side text;
+
+alter table public.matches
+  drop constraint if exists matches_ai_side_check;
+alter table public.matches
+  add constraint matches_ai_side_check
+  check (
+    ai_side is null
+    or (ai_side = 'Critic' and critic_id is null and defender_id is not null)
+    or (ai_side = 'Defender' and defender_id is null and critic_id is not null)
+  );
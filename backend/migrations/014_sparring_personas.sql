@@ -0,0 +1,42 @@
+-- Sparring personas and difficulty levels. Practice sessions record which
+-- persona (socratic, skeptic, devils_advocate) and difficulty (novice, club,
+-- expert) the learner sparred against so progress at each level can be shown.
+-- Ranked AI spars keep the same pair on the match; the difficulty sets the
+-- rating the player's "vs AI" rating is measured against.
+
+alter table public.practice_sessions
+  add column if not exists persona text,
+  add column if not exists difficulty text;
+
+alter table public.practice_sessions
+  drop constraint if exists practice_sessions_persona_check;
+alter table public.practice_sessions
+  add constraint practice_sessions_persona_check
+  check (persona is null or persona in ('socratic', 'skeptic', 'devils_advocate'));
+
+alter table public.practice_sessions
+  drop constraint if exists practice_sessions_difficulty_check;
+alter table public.practice_sessions
+  add constraint practice_sessions_difficulty_check
+  check (difficulty is null or difficulty in ('novice', 'club', 'expert'));
+
+create index if not exists idx_practice_sessions_persona
+  on public.practice_sessions(user_id, persona, difficulty)
+  where persona is not null;
+
+alter table public.matches
+  add column if not exists ai_persona text,
+  add column if not exists ai_difficulty text;
+
+alter table public.matches
+  drop constraint if exists matches_ai_persona_check;
+alter table public.matches
+  add constraint matches_ai_persona_check
+  check (
+    (ai_persona is null and ai_difficulty is null)
+    or (
+      ai_side is not null
+      and ai_persona in ('socratic', 'skeptic', 'devils_advocate')
+      and ai_difficulty in ('novice', 'club', 'expert')
+    )
+  );
@@ -0,0 +1,236 @@
+-- Transactional match resolution. The server decides the verdict (judges,
+-- audience, resignation or agreed draw) and hands it to one of these
+-- functions, which lock the rows involved and write the outcome, both Elo
+-- changes and the format ratings in a single transaction. Replaying a call
+-- for an already resolved match or series changes nothing and returns the
+-- stored result, so concurrent resolvers on different instances cannot
+-- double-apply a rating.
+
+alter table public.matches
+  add column if not exists resolved_at timestamptz;
+
+-- Head-to-head Elo between two players, mirroring the rules the server used:
+-- K 15 above 1800, 50 for a player's first 10 completed matches, 30 otherwise.
+-- `p_s_a` is player A's score (1, 0.5 or 0). Each player's change is also
+-- applied to every format rating in `p_rating_formats`.
+create or replace function public.apply_head_to_head_elo(
+  p_player_a uuid,
+  p_player_b uuid,
+  p_s_a numeric,
+  p_bonus_a integer,
+  p_bonus_b integer,
+  p_rating_formats text[],
+  out change_a integer,
+  out change_b integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_r_a integer := 1200;
+  v_r_b integer := 1200;
+  v_k_a integer := 30;
+  v_k_b integer := 30;
+  v_e_a numeric;
+  v_played integer;
+begin
+  -- Lock in id order so two resolutions sharing a player cannot deadlock.
+  perform 1 from public.profiles where id in (p_player_a, p_player_b) order by id for update;
+  if p_player_a is not null and p_player_b is not null then
+    select coalesce(elo_rating, 1200) into v_r_a from public.profiles where id = p_player_a;
+    select coalesce(elo_rating, 1200) into v_r_b from public.profiles where id = p_player_b;
+    v_r_a := coalesce(v_r_a, 1200);
+    v_r_b := coalesce(v_r_b, 1200);
+  end if;
+
+  if p_player_a is not null then
+    select count(*) into v_played from public.matches
+      where status = 'completed' and (critic_id = p_player_a or defender_id = p_player_a);
+    v_k_a := case when v_r_a > 1800 then 15 when v_played < 10 then 50 else 30 end;
+  end if;
+  if p_player_b is not null then
+    select count(*) into v_played from public.matches
+      where status = 'completed' and (critic_id = p_player_b or defender_id = p_player_b);
+    v_k_b := case when v_r_b > 1800 then 15 when v_played < 10 then 50 else 30 end;
+  end if;
+
+  v_e_a := 1 / (1 + power(10::numeric, (v_r_b - v_r_a) / 400.0));
+  change_a := floor(v_r_a + v_k_a * (p_s_a - v_e_a) + 0.5)::integer + coalesce(p_bonus_a, 0) - v_r_a;
+  change_b := floor(v_r_b + v_k_b * ((1 - p_s_a) - (1 - v_e_a)) + 0.5)::integer + coalesce(p_bonus_b, 0) - v_r_b;
+
+  update public.profiles set elo_rating = v_r_a + change_a where id = p_player_a;
+  update public.profiles set elo_rating = v_r_b + change_b where id = p_player_b;
+  perform public.apply_format_rating_change(p_player_a, change_a, p_rating_formats);
+  perform public.apply_format_rating_change(p_player_b, change_b, p_rating_formats);
+end;
+$$;
+
+create or replace function public.apply_format_rating_change(
+  p_user_id uuid,
+  p_delta integer,
+  p_rating_formats text[]
+) returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into public.format_ratings as fr (user_id, format_key, rating, matches_played, peak_rating, updated_at)
+  select p_user_id, format_key, greatest(100, 1000 + p_delta), 1, greatest(1000, 1000 + p_delta), now()
+  from (select distinct unnest(p_rating_formats) as format_key) formats
+  where p_user_id is not null
+  on conflict (user_id, format_key) do update set
+    rating = greatest(100, fr.rating + p_delta),
+    matches_played = fr.matches_played + 1,
+    peak_rating = greatest(fr.peak_rating, fr.rating + p_delta),
+    updated_at = now();
+$$;
+
+-- Resolves one match. Player games are rated head to head unless `p_rated`
+-- is false (a game inside a best-of set, rated later with the set). An AI
+-- spar (migration 013) moves only the player's "vs AI" rating, against
+-- `p_ai_rating`, with K 40 for their first 10 spars and 24 after.
+create or replace function public.resolve_match_service(
+  p_match_id uuid,
+  p_s_critic numeric,
+  p_winner_id uuid,
+  p_bonus_critic integer default 0,
+  p_bonus_defender integer default 0,
+  p_rating_formats text[] default '{}',
+  p_rated boolean default true,
+  p_ai_rating integer default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_match public.matches%rowtype;
+  v_change_critic integer;
+  v_change_defender integer;
+  v_player uuid;
+  v_score numeric;
+  v_current public.format_ratings%rowtype;
+  v_expected numeric;
+  v_next integer;
+begin
+  if p_s_critic is null or p_s_critic not in (0, 0.5, 1) then raise exception 'Invalid result'; end if;
+  select * into v_match from public.matches where id = p_match_id for update;
+  if not found then raise exception 'Match not found'; end if;
+  if v_match.status = 'completed' then
+    return jsonb_build_object(
+      'resolved', false,
+      'winner_id', v_match.winner_id,
+      'elo_change_critic', v_match.elo_change_critic,
+      'elo_change_defender', v_match.elo_change_defender
+    );
+  end if;
+  if v_match.status <> 'pending_votes' then raise exception 'Match is not awaiting resolution'; end if;
+
+  update public.matches set status = 'completed', winner_id = p_winner_id, resolved_at = now()
+    where id = p_match_id;
+
+  if v_match.ai_side is not null then
+    v_player := coalesce(v_match.critic_id, v_match.defender_id);
+    v_score := case when v_match.ai_side = 'Defender' then p_s_critic else 1 - p_s_critic end;
+    select * into v_current from public.format_ratings
+      where user_id = v_player and format_key = 'vs AI' for update;
+    v_expected := 1 / (1 + power(10::numeric, (coalesce(p_ai_rating, 1200) - coalesce(v_current.rating, 1000)) / 400.0));
+    v_next := greatest(100, floor(coalesce(v_current.rating, 1000)
+      + (case when coalesce(v_current.matches_played, 0) < 10 then 40 else 24 end) * (v_score - v_expected) + 0.5)::integer);
+    insert into public.format_ratings (user_id, format_key, rating, matches_played, peak_rating, updated_at)
+    values (v_player, 'vs AI', v_next, 1, greatest(1000, v_next), now())
+    on conflict (user_id, format_key) do update set
+      rating = excluded.rating,
+      matches_played = public.format_ratings.matches_played + 1,
+      peak_rating = greatest(public.format_ratings.peak_rating, excluded.rating),
+      updated_at = now();
+    if v_match.ai_side = 'Defender' then
+      v_change_critic := v_next - coalesce(v_current.rating, 1000);
+    else
+      v_change_defender := v_next - coalesce(v_current.rating, 1000);
+    end if;
+  elsif p_rated then
+    select change_a, change_b into v_change_critic, v_change_defender
+      from public.apply_head_to_head_elo(
+        v_match.critic_id, v_match.defender_id, p_s_critic,
+        p_bonus_critic, p_bonus_defender, p_rating_formats
+      );
+  end if;
+
+  update public.matches set
+    elo_change_critic = v_change_critic,
+    elo_change_defender = v_change_defender
+  where id = p_match_id;
+
+  return jsonb_build_object(
+    'resolved', true,
+    'winner_id', p_winner_id,
+    'elo_change_critic', v_change_critic,
+    'elo_change_defender', v_change_defender
+  );
+end;
+$$;
+
+-- Closes a decided best-of series and rates its aggregate result once.
+create or replace function public.rate_series_service(
+  p_series_id uuid,
+  p_a_score numeric,
+  p_b_score numeric,
+  p_games_played integer,
+  p_s_a numeric,
+  p_winner_id uuid,
+  p_rating_formats text[] default '{}'
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series public.match_series%rowtype;
+  v_change_a integer;
+  v_change_b integer;
+begin
+  if p_s_a is null or p_s_a not in (0, 0.5, 1) then raise exception 'Invalid result'; end if;
+  select * into v_series from public.match_series where id = p_series_id for update;
+  if not found then raise exception 'Series not found'; end if;
+  if v_series.status <> 'active' then
+    return jsonb_build_object(
+      'resolved', false,
+      'winner_id', v_series.winner_id,
+      'elo_change_a', v_series.elo_change_a,
+      'elo_change_b', v_series.elo_change_b
+    );
+  end if;
+
+  select change_a, change_b into v_change_a, v_change_b
+    from public.apply_head_to_head_elo(
+      v_series.player_a_id, v_series.player_b_id, p_s_a, 0, 0, p_rating_formats
+    );
+
+  update public.match_series set
+    a_score = p_a_score,
+    b_score = p_b_score,
+    games_played = p_games_played,
+    status = 'completed',
+    winner_id = p_winner_id,
+    completed_at = now(),
+    elo_change_a = v_change_a,
+    elo_change_b = v_change_b
+  where id = p_series_id;
+
+  return jsonb_build_object(
+    'resolved', true,
+    'winner_id', p_winner_id,
+    'elo_change_a', v_change_a,
+    'elo_change_b', v_change_b
+  );
+end;
+$$;
+
+revoke all on function public.apply_head_to_head_elo(uuid, uuid, numeric, integer, integer, text[]) from public, anon, authenticated;
+revoke all on function public.apply_format_rating_change(uuid, integer, text[]) from public, anon, authenticated;
+revoke all on function public.resolve_match_service(uuid, numeric, uuid, integer, integer, text[], boolean, integer) from public, anon, authenticated;
+revoke all on function public.rate_series_service(uuid, numeric, numeric, integer, numeric, uuid, text[]) from public, anon, authenticated;
+grant execute on function public.resolve_match_service(uuid, numeric, uuid, integer, integer, text[], boolean, integer) to service_role;
+grant execute on function public.rate_series_service(uuid, numeric, numeric, integer, numeric, uuid, text[]) to service_role;
@@ -0,0 +1,446 @@
+-- Glicko-2 ratings for the main ladder (profiles.elo_rating) and every
+-- format_ratings row, replacing the K-factor Elo and crowd bonus of
+-- migration 015. Each rating gains a deviation (RD) and a volatility; RD
+-- grows back for every idle day, and a rating whose RD is above 110 is shown
+-- as provisional. The step mirrors backend/lib/glicko2.js: every game is one
+-- rating period, tau 0.5, RD between 45 and 350.
+
+alter table public.profiles
+  add column if not exists glicko_rd numeric not null default 350,
+  add column if not exists glicko_volatility numeric not null default 0.06,
+  add column if not exists rating_updated_at timestamptz;
+
+alter table public.format_ratings
+  add column if not exists rd numeric not null default 350,
+  add column if not exists volatility numeric not null default 0.06;
+
+-- Seed from history. Ratings keep their current value; RD starts at 350 and
+-- shrinks by 10% per completed match (never below 45), then grows back for
+-- each day since the player's last match. Rows already on Glicko-2 are left
+-- alone, so re-running the migration is safe.
+with history as (
+  select player_id, count(*) as played, max(created_at) as last_played
+  from (
+    select critic_id as player_id, created_at from public.matches where status = 'completed' and critic_id is not null
+    union all
+    select defender_id, created_at from public.matches where status = 'completed' and defender_id is not null
+  ) games
+  group by player_id
+)
+update public.profiles p set
+  glicko_rd = least(350, sqrt(
+    power(greatest(45, 350 * power(0.9, history.played)), 2)
+    + power(0.06 * 173.7178, 2) * greatest(0, floor(extract(epoch from now() - history.last_played) / 86400))
+  )),
+  rating_updated_at = history.last_played
+from history
+where history.player_id = p.id
+  and p.rating_updated_at is null;
+
+update public.format_ratings set
+  rd = least(350, sqrt(
+    power(greatest(45, 350 * power(0.9, matches_played)), 2)
+    + power(0.06 * 173.7178, 2) * greatest(0, floor(extract(epoch from now() - updated_at) / 86400))
+  ))
+where rd = 350
+  and matches_played > 0;
+
+-- RD today: the stored RD grown by one volatility step per idle day.
+create or replace function public.glicko2_decayed_rd(
+  p_rd numeric,
+  p_volatility numeric,
+  p_rated_at timestamptz
+) returns double precision
+language sql
+stable
+as $$
+  select least(350, 173.7178 * sqrt(
+    power(coalesce(p_rd, 350) / 173.7178, 2)
+    + power(coalesce(p_volatility, 0.06), 2)
+      * case when p_rated_at is null then 0
+          else greatest(0, floor(extract(epoch from now() - p_rated_at) / 86400)) end
+  ))::double precision;
+$$;
+
+create or replace function public.glicko2_volatility_f(
+  x double precision,
+  a double precision,
+  delta double precision,
+  phi double precision,
+  v double precision,
+  tau double precision
+) returns double precision
+language sql
+immutable
+as $$
+  select exp(x) * (delta ^ 2 - phi ^ 2 - v - exp(x)) / (2 * (phi ^ 2 + v + exp(x)) ^ 2) - (x - a) / tau ^ 2;
+$$;
+
+-- One Glicko-2 rating period against a single opponent. `p_score` is the
+-- player's result (1, 0.5 or 0).
+create or replace function public.glicko2_rate(
+  p_rating numeric,
+  p_rd numeric,
+  p_volatility numeric,
+  p_rated_at timestamptz,
+  p_opponent_rating numeric,
+  p_opponent_rd double precision,
+  p_score numeric,
+  out rating integer,
+  out rd numeric,
+  out volatility numeric
+)
+language plpgsql
+stable
+as $$
+declare
+  c_scale constant double precision := 173.7178;
+  c_tau constant double precision := 0.5;
+  v_sigma double precision := coalesce(p_volatility, 0.06);
+  v_phi double precision := public.glicko2_decayed_rd(p_rd, p_volatility, p_rated_at) / c_scale;
+  v_mu double precision := (p_rating - 1500) / c_scale;
+  v_g double precision;
+  v_e double precision;
+  v_v double precision;
+  v_delta double precision;
+  v_a double precision;
+  v_big_a double precision;
+  v_big_b double precision;
+  v_big_c double precision;
+  v_fa double precision;
+  v_fb double precision;
+  v_fc double precision;
+  v_k integer := 1;
+  v_phi_star double precision;
+  v_phi_next double precision;
+begin
+  v_g := 1 / sqrt(1 + 3 * (coalesce(p_opponent_rd, 350) / c_scale) ^ 2 / pi() ^ 2);
+  v_e := 1 / (1 + exp(-v_g * (v_mu - (p_opponent_rating - 1500) / c_scale)));
+  v_v := 1 / (v_g ^ 2 * v_e * (1 - v_e));
+  v_delta := v_v * v_g * (p_score - v_e);
+
+  -- New volatility by the Illinois method.
+  v_a := ln(v_sigma ^ 2);
+  v_big_a := v_a;
+  if v_delta ^ 2 > v_phi ^ 2 + v_v then
+    v_big_b := ln(v_delta ^ 2 - v_phi ^ 2 - v_v);
+  else
+    while public.glicko2_volatility_f(v_a - v_k * c_tau, v_a, v_delta, v_phi, v_v, c_tau) < 0 loop
+      v_k := v_k + 1;
+    end loop;
+    v_big_b := v_a - v_k * c_tau;
+  end if;
+  v_fa := public.glicko2_volatility_f(v_big_a, v_a, v_delta, v_phi, v_v, c_tau);
+  v_fb := public.glicko2_volatility_f(v_big_b, v_a, v_delta, v_phi, v_v, c_tau);
+  while abs(v_big_b - v_big_a) > 0.000001 loop
+    v_big_c := v_big_a + (v_big_a - v_big_b) * v_fa / (v_fb - v_fa);
+    v_fc := public.glicko2_volatility_f(v_big_c, v_a, v_delta, v_phi, v_v, c_tau);
+    if v_fc * v_fb <= 0 then
+      v_big_a := v_big_b;
+      v_fa := v_fb;
+    else
+      v_fa := v_fa / 2;
+    end if;
+    v_big_b := v_big_c;
+    v_fb := v_fc;
+  end loop;
+
+  volatility := exp(v_big_a / 2);
+  v_phi_star := sqrt(v_phi ^ 2 + volatility ^ 2);
+  v_phi_next := 1 / sqrt(1 / v_phi_star ^ 2 + 1 / v_v);
+  rating := floor(c_scale * (v_mu + v_phi_next ^ 2 * v_g * (p_score - v_e)) + 1500 + 0.5)::integer;
+  rd := least(350, greatest(45, c_scale * v_phi_next));
+end;
+$$;
+
+-- Rates two players' format_ratings rows for one format against each other.
+create or replace function public.apply_format_glicko(
+  p_player_a uuid,
+  p_player_b uuid,
+  p_s_a numeric,
+  p_format_key text
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_a public.format_ratings%rowtype;
+  v_b public.format_ratings%rowtype;
+  v_next_a record;
+  v_next_b record;
+begin
+  insert into public.format_ratings (user_id, format_key)
+  select player_id, p_format_key from unnest(array[p_player_a, p_player_b]) as player_id
+  where player_id is not null
+  on conflict (user_id, format_key) do nothing;
+  perform 1 from public.format_ratings
+    where format_key = p_format_key and user_id in (p_player_a, p_player_b)
+    order by user_id for update;
+  select * into v_a from public.format_ratings where user_id = p_player_a and format_key = p_format_key;
+  select * into v_b from public.format_ratings where user_id = p_player_b and format_key = p_format_key;
+
+  select * into v_next_a from public.glicko2_rate(
+    coalesce(v_a.rating, 1000), v_a.rd, v_a.volatility, v_a.updated_at,
+    coalesce(v_b.rating, 1000), public.glicko2_decayed_rd(v_b.rd, v_b.volatility, v_b.updated_at), p_s_a
+  );
+  select * into v_next_b from public.glicko2_rate(
+    coalesce(v_b.rating, 1000), v_b.rd, v_b.volatility, v_b.updated_at,
+    coalesce(v_a.rating, 1000), public.glicko2_decayed_rd(v_a.rd, v_a.volatility, v_a.updated_at), 1 - p_s_a
+  );
+
+  update public.format_ratings set
+    rating = v_next_a.rating,
+    rd = v_next_a.rd,
+    volatility = v_next_a.volatility,
+    matches_played = matches_played + 1,
+    peak_rating = greatest(peak_rating, v_next_a.rating),
+    updated_at = now()
+  where user_id = p_player_a and format_key = p_format_key;
+  update public.format_ratings set
+    rating = v_next_b.rating,
+    rd = v_next_b.rd,
+    volatility = v_next_b.volatility,
+    matches_played = matches_played + 1,
+    peak_rating = greatest(peak_rating, v_next_b.rating),
+    updated_at = now()
+  where user_id = p_player_b and format_key = p_format_key;
+end;
+$$;
+
+-- Rates a head-to-head result on the main ladder and on each format rating.
+-- `p_s_a` is player A's score (1, 0.5 or 0).
+create or replace function public.apply_head_to_head_glicko(
+  p_player_a uuid,
+  p_player_b uuid,
+  p_s_a numeric,
+  p_rating_formats text[],
+  out change_a integer,
+  out change_b integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_a public.profiles%rowtype;
+  v_b public.profiles%rowtype;
+  v_next_a record;
+  v_next_b record;
+  v_format text;
+begin
+  -- Lock in id order so two resolutions sharing a player cannot deadlock.
+  perform 1 from public.profiles where id in (p_player_a, p_player_b) order by id for update;
+  select * into v_a from public.profiles where id = p_player_a;
+  select * into v_b from public.profiles where id = p_player_b;
+
+  select * into v_next_a from public.glicko2_rate(
+    coalesce(v_a.elo_rating, 1200), v_a.glicko_rd, v_a.glicko_volatility, v_a.rating_updated_at,
+    coalesce(v_b.elo_rating, 1200), public.glicko2_decayed_rd(v_b.glicko_rd, v_b.glicko_volatility, v_b.rating_updated_at), p_s_a
+  );
+  select * into v_next_b from public.glicko2_rate(
+    coalesce(v_b.elo_rating, 1200), v_b.glicko_rd, v_b.glicko_volatility, v_b.rating_updated_at,
+    coalesce(v_a.elo_rating, 1200), public.glicko2_decayed_rd(v_a.glicko_rd, v_a.glicko_volatility, v_a.rating_updated_at), 1 - p_s_a
+  );
+  change_a := v_next_a.rating - coalesce(v_a.elo_rating, 1200);
+  change_b := v_next_b.rating - coalesce(v_b.elo_rating, 1200);
+
+  update public.profiles set
+    elo_rating = v_next_a.rating,
+    glicko_rd = v_next_a.rd,
+    glicko_volatility = v_next_a.volatility,
+    rating_updated_at = now()
+  where id = p_player_a;
+  update public.profiles set
+    elo_rating = v_next_b.rating,
+    glicko_rd = v_next_b.rd,
+    glicko_volatility = v_next_b.volatility,
+    rating_updated_at = now()
+  where id = p_player_b;
+
+  for v_format in select distinct unnest(p_rating_formats) loop
+    perform public.apply_format_glicko(p_player_a, p_player_b, p_s_a, v_format);
+  end loop;
+end;
+$$;
+
+drop function if exists public.resolve_match_service(uuid, numeric, uuid, integer, integer, text[], boolean, integer);
+drop function if exists public.apply_head_to_head_elo(uuid, uuid, numeric, integer, integer, text[]);
+drop function if exists public.apply_format_rating_change(uuid, integer, text[]);
+
+-- As in migration 015, minus the crowd bonus. The AI sparring opponent is
+-- rated `p_ai_rating` with a fixed RD of 50.
+create or replace function public.resolve_match_service(
+  p_match_id uuid,
+  p_s_critic numeric,
+  p_winner_id uuid,
+  p_rating_formats text[] default '{}',
+  p_rated boolean default true,
+  p_ai_rating integer default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_match public.matches%rowtype;
+  v_change_critic integer;
+  v_change_defender integer;
+  v_player uuid;
+  v_current public.format_ratings%rowtype;
+  v_next record;
+begin
+  if p_s_critic is null or p_s_critic not in (0, 0.5, 1) then raise exception 'Invalid result'; end if;
+  select * into v_match from public.matches where id = p_match_id for update;
+  if not found then raise exception 'Match not found'; end if;
+  if v_match.status = 'completed' then
+    return jsonb_build_object(
+      'resolved', false,
+      'winner_id', v_match.winner_id,
+      'elo_change_critic', v_match.elo_change_critic,
+      'elo_change_defender', v_match.elo_change_defender
+    );
+  end if;
+  if v_match.status <> 'pending_votes' then raise exception 'Match is not awaiting resolution'; end if;
+
+  update public.matches set status = 'completed', winner_id = p_winner_id, resolved_at = now()
+    where id = p_match_id;
+
+  if v_match.ai_side is not null then
+    v_player := coalesce(v_match.critic_id, v_match.defender_id);
+    insert into public.format_ratings (user_id, format_key) values (v_player, 'vs AI')
+      on conflict (user_id, format_key) do nothing;
+    select * into v_current from public.format_ratings
+      where user_id = v_player and format_key = 'vs AI' for update;
+    select * into v_next from public.glicko2_rate(
+      v_current.rating, v_current.rd, v_current.volatility, v_current.updated_at,
+      coalesce(p_ai_rating, 1200), 50,
+      case when v_match.ai_side = 'Defender' then p_s_critic else 1 - p_s_critic end
+    );
+    update public.format_ratings set
+      rating = v_next.rating,
+      rd = v_next.rd,
+      volatility = v_next.volatility,
+      matches_played = matches_played + 1,
+      peak_rating = greatest(peak_rating, v_next.rating),
+      updated_at = now()
+    where id = v_current.id;
+    if v_match.ai_side = 'Defender' then
+      v_change_critic := v_next.rating - v_current.rating;
+    else
+      v_change_defender := v_next.rating - v_current.rating;
+    end if;
+  elsif p_rated then
+    select change_a, change_b into v_change_critic, v_change_defender
+      from public.apply_head_to_head_glicko(v_match.critic_id, v_match.defender_id, p_s_critic, p_rating_formats);
+  end if;
+
+  update public.matches set
+    elo_change_critic = v_change_critic,
+    elo_change_defender = v_change_defender
+  where id = p_match_id;
+
+  return jsonb_build_object(
+    'resolved', true,
+    'winner_id', p_winner_id,
+    'elo_change_critic', v_change_critic,
+    'elo_change_defender', v_change_defender
+  );
+end;
+$$;
+
+create or replace function public.rate_series_service(
+  p_series_id uuid,
+  p_a_score numeric,
+  p_b_score numeric,
+  p_games_played integer,
+  p_s_a numeric,
+  p_winner_id uuid,
+  p_rating_formats text[] default '{}'
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series public.match_series%rowtype;
+  v_change_a integer;
+  v_change_b integer;
+begin
+  if p_s_a is null or p_s_a not in (0, 0.5, 1) then raise exception 'Invalid result'; end if;
+  select * into v_series from public.match_series where id = p_series_id for update;
+  if not found then raise exception 'Series not found'; end if;
+  if v_series.status <> 'active' then
+    return jsonb_build_object(
+      'resolved', false,
+      'winner_id', v_series.winner_id,
+      'elo_change_a', v_series.elo_change_a,
+      'elo_change_b', v_series.elo_change_b
+    );
+  end if;
+
+  select change_a, change_b into v_change_a, v_change_b
+    from public.apply_head_to_head_glicko(v_series.player_a_id, v_series.player_b_id, p_s_a, p_rating_formats);
+
+  update public.match_series set
+    a_score = p_a_score,
+    b_score = p_b_score,
+    games_played = p_games_played,
+    status = 'completed',
+    winner_id = p_winner_id,
+    completed_at = now(),
+    elo_change_a = v_change_a,
+    elo_change_b = v_change_b
+  where id = p_series_id;
+
+  return jsonb_build_object(
+    'resolved', true,
+    'winner_id', p_winner_id,
+    'elo_change_a', v_change_a,
+    'elo_change_b', v_change_b
+  );
+end;
+$$;
+
+-- Dashboard and profile stats now carry the rating's deviation so clients
+-- can mark provisional ratings.
+create or replace function public.get_user_stats(p_user_id uuid)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile public.profiles%rowtype;
+  v_matches bigint;
+  v_wins bigint;
+begin
+  select * into v_profile from public.profiles where id = p_user_id;
+
+  select count(*) into v_matches
+  from public.matches
+  where (critic_id = p_user_id or defender_id = p_user_id)
+    and status in ('completed', 'abandoned', 'pending_votes', 'voting');
+
+  select count(*) into v_wins
+  from public.matches
+  where winner_id = p_user_id
+    and status in ('completed', 'abandoned');
+
+  return json_build_object(
+    'elo_rating', coalesce(v_profile.elo_rating, 1200),
+    'rating_deviation', round(public.glicko2_decayed_rd(v_profile.glicko_rd, v_profile.glicko_volatility, v_profile.rating_updated_at)::numeric),
+    'rating_volatility', coalesce(v_profile.glicko_volatility, 0.06),
+    'rating_updated_at', v_profile.rating_updated_at,
+    'total_matches', v_matches,
+    'win_rate', case when v_matches > 0 then round((v_wins::float / v_matches::float) * 100) else 0 end
+  );
+end;
+$$;
+
+revoke all on function public.apply_format_glicko(uuid, uuid, numeric, text) from public, anon, authenticated;
+revoke all on function public.apply_head_to_head_glicko(uuid, uuid, numeric, text[]) from public, anon, authenticated;
+revoke all on function public.resolve_match_service(uuid, numeric, uuid, text[], boolean, integer) from public, anon, authenticated;
+revoke all on function public.rate_series_service(uuid, numeric, numeric, integer, numeric, uuid, text[]) from public, anon, authenticated;
+grant execute on function public.resolve_match_service(uuid, numeric, uuid, text[], boolean, integer) to service_role;
+grant execute on function public.rate_series_service(uuid, numeric, numeric, integer, numeric, uuid, text[]) to service_role;
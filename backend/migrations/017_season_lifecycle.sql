@@ -0,0 +1,136 @@
+-- Season lifecycle for the seasons table of migration 004. The backend
+-- scheduler (backend/lib/seasons.js) opens upcoming seasons when they start
+-- and calls `close_season_service` once they end. Closing locks the season,
+-- snapshots the final standings per format into `season_standings` and
+-- applies the soft rating reset in one transaction; replaying it for a season
+-- that is no longer active changes nothing. Season credentials are issued
+-- from the snapshot afterwards and `credentials_issued_at` records that.
+
+alter table public.seasons
+  add column if not exists opened_at timestamptz,
+  add column if not exists closed_at timestamptz,
+  add column if not exists credentials_issued_at timestamptz;
+
+-- At most one season runs at a time, so concurrent schedulers cannot both
+-- open one.
+create unique index if not exists seasons_single_active_idx
+  on public.seasons ((true)) where status = 'active';
+create index if not exists seasons_status_starts_idx on public.seasons(status, starts_at);
+
+-- `format_key` is 'Overall' for the main ladder and the format_ratings key
+-- otherwise. `matches_played` counts the season's games for 'Overall' and
+-- the lifetime total of the format rating for the others.
+create table if not exists public.season_standings (
+  id uuid primary key default gen_random_uuid(),
+  season_id uuid not null references public.seasons(id) on delete cascade,
+  format_key text not null,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  rank integer not null check (rank > 0),
+  rating integer not null,
+  rating_deviation numeric,
+  matches_played integer not null default 0,
+  peak_rating integer,
+  created_at timestamptz not null default now(),
+  unique(season_id, format_key, user_id)
+);
+
+create index if not exists season_standings_rank_idx on public.season_standings(season_id, format_key, rank);
+create index if not exists season_standings_user_idx on public.season_standings(user_id, created_at desc);
+
+alter table public.season_standings enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where schemaname='public' and tablename='season_standings' and policyname='Public season standings') then
+    create policy "Public season standings" on public.season_standings for select using (true);
+  end if;
+end $$;
+
+-- Closes an ended season. Players need `p_min_matches` games (season games
+-- for the ladder, lifetime games for a format) to be ranked. The reset pulls
+-- every rating played during the season `p_reset_factor` of the way back
+-- towards its base (the ladder's `p_ladder_base`, each format's
+-- `p_format_base`) and raises its RD to at least `p_reset_rd`, so the next
+-- season's first games move it quickly. The "vs AI" rating is not part of
+-- seasons and is left alone.
+create or replace function public.close_season_service(
+  p_season_id uuid,
+  p_min_matches integer default 5,
+  p_reset_factor numeric default 0.5,
+  p_ladder_base integer default 1200,
+  p_format_base integer default 1000,
+  p_reset_rd numeric default 150
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_season public.seasons%rowtype;
+  v_ranked integer;
+begin
+  if p_reset_factor is null or p_reset_factor < 0 or p_reset_factor > 1 then raise exception 'Invalid reset factor'; end if;
+  select * into v_season from public.seasons where id = p_season_id for update;
+  if not found then raise exception 'Season not found'; end if;
+  if v_season.status <> 'active' then
+    return jsonb_build_object('closed', false, 'status', v_season.status);
+  end if;
+  if v_season.ends_at > now() then raise exception 'Season has not ended'; end if;
+
+  insert into public.season_standings (season_id, format_key, user_id, rank, rating, rating_deviation, matches_played, peak_rating)
+  select p_season_id, 'Overall', ranked.id, ranked.rank, ranked.rating, ranked.rd, ranked.played, null
+  from (
+    select p.id, coalesce(p.elo_rating, 1200) as rating,
+      round(public.glicko2_decayed_rd(p.glicko_rd, p.glicko_volatility, p.rating_updated_at)::numeric) as rd,
+      games.played,
+      rank() over (order by coalesce(p.elo_rating, 1200) desc, p.glicko_rd asc) as rank
+    from public.profiles p
+    join (
+      select player_id, count(*) as played
+      from (
+        select critic_id as player_id from public.matches
+          where status = 'completed' and resolved_at >= v_season.starts_at and resolved_at < v_season.ends_at
+        union all
+        select defender_id from public.matches
+          where status = 'completed' and resolved_at >= v_season.starts_at and resolved_at < v_season.ends_at
+      ) games
+      where player_id is not null
+      group by player_id
+    ) games on games.player_id = p.id
+    where games.played >= p_min_matches
+  ) ranked
+  on conflict (season_id, format_key, user_id) do nothing;
+
+  insert into public.season_standings (season_id, format_key, user_id, rank, rating, rating_deviation, matches_played, peak_rating)
+  select p_season_id, fr.format_key, fr.user_id,
+    rank() over (partition by fr.format_key order by fr.rating desc, fr.rd asc),
+    fr.rating, round(public.glicko2_decayed_rd(fr.rd, fr.volatility, fr.updated_at)::numeric), fr.matches_played, fr.peak_rating
+  from public.format_ratings fr
+  where fr.format_key <> 'vs AI'
+    and fr.updated_at >= v_season.starts_at
+    and fr.matches_played >= p_min_matches
+  on conflict (season_id, format_key, user_id) do nothing;
+
+  select count(*) into v_ranked from public.season_standings where season_id = p_season_id;
+
+  update public.profiles set
+    elo_rating = round(p_ladder_base + (elo_rating - p_ladder_base) * (1 - p_reset_factor))::integer,
+    glicko_rd = greatest(public.glicko2_decayed_rd(glicko_rd, glicko_volatility, rating_updated_at), p_reset_rd),
+    rating_updated_at = now()
+  where rating_updated_at >= v_season.starts_at;
+
+  update public.format_ratings set
+    rating = greatest(100, round(p_format_base + (rating - p_format_base) * (1 - p_reset_factor))::integer),
+    rd = greatest(public.glicko2_decayed_rd(rd, volatility, updated_at), p_reset_rd),
+    updated_at = now()
+  where format_key <> 'vs AI'
+    and updated_at >= v_season.starts_at;
+
+  update public.seasons set status = 'completed', closed_at = now() where id = p_season_id;
+
+  return jsonb_build_object('closed', true, 'status', 'completed', 'ranked', v_ranked);
+end;
+$$;
+
+revoke all on function public.close_season_service(uuid, integer, numeric, integer, integer, numeric) from public, anon, authenticated;
+grant execute on function public.close_season_service(uuid, integer, numeric, integer, integer, numeric) to service_role;
@@ -0,0 +1,209 @@
+-- Leaderboards by format, domain, club, region and season. All-time boards
+-- read `leaderboard_entries`, a materialized view over the main ladder and
+-- every format_ratings row that the backend refreshes every few minutes
+-- (`refresh_leaderboards`), so paging a board never sorts the full profiles
+-- table. Weekly and monthly movers are summed from the per-match rating
+-- changes instead, since those are already stored on `matches`.
+
+alter table public.profiles
+  add column if not exists region text;
+
+alter table public.profiles
+  drop constraint if exists profiles_region_check;
+alter table public.profiles
+  add constraint profiles_region_check
+  check (region is null or region in ('Africa', 'Asia Pacific', 'Europe', 'Latin America', 'Middle East', 'North America', 'South Asia'));
+
+-- Topic domain of a match; mirrors inferRatingDomain in backend/lib/ratingDomains.js.
+create or replace function public.rating_domain(p_topic text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when lower(coalesce(p_topic, '')) ~ '\y(ai|technology|software|internet|digital|robot|crypto)\y' then 'Technology'
+    when lower(coalesce(p_topic, '')) ~ '\y(election|government|policy|democracy|law|rights)\y' then 'Politics & Policy'
+    when lower(coalesce(p_topic, '')) ~ '\y(ethic|moral|truth|free will|consciousness|meaning)\y' then 'Philosophy'
+    when lower(coalesce(p_topic, '')) ~ '\y(econom|market|capital|trade|tax|wealth)\y' then 'Economics'
+    when lower(coalesce(p_topic, '')) ~ '\y(science|climate|space|genetic|health|medicine)\y' then 'Science'
+    else 'Open'
+  end;
+$$;
+
+-- `board` is 'Overall' for the ladder and the format_ratings key otherwise.
+-- RD is stored as of the refresh; `board_rank` is the rank on the whole board.
+create materialized view if not exists public.leaderboard_entries as
+with ladder_games as (
+  select player_id, count(*) as played
+  from (
+    select critic_id as player_id from public.matches where status = 'completed' and ai_side is null
+    union all
+    select defender_id from public.matches where status = 'completed' and ai_side is null
+  ) games
+  where player_id is not null
+  group by player_id
+),
+boards as (
+  select 'Overall'::text as board, p.id as user_id, coalesce(p.elo_rating, 1200) as rating,
+    public.glicko2_decayed_rd(p.glicko_rd, p.glicko_volatility, p.rating_updated_at) as rd,
+    coalesce(games.played, 0)::integer as matches_played, p.rating_updated_at as rated_at
+  from public.profiles p
+  left join ladder_games games on games.player_id = p.id
+  union all
+  select fr.format_key, fr.user_id, fr.rating,
+    public.glicko2_decayed_rd(fr.rd, fr.volatility, fr.updated_at),
+    fr.matches_played, fr.updated_at
+  from public.format_ratings fr
+  where fr.format_key <> 'vs AI' and fr.matches_played > 0
+)
+select boards.board, boards.user_id, p.username, p.region, boards.rating,
+  round(boards.rd::numeric) as rating_deviation, boards.matches_played, boards.rated_at,
+  rank() over (partition by boards.board order by boards.rating desc, boards.rd asc)::integer as board_rank
+from boards
+join public.profiles p on p.id = boards.user_id;
+
+create unique index if not exists leaderboard_entries_board_user_idx on public.leaderboard_entries(board, user_id);
+create index if not exists leaderboard_entries_rank_idx on public.leaderboard_entries(board, board_rank);
+create index if not exists leaderboard_entries_region_idx on public.leaderboard_entries(board, region, board_rank);
+
+create index if not exists idx_matches_completed_resolved
+  on public.matches(resolved_at desc) where status = 'completed';
+
+create table if not exists public.leaderboard_refreshes (
+  id boolean primary key default true check (id),
+  refreshed_at timestamptz not null default '-infinity'
+);
+insert into public.leaderboard_refreshes (id) values (true) on conflict (id) do nothing;
+
+-- Refreshes the view unless it is younger than `p_min_age_seconds` or another
+-- instance is refreshing it right now. Returns whether it refreshed.
+create or replace function public.refresh_leaderboards(p_min_age_seconds integer default 240)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not pg_try_advisory_xact_lock(hashtext('refresh_leaderboards')) then return false; end if;
+  if exists (select 1 from public.leaderboard_refreshes
+      where refreshed_at > now() - make_interval(secs => greatest(0, coalesce(p_min_age_seconds, 0)))) then
+    return false;
+  end if;
+  refresh materialized view concurrently public.leaderboard_entries;
+  update public.leaderboard_refreshes set refreshed_at = now();
+  return true;
+end;
+$$;
+
+-- One page of a board. `p_club_id` and `p_region` narrow the board and
+-- `p_rated_since` keeps players rated since then (a season's start); `rank`
+-- is the place within that filter and `board_rank` the place on the full
+-- board. Players need `p_min_matches` games to appear.
+create or replace function public.get_leaderboard(
+  p_board text default 'Overall',
+  p_region text default null,
+  p_club_id uuid default null,
+  p_rated_since timestamptz default null,
+  p_min_matches integer default 1,
+  p_limit integer default 25,
+  p_offset integer default 0
+) returns table (
+  rank bigint,
+  board_rank integer,
+  user_id uuid,
+  username text,
+  region text,
+  rating integer,
+  rating_deviation numeric,
+  matches_played integer,
+  rated_at timestamptz,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select row_number() over (order by e.board_rank, e.user_id) as rank,
+    e.board_rank, e.user_id, e.username, e.region, e.rating, e.rating_deviation,
+    e.matches_played, e.rated_at, count(*) over () as total_count
+  from public.leaderboard_entries e
+  where e.board = p_board
+    and e.matches_played >= greatest(1, coalesce(p_min_matches, 1))
+    and (p_region is null or e.region = p_region)
+    and (p_rated_since is null or e.rated_at >= p_rated_since)
+    and (p_club_id is null or exists (
+      select 1 from public.club_members cm where cm.club_id = p_club_id and cm.user_id = e.user_id
+    ))
+  order by e.board_rank, e.user_id
+  limit least(100, greatest(1, coalesce(p_limit, 25)))
+  offset greatest(0, coalesce(p_offset, 0));
+$$;
+
+-- Biggest ladder gains since `p_since`, summed from completed human matches.
+-- `p_format_keys` (debate format keys) or `p_domain` limit it to the matches
+-- that also moved that format or domain rating.
+create or replace function public.get_leaderboard_movers(
+  p_since timestamptz,
+  p_format_keys text[] default null,
+  p_domain text default null,
+  p_region text default null,
+  p_club_id uuid default null,
+  p_limit integer default 25,
+  p_offset integer default 0
+) returns table (
+  rank bigint,
+  user_id uuid,
+  username text,
+  region text,
+  rating integer,
+  rating_change bigint,
+  matches_played bigint,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with changes as (
+    select m.critic_id as player_id, m.elo_change_critic as change
+    from public.matches m
+    where m.status = 'completed' and m.ai_side is null and m.resolved_at >= p_since
+      and (p_format_keys is null or m.format_key = any(p_format_keys))
+      and (p_domain is null or public.rating_domain(coalesce(m.topic_title, m.topic)) = p_domain)
+    union all
+    select m.defender_id, m.elo_change_defender
+    from public.matches m
+    where m.status = 'completed' and m.ai_side is null and m.resolved_at >= p_since
+      and (p_format_keys is null or m.format_key = any(p_format_keys))
+      and (p_domain is null or public.rating_domain(coalesce(m.topic_title, m.topic)) = p_domain)
+  ),
+  totals as (
+    select player_id, sum(coalesce(change, 0)) as rating_change, count(*) as matches_played
+    from changes
+    where player_id is not null
+    group by player_id
+  )
+  select row_number() over (order by t.rating_change desc, t.matches_played desc, p.id) as rank,
+    p.id, p.username, p.region, coalesce(p.elo_rating, 1200), t.rating_change, t.matches_played,
+    count(*) over () as total_count
+  from totals t
+  join public.profiles p on p.id = t.player_id
+  where (p_region is null or p.region = p_region)
+    and (p_club_id is null or exists (
+      select 1 from public.club_members cm where cm.club_id = p_club_id and cm.user_id = p.id
+    ))
+  order by t.rating_change desc, t.matches_played desc, p.id
+  limit least(100, greatest(1, coalesce(p_limit, 25)))
+  offset greatest(0, coalesce(p_offset, 0));
+$$;
+
+revoke all on public.leaderboard_entries from public, anon, authenticated;
+revoke all on function public.refresh_leaderboards(integer) from public, anon, authenticated;
+revoke all on function public.get_leaderboard(text, text, uuid, timestamptz, integer, integer, integer) from public, anon, authenticated;
+revoke all on function public.get_leaderboard_movers(timestamptz, text[], text, text, uuid, integer, integer) from public, anon, authenticated;
+grant select on public.leaderboard_entries to service_role;
+grant execute on function public.refresh_leaderboards(integer) to service_role;
+grant execute on function public.get_leaderboard(text, text, uuid, timestamptz, integer, integer, integer) to service_role;
+grant execute on function public.get_leaderboard_movers(timestamptz, text[], text, text, uuid, integer, integer) to service_role;
@@ -0,0 +1,281 @@
+-- Rating history. Every change to a ladder rating (`profiles.elo_rating`) or a
+-- format rating (`format_ratings.rating`) is recorded by trigger, so no
+-- writer can skip it: match and series resolution, abandon penalties, the
+-- "vs AI" spar rating and season resets alike. The resolution functions tag
+-- the transaction with the match or series they are rating; changes made
+-- without a tag are stored as 'adjustment' rows.
+
+create table if not exists public.rating_history (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  -- 'Overall' for the main ladder, the format_ratings key otherwise.
+  rating_key text not null,
+  rating integer not null,
+  change integer,
+  rating_deviation numeric,
+  reason text not null default 'adjustment' check (reason in ('match', 'series', 'abandon', 'adjustment')),
+  match_id uuid references public.matches(id) on delete set null,
+  series_id uuid references public.match_series(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rating_history_user_key_idx on public.rating_history(user_id, rating_key, created_at);
+create index if not exists rating_history_match_idx on public.rating_history(match_id) where match_id is not null;
+
+alter table public.rating_history enable row level security;
+
+-- Reads the tag set by `tag_rating_change` for the current transaction.
+create or replace function public.insert_rating_history(
+  p_user_id uuid,
+  p_rating_key text,
+  p_rating integer,
+  p_change integer,
+  p_rd numeric
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.rating_history (user_id, rating_key, rating, change, rating_deviation, reason, match_id, series_id)
+  values (
+    p_user_id, p_rating_key, p_rating, p_change, round(p_rd),
+    coalesce(nullif(current_setting('arena.rating_reason', true), ''), 'adjustment'),
+    nullif(current_setting('arena.rating_match_id', true), '')::uuid,
+    nullif(current_setting('arena.rating_series_id', true), '')::uuid
+  );
+end;
+$$;
+
+create or replace function public.tag_rating_change(p_reason text, p_match_id uuid default null, p_series_id uuid default null)
+returns void
+language sql
+as $$
+  select set_config('arena.rating_reason', coalesce(p_reason, ''), true),
+    set_config('arena.rating_match_id', coalesce(p_match_id::text, ''), true),
+    set_config('arena.rating_series_id', coalesce(p_series_id::text, ''), true);
+$$;
+
+create or replace function public.record_profile_rating_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.insert_rating_history(new.id, 'Overall', new.elo_rating, new.elo_rating - old.elo_rating, new.glicko_rd);
+  return null;
+end;
+$$;
+
+-- A format rating is first written either as an unplayed default row (which
+-- the rating update then changes) or already rated by the "vs AI" upsert.
+create or replace function public.record_format_rating_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.insert_rating_history(
+    new.user_id, new.format_key, new.rating,
+    case when tg_op = 'UPDATE' then new.rating - old.rating else new.rating - 1000 end,
+    new.rd
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists profiles_rating_history on public.profiles;
+create trigger profiles_rating_history
+  after update of elo_rating on public.profiles
+  for each row when (old.elo_rating is distinct from new.elo_rating and new.elo_rating is not null)
+  execute function public.record_profile_rating_history();
+
+drop trigger if exists format_ratings_history_insert on public.format_ratings;
+create trigger format_ratings_history_insert
+  after insert on public.format_ratings
+  for each row when (new.matches_played > 0)
+  execute function public.record_format_rating_history();
+
+drop trigger if exists format_ratings_history_update on public.format_ratings;
+create trigger format_ratings_history_update
+  after update of rating on public.format_ratings
+  for each row when (old.rating is distinct from new.rating)
+  execute function public.record_format_rating_history();
+
+-- Seed the ladder history from the rating changes already stored on matches
+-- and series, walking back from each player's current rating.
+insert into public.rating_history (user_id, rating_key, rating, change, reason, match_id, series_id, created_at)
+select player_id, 'Overall',
+  current_rating - coalesce(sum(change) over (
+    partition by player_id order by happened_at desc, id
+    rows between unbounded preceding and 1 preceding
+  ), 0),
+  change, reason, match_id, series_id, happened_at
+from (
+  select games.*, coalesce(p.elo_rating, 1200) as current_rating
+  from (
+    select m.critic_id as player_id, m.elo_change_critic as change, m.id, m.id as match_id, null::uuid as series_id,
+      case when m.status = 'abandoned' then 'abandon' else 'match' end as reason,
+      coalesce(m.resolved_at, m.created_at) as happened_at
+    from public.matches m
+    where m.status in ('completed', 'abandoned') and m.ai_side is null and m.elo_change_critic is not null
+    union all
+    select m.defender_id, m.elo_change_defender, m.id, m.id, null,
+      case when m.status = 'abandoned' then 'abandon' else 'match' end,
+      coalesce(m.resolved_at, m.created_at)
+    from public.matches m
+    where m.status in ('completed', 'abandoned') and m.ai_side is null and m.elo_change_defender is not null
+    union all
+    select s.player_a_id, s.elo_change_a, s.id, null, s.id, 'series', s.completed_at
+    from public.match_series s
+    where s.status = 'completed' and s.elo_change_a is not null and s.completed_at is not null
+    union all
+    select s.player_b_id, s.elo_change_b, s.id, null, s.id, 'series', s.completed_at
+    from public.match_series s
+    where s.status = 'completed' and s.elo_change_b is not null and s.completed_at is not null
+  ) games
+  join public.profiles p on p.id = games.player_id
+) history
+where not exists (select 1 from public.rating_history);
+
+-- As in migration 016; both now tag the rating changes they make.
+create or replace function public.resolve_match_service(
+  p_match_id uuid,
+  p_s_critic numeric,
+  p_winner_id uuid,
+  p_rating_formats text[] default '{}',
+  p_rated boolean default true,
+  p_ai_rating integer default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_match public.matches%rowtype;
+  v_change_critic integer;
+  v_change_defender integer;
+  v_player uuid;
+  v_current public.format_ratings%rowtype;
+  v_next record;
+begin
+  if p_s_critic is null or p_s_critic not in (0, 0.5, 1) then raise exception 'Invalid result'; end if;
+  select * into v_match from public.matches where id = p_match_id for update;
+  if not found then raise exception 'Match not found'; end if;
+  if v_match.status = 'completed' then
+    return jsonb_build_object(
+      'resolved', false,
+      'winner_id', v_match.winner_id,
+      'elo_change_critic', v_match.elo_change_critic,
+      'elo_change_defender', v_match.elo_change_defender
+    );
+  end if;
+  if v_match.status <> 'pending_votes' then raise exception 'Match is not awaiting resolution'; end if;
+
+  perform public.tag_rating_change('match', p_match_id);
+  update public.matches set status = 'completed', winner_id = p_winner_id, resolved_at = now()
+    where id = p_match_id;
+
+  if v_match.ai_side is not null then
+    v_player := coalesce(v_match.critic_id, v_match.defender_id);
+    insert into public.format_ratings (user_id, format_key) values (v_player, 'vs AI')
+      on conflict (user_id, format_key) do nothing;
+    select * into v_current from public.format_ratings
+      where user_id = v_player and format_key = 'vs AI' for update;
+    select * into v_next from public.glicko2_rate(
+      v_current.rating, v_current.rd, v_current.volatility, v_current.updated_at,
+      coalesce(p_ai_rating, 1200), 50,
+      case when v_match.ai_side = 'Defender' then p_s_critic else 1 - p_s_critic end
+    );
+    update public.format_ratings set
+      rating = v_next.rating,
+      rd = v_next.rd,
+      volatility = v_next.volatility,
+      matches_played = matches_played + 1,
+      peak_rating = greatest(peak_rating, v_next.rating),
+      updated_at = now()
+    where id = v_current.id;
+    if v_match.ai_side = 'Defender' then
+      v_change_critic := v_next.rating - v_current.rating;
+    else
+      v_change_defender := v_next.rating - v_current.rating;
+    end if;
+  elsif p_rated then
+    select change_a, change_b into v_change_critic, v_change_defender
+      from public.apply_head_to_head_glicko(v_match.critic_id, v_match.defender_id, p_s_critic, p_rating_formats);
+  end if;
+
+  update public.matches set
+    elo_change_critic = v_change_critic,
+    elo_change_defender = v_change_defender
+  where id = p_match_id;
+
+  return jsonb_build_object(
+    'resolved', true,
+    'winner_id', p_winner_id,
+    'elo_change_critic', v_change_critic,
+    'elo_change_defender', v_change_defender
+  );
+end;
+$$;
+
+create or replace function public.rate_series_service(
+  p_series_id uuid,
+  p_a_score numeric,
+  p_b_score numeric,
+  p_games_played integer,
+  p_s_a numeric,
+  p_winner_id uuid,
+  p_rating_formats text[] default '{}'
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series public.match_series%rowtype;
+  v_change_a integer;
+  v_change_b integer;
+begin
+  if p_s_a is null or p_s_a not in (0, 0.5, 1) then raise exception 'Invalid result'; end if;
+  select * into v_series from public.match_series where id = p_series_id for update;
+  if not found then raise exception 'Series not found'; end if;
+  if v_series.status <> 'active' then
+    return jsonb_build_object(
+      'resolved', false,
+      'winner_id', v_series.winner_id,
+      'elo_change_a', v_series.elo_change_a,
+      'elo_change_b', v_series.elo_change_b
+    );
+  end if;
+
+  perform public.tag_rating_change('series', null, p_series_id);
+  select change_a, change_b into v_change_a, v_change_b
+    from public.apply_head_to_head_glicko(v_series.player_a_id, v_series.player_b_id, p_s_a, p_rating_formats);
+
+  update public.match_series set
+    a_score = p_a_score,
+    b_score = p_b_score,
+    games_played = p_games_played,
+    status = 'completed',
+    winner_id = p_winner_id,
+    completed_at = now(),
+    elo_change_a = v_change_a,
+    elo_change_b = v_change_b
+  where id = p_series_id;
+
+  return jsonb_build_object(
+    'resolved', true,
+    'winner_id', p_winner_id,
+    'elo_change_a', v_change_a,
+    'elo_change_b', v_change_b
+  );
+end;
+$$;
+
+revoke all on public.rating_history from public, anon, authenticated;
+revoke all on function public.insert_rating_history(uuid, text, integer, integer, numeric) from public, anon, authenticated;
+revoke all on function public.tag_rating_change(text, uuid, uuid) from public, anon, authenticated;
+grant select, update on public.rating_history to service_role;
@@ -0,0 +1,91 @@
+-- Rating integrity. The backend analyzer (backend/lib/ratingIntegrity.js)
+-- files suspected win trading, rating dumping and alt accounts into the
+-- moderation queue as reports without a human reporter, and can freeze the
+-- ladder ratings of the players involved until a moderator resolves the
+-- report. A game involving a frozen player is not rated for either side.
+
+alter table public.moderation_reports
+  alter column reporter_id drop not null,
+  add column if not exists source text not null default 'user',
+  add column if not exists integrity_case text,
+  add column if not exists integrity_key text,
+  add column if not exists integrity_score numeric;
+
+alter table public.moderation_reports
+  drop constraint if exists moderation_reports_source_check;
+alter table public.moderation_reports
+  add constraint moderation_reports_source_check
+  check (source in ('user', 'integrity') and (source = 'integrity' or reporter_id is not null));
+
+-- One open report per case, and a case reviewed at a given match is not
+-- filed again until a newer match joins it.
+create unique index if not exists moderation_reports_open_case_idx
+  on public.moderation_reports(integrity_case)
+  where integrity_case is not null and status in ('open', 'triaged');
+create unique index if not exists moderation_reports_integrity_key_idx
+  on public.moderation_reports(integrity_key)
+  where integrity_key is not null;
+
+alter table public.profiles
+  add column if not exists rating_frozen_at timestamptz,
+  add column if not exists rating_frozen_report_id uuid references public.moderation_reports(id) on delete set null;
+
+create index if not exists profiles_rating_frozen_report_idx
+  on public.profiles(rating_frozen_report_id) where rating_frozen_report_id is not null;
+
+-- As in migration 016, except that nothing is rated while either player's
+-- rating is frozen; both changes are then null.
+create or replace function public.apply_head_to_head_glicko(
+  p_player_a uuid,
+  p_player_b uuid,
+  p_s_a numeric,
+  p_rating_formats text[],
+  out change_a integer,
+  out change_b integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_a public.profiles%rowtype;
+  v_b public.profiles%rowtype;
+  v_next_a record;
+  v_next_b record;
+  v_format text;
+begin
+  -- Lock in id order so two resolutions sharing a player cannot deadlock.
+  perform 1 from public.profiles where id in (p_player_a, p_player_b) order by id for update;
+  select * into v_a from public.profiles where id = p_player_a;
+  select * into v_b from public.profiles where id = p_player_b;
+  if v_a.rating_frozen_at is not null or v_b.rating_frozen_at is not null then return; end if;
+
+  select * into v_next_a from public.glicko2_rate(
+    coalesce(v_a.elo_rating, 1200), v_a.glicko_rd, v_a.glicko_volatility, v_a.rating_updated_at,
+    coalesce(v_b.elo_rating, 1200), public.glicko2_decayed_rd(v_b.glicko_rd, v_b.glicko_volatility, v_b.rating_updated_at), p_s_a
+  );
+  select * into v_next_b from public.glicko2_rate(
+    coalesce(v_b.elo_rating, 1200), v_b.glicko_rd, v_b.glicko_volatility, v_b.rating_updated_at,
+    coalesce(v_a.elo_rating, 1200), public.glicko2_decayed_rd(v_a.glicko_rd, v_a.glicko_volatility, v_a.rating_updated_at), 1 - p_s_a
+  );
+  change_a := v_next_a.rating - coalesce(v_a.elo_rating, 1200);
+  change_b := v_next_b.rating - coalesce(v_b.elo_rating, 1200);
+
+  update public.profiles set
+    elo_rating = v_next_a.rating,
+    glicko_rd = v_next_a.rd,
+    glicko_volatility = v_next_a.volatility,
+    rating_updated_at = now()
+  where id = p_player_a;
+  update public.profiles set
+    elo_rating = v_next_b.rating,
+    glicko_rd = v_next_b.rd,
+    glicko_volatility = v_next_b.volatility,
+    rating_updated_at = now()
+  where id = p_player_b;
+
+  for v_format in select distinct unnest(p_rating_formats) loop
+    perform public.apply_format_glicko(p_player_a, p_player_b, p_s_a, v_format);
+  end loop;
+end;
+$$;
@@ -0,0 +1,11 @@
+-- Argument maps. When a match ends, while the judges run, the backend
+-- (backend/lib/argumentMap.js) stores a claim/support/attack graph of its
+-- transcript here: nodes reference transcript message ids, edges record
+-- support, rebuttal and concession, and `dropped` lists, per side, the
+-- opposing points that side never answered. Null until the map is built.
+
+alter table public.matches
+  add column if not exists argument_map jsonb;
+
+comment on column public.matches.argument_map is
+  'Post-match argument graph: {version, mode, nodes[{id,message_id,side,kind,text,turn,status}], edges[{from,to,type}], dropped{side:[node ids]}, generated_at}.';
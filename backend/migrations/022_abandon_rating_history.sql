@@ -0,0 +1,51 @@
+-- Abandon penalties. The server computes them (a walk-out is not judged),
+-- but writes them through this function so the rating_history rows their
+-- updates trigger are tagged 'abandon' for the match inside the same
+-- transaction, like match and series resolution in migration 019. Relinking
+-- 'adjustment' rows by time afterwards could claim a concurrent adjustment.
+create or replace function public.apply_abandon_ratings_service(
+  p_match_id uuid,
+  p_profiles jsonb default '[]'::jsonb,
+  p_format_rating jsonb default null
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.tag_rating_change('abandon', p_match_id);
+
+  update public.profiles p set
+    elo_rating = r.elo_rating,
+    glicko_rd = r.glicko_rd,
+    glicko_volatility = r.glicko_volatility,
+    rating_updated_at = r.rating_updated_at
+  from jsonb_to_recordset(coalesce(p_profiles, '[]'::jsonb)) as r(
+    user_id uuid, elo_rating integer, glicko_rd numeric, glicko_volatility numeric, rating_updated_at timestamptz
+  )
+  where p.id = r.user_id;
+
+  -- The "vs AI" rating of a player who walked out of an AI spar.
+  if p_format_rating is not null then
+    insert into public.format_ratings (user_id, format_key, rating, rd, volatility, matches_played, peak_rating, updated_at)
+    select r.user_id, r.format_key, r.rating, r.rd, r.volatility, r.matches_played, r.peak_rating, r.updated_at
+    from jsonb_to_record(p_format_rating) as r(
+      user_id uuid, format_key text, rating integer, rd numeric, volatility numeric,
+      matches_played integer, peak_rating integer, updated_at timestamptz
+    )
+    on conflict (user_id, format_key) do update set
+      rating = excluded.rating,
+      rd = excluded.rd,
+      volatility = excluded.volatility,
+      matches_played = excluded.matches_played,
+      peak_rating = excluded.peak_rating,
+      updated_at = excluded.updated_at;
+  end if;
+end;
+$$;
+
+-- History rows are no longer rewritten after the fact.
+revoke update on public.rating_history from service_role;
+
+revoke all on function public.apply_abandon_ratings_service(uuid, jsonb, jsonb) from public, anon, authenticated;
+grant execute on function public.apply_abandon_ratings_service(uuid, jsonb, jsonb) to service_role;
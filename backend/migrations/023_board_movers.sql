@@ -0,0 +1,73 @@
+-- Movers per board. Migration 018 summed the ladder `elo_change` on every
+-- board and only filtered the matches by format or topic domain, so a format
+-- or domain board showed ladder movement. Those boards now sum their own
+-- rating's changes from `rating_history` (migration 019); the ladder keeps
+-- the per-match changes on `matches`. `p_board` replaces the format keys and
+-- domain arguments.
+
+drop function if exists public.get_leaderboard_movers(timestamptz, text[], text, text, uuid, integer, integer);
+
+create or replace function public.get_leaderboard_movers(
+  p_since timestamptz,
+  p_board text default 'Overall',
+  p_region text default null,
+  p_club_id uuid default null,
+  p_limit integer default 25,
+  p_offset integer default 0
+) returns table (
+  rank bigint,
+  user_id uuid,
+  username text,
+  region text,
+  rating integer,
+  rating_change bigint,
+  matches_played bigint,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with changes as (
+    select m.critic_id as player_id, m.elo_change_critic as change
+    from public.matches m
+    where p_board = 'Overall' and m.status = 'completed' and m.ai_side is null and m.resolved_at >= p_since
+    union all
+    select m.defender_id, m.elo_change_defender
+    from public.matches m
+    where p_board = 'Overall' and m.status = 'completed' and m.ai_side is null and m.resolved_at >= p_since
+    union all
+    -- Rated results only: abandon penalties and adjustments are not movement
+    -- earned on the board, and spars against the AI never count.
+    select h.user_id, h.change
+    from public.rating_history h
+    left join public.matches m on m.id = h.match_id
+    where p_board <> 'Overall' and h.rating_key = p_board and h.created_at >= p_since
+      and h.reason in ('match', 'series') and m.ai_side is null
+  ),
+  totals as (
+    select player_id, sum(coalesce(change, 0)) as rating_change, count(*) as matches_played
+    from changes
+    where player_id is not null
+    group by player_id
+  )
+  select row_number() over (order by t.rating_change desc, t.matches_played desc, p.id) as rank,
+    p.id, p.username, p.region,
+    case when p_board = 'Overall' then coalesce(p.elo_rating, 1200) else coalesce(fr.rating, 1000) end,
+    t.rating_change, t.matches_played,
+    count(*) over () as total_count
+  from totals t
+  join public.profiles p on p.id = t.player_id
+  left join public.format_ratings fr on fr.user_id = p.id and fr.format_key = p_board
+  where (p_region is null or p.region = p_region)
+    and (p_club_id is null or exists (
+      select 1 from public.club_members cm where cm.club_id = p_club_id and cm.user_id = p.id
+    ))
+  order by t.rating_change desc, t.matches_played desc, p.id
+  limit least(100, greatest(1, coalesce(p_limit, 25)))
+  offset greatest(0, coalesce(p_offset, 0));
+$$;
+
+revoke all on function public.get_leaderboard_movers(timestamptz, text, text, uuid, integer, integer) from public, anon, authenticated;
+grant execute on function public.get_leaderboard_movers(timestamptz, text, text, uuid, integer, integer) to service_role;
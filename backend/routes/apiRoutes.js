@@ -3,6 +3,7 @@ import multer from 'multer';
 import { createHandleDebateUpload } from '../controllers/documentCtrl.js';
 import { createDailyAllowance, createRateLimit } from '../lib/rateLimit.js';
 import { launchAiLimits, launchAllowanceMessages } from '../lib/launchLimits.js';
+import { sharedLlmClient } from '../lib/llmProviders.js';
 import { recordAiAllowance } from '../lib/observability.js';
 import { freeSttConfig, getFreeSttStatus, transcribeAudioBuffer } from '../services/freeSttClient.js';
 import { assertEvidenceDocumentOwnership } from '../services/ai/supabaseVectorStore.js';
@@ -43,9 +44,12 @@ export const createAuthenticateMiddleware = (supabase) => async (req, res, next)
   }
 };
 
-export default function createApiRoutes({ supabase, ttsService = createPollyService() }) {
+export default function createApiRoutes({ supabase, llm = sharedLlmClient(), ttsService = createPollyService() }) {
   const router = express.Router();
   const authenticate = createAuthenticateMiddleware(supabase);
+  // Evidence Arena debates are metered whenever the `agents` feature has a
+  // configured provider, not only when it is Gemini.
+  const skipUnmetered = () => !llm.configured('agents');
   const handleDebateUpload = createHandleDebateUpload({ supabase });
   const userAllowance = ({ name, max, message, skip }) => createDailyAllowance({
     name,
@@ -81,13 +85,13 @@ export default function createApiRoutes({ supabase, ttsService = createPollyServ
       name: 'evidence-arena-user',
       max: launchAiLimits.evidencePerUser,
       message: launchAllowanceMessages.evidence,
-      skip: () => !process.env.GOOGLE_API_KEY,
+      skip: skipUnmetered,
     }),
     globalAllowance({
       name: 'evidence-arena-global',
       max: launchAiLimits.evidenceGlobal,
       message: launchAllowanceMessages.globalEvidence,
-      skip: () => !process.env.GOOGLE_API_KEY,
+      skip: skipUnmetered,
     }),
     handleDebateUpload,
   );
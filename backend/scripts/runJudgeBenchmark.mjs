@@ -1,6 +1,6 @@
 import { readFile } from 'fs/promises';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import 'dotenv/config';
+import { createLlmClient } from '../lib/llmProviders.js';
 
 const dataset = JSON.parse(await readFile(new URL('../benchmarks/judge-calibration.json', import.meta.url), 'utf8'));
 const dryRun = process.argv.includes('--dry-run');
@@ -18,9 +18,11 @@ if (dryRun) {
   process.exit(0);
 }
 
-if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is required for a measured benchmark run');
-const modelName = process.env.JUDGE_BENCHMARK_MODEL || 'gemini-2.5-flash';
-const model = new GoogleGenerativeAI(process.env.GEMINI_API_KEY).getGenerativeModel({ model: modelName, generationConfig: { responseMimeType: 'application/json', temperature: 0 } });
+// The benchmark measures the production judge provider; JUDGE_BENCHMARK_MODEL
+// still overrides just the model.
+const llm = createLlmClient({ env: { ...process.env, LLM_JUDGE_MODEL: process.env.JUDGE_BENCHMARK_MODEL || process.env.LLM_JUDGE_MODEL } });
+const { provider, model: modelName } = llm.describe('judge');
+if (!llm.configured('judge')) throw new Error(`The ${provider} judge provider must be configured for a measured benchmark run`);
 
 const lenses = [
   'formal logic, causal reasoning, and internal consistency',
@@ -33,8 +35,7 @@ const generateBatch = async (lens) => {
   const prompt = `You are one independent member of a blind three-judge debate calibration panel. Focus on ${lens}. Ignore fluency, accent proxies, ideology, speaker order, vocabulary, and verbosity. Judge every case independently. Return only JSON {"verdicts":[{"id":"case id","winner":"critic"|"defender"|"draw","confidence":0.0}]}. Include exactly one verdict for every supplied case.\n\n${caseText}`;
   for (let attempt = 0; attempt < 3; attempt += 1) {
     try {
-      const result = await model.generateContent(prompt);
-      const parsed = JSON.parse(result.response.text().replace(/```json|```/gi, '').trim());
+      const parsed = await llm.generate('judge', prompt, { maxRetries: 1, temperature: 0 });
       const verdicts = Array.isArray(parsed) ? parsed : parsed.verdicts;
       if (!Array.isArray(verdicts) || verdicts.length !== cases.length) throw new Error(`Judge returned ${verdicts?.length || 0}/${cases.length} verdicts`);
       return new Map(verdicts.map(verdict => [verdict.id, {
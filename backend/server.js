@@ -38,55 +38,12 @@ const ENABLE_ADVANCED_AI = process.env.ENABLE_ADVANCED_AI !== 'false'; // Toggle
 
 import './auto_seed.js';
 
-// Import Google Generative AI for debate evaluation
-import { GoogleGenerativeAI } from '@google/generative-ai';
+// Every model call goes through the per-feature LLM client, which picks the
+// provider (Gemini, an OpenAI-compatible endpoint, Ollama or the test stub)
+// from LLM_* settings and shares retries, JSON repair and metrics.
+import { sharedLlmClient } from './lib/llmProviders.js';
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-/**
- * Robust Google Gemini API Wrapper
- * Implements Exponential Backoff Retries and safe JSON parsing.
- */
-async function generateWithRetry(prompt, maxRetries = 3, expectJson = true) {
-  let attempt = 0;
-  const mode = expectJson ? 'json' : 'text';
-  const startedAt = Date.now();
-
-  while (attempt < maxRetries) {
-    try {
-      const model = genAI.getGenerativeModel({
-        model: "gemini-2.5-flash",
-        generationConfig: expectJson ? { responseMimeType: "application/json" } : {}
-      });
-      const result = await model.generateContent(prompt);
-      const text = result.response.text();
-
-      if (!expectJson) {
-        recordAiRequest({ status: 'success', mode, durationSeconds: (Date.now() - startedAt) / 1000 });
-        return text;
-      }
-
-      // Safe JSON parse
-      const cleanText = text.replace(/```json/gi, '').replace(/```/g, '').trim();
-      const match = cleanText.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
-      if (!match) throw new Error("No JSON found in response");
-
-      const parsed = JSON.parse(match[0]);
-      recordAiRequest({ status: 'success', mode, durationSeconds: (Date.now() - startedAt) / 1000 });
-      return parsed;
-    } catch (err) {
-      attempt++;
-      console.error(`[AI Helper] Gemini call failed (attempt ${attempt}/${maxRetries}):`, err.message);
-      if (attempt >= maxRetries) {
-        recordAiRequest({ status: 'failure', mode, durationSeconds: (Date.now() - startedAt) / 1000 });
-        throw err;
-      }
-      // Exponential backoff
-      await new Promise(res => setTimeout(res, 1000 * Math.pow(2, attempt)));
-    }
-  }
-}
+const llm = sharedLlmClient();
 
 /**
  * Debate Topic Pool
@@ -124,8 +81,63 @@ import { supabase } from './lib/supabaseClient.js';
 import { analyzeCognitiveTurn, extractCognitiveInsights } from './lib/cognitiveEngine.js';
 import { computeReasoningProfile } from './lib/reasoningProfile.js';
 import { buildDebateHighlights, computeCohortPercentile } from './lib/platformWorkflows.js';
-import { JUDGE_PANEL, runBlindJudgePanel } from './lib/judgePanel.js';
+import { JUDGE_PANEL, resolveJudgeSeats, runBlindJudgePanel } from './lib/judgePanel.js';
+import { condenseTranscript, condensedTranscriptText } from './lib/transcriptDigest.js';
+import { storeArgumentMap } from './lib/argumentMap.js';
 import { createRealtimeCoordinator } from './lib/realtimeState.js';
+import { createMatchEventLog } from './lib/matchEventLog.js';
+import {
+  AI_OPPONENT_SOCKET,
+  VS_AI_RATING_FORMAT,
+  aiFallbackInSeconds,
+  aiSideFor,
+  aiRatingFor,
+  aiSparring,
+  buildAiTurnPrompt,
+  buildLocalAiTurn,
+  fitAiTurn,
+  shouldOfferAiOpponent,
+  vsAiRatingUpdate,
+} from './lib/aiSparring.js';
+import { resolveSparringProfile } from './lib/sparringPersonas.js';
+import { acceptDraw, DECIDED_ENDINGS, offerDraw, resignationResult } from './lib/matchEndings.js';
+import { buildResolutionArgs, buildSeriesRatingArgs, resolveVerdict } from './lib/matchResolution.js';
+import { decayedRd, glicko2Update, profileRating, profileRatingFields } from './lib/glicko2.js';
+import { createSeasonScheduler } from './lib/seasons.js';
+import { inferRatingDomain } from './lib/ratingDomains.js';
+import { createLeaderboardRefresher } from './lib/leaderboards.js';
+import { createRatingIntegrityMonitor } from './lib/ratingIntegrity.js';
+import { createCredentialIssuer } from './lib/credentials.js';
+import { buildSeriesInsert, isRatedAsSet, normalizeBestOf, seriesStanding } from './lib/matchSeries.js';
+import { buildRematchInsert, checkRematchEligibility, createRematchOffer, isLiveRematchOffer, launchLinkedRematch } from './lib/rematch.js';
+import {
+  DEFAULT_FORMAT_KEY,
+  applyTurnToClock,
+  createFormatState,
+  formatClockState,
+  isDebateFormat,
+  resolveDebateFormat,
+  tickFormatClock,
+} from './lib/debateFormats.js';
+import { advancePhaseState, describeNextTurn, expirePendingQuestion, resolveTurnPhase } from './lib/debatePhases.js';
+import { recordTurnAttempt, validateTurn } from './lib/turnValidation.js';
+import {
+  callTacticalTimeout,
+  isRoomPaused,
+  pauseSnapshot,
+  requestMutualPause,
+  respondToPauseRequest,
+  resumeFromPause,
+} from './lib/roomPauses.js';
+import {
+  ANY_ARENA_QUEUE,
+  acceptableTopics,
+  findOpponentIndex,
+  matchmakingBands,
+  negotiateTopic,
+  pairWaitingPlayers,
+  searchBand,
+} from './lib/matchmaking.js';
 import {
   consumeDailyAllowance,
   createDailyAllowance,
@@ -138,12 +150,12 @@ import {
   metricsHandler,
   observeHttpRequests,
   recordAiAllowance,
-  recordAiRequest,
   recordAlertReceived,
   recordCognitiveInsight,
   recordMatchEvent,
   recordSocketConnection,
   recordSocketEvent,
+  recordTurnRejection,
   setRuntimeGauges,
 } from './lib/observability.js';
 
@@ -186,14 +198,39 @@ async function refreshReasoningProfiles(matchId) {
   }
 }
 
+// Each judge seat may run on its own provider and model (JUDGE_PANEL_MODELS).
+const judgeSeats = resolveJudgeSeats(llm);
+
+/**
+ * The summary model for an argument map, drawn from the same global capacity
+ * as /api/matches/:id/summary. No player asked for the map, so no per-user
+ * allowance is spent; once capacity runs out the map falls back to the
+ * heuristic graph.
+ */
+async function argumentMapModel() {
+  if (!ENABLE_ADVANCED_AI || !llm.configured('summary')) return null;
+  const result = await consumeDailyAllowance({ bucketKey: 'match-summary-global-daily:all-users', max: launchAiLimits.summariesGlobal, now: Date.now() });
+  recordAiAllowance({ feature: 'match-summary-global-daily', outcome: result.allowed ? 'allowed' : 'blocked', scope: 'global', mode: result.mode });
+  return result.allowed ? llm.forFeature('summary') : null;
+}
+
 async function evaluateDebate(transcript, matchId) {
+  // Post-match argument map for the review page, built while the judges run.
+  // Not awaited: series games and AI spars resolve once this evaluation
+  // settles, and the map must not hold that up or fail it.
+  argumentMapModel()
+    .then(generate => storeArgumentMap({ supabase, matchId, transcript, generate }))
+    .catch(mapError => console.warn('[ArgumentMap] Map not stored:', mapError.message));
+
   try {
     // Ranked 1v1 and competitive 2v2 share this exact blind, independent,
     // three-lens judging implementation and median aggregation.
     const { verdicts: panelVerdicts, scores: aiResponse } = await runBlindJudgePanel({
       transcript,
-      generate: generateWithRetry,
-      advancedAi: ENABLE_ADVANCED_AI,
+      generate: llm.forFeature('judge'),
+      summarize: llm.forFeature('summary'),
+      seats: judgeSeats,
+      advancedAi: ENABLE_ADVANCED_AI && judgeSeats.every(seat => llm.configured('judge', seat)),
       allowFallback: true,
       sideKeys: ['critic', 'defender'],
       sideLabels: ['the critic position', 'the defender position'],
@@ -252,40 +289,164 @@ async function evaluateDebate(transcript, matchId) {
  * AI / Audience Auto-Resolve Match Engine
  * Resolves a match officially by calculating Elo and persisting the winner.
  */
-// In-memory set to prevent double-processing of the same match
+// In-memory set to skip duplicate work on this instance; across instances
+// `resolve_match_service` makes a second resolution a no-op.
 const resolvingMatches = new Set();
 
-const inferRatingDomain = (topic = '') => {
-  const value = topic.toLowerCase();
-  if (/\b(ai|technology|software|internet|digital|robot|crypto)\b/.test(value)) return 'Technology';
-  if (/\b(election|government|policy|democracy|law|rights)\b/.test(value)) return 'Politics & Policy';
-  if (/\b(ethic|moral|truth|free will|consciousness|meaning)\b/.test(value)) return 'Philosophy';
-  if (/\b(econom|market|capital|trade|tax|wealth)\b/.test(value)) return 'Economics';
-  if (/\b(science|climate|space|genetic|health|medicine)\b/.test(value)) return 'Science';
-  return 'Open';
-};
+// The format and topic-domain ratings a head-to-head result also moves.
+const ratingFormatsFor = (topic, debateFormatKey = DEFAULT_FORMAT_KEY) => [
+  resolveDebateFormat(debateFormatKey).ratingFormat,
+  inferRatingDomain(topic),
+];
 
-async function updateFormatRatings(userId, eloDelta, topic) {
-  if (!userId) return;
-  const formats = ['Ranked Classic', inferRatingDomain(topic)];
+/**
+ * Applies abandoned AI spar `matchId` (`score` 1, 0.5 or 0 for the player) to
+ * the player's "vs AI" format rating, measured against the rating of the
+ * difficulty they chose, and returns the change. Finished spars are rated by
+ * `resolve_match_service` instead. The main Elo and the format and domain
+ * ratings are left alone.
+ */
+async function rateAgainstAi({ userId, score, difficulty, matchId }) {
+  if (!userId) return 0;
   try {
-    for (const formatKey of formats) {
-      const { data: current } = await supabase.from('format_ratings').select('*').eq('user_id', userId).eq('format_key', formatKey).maybeSingle();
-      const rating = Math.max(100, Number(current?.rating || 1000) + eloDelta);
-      await supabase.from('format_ratings').upsert({
-        user_id: userId,
-        format_key: formatKey,
-        rating,
-        matches_played: Number(current?.matches_played || 0) + 1,
-        peak_rating: Math.max(Number(current?.peak_rating || 1000), rating),
-        updated_at: new Date().toISOString(),
-      }, { onConflict: 'user_id,format_key' });
-    }
+    // A rating frozen pending an integrity review leaves the spar unrated.
+    // Before migration 020 the column is missing and nothing is frozen.
+    const { data: profile } = await supabase.from('profiles').select('rating_frozen_at').eq('id', userId).maybeSingle();
+    if (profile?.rating_frozen_at) return 0;
+    const { data: current } = await supabase.from('format_ratings').select('*').eq('user_id', userId).eq('format_key', VS_AI_RATING_FORMAT).maybeSingle();
+    const { rating, rd, volatility, change } = vsAiRatingUpdate({
+      rating: Number(current?.rating || 1000),
+      rd: current?.rd,
+      volatility: current?.volatility,
+      ratedAt: current?.updated_at,
+      aiRating: aiRatingFor(difficulty),
+      score,
+    });
+    const row = {
+      user_id: userId,
+      format_key: VS_AI_RATING_FORMAT,
+      rating,
+      rd,
+      volatility,
+      matches_played: Number(current?.matches_played || 0) + 1,
+      peak_rating: Math.max(Number(current?.peak_rating || 1000), rating),
+      updated_at: new Date().toISOString(),
+    };
+    await writeAbandonRatings(matchId, { formatRating: row });
+    return change;
   } catch (error) {
-    console.warn('[Format Ratings] Optional update skipped:', error.message);
+    console.warn('[AI Sparring] vs AI rating update skipped:', error.message);
+    return 0;
   }
 }
 
+/**
+ * Logs a finished AI spar as a practice session so it counts towards the
+ * player's progress at that persona and difficulty. Skipped quietly when
+ * migration 014 has not been applied.
+ */
+async function recordAiSparSession({ match, userId, score, change }) {
+  if (!userId || !match.ai_persona) return;
+  const { error } = await supabase.from('practice_sessions').insert({
+    user_id: userId,
+    session_type: 'ai_arena',
+    persona: match.ai_persona,
+    difficulty: match.ai_difficulty,
+    topic: match.topic_title || match.topic,
+    transcript: (match.transcript || []).slice(-30),
+    scores: { result: score === 1 ? 'win' : score === 0 ? 'loss' : 'draw', rating_change: change, match_id: match.id },
+  });
+  if (error) console.warn('[AI Sparring] Practice session not recorded:', error.message);
+}
+
+/**
+ * Writes abandon penalties through `apply_abandon_ratings_service`
+ * (migration 022), which tags its own transaction so the rating_history rows
+ * the updates trigger are recorded as 'abandon' for `matchId`. `profiles` are
+ * `{ user_id, ...profileRatingFields }` rows; `formatRating` is a
+ * format_ratings row.
+ */
+async function writeAbandonRatings(matchId, { profiles = [], formatRating = null }) {
+  if (!profiles.length && !formatRating) return;
+  const { error } = await supabase.rpc('apply_abandon_ratings_service', {
+    p_match_id: matchId,
+    p_profiles: profiles,
+    p_format_rating: formatRating,
+  });
+  if (error) throw error;
+}
+
+// Reaches every socket a user has open, on any instance. Returns whether the
+// user has a socket on this one.
+function emitToUser(targetUserId, event, data) {
+  io.to(`user:${targetUserId}`).emit(event, data);
+  return getUserSocketIds(targetUserId).length > 0;
+}
+
+/**
+ * Best-of series bookkeeping. The series row carries the running score; when
+ * a side can no longer be caught `rate_series_service` closes the series and
+ * applies its single Elo update in one transaction (migration 015).
+ */
+async function loadMatchSeries(seriesId) {
+  if (!seriesId) return null;
+  const { data, error } = await supabase.from('match_series').select('*').eq('id', seriesId).maybeSingle();
+  // Before migration 012 series ids point at matches; treat them as open chains.
+  if (error) return null;
+  return data;
+}
+
+async function recordSeriesGame(series) {
+  const { data: games } = await supabase
+    .from('matches')
+    .select('id, status, winner_id, series_game')
+    .eq('series_id', series.id);
+  const standing = seriesStanding(series, games || []);
+
+  const progress = { a_score: standing.aScore, b_score: standing.bScore, games_played: standing.played };
+  if (!standing.decided) {
+    await supabase.from('match_series').update(progress).eq('id', series.id).eq('status', 'active');
+    for (const userId of [series.player_a_id, series.player_b_id]) emitToUser(userId, 'series_updated', { seriesId: series.id, ...progress, decided: false });
+    return standing;
+  }
+
+  const { data: rated, error } = await supabase.rpc('rate_series_service', buildSeriesRatingArgs({
+    series,
+    standing,
+    ratingFormats: ratingFormatsFor(series.topic_title, series.format_key),
+  }));
+  if (error) {
+    console.error(`[Series] Rating series ${series.id} failed:`, error.message);
+    return standing;
+  }
+  // Another resolver closed the set first.
+  if (!rated?.resolved) return standing;
+
+  const changeA = rated.elo_change_a;
+  const changeB = rated.elo_change_b;
+  console.log(`[Series] ${series.id} rated: ${changeA > 0 ? '+' : ''}${changeA} / ${changeB > 0 ? '+' : ''}${changeB}`);
+  recordMatchEvent('series_completed');
+  const result = {
+    seriesId: series.id,
+    ...progress,
+    decided: true,
+    winnerId: standing.winnerId,
+    eloChangeA: changeA,
+    eloChangeB: changeB,
+  };
+  for (const userId of [series.player_a_id, series.player_b_id]) emitToUser(userId, 'series_updated', result);
+  return standing;
+}
+
+async function createMatchSeries(row) {
+  const { data, error } = await supabase.from('match_series').insert(row).select().single();
+  if (error) {
+    console.warn('[Series] Could not create series; playing a single game:', error.message);
+    return null;
+  }
+  return data;
+}
+
 async function resolveMatch(matchId) {
   // Dedup guard: skip if already being resolved
   if (resolvingMatches.has(matchId)) {
@@ -309,131 +470,46 @@ async function resolveMatch(matchId) {
       return;
     }
 
-    // 2. Calculate scores BEFORE status update — handle missing AI scores gracefully
-    const hasAiScores = latestMatch.ai_scores && latestMatch.ai_scores.critic && latestMatch.ai_scores.defender;
-    const criticVotes = latestMatch.audience_votes_critic || 0;
-    const defenderVotes = latestMatch.audience_votes_defender || 0;
-    const totalVotes = criticVotes + defenderVotes;
-
-    let composite = 0;
-    if (hasAiScores) {
-      const criticAi = (latestMatch.ai_scores.critic.logic * 0.4) + (latestMatch.ai_scores.critic.facts * 0.4) + (latestMatch.ai_scores.critic.relevance * 0.2) || 0;
-      const defenderAi = (latestMatch.ai_scores.defender.logic * 0.4) + (latestMatch.ai_scores.defender.facts * 0.4) + (latestMatch.ai_scores.defender.relevance * 0.2) || 0;
-      const nAi = (criticAi - defenderAi) / 10;
-      const sAudience = totalVotes > 0 ? (criticVotes - defenderVotes) / totalVotes : 0;
-      composite = (nAi * 0.7) + (sAudience * 0.3);
-    } else {
-      console.log(`[Timer Resolution] No AI scores for ${matchId}, falling back to audience votes only.`);
-      composite = totalVotes > 0 ? (criticVotes - defenderVotes) / totalVotes : 0;
-    }
-
-    let sCritic, sDefender, winnerId = null;
-    if (composite > 0.1) {
-      sCritic = 1; sDefender = 0; winnerId = latestMatch.critic_id;
-    } else if (composite < -0.1) {
-      sCritic = 0; sDefender = 1; winnerId = latestMatch.defender_id;
-    } else {
-      sCritic = 0.5; sDefender = 0.5; winnerId = null;
+    // 2. Work out the verdict. A resignation or agreed draw has already settled it.
+    const verdict = resolveVerdict(latestMatch);
+    if (verdict.decided) console.log(`[Timer Resolution] Match ${matchId} ended by ${latestMatch.ending_type}; skipping the judged verdict.`);
+    else if (!verdict.judged) console.log(`[Timer Resolution] No AI scores for ${matchId}, falling back to audience votes only.`);
+
+    // 3. Write the outcome and every rating change in one transaction. A game
+    // inside a best-of set is only tallied here; the set is rated once. An AI
+    // spar only moves the player's "vs AI" rating.
+    const series = latestMatch.ai_side ? null : await loadMatchSeries(latestMatch.series_id);
+    const { data: resolution, error: resolveError } = await supabase.rpc('resolve_match_service', buildResolutionArgs({
+      match: latestMatch,
+      verdict,
+      ratingFormats: ratingFormatsFor(latestMatch.topic_title || latestMatch.topic, latestMatch.format_key),
+      rated: !isRatedAsSet(series),
+      aiRating: latestMatch.ai_side ? aiRatingFor(latestMatch.ai_difficulty) : null,
+    }));
+    if (resolveError) {
+      console.error(`[Timer Resolution] FAILED to resolve match ${matchId}:`, resolveError.message);
+      return;
     }
-
-    // *** CRITICAL: Update match status to 'completed' AND persist winner_id ***
-    // We try to update with winner_id, but fallback if the column is missing in the DB
-    const finalUpdateData = { status: 'completed' };
-    if (winnerId) finalUpdateData.winner_id = winnerId;
-
-    const { error: matchUpdateError } = await supabase
-      .from('matches')
-      .update(finalUpdateData)
-      .eq('id', matchId)
-      .eq('status', 'pending_votes'); // Optimistic lock
-
-    if (matchUpdateError) {
-      if (matchUpdateError.message.includes('winner_id')) {
-        console.warn(`[Timer Resolution] winner_id persistence failed (column missing). Retrying with status only.`);
-        await supabase.from('matches').update({ status: 'completed' }).eq('id', matchId).eq('status', 'pending_votes');
-      } else {
-        console.error(`[Timer Resolution] FAILED to update match status for ${matchId}:`, matchUpdateError.message);
-        return;
-      }
+    if (!resolution?.resolved) {
+      console.log(`[Timer Resolution] Match ${matchId} was resolved by another instance.`);
+      return;
     }
-    console.log(`[Timer Resolution] Match ${matchId} status set to 'completed' (Winner: ${winnerId}).`);
+    console.log(`[Timer Resolution] Match ${matchId} completed (Winner: ${verdict.winnerId}); Elo ${resolution.elo_change_critic ?? '—'} / ${resolution.elo_change_defender ?? '—'}.`);
     recordMatchEvent('completed');
 
-
-
-    // 3. Fetch Player Profiles — handle missing profiles gracefully
-    let criticProfile = { elo_rating: 1200 };
-    let defenderProfile = { elo_rating: 1200 };
-
-    if (latestMatch.critic_id && latestMatch.defender_id) {
-      const { data: profiles } = await supabase
-        .from('profiles')
-        .select('id, elo_rating')
-        .in('id', [latestMatch.critic_id, latestMatch.defender_id]);
-
-      if (profiles) {
-        const foundCritic = profiles.find(p => p.id === latestMatch.critic_id);
-        const foundDefender = profiles.find(p => p.id === latestMatch.defender_id);
-        if (foundCritic) criticProfile = foundCritic;
-        if (foundDefender) defenderProfile = foundDefender;
-      }
-    }
-
-    const rCritic = criticProfile.elo_rating || 1200;
-    const rDefender = defenderProfile.elo_rating || 1200;
-
-    const eCritic = 1 / (1 + Math.pow(10, (rDefender - rCritic) / 400));
-    const eDefender = 1 - eCritic;
-
-    const getKFactor = async (userId, rating) => {
-      if (!userId) return 30;
-      try {
-        const { count } = await supabase.from('matches').select('*', { count: 'exact', head: true }).or(`critic_id.eq.${userId},defender_id.eq.${userId}`).eq('status', 'completed');
-        if (rating > 1800) return 15;
-        if ((count || 0) < 10) return 50;
-        return 30;
-      } catch (err) { return 30; }
-    };
-
-    const kCritic = await getKFactor(latestMatch.critic_id, rCritic);
-    const kDefender = await getKFactor(latestMatch.defender_id, rDefender);
-
-    let newCriticRating = Math.round(rCritic + kCritic * (sCritic - eCritic));
-    let newDefenderRating = Math.round(rDefender + kDefender * (sDefender - eDefender));
-
-    if (totalVotes >= 5) {
-      if (sCritic === 1 && (criticVotes / totalVotes) > 0.9) newCriticRating += 5;
-      if (sDefender === 1 && (defenderVotes / totalVotes) > 0.9) newDefenderRating += 5;
-    }
-
-    // Calculate ELO changes for display
-    const eloChangeCritic = newCriticRating - rCritic;
-    const eloChangeDefender = newDefenderRating - rDefender;
-
-    console.log(`[Timer Resolution] Match ${matchId} winner: ${winnerId}. Elo: Critic ${rCritic}->${newCriticRating} (${eloChangeCritic > 0 ? '+' : ''}${eloChangeCritic}), Defender ${rDefender}->${newDefenderRating} (${eloChangeDefender > 0 ? '+' : ''}${eloChangeDefender})`);
-
-    // 4. Store ELO changes in the match record
-    const { error: eloStoreError } = await supabase
-      .from('matches')
-      .update({ elo_change_critic: eloChangeCritic, elo_change_defender: eloChangeDefender })
-      .eq('id', matchId);
-    if (eloStoreError) console.warn(`[Timer Resolution] Failed to store ELO changes:`, eloStoreError.message);
-
-    // 5. Update Elo ratings in profiles (only after match is safely marked completed)
-    if (latestMatch.critic_id) {
-      const { error: e1 } = await supabase.from('profiles').update({ elo_rating: newCriticRating }).eq('id', latestMatch.critic_id);
-      if (e1) console.error(`[Timer Resolution] Failed to update critic Elo:`, e1.message);
-    }
-    if (latestMatch.defender_id) {
-      const { error: e2 } = await supabase.from('profiles').update({ elo_rating: newDefenderRating }).eq('id', latestMatch.defender_id);
-      if (e2) console.error(`[Timer Resolution] Failed to update defender Elo:`, e2.message);
+    if (latestMatch.ai_side) {
+      const playerIsCritic = latestMatch.ai_side === 'Defender';
+      await recordAiSparSession({
+        match: latestMatch,
+        userId: playerIsCritic ? latestMatch.critic_id : latestMatch.defender_id,
+        score: playerIsCritic ? verdict.sCritic : verdict.sDefender,
+        change: playerIsCritic ? resolution.elo_change_critic : resolution.elo_change_defender,
+      });
+    } else if (isRatedAsSet(series)) {
+      await recordSeriesGame(series);
+      console.log(`[Timer Resolution] Match ${matchId} tallied for series ${series.id}; rating deferred to the series result.`);
     }
 
-    await Promise.all([
-      updateFormatRatings(latestMatch.critic_id, eloChangeCritic, latestMatch.topic_title || latestMatch.topic),
-      updateFormatRatings(latestMatch.defender_id, eloChangeDefender, latestMatch.topic_title || latestMatch.topic),
-    ]);
-
     console.log(`[Timer Resolution] ✅ Match ${matchId} fully resolved.`);
   } catch (err) {
     console.error(`[Timer Resolution] Fatal error resolving match ${matchId}:`, err);
@@ -653,8 +729,8 @@ app.use('/api', createRateLimit({
   windowMs: 60_000,
   key: req => req.ip,
 }));
-app.use('/api', createApiRoutes({ supabase }));
-app.use('/api/product', createProductRoutes({ supabase, generateWithRetry, advancedAi: ENABLE_ADVANCED_AI }));
+app.use('/api', createApiRoutes({ supabase, llm }));
+app.use('/api/product', createProductRoutes({ supabase, llm, advancedAi: ENABLE_ADVANCED_AI }));
 const authenticateHttp = async (req, res, next) => {
   const token = req.get('authorization')?.replace(/^Bearer\s+/i, '').trim();
   if (!token) return res.status(401).json({ success: false, message: 'Authentication required' });
@@ -673,7 +749,7 @@ app.post(
     max: launchAiLimits.summariesPerUser,
     message: launchAllowanceMessages.summary,
     code: 'DAILY_AI_ALLOWANCE_REACHED',
-    skip: () => !ENABLE_ADVANCED_AI || !process.env.GEMINI_API_KEY,
+    skip: () => !ENABLE_ADVANCED_AI || !llm.configured('summary'),
     onDecision: recordAiAllowance,
   }),
   createDailyAllowance({
@@ -683,7 +759,7 @@ app.post(
     code: 'AI_CAPACITY_REACHED',
     scope: 'global',
     key: () => 'all-users',
-    skip: () => !ENABLE_ADVANCED_AI || !process.env.GEMINI_API_KEY,
+    skip: () => !ENABLE_ADVANCED_AI || !llm.configured('summary'),
     onDecision: recordAiAllowance,
   }),
   async (req, res) => {
@@ -702,13 +778,13 @@ app.post(
       return res.json({ success: true, summary: 'No debate transcript available.' });
     }
 
-    // Truncate transcript to last 40 messages to prevent token bloat
-    const windowContext = match.transcript.slice(-40);
-    const debateText = windowContext.map(m => `${m.speaker}: ${m.text}`).join('\n');
+    // Turns before the recent window arrive as argument digests, so long
+    // debates are summarized as a whole rather than by their endings.
+    const condensed = await condenseTranscript(match.transcript, { generate: llm.forFeature('summary') });
+    const debateText = condensedTranscriptText(condensed);
     const prompt = `You are a debate summarizer. Read the following debate transcript and provide a single, engaging 1-liner summary that captures the crux of the arguments exchanged. Do NOT wrap in quotes. Keep it under 100 characters.\n\nDebate:\n${debateText}`;
 
-    // Use robust helper (expectJson = false)
-    let summary = await generateWithRetry(prompt, 3, false);
+    let summary = await llm.generate('summary', prompt, { json: false });
 
     // remove quotes if any
     summary = summary.replace(/^["']|["']$/g, '');
@@ -830,8 +906,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Flipped by the SIGTERM drain so load balancers stop routing here while live
+// rooms are handed off to other instances.
+let draining = false;
+
 let readinessCache = { checkedAt: 0, response: null };
 app.get('/ready', async (_req, res) => {
+  if (draining) {
+    return res.status(503).json({ success: false, draining: true, appVersion: APP_VERSION, timestamp: new Date().toISOString() });
+  }
   const now = Date.now();
   if (!readinessCache.response || now - readinessCache.checkedAt > 5_000) {
     const redisRequired = Boolean(process.env.REDIS_URL);
@@ -886,6 +969,10 @@ const io = new SocketIOServer(httpServer, {
 
 const realtimeCoordinator = await createRealtimeCoordinator({ io });
 console.log(`[Realtime] ${realtimeCoordinator.enabled ? 'Redis distributed coordination enabled' : 'Single-instance fallback active'}`);
+const matchEventLog = createMatchEventLog({ supabase });
+const seasonScheduler = createSeasonScheduler({ supabase, issueCredential: createCredentialIssuer({ supabase }) });
+const leaderboardRefresher = createLeaderboardRefresher({ supabase });
+const ratingIntegrityMonitor = createRatingIntegrityMonitor({ supabase });
 
 // Make io available in controllers via req.app.get('io').
 app.set('io', io);
@@ -980,6 +1067,8 @@ const makeSwarmUserId = (socket) => {
  * ---------------------------------------------------------------------------
  * Global in-memory state for managing 1v1 Blitz Debating matches.
  */
+const DRAIN_RECONNECT_MS = Number(process.env.SHUTDOWN_DRAIN_MS) || 5000;
+const DRAIN_TIMEOUT_MS = DRAIN_RECONNECT_MS + 15_000;
 const activeRooms = {}; // roomId -> room state
 const waitingQueues = {}; // topicId -> Array of socket IDs waiting for that topic
 const roomTimers = {}; // roomId -> setInterval reference
@@ -1001,6 +1090,16 @@ const generateRoomId = () => {
   return crypto.randomUUID();
 };
 
+/**
+ * Helper to wrap Supabase calls with a timeout
+ */
+async function withTimeout(promise, timeoutMs = 8000) {
+  const timeout = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Database request timeout')), timeoutMs)
+  );
+  return Promise.race([promise, timeout]);
+}
+
 // Cache recently provisioned profiles to avoid repeated upserts on reconnect storms.
 const ensuredProfilesCache = new Map();
 const PROFILE_CACHE_TTL_MS = 5 * 60 * 1000;
@@ -1064,6 +1163,293 @@ const ensureProfilesExist = async (userIds, options = {}) => {
   return false;
 };
 
+// Clock, format, phase and pause state shared by time_sync, match_found and
+// spectator payloads.
+const roomClockPayload = room => ({
+  ...formatClockState(room),
+  nextTurn: describeNextTurn(room),
+  pause: pauseSnapshot(room),
+});
+
+const roomPausedPayload = (roomId, room) => ({ roomId, ...pauseSnapshot(room) });
+
+// Appends to the replay log with the room's clock at this instant. Transient
+// rooms have no matches row to hang events on.
+const logMatchEvent = (roomId, room, eventType, payload = {}) => {
+  if (!room || room.isTransient) return;
+  matchEventLog.record(roomId, eventType, payload, roomClockPayload(room));
+};
+
+// Sockets in the match room that are not the two debaters. Counted on this
+// instance only, which is where spectators of a room usually land.
+const localSpectatorCount = (roomId, room) => {
+  const members = io.sockets.adapter.rooms.get(roomId);
+  if (!members) return 0;
+  const debaters = new Set(Object.values(room?.players || {}));
+  return [...members].filter(socketId => !debaters.has(socketId)).length;
+};
+
+/**
+ * Brings the local room in line with the shared pause key and reports whether
+ * the clocks should stay frozen this tick. A pause that has run out is
+ * cleared and announced by the lease holder; one ended early on another
+ * instance is only cleared here, since `resume_room` already announced it.
+ */
+const syncRoomPause = async (roomId, room, now = Date.now()) => {
+  const localPause = room.pause;
+  if (realtimeCoordinator.enabled) room.pause = await realtimeCoordinator.getRoomPause(roomId);
+  if (isRoomPaused(room, now)) return true;
+  const ended = room.pause || localPause;
+  if (!ended) return false;
+  room.pause = null;
+  await realtimeCoordinator.clearRoomPause(roomId);
+  await realtimeCoordinator.saveRoom(roomId, room);
+  if (now < ended.resumesAt) return false;
+  io.to(roomId).emit('room_resumed', { roomId, reason: 'expired', kind: ended.kind || null, ...roomClockPayload(room) });
+  logMatchEvent(roomId, room, 'room_resumed', { reason: 'expired', kind: ended.kind || null });
+  recordMatchEvent('pause_expired');
+  return false;
+};
+
+// Matches by authenticated user first, then by socket for legacy clients.
+const debaterRoleFor = (room, socket) => {
+  const userId = socket.verifiedUserId;
+  if (userId && room.critic_id === userId) return 'Critic';
+  if (userId && room.defender_id === userId) return 'Defender';
+  if (room.players?.critic === socket.id) return 'Critic';
+  if (room.players?.defender === socket.id) return 'Defender';
+  return null;
+};
+
+/**
+ * Ends a live room once its clock or speech schedule runs out, or a debater
+ * resigns or both agree a draw: persists the transcript and ending, triggers
+ * the AI referee and notifies everyone. Decided endings are rated at once.
+ */
+const concludeTimedRoom = async (roomId, room, { reason = 'timeout', winner = null, resignedBy = null } = {}) => {
+  if (roomTimers[roomId]) {
+    clearInterval(roomTimers[roomId]);
+    delete roomTimers[roomId];
+  }
+  room.status = reason === 'timeout' ? 'timeout' : 'finished';
+  room.drawOffer = null;
+  const decided = DECIDED_ENDINGS.includes(reason);
+  // cleanupRoom only runs once the match is saved and judged; until then the
+  // shared copy must already say the room is over.
+  await realtimeCoordinator.endRoom(roomId, room).catch(error => console.warn('[Realtime] Room end not recorded:', error.message));
+
+  if (room.isTransient) {
+    console.log(`[Timer] Transient match ${roomId} ended (${reason}); skipping Supabase persistence.`);
+  } else {
+    // Save match to Supabase before cleanup
+    try {
+      console.log('Attempting to save match to DB with critic_id:', room.critic_id, 'and defender_id:', room.defender_id);
+      console.log('Match data being saved:', {
+        transcript_length: room.transcript.length,
+        status: 'pending_votes'
+      });
+
+      // Update the match that was instantiated upon creation
+      const matchUpdate = { status: 'pending_votes', transcript: room.transcript, ending_type: reason };
+      if (reason === 'resignation') matchUpdate.winner_id = winner === 'Critic' ? room.critic_id : room.defender_id;
+      let endingSaved = true;
+      let { data, error } = await supabase.from('matches').update(matchUpdate).eq('id', roomId).select();
+      if (error && /ending_type/.test(error.message || '')) {
+        // Migration 010 not applied: keep the match reviewable and let the judges decide it.
+        console.warn('[Match Endings] ending_type column missing; saving match without its ending.');
+        endingSaved = false;
+        ({ data, error } = await supabase.from('matches').update({
+          status: 'pending_votes',
+          transcript: room.transcript
+        }).eq('id', roomId).select());
+      }
+
+      if (error) {
+        console.error('Supabase Insert Error:', error);
+        console.error('Error details:', {
+          message: error.message,
+          details: error.details,
+          hint: error.hint,
+          code: error.code
+        });
+      } else {
+        if (!data || data.length === 0) {
+          console.log('Match saved, but no data returned.');
+        } else {
+          console.log('Match saved to Supabase successfully! Match ID:', data[0]?.id);
+          console.log('Match saved! Triggering AI Referee for Match ID:', data[0].id);
+
+          // Trigger AI evaluation asynchronously (fire-and-forget)
+          const evaluation = evaluateDebate(room.transcript, data[0].id);
+          // Nothing is left for the audience to settle after a resignation or
+          // agreed draw; games of a rated set and AI spars resolve on the
+          // judges' verdict so the next game can follow.
+          if (decided && endingSaved) resolveMatch(data[0].id);
+          else if (room.series?.bestOf > 1 || room.aiOpponent) evaluation.then(() => resolveMatch(data[0].id));
+        }
+      }
+    } catch (err) {
+      console.error('Error saving match to Supabase:', err);
+      console.error('Full error object:', err);
+    }
+  }
+
+  io.to(roomId).emit('match_over', {
+    reason,
+    winner,
+    resignedBy,
+    finalState: {
+      criticTime: room.criticTime,
+      defenderTime: room.defenderTime,
+      transcript: room.transcript
+    }
+  });
+
+  // Broadcast globally so ALL Explore pages remove this match from "Live Arenas" instantly
+  io.emit('match_ended', { matchId: roomId });
+  recordMatchEvent(decided ? reason : reason === 'timeout' ? 'timeout' : 'completed_by_format');
+  logMatchEvent(roomId, room, 'match_ended', { reason, winner, resignedBy });
+  matchEventLog.flush();
+
+  // Transactional Cleanup: Purge from memory only after results are handled
+  // We wait 5 seconds to ensure all final match_over events are received by clients
+  setTimeout(() => {
+    cleanupRoom(roomId);
+    console.log(`[Timer] Room ${roomId} memory purged after ${reason}.`);
+  }, 5000);
+};
+
+/**
+ * Records an accepted turn: tags it with cognitive insights, moves the phase
+ * engine and the clock on, and broadcasts it. Human turns arrive here after
+ * `submit_turn` validation; the AI sparring opponent's turns come straight in.
+ */
+const commitTurn = async (roomId, room, { speaker, text, tone, turnPhase, ai = false }) => {
+  // Add message to transcript (including Affective Tone)
+  const turnMessage = {
+    id: Date.now() + Math.random().toString(36).substring(7),
+    speaker,
+    text,
+    tone: tone || 'neutral',
+    phase: turnPhase.phase,
+    exchange: turnPhase.exchange,
+    answersTo: turnPhase.answersTo,
+    timestamp: new Date().toISOString(),
+    ...(ai ? { ai: true } : {})
+  };
+
+  room.transcript.push(turnMessage);
+
+  const cognitiveInsight = analyzeCognitiveTurn({
+    message: turnMessage,
+    transcript: room.transcript,
+    topic: room.topic
+  });
+  turnMessage.cognitive = cognitiveInsight;
+  if (!Array.isArray(room.cognitiveGraph)) room.cognitiveGraph = [];
+  room.cognitiveGraph.push(cognitiveInsight);
+  recordCognitiveInsight(cognitiveInsight);
+
+  const nextSpeaker = advancePhaseState(room, turnMessage);
+
+  console.log(`[submit_turn] ${speaker}${ai ? ' (AI)' : ''} submitted ${turnMessage.phase} message [Tone: ${tone || 'neutral'}]. Transcript length: ${room.transcript.length}. Cognitive risk: ${cognitiveInsight.riskScore.toFixed(2)}`);
+
+  // Hand the floor over per the format (chess clock swap, Fischer increment,
+  // or advancing to the next scheduled speech).
+  const clockResult = applyTurnToClock(room, speaker, { nextSpeaker });
+  await realtimeCoordinator.saveRoom(roomId, room);
+
+  io.to(roomId).emit('cognitive_insight', cognitiveInsight);
+
+  // Broadcast new turn to room
+  console.log(`[submit_turn] Broadcasting transcript with ${room.transcript.length} messages to room ${roomId}`);
+  io.to(roomId).emit('new_turn', {
+    transcript: room.transcript,
+    activeSpeaker: room.activeSpeaker,
+    lastSpeaker: speaker,
+    cognitiveInsight
+  });
+  io.to(roomId).emit('time_sync', { ...roomClockPayload(room), timestamp: Date.now() });
+  logMatchEvent(roomId, room, 'turn_submitted', { turn: turnMessage });
+
+  if (clockResult.ended) await concludeTimedRoom(roomId, room, clockResult);
+};
+
+/**
+ * AI sparring opponent
+ * The referee tick on the lease holder hands the floor to the AI when it is
+ * its turn. After a short think it drafts a turn (Gemini when configured and
+ * the player's practice allowance has room, the local script otherwise) and
+ * commits it through the same path as a human turn.
+ */
+const aiTurnsInFlight = new Set();
+
+const draftAiTurn = async (room, turn) => {
+  const { side, playerId, persona, difficulty } = room.aiOpponent;
+  const limits = resolveDebateFormat(room.formatKey).turnLimits;
+  if (ENABLE_ADVANCED_AI && llm.configured('practice')) {
+    const allowance = await consumeSocketAiAllowance({
+      userId: playerId,
+      userFeature: 'practice-turn-user',
+      userMax: launchAiLimits.practiceTurnsPerUser,
+      userMessage: launchAllowanceMessages.practice,
+      globalFeature: 'practice-turn-global',
+      globalMax: launchAiLimits.practiceTurnsGlobal,
+      globalMessage: launchAllowanceMessages.globalPractice,
+    });
+    if (allowance.allowed) {
+      try {
+        const prompt = buildAiTurnPrompt({ topic: room.topic, side, turn, transcript: room.transcript, maxWords: limits.maxWords, persona, difficulty });
+        const draft = fitAiTurn(await llm.generate('practice', prompt, { json: false, maxRetries: 2 }), limits, turn.exchange);
+        if (validateTurn({ room, message: draft, exchange: turn.exchange }).ok) return draft;
+      } catch (error) {
+        console.warn('[AI Sparring] Gemini turn failed, using the local script:', error.message);
+      }
+    }
+  }
+  return fitAiTurn(buildLocalAiTurn({ topic: room.topic, side, turn, transcript: room.transcript, persona, difficulty }), limits, turn.exchange);
+};
+
+const playAiTurn = async (roomId) => {
+  aiTurnsInFlight.add(roomId);
+  try {
+    await sleep(aiSparring.thinkMs);
+    const room = activeRooms[roomId];
+    const side = room?.aiOpponent?.side;
+    const onFloor = () => room.status === 'active' && room.activeSpeaker === side && !isRoomPaused(room);
+    if (!side || !onFloor()) return;
+
+    const floor = { turns: room.transcript.length, segment: room.segmentIndex };
+    const text = await draftAiTurn(room, describeNextTurn(room, side));
+    // The segment may have run out, or the match ended, while drafting.
+    if (!onFloor() || room.transcript.length !== floor.turns || room.segmentIndex !== floor.segment) return;
+
+    await commitTurn(roomId, room, { speaker: side, text, tone: 'neutral', turnPhase: resolveTurnPhase(room, side, text), ai: true });
+  } catch (error) {
+    console.error(`[AI Sparring] Turn failed in room ${roomId}:`, error.message);
+  } finally {
+    aiTurnsInFlight.delete(roomId);
+  }
+};
+
+// A resignation or agreed draw can reach any instance; the one that ends the
+// room drops the timer lease (see `endRoom`), so the holder lands here on its
+// next tick. Its local copy still says active and would restart the clock on a
+// rejoin, so it is marked over and forgotten. A room still active elsewhere
+// simply moved to another instance.
+const forgetRoomEndedElsewhere = async (roomId) => {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  const stored = await realtimeCoordinator.loadRoom(roomId).catch(() => undefined);
+  if (stored === undefined || stored?.status === 'active') return;
+  room.status = stored?.status || 'finished';
+  delete activeRooms[roomId];
+  refreshRuntimeGauges();
+};
+
+// How often a running clock is logged and saved between segment changes.
+const CLOCK_SNAPSHOT_MS = 5000;
+
 /**
  * Server-Side Referee: Start timer for a specific room
  */
@@ -1071,6 +1457,8 @@ const startRoomTimer = async (roomId) => {
   if (roomTimers[roomId]) {
     clearInterval(roomTimers[roomId]);
   }
+  // A draining instance must not take back leases it just released.
+  if (draining) return;
 
   if (!(await realtimeCoordinator.acquireTimerLease(roomId))) {
     console.log(`[Timer] Instance ${realtimeCoordinator.instanceId} did not acquire lease for ${roomId}.`);
@@ -1081,6 +1469,7 @@ const startRoomTimer = async (roomId) => {
     if (!(await realtimeCoordinator.renewTimerLease(roomId))) {
       clearInterval(roomTimers[roomId]);
       delete roomTimers[roomId];
+      await forgetRoomEndedElsewhere(roomId);
       return;
     }
     const room = activeRooms[roomId];
@@ -1090,94 +1479,34 @@ const startRoomTimer = async (roomId) => {
       return;
     }
 
-    // Decrement active speaker's time
-    if (room.activeSpeaker === 'Critic') {
-      room.criticTime = Math.max(0, room.criticTime - 1);
-    } else {
-      room.defenderTime = Math.max(0, room.defenderTime - 1);
-    }
+    // Clocks stay frozen while a timeout or mutual pause is running.
+    if (await syncRoomPause(roomId, room)) return;
 
-    // Broadcast time sync to room (include timestamp to prevent flickering)
-    io.to(roomId).emit('time_sync', {
-      criticTime: room.criticTime,
-      defenderTime: room.defenderTime,
-      activeSpeaker: room.activeSpeaker,
-      timestamp: Date.now()
-    });
+    // The format decides whose clock runs and when phases change hands.
+    const tick = tickFormatClock(room);
 
-    // Check for timeout
-    if (room.criticTime === 0 || room.defenderTime === 0) {
-      clearInterval(roomTimers[roomId]);
-      delete roomTimers[roomId];
-      room.status = 'timeout';
-
-      const winner = room.criticTime === 0 ? 'Defender' : 'Critic';
-
-      if (room.isTransient) {
-        console.log(`[Timer] Transient match ${roomId} timed out; skipping Supabase persistence.`);
-      } else {
-        // Save match to Supabase before cleanup
-        try {
-          console.log('Attempting to save match to DB with critic_id:', room.critic_id, 'and defender_id:', room.defender_id);
-          console.log('Match data being saved:', {
-            transcript_length: room.transcript.length,
-            status: 'pending_votes'
-          });
-
-          // Update the match that was instantiated upon creation
-          const { data, error } = await supabase.from('matches').update({
-            status: 'pending_votes',
-            transcript: room.transcript
-          }).eq('id', roomId).select();
-
-          if (error) {
-            console.error('Supabase Insert Error:', error);
-            console.error('Error details:', {
-              message: error.message,
-              details: error.details,
-              hint: error.hint,
-              code: error.code
-            });
-          } else {
-            if (!data || data.length === 0) {
-              console.log('Match saved, but no data returned.');
-            } else {
-              console.log('Match saved to Supabase successfully! Match ID:', data[0]?.id);
-              console.log('Match saved! Triggering AI Referee for Match ID:', data[0].id);
-
-              // Trigger AI evaluation asynchronously (fire-and-forget)
-              evaluateDebate(room.transcript, data[0].id);
-            }
-          }
-        } catch (err) {
-          console.error('Error saving match to Supabase:', err);
-          console.error('Full error object:', err);
-        }
-      }
-
-      io.to(roomId).emit('match_over', {
-        reason: 'timeout',
-        winner,
-        finalState: {
-          criticTime: room.criticTime,
-          defenderTime: room.defenderTime,
-          transcript: room.transcript
-        }
-      });
-
-      // Broadcast globally so ALL Explore pages remove this match from "Live Arenas" instantly
-      io.emit('match_ended', { matchId: roomId });
-      recordMatchEvent('timeout');
-
-      // Transactional Cleanup: Purge from memory only after results are handled
-      // We wait 5 seconds to ensure all final match_over events are received by clients
-      setTimeout(() => {
-        cleanupRoom(roomId);
-        console.log(`[Timer] Room ${roomId} memory purged after timeout.`);
-      }, 5000);
-    } else if (room.criticTime % 5 === 0 || room.defenderTime % 5 === 0) {
+    // Broadcast time sync to room (include timestamp to prevent flickering)
+    io.to(roomId).emit('time_sync', { ...roomClockPayload(room), timestamp: Date.now() });
+
+    if (tick.ended) {
+      expirePendingQuestion(room);
+      await concludeTimedRoom(roomId, room, tick);
+    } else if (tick.segmentChanged) {
+      logMatchEvent(roomId, room, 'segment_changed');
+      const unanswered = expirePendingQuestion(room);
+      if (unanswered) io.to(roomId).emit('new_turn', { transcript: room.transcript, activeSpeaker: room.activeSpeaker });
+      await realtimeCoordinator.saveRoom(roomId, room);
+    } else if (Date.now() - (room.lastSnapshotAt || 0) >= CLOCK_SNAPSHOT_MS) {
+      // Timed by the wall clock: the idle side's frozen clock says nothing
+      // about how long it has been since the last snapshot.
+      room.lastSnapshotAt = Date.now();
+      logMatchEvent(roomId, room, 'clock_snapshot');
       await realtimeCoordinator.saveRoom(roomId, room);
     }
+
+    if (room.status === 'active' && room.activeSpeaker === room.aiOpponent?.side && !aiTurnsInFlight.has(roomId)) {
+      playAiTurn(roomId);
+    }
   }, 1000);
 };
 
@@ -1221,6 +1550,9 @@ const resolveAbandonedMatch = async (matchId, leaverRole) => {
     return;
   }
 
+  logMatchEvent(matchId, room, 'match_ended', { reason: 'abandoned', leaver: leaverRole === 'critic' ? 'Critic' : 'Defender' });
+  matchEventLog.flush();
+
   // Capture transcript reference BEFORE any cleanup can wipe it
   const savedTranscript = [...(room.transcript || [])];
   const leaverId = leaverRole === 'critic' ? room.critic_id : room.defender_id;
@@ -1246,6 +1578,33 @@ const resolveAbandonedMatch = async (matchId, leaverRole) => {
     return;
   }
 
+  // Only the player can walk out of an AI spar; it counts as a "vs AI" loss.
+  if (room.aiOpponent) {
+    try {
+      const { difficulty, persona } = room.aiOpponent;
+      const change = await rateAgainstAi({ userId: leaverId, score: 0, difficulty, matchId });
+      await withTimeout(supabase.from('matches').update({
+        status: 'abandoned',
+        ending_type: 'abandoned',
+        transcript: savedTranscript,
+        [leaverRole === 'critic' ? 'elo_change_critic' : 'elo_change_defender']: change
+      }).eq('id', matchId), 10000);
+      await recordAiSparSession({
+        match: { id: matchId, topic: room.topic, transcript: savedTranscript, ai_persona: persona, ai_difficulty: difficulty },
+        userId: leaverId,
+        score: 0,
+        change,
+      });
+    } catch (err) {
+      console.error('[resolve_abandoned] AI spar update failed:', err);
+    } finally {
+      io.emit('match_ended', { matchId });
+      recordMatchEvent('abandoned');
+      cleanupRoom(matchId);
+    }
+    return;
+  }
+
   try {
     // 1. Fetch Profiles securely
     const { data: profiles, error: fetchErr } = await supabase.from('profiles').select('*').in('id', [leaverId, stayerId]);
@@ -1255,8 +1614,12 @@ const resolveAbandonedMatch = async (matchId, leaverRole) => {
     const leaverProfile = safeProfiles.find(p => p.id === leaverId) || {};
     const stayerProfile = safeProfiles.find(p => p.id === stayerId) || {};
 
-    const rLeaver = leaverProfile.elo_rating || 1200;
-    const rStayer = stayerProfile.elo_rating || 1200;
+    const leaverRating = profileRating(leaverProfile);
+    const stayerRating = profileRating(stayerProfile);
+    const rLeaver = leaverRating.rating;
+    const rStayer = stayerRating.rating;
+    // A rating frozen pending an integrity review leaves the game unrated.
+    const ratingsFrozen = Boolean(leaverProfile.rating_frozen_at || stayerProfile.rating_frozen_at);
 
     // 2. Progressive Penalty Logic for Leaver
     const now = new Date();
@@ -1266,44 +1629,44 @@ const resolveAbandonedMatch = async (matchId, leaverRole) => {
     let disconnectCount = isWithin24h ? (leaverProfile.disconnect_count_24h || 0) + 1 : 1;
     let leaverPenalty = 0;
 
-    // Standard Elo Loss (S = 0)
-    const eLeaver = 1 / (1 + Math.pow(10, (rStayer - rLeaver) / 400));
-    const kLeaver = 30;
-    let newLeaverRating = Math.round(rLeaver + kLeaver * (0 - eLeaver));
+    // A rated loss (S = 0) against the stayer
+    const leaverNext = glicko2Update(leaverRating, [{ rating: rStayer, rd: decayedRd(stayerRating, now), score: 0 }], now);
 
     if (disconnectCount > 1) {
       leaverPenalty = 50;
-      newLeaverRating -= leaverPenalty;
-      console.log(`[resolve_abandoned] Repeated leaver! Applying -50 Elo penalty.`);
+      leaverNext.rating -= leaverPenalty;
+      console.log(`[resolve_abandoned] Repeated leaver! Applying -50 rating penalty.`);
     }
+    const newLeaverRating = ratingsFrozen ? rLeaver : leaverNext.rating;
 
-    // 3. Elo Gain Logic for Stayer
-    let newStayerRating = rStayer;
+    // 3. Rating Gain Logic for Stayer: a rated win, capped
+    let stayerNext = null;
     if (matchDuration > 60) {
-      const eStayer = 1 - eLeaver;
-      const kStayer = 30;
-      const standardGain = Math.round(kStayer * (1 - eStayer));
-      const cappedGain = Math.min(standardGain, 10);
-      newStayerRating = rStayer + cappedGain;
-      console.log(`[resolve_abandoned] Stayer gain: ${cappedGain} (Standard: ${standardGain})`);
+      stayerNext = glicko2Update(stayerRating, [{ rating: rLeaver, rd: decayedRd(leaverRating, now), score: 1 }], now);
+      const standardGain = stayerNext.change;
+      stayerNext.rating = rStayer + Math.min(standardGain, 10);
+      console.log(`[resolve_abandoned] Stayer gain: ${stayerNext.rating - rStayer} (Standard: ${standardGain})`);
     } else {
-      console.log(`[resolve_abandoned] Match < 1 min. No Elo change for stayer.`);
+      console.log(`[resolve_abandoned] Match < 1 min. No rating change for stayer.`);
     }
+    const newStayerRating = stayerNext && !ratingsFrozen ? stayerNext.rating : rStayer;
 
     // 4. Atomic Updates — use the captured transcript, not room.transcript
     const updatePromises = [];
 
     if (leaverProfile.id) {
       updatePromises.push(supabase.from('profiles').update({
-        elo_rating: newLeaverRating,
         last_disconnect_at: now.toISOString(),
         disconnect_count_24h: disconnectCount
       }).eq('id', leaverId));
     }
 
-    if (stayerProfile.id) {
-      updatePromises.push(supabase.from('profiles').update({ elo_rating: newStayerRating }).eq('id', stayerId));
-    }
+    // Both rating changes go through one tagged transaction.
+    const ratingRows = ratingsFrozen ? [] : [
+      leaverProfile.id && { user_id: leaverId, ...profileRatingFields(leaverNext, now) },
+      stayerProfile.id && stayerNext && { user_id: stayerId, ...profileRatingFields(stayerNext, now) },
+    ].filter(Boolean);
+    updatePromises.push(writeAbandonRatings(matchId, { profiles: ratingRows }).then(() => ({}), error => ({ error })));
 
     // Try to update with winner_id, but fallback if the column is missing in the DB
     // Also store ELO changes for display on the match review page
@@ -1312,6 +1675,7 @@ const resolveAbandonedMatch = async (matchId, leaverRole) => {
 
     const matchUpdateData = {
       status: 'abandoned',
+      ending_type: 'abandoned',
       transcript: savedTranscript,
       elo_change_critic: leaverRole === 'critic' ? eloChangeLeaver : eloChangeStayer,
       elo_change_defender: leaverRole === 'defender' ? eloChangeLeaver : eloChangeStayer
@@ -1320,8 +1684,8 @@ const resolveAbandonedMatch = async (matchId, leaverRole) => {
 
     const { error: matchErr } = await withTimeout(supabase.from('matches').update(matchUpdateData).eq('id', matchId), 10000);
 
-    if (matchErr && matchErr.message.includes('winner_id')) {
-      console.warn(`[resolve_abandoned] Restoration of winner_id failed (column likely missing). Retrying with status only.`);
+    if (matchErr && /winner_id|ending_type/.test(matchErr.message)) {
+      console.warn(`[resolve_abandoned] Persisting winner_id/ending_type failed (column likely missing). Retrying with status only.`);
       await withTimeout(supabase.from('matches').update({ status: 'abandoned', transcript: savedTranscript }).eq('id', matchId), 10000);
     } else if (matchErr) {
       console.error(`[resolve_abandoned] Match update Error:`, matchErr);
@@ -1334,6 +1698,15 @@ const resolveAbandonedMatch = async (matchId, leaverRole) => {
 
     console.log(`[resolve_abandoned] Match ${matchId} resolved as ABANDONED. Leaver: ${newLeaverRating}, Stayer: ${newStayerRating}`);
 
+    // Walking out of a set forfeits it; the abandonment rating above is its only rating update.
+    if (room.series?.bestOf > 1) {
+      const { error: seriesErr } = await supabase.from('match_series')
+        .update({ status: 'abandoned', winner_id: stayerProfile.id ? stayerId : null, completed_at: now.toISOString() })
+        .eq('id', room.series.id)
+        .eq('status', 'active');
+      if (seriesErr) console.warn(`[resolve_abandoned] Series forfeit failed:`, seriesErr.message);
+    }
+
     // Broadcast globally ONLY AFTER DB update is successful to avoid race conditions with polling
     io.emit('match_ended', { matchId });
     recordMatchEvent('abandoned');
@@ -1386,34 +1759,510 @@ cleanupZombieMatches();
  * AI Rate Limiter (Sliding Window)
  * Limits expensive Gemini API calls per user to prevent "Denial of Wallet" attacks.
  */
-const aiRateLimits = new Map();
+const aiRateLimits = new Map();
+
+const checkRateLimit = (userId, endpoint, maxRequests, windowMs) => {
+  if (!aiRateLimits.has(userId)) aiRateLimits.set(userId, {});
+  const userLimits = aiRateLimits.get(userId);
+  if (!userLimits[endpoint]) userLimits[endpoint] = [];
+
+  const now = Date.now();
+  userLimits[endpoint] = userLimits[endpoint].filter(t => now - t < windowMs);
+
+  if (userLimits[endpoint].length >= maxRequests) {
+    return false; // Rate limited
+  }
+  userLimits[endpoint].push(now);
+  return true;
+};
+
+const consumeSocketAiAllowance = async ({ userId, userFeature, userMax, userMessage, globalFeature, globalMax, globalMessage }) => {
+  const userResult = await consumeDailyAllowance({ bucketKey: `${userFeature}:${userId}`, max: userMax, now: Date.now() });
+  recordAiAllowance({ feature: userFeature, outcome: userResult.allowed ? 'allowed' : 'blocked', scope: 'user', mode: userResult.mode });
+  if (!userResult.allowed) return { allowed: false, code: 'DAILY_AI_ALLOWANCE_REACHED', message: userMessage };
+
+  const globalResult = await consumeDailyAllowance({ bucketKey: `${globalFeature}:all-users`, max: globalMax, now: Date.now() });
+  recordAiAllowance({ feature: globalFeature, outcome: globalResult.allowed ? 'allowed' : 'blocked', scope: 'global', mode: globalResult.mode });
+  if (!globalResult.allowed) return { allowed: false, code: 'AI_CAPACITY_REACHED', message: globalMessage };
+  return { allowed: true };
+};
+
+/**
+ * Matchmaking helpers
+ * ---------------------------------------------------------------------------
+ * Queue entries carry the player's Elo and join time so the search band can
+ * widen while they wait. A periodic sweep pairs players whose bands have
+ * grown into each other and refreshes the band shown in the lobby.
+ */
+const fetchQueueRating = async (userId) => {
+  if (!userId) return 1000;
+  try {
+    const { data } = await withTimeout(supabase.from('profiles').select('elo_rating').eq('id', userId).maybeSingle(), 3000);
+    return Number.isFinite(Number(data?.elo_rating)) ? Number(data.elo_rating) : 1000;
+  } catch (err) {
+    console.warn('[matchmaking] Rating lookup failed, using default band:', err.message);
+    return 1000;
+  }
+};
+
+/**
+ * Resolves the topics a queued player will accept. "exact" keeps the classic
+ * single-topic queue; "followed" adds the player's followed topics and
+ * "surprise" uses only followed (or trending) topics. Client-supplied topic IDs
+ * are re-read from the database so titles cannot be spoofed.
+ */
+const resolveQueueTopics = async ({ userId, topicId, topicTitle, topicScope = 'exact', topicIds = [] }) => {
+  const selected = topicId && topicId !== ANY_ARENA_QUEUE ? [{ id: topicId, title: topicTitle, source: 'selected' }] : [];
+  if (topicScope === 'exact') return selected;
+
+  const topics = topicScope === 'surprise' ? [] : [...selected];
+  const add = (rows, source) => rows.forEach(row => {
+    if (row?.id && !topics.some(topic => topic.id === row.id)) topics.push({ id: row.id, title: row.title, source });
+  });
+  try {
+    const listedIds = (Array.isArray(topicIds) ? topicIds : []).filter(id => typeof id === 'string').slice(0, 20);
+    if (listedIds.length) {
+      const { data } = await withTimeout(supabase.from('topics').select('id, title').in('id', listedIds), 3000);
+      add(listedIds.map(id => data?.find(row => row.id === id)), 'listed');
+    }
+    if (userId && (topicScope === 'followed' || topicScope === 'surprise')) {
+      const { data } = await withTimeout(supabase
+        .from('user_followed_topics')
+        .select('topics(id, title)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(20), 3000);
+      add((data || []).map(row => row.topics), 'followed');
+    }
+    if (topicScope === 'surprise' && !topics.length) {
+      const { data } = await withTimeout(supabase.from('topics').select('id, title').eq('is_trending', true).limit(10), 3000);
+      add(data || [], 'trending');
+    }
+  } catch (err) {
+    console.warn('[matchmaking] Topic list lookup failed, using selected topic only:', err.message);
+  }
+  return topics.length ? topics : selected;
+};
+
+// Any-arena players search every topic they accept; topic players also check
+// the any-arena queue for someone willing to debate their topic.
+const searchQueueIdsFor = player => (
+  player.topicId === ANY_ARENA_QUEUE
+    ? [ANY_ARENA_QUEUE, ...player.topics.map(topic => topic.id)]
+    : [player.topicId, ANY_ARENA_QUEUE]
+);
+
+const waitingPayload = (player, now = Date.now()) => {
+  const band = searchBand(player, now);
+  return {
+    band: { min: band.min, max: band.max, width: band.width, widest: band.widest },
+    waitedSeconds: band.waitedSeconds,
+    aiFallbackInSeconds: aiFallbackInSeconds(player, now),
+  };
+};
+
+const startQueuedMatch = async ({ player1, player2 }) => {
+  const negotiated = negotiateTopic(player1, player2);
+  const topicTitle = negotiated?.title || player1.topicTitle || player2.topicTitle;
+  const format = resolveDebateFormat(player1.formatKey);
+  // Determine Roles
+  let critic, defender;
+  if (player1.preferredRole === 'Critic') {
+    critic = player1;
+    defender = player2;
+  } else if (player2.preferredRole === 'Critic') {
+    critic = player2;
+    defender = player1;
+  } else if (player1.preferredRole === 'Defender') {
+    critic = player2;
+    defender = player1;
+  } else if (player2.preferredRole === 'Defender') {
+    critic = player1;
+    defender = player2;
+  } else {
+    // Both are random
+    if (Math.random() > 0.5) {
+      critic = player1; defender = player2;
+    } else {
+      critic = player2; defender = player1;
+    }
+  }
+
+  let roomId = generateRoomId();
+  let isTransient = false;
+
+  const isSyntheticSwarmMatch = !!(critic.isSyntheticSwarmBot && defender.isSyntheticSwarmBot);
+  if (isSyntheticSwarmMatch) {
+    isTransient = true;
+  } else {
+    const profilesReady = await ensureProfilesExist([critic.userId, defender.userId], {
+      retries: 2,
+      retryDelayMs: 200
+    });
+    if (!profilesReady) {
+      console.warn('[matchmaking] Profile provisioning incomplete, match will be transient.');
+      isTransient = true;
+    }
+  }
+
+  if (!isTransient) {
+    try {
+      const { data, error } = await withTimeout(supabase.from('matches').insert({
+        id: roomId,
+        topic: topicTitle,
+        topic_title: topicTitle,
+        status: 'active',
+        critic_id: critic.userId,
+        defender_id: defender.userId,
+        format_key: format.key
+      }).select().single(), 10000);
+
+      if (error) {
+        console.warn('[matchmaking] DB Insert failed, match will be transient:', error.message);
+        isTransient = true;
+      }
+    } catch (err) {
+      console.error('[matchmaking] Match creation timeout, match will be transient:', err);
+      isTransient = true;
+    }
+  }
+
+  // Join Room
+  [critic, defender].forEach(p => io.in(p.socketId).socketsJoin(roomId));
+
+  activeRooms[roomId] = {
+    players: { critic: critic.socketId, defender: defender.socketId },
+    critic_id: critic.userId,
+    defender_id: defender.userId,
+    topic: topicTitle,
+    isTransient,
+    syntheticTestMatch: isSyntheticSwarmMatch,
+    ...createFormatState(format.key),
+    transcript: [],
+    cognitiveGraph: [],
+    status: 'active',
+    startTime: Date.now(),
+    lifelines: {
+      [critic.userId || critic.socketId]: 1,
+      [defender.userId || defender.socketId]: 1
+    }
+  };
+  await realtimeCoordinator.saveRoom(roomId, activeRooms[roomId]);
+  await Promise.all([
+    realtimeCoordinator.setSocketRoom(critic.socketId, roomId),
+    realtimeCoordinator.setSocketRoom(defender.socketId, roomId),
+  ]);
+
+  recordMatchEvent('started');
+  refreshRuntimeGauges();
+  logMatchEvent(roomId, activeRooms[roomId], 'match_started', { topic: topicTitle, format: format.key, source: 'queue' });
+
+  io.to(roomId).emit('match_found', {
+    roomId,
+    topic: topicTitle,
+    topicId: negotiated?.id || null,
+    topicNegotiation: negotiated ? { reason: negotiated.reason, message: negotiated.message, overlap: negotiated.overlap } : null,
+    criticUserId: critic.userId,
+    defenderUserId: defender.userId,
+    roles: {
+      [critic.socketId]: 'Critic',
+      [defender.socketId]: 'Defender'
+    },
+    ...roomClockPayload(activeRooms[roomId])
+  });
+
+  startRoomTimer(roomId);
+  io.to(roomId).emit('time_sync', { ...roomClockPayload(activeRooms[roomId]), timestamp: Date.now() });
+
+  // Track match for disconnects
+  [critic, defender].forEach(p => {
+    const s = io.sockets.sockets.get(p.socketId);
+    if (s) s.currentMatchId = roomId;
+  });
+};
+
+/**
+ * Seats a player who has waited out the queue against the AI sparring
+ * opponent. The room is a normal live room with one debater's seat held by
+ * the server; `room.aiOpponent` tells the referee to play that side.
+ */
+const startAiSparringMatch = async (player) => {
+  const topicTitle = player.topicTitle || acceptableTopics(player)[0]?.title;
+  if (!topicTitle) return false;
+  const format = resolveDebateFormat(player.formatKey);
+  const aiSide = aiSideFor(player.preferredRole);
+  let { persona, difficulty } = resolveSparringProfile({ persona: player.aiPersona, difficulty: player.aiDifficulty });
+  const playerSide = aiSide === 'Critic' ? 'Defender' : 'Critic';
+  const criticUserId = playerSide === 'Critic' ? player.userId : null;
+  const defenderUserId = playerSide === 'Defender' ? player.userId : null;
+
+  const roomId = generateRoomId();
+  let isTransient = !(await ensureProfilesExist([player.userId], { retries: 2, retryDelayMs: 200 }));
+  if (!isTransient) {
+    try {
+      const insert = {
+        id: roomId,
+        topic: topicTitle,
+        topic_title: topicTitle,
+        status: 'active',
+        critic_id: criticUserId,
+        defender_id: defenderUserId,
+        format_key: format.key,
+        ai_side: aiSide,
+        ai_persona: persona.key,
+        ai_difficulty: difficulty.key
+      };
+      let { error } = await withTimeout(supabase.from('matches').insert(insert), 10000);
+      if (error && /ai_persona|ai_difficulty/.test(error.message || '')) {
+        // Migration 014 not applied: play the default persona, rated at the club level.
+        console.warn('[AI Sparring] Persona columns missing; sparring with the default persona.');
+        ({ persona, difficulty } = resolveSparringProfile());
+        const { ai_persona: _persona, ai_difficulty: _difficulty, ...plain } = insert;
+        ({ error } = await withTimeout(supabase.from('matches').insert(plain), 10000));
+      }
+      if (error) {
+        // Without migration 013 the result could not be kept off the main Elo.
+        console.warn('[AI Sparring] Match insert failed, sparring match will be transient:', error.message);
+        isTransient = true;
+      }
+    } catch (err) {
+      console.error('[AI Sparring] Match creation timeout, sparring match will be transient:', err);
+      isTransient = true;
+    }
+  }
+
+  io.in(player.socketId).socketsJoin(roomId);
+  const aiOpponent = {
+    side: aiSide,
+    playerId: player.userId,
+    persona: persona.key,
+    personaLabel: persona.label,
+    difficulty: difficulty.key,
+    rating: aiRatingFor(difficulty.key)
+  };
+  activeRooms[roomId] = {
+    players: {
+      critic: playerSide === 'Critic' ? player.socketId : AI_OPPONENT_SOCKET,
+      defender: playerSide === 'Defender' ? player.socketId : AI_OPPONENT_SOCKET
+    },
+    critic_id: criticUserId,
+    defender_id: defenderUserId,
+    topic: topicTitle,
+    isTransient,
+    aiOpponent,
+    ...createFormatState(format.key),
+    transcript: [],
+    cognitiveGraph: [],
+    status: 'active',
+    startTime: Date.now(),
+    lifelines: { [player.userId]: 1 }
+  };
+  await realtimeCoordinator.saveRoom(roomId, activeRooms[roomId]);
+  await realtimeCoordinator.setSocketRoom(player.socketId, roomId);
+
+  recordMatchEvent('ai_sparring_started');
+  refreshRuntimeGauges();
+  logMatchEvent(roomId, activeRooms[roomId], 'match_started', { topic: topicTitle, format: format.key, source: 'ai_fallback' });
+
+  io.to(roomId).emit('match_found', {
+    roomId,
+    topic: topicTitle,
+    criticUserId,
+    defenderUserId,
+    roles: { [player.socketId]: playerSide },
+    aiOpponent,
+    ...roomClockPayload(activeRooms[roomId])
+  });
+
+  startRoomTimer(roomId);
+  io.to(roomId).emit('time_sync', { ...roomClockPayload(activeRooms[roomId]), timestamp: Date.now() });
+  const playerSocket = io.sockets.sockets.get(player.socketId);
+  if (playerSocket) playerSocket.currentMatchId = roomId;
+  console.log(`[matchmaking] 🤖 ${player.socketId} waited out the queue; sparring against the AI as ${playerSide} in ${roomId}.`);
+  return true;
+};
+
+// Takes a waiting player out of the queue for the AI fallback. Redis removal
+// is the claim, so only one instance seats them.
+const claimQueuedPlayer = async (player) => {
+  if (realtimeCoordinator.enabled) return (await realtimeCoordinator.removeQueuedSocket(player.socketId)) > 0;
+  const queue = waitingQueues[player.topicId] || [];
+  const index = queue.indexOf(player);
+  if (index === -1) return false;
+  queue.splice(index, 1);
+  return true;
+};
+
+/**
+ * Starts a 1v1 between two known users outside the queue: creates the matches
+ * row, seats both debaters and starts the referee. Private arenas and
+ * rematches share this path; `seatSockets(roomId)` joins the players' sockets
+ * to the match room and returns `{ criticSid, defenderSid }`. `bestOf` marks
+ * a game of a rated set so the room resolves straight after judging.
+ */
+const launchPrivateMatch = async ({ insert, format, source, seatSockets, bestOf = null }) => {
+  const { data: matchData, error: matchError } = await withTimeout(supabase.from('matches').insert(insert).select().single(), 10000);
+  if (matchError) throw matchError;
+
+  const roomId = matchData.id;
+  const { topic, critic_id: criticUserId, defender_id: defenderUserId } = insert;
+  const { criticSid, defenderSid } = await seatSockets(roomId);
+
+  activeRooms[roomId] = {
+    players: { critic: criticSid, defender: defenderSid },
+    critic_id: criticUserId,
+    defender_id: defenderUserId,
+    topic,
+    series: matchData.series_id ? { id: matchData.series_id, game: matchData.series_game, bestOf } : null,
+    ...createFormatState(format.key),
+    transcript: [],
+    cognitiveGraph: [],
+    status: 'active',
+    startTime: Date.now(),
+    lifelines: {
+      [criticUserId]: 1,
+      [defenderUserId]: 1
+    }
+  };
+  await realtimeCoordinator.saveRoom(roomId, activeRooms[roomId]);
+
+  recordMatchEvent('started');
+  refreshRuntimeGauges();
+  logMatchEvent(roomId, activeRooms[roomId], 'match_started', { topic, format: format.key, source });
+
+  // Emit match_found — clients identify their role via userId
+  io.to(roomId).emit('match_found', {
+    roomId,
+    topic,
+    criticUserId,
+    defenderUserId,
+    roles: {
+      [criticSid]: 'Critic',
+      [defenderSid]: 'Defender'
+    },
+    series: matchData.series_id ? { id: matchData.series_id, game: matchData.series_game, bestOf, rematchOf: matchData.rematch_of } : null,
+    ...roomClockPayload(activeRooms[roomId])
+  });
+
+  startRoomTimer(roomId);
+  io.to(roomId).emit('time_sync', { ...roomClockPayload(activeRooms[roomId]), timestamp: Date.now() });
+  return roomId;
+};
+
+/**
+ * Runs a finished match back with Critic and Defender swapped. Both players'
+ * sockets are found through their user rooms, so they may be connected to
+ * any instance.
+ */
+const startRematch = async (match) => {
+  const insert = buildRematchInsert(match);
+  const profilesReady = await ensureProfilesExist([insert.critic_id, insert.defender_id], { retries: 2, retryDelayMs: 200 });
+  if (!profilesReady) throw Object.assign(new Error('Finalizing player profile. Please retry in a moment.'), { code: 'PROFILE_PENDING' });
+
+  const seatSockets = async (roomId) => {
+    const [criticSockets, defenderSockets] = await Promise.all(
+      [insert.critic_id, insert.defender_id].map(userId => io.in(`user:${userId}`).fetchSockets())
+    );
+    for (const userId of [insert.critic_id, insert.defender_id]) io.in(`user:${userId}`).socketsJoin(roomId);
+    for (const remote of [...criticSockets, ...defenderSockets]) {
+      const local = io.sockets.sockets.get(remote.id);
+      if (local) local.currentMatchId = roomId;
+    }
+    return { criticSid: criticSockets[0]?.id || 'unknown', defenderSid: defenderSockets[0]?.id || 'unknown' };
+  };
+
+  // A first rematch opens a series keyed by the original match.
+  if (!match.series) {
+    const { error } = await supabase.from('match_series').upsert({
+      id: insert.series_id,
+      best_of: null,
+      player_a_id: match.critic_id,
+      player_b_id: match.defender_id,
+      topic_title: insert.topic_title,
+      format_key: insert.format_key,
+      source: 'rematch',
+      status: 'open',
+    }, { onConflict: 'id', ignoreDuplicates: true });
+    if (error) {
+      console.warn('[Rematch] Series row not written:', error.message);
+    } else {
+      // The original match is game 1; link it too so the series history lists it.
+      const { error: linkError } = await supabase.from('matches')
+        .update({ series_id: insert.series_id, series_game: 1 })
+        .eq('id', match.id)
+        .is('series_id', null);
+      if (linkError) console.warn('[Rematch] First game not linked to its series:', linkError.message);
+    }
+  }
 
-const checkRateLimit = (userId, endpoint, maxRequests, windowMs) => {
-  if (!aiRateLimits.has(userId)) aiRateLimits.set(userId, {});
-  const userLimits = aiRateLimits.get(userId);
-  if (!userLimits[endpoint]) userLimits[endpoint] = [];
+  const format = resolveDebateFormat(insert.format_key);
+  const bestOf = isRatedAsSet(match.series) ? match.series.best_of : null;
+  return launchLinkedRematch(insert, (row, { linked }) => (
+    launchPrivateMatch({ insert: row, format, source: 'rematch', seatSockets, bestOf: linked ? bestOf : null })
+  ));
+};
 
+const sweepMatchmakingQueues = async () => {
   const now = Date.now();
-  userLimits[endpoint] = userLimits[endpoint].filter(t => now - t < windowMs);
+  let pairs = [];
+  let waiting = [];
+  if (realtimeCoordinator.enabled) {
+    ({ pairs, waiting } = await realtimeCoordinator.sweepQueues(now));
+    waiting = waiting.filter(player => player.instanceId === realtimeCoordinator.instanceId);
+  } else {
+    // Queues are swept together so any-arena players can meet topic queues.
+    const result = pairWaitingPlayers(Object.values(waitingQueues).flat(), now);
+    const paired = new Set(result.pairs.flat());
+    for (const [topicId, queue] of Object.entries(waitingQueues)) {
+      waitingQueues[topicId] = queue.filter(player => !paired.has(player));
+    }
+    pairs = result.pairs.map(([first, second]) => ({ first, second }));
+    waiting = result.remaining;
+  }
 
-  if (userLimits[endpoint].length >= maxRequests) {
-    return false; // Rate limited
+  for (const { first, second } of pairs) {
+    console.log(`[matchmaking] 🎯 Band sweep paired ${first.socketId} (${first.rating}) with ${second.socketId} (${second.rating})`);
+    await startQueuedMatch({ player1: first, player2: second });
+  }
+  if (pairs.length) refreshRuntimeGauges();
+
+  for (const player of waiting) {
+    if (shouldOfferAiOpponent(player, now) && io.sockets.sockets.has(player.socketId) && await claimQueuedPlayer(player)) {
+      if (!(await startAiSparringMatch(player))) io.to(player.socketId).emit('queue_left');
+      continue;
+    }
+    io.to(player.socketId).emit('waiting_for_opponent', waitingPayload(player, now));
   }
-  userLimits[endpoint].push(now);
-  return true;
 };
 
-const consumeSocketAiAllowance = async ({ userId, userFeature, userMax, userMessage, globalFeature, globalMax, globalMessage }) => {
-  const userResult = await consumeDailyAllowance({ bucketKey: `${userFeature}:${userId}`, max: userMax, now: Date.now() });
-  recordAiAllowance({ feature: userFeature, outcome: userResult.allowed ? 'allowed' : 'blocked', scope: 'user', mode: userResult.mode });
-  if (!userResult.allowed) return { allowed: false, code: 'DAILY_AI_ALLOWANCE_REACHED', message: userMessage };
+const matchmakingSweepTimer = setInterval(() => {
+  sweepMatchmakingQueues().catch(error => console.warn('[matchmaking] Queue sweep failed:', error.message));
+}, Math.min(5000, matchmakingBands.intervalMs));
 
-  const globalResult = await consumeDailyAllowance({ bucketKey: `${globalFeature}:all-users`, max: globalMax, now: Date.now() });
-  recordAiAllowance({ feature: globalFeature, outcome: globalResult.allowed ? 'allowed' : 'blocked', scope: 'global', mode: globalResult.mode });
-  if (!globalResult.allowed) return { allowed: false, code: 'AI_CAPACITY_REACHED', message: globalMessage };
-  return { allowed: true };
+/**
+ * Orphaned Room Adoption
+ * A room's clock only runs on the instance holding its timer lease. If that
+ * instance dies (or drains) the lease lapses within seconds; this sweep
+ * claims such rooms so the clocks keep running even if neither player
+ * happens to rejoin through another instance.
+ */
+const adoptOrphanedRooms = async () => {
+  if (draining || !realtimeCoordinator.enabled) return;
+  const adopted = await realtimeCoordinator.adoptOrphanedRooms();
+  for (const { roomId, room } of adopted) {
+    activeRooms[roomId] = room;
+    console.log(`[Timer] Instance ${realtimeCoordinator.instanceId} adopted orphaned room ${roomId}.`);
+    recordMatchEvent('timer_adopted');
+    await startRoomTimer(roomId);
+    io.to(roomId).emit('time_sync', { ...roomClockPayload(room), timestamp: Date.now() });
+  }
+  if (adopted.length) refreshRuntimeGauges();
 };
 
+const orphanSweepTimer = setInterval(() => {
+  adoptOrphanedRooms().catch(error => console.warn('[Timer] Orphan sweep failed:', error.message));
+}, 5000);
+
 /**
  * Challenge System State
  * ---------------------------------------------------------------------------
@@ -1573,154 +2422,67 @@ io.on('connection', (socket) => {
 
   /**
    * Matchmaking: Join queue
-   */  socket.on('join_queue', async ({ topicId, topicTitle, preferredRole = 'Random' }) => {
+   */  socket.on('join_queue', async ({ topicId, topicTitle, preferredRole = 'Random', topicScope = 'exact', topicIds = [], formatKey = DEFAULT_FORMAT_KEY, aiPersona, aiDifficulty }) => {
     const userId = socket.verifiedUserId;
-    console.log(`[matchmaking] 👤 User ${userId} joined queue for ${topicId} as ${preferredRole}`);
+    if (draining) {
+      socket.emit('server_draining', { reconnectInMs: DRAIN_RECONNECT_MS });
+      return;
+    }
+    if (!isDebateFormat(formatKey)) formatKey = DEFAULT_FORMAT_KEY;
+    const aiProfile = resolveSparringProfile({ persona: aiPersona, difficulty: aiDifficulty });
+    console.log(`[matchmaking] 👤 User ${userId} joined queue for ${topicId} as ${preferredRole} (${topicScope}, ${formatKey})`);
 
     // Prevent duplicate joins in either the local fallback or Redis queues.
     if (realtimeCoordinator.enabled) await realtimeCoordinator.removeQueuedSocket(socket.id);
     else for (const queue of Object.values(waitingQueues)) if (queue.some(p => p.socketId === socket.id)) return;
 
-    if (!realtimeCoordinator.enabled && !waitingQueues[topicId]) waitingQueues[topicId] = [];
+    const topics = await resolveQueueTopics({ userId, topicId, topicTitle, topicScope, topicIds });
+    if (!topics.length) {
+      socket.emit('error', { message: 'Pick a topic or follow a few topics before using Surprise Me.' });
+      return;
+    }
+    const queueId = topicScope === 'exact' ? topicId : ANY_ARENA_QUEUE;
+    if (!realtimeCoordinator.enabled && !waitingQueues[queueId]) waitingQueues[queueId] = [];
 
     const newPlayer = {
       socketId: socket.id,
       userId,
       preferredRole,
+      topicId: queueId,
+      topicTitle: topicScope === 'exact' ? topicTitle : null,
+      topics,
+      formatKey,
+      aiPersona: aiProfile.persona.key,
+      aiDifficulty: aiProfile.difficulty.key,
+      rating: socket.isSyntheticSwarmBot ? 1000 : await fetchQueueRating(userId),
+      joinedAt: Date.now(),
+      instanceId: realtimeCoordinator.instanceId,
       isSyntheticSwarmBot: !!socket.isSyntheticSwarmBot
     };
+    const searchQueueIds = searchQueueIdsFor(newPlayer);
 
     // Redis uses WATCH/MULTI to claim a compatible opponent atomically across
     // instances. The original queue remains the development fallback.
     let player1 = null;
     if (realtimeCoordinator.enabled) {
-      player1 = await realtimeCoordinator.matchmake(topicId, newPlayer);
+      player1 = await realtimeCoordinator.matchmake(queueId, newPlayer, Date.now(), searchQueueIds);
     } else {
-      const opponentIndex = waitingQueues[topicId].findIndex(waitPlayer => (
-        newPlayer.preferredRole === 'Random' || waitPlayer.preferredRole === 'Random' || newPlayer.preferredRole !== waitPlayer.preferredRole
-      ));
-      if (opponentIndex !== -1) player1 = waitingQueues[topicId].splice(opponentIndex, 1)[0];
+      const candidates = searchQueueIds.flatMap(id => waitingQueues[id] || []);
+      const opponentIndex = findOpponentIndex(candidates, newPlayer);
+      if (opponentIndex !== -1) {
+        player1 = candidates[opponentIndex];
+        const queue = waitingQueues[player1.topicId];
+        queue.splice(queue.indexOf(player1), 1);
+      }
     }
 
     if (player1) {
-      const player2 = newPlayer;
-
-      // Determine Roles
-      let critic, defender;
-      if (player1.preferredRole === 'Critic') {
-        critic = player1;
-        defender = player2;
-      } else if (player2.preferredRole === 'Critic') {
-        critic = player2;
-        defender = player1;
-      } else if (player1.preferredRole === 'Defender') {
-        critic = player2;
-        defender = player1;
-      } else if (player2.preferredRole === 'Defender') {
-        critic = player1;
-        defender = player2;
-      } else {
-        // Both are random
-        if (Math.random() > 0.5) {
-          critic = player1; defender = player2;
-        } else {
-          critic = player2; defender = player1;
-        }
-      }
-
-      let roomId = generateRoomId();
-      let isTransient = false;
-
-      const isSyntheticSwarmMatch = !!(critic.isSyntheticSwarmBot && defender.isSyntheticSwarmBot);
-      if (isSyntheticSwarmMatch) {
-        isTransient = true;
-      } else {
-        const profilesReady = await ensureProfilesExist([critic.userId, defender.userId], {
-          retries: 2,
-          retryDelayMs: 200
-        });
-        if (!profilesReady) {
-          console.warn('[matchmaking] Profile provisioning incomplete, match will be transient.');
-          isTransient = true;
-        }
-      }
-
-      if (!isTransient) {
-        try {
-          const { data, error } = await withTimeout(supabase.from('matches').insert({
-            id: roomId,
-            topic: topicTitle,
-            topic_title: topicTitle,
-            status: 'active',
-            critic_id: critic.userId,
-            defender_id: defender.userId
-          }).select().single(), 10000);
-
-          if (error) {
-            console.warn('[matchmaking] DB Insert failed, match will be transient:', error.message);
-            isTransient = true;
-          }
-        } catch (err) {
-          console.error('[matchmaking] Match creation timeout, match will be transient:', err);
-          isTransient = true;
-        }
-      }
-
-      // Join Room
-      [critic, defender].forEach(p => io.in(p.socketId).socketsJoin(roomId));
-
-      activeRooms[roomId] = {
-        players: { critic: critic.socketId, defender: defender.socketId },
-        critic_id: critic.userId,
-        defender_id: defender.userId,
-        topic: topicTitle,
-        isTransient,
-        syntheticTestMatch: isSyntheticSwarmMatch,
-        activeSpeaker: 'Critic',
-        criticTime: 300,
-        defenderTime: 300,
-        transcript: [],
-        cognitiveGraph: [],
-        status: 'active',
-        startTime: Date.now(),
-        lifelines: {
-          [critic.userId || critic.socketId]: 1,
-          [defender.userId || defender.socketId]: 1
-        }
-      };
-      await realtimeCoordinator.saveRoom(roomId, activeRooms[roomId]);
-      await Promise.all([
-        realtimeCoordinator.setSocketRoom(critic.socketId, roomId),
-        realtimeCoordinator.setSocketRoom(defender.socketId, roomId),
-      ]);
-
-      recordMatchEvent('started');
-      refreshRuntimeGauges();
-
-      io.to(roomId).emit('match_found', {
-        roomId,
-        topic: topicTitle,
-        criticUserId: critic.userId,
-        defenderUserId: defender.userId,
-        roles: {
-          [critic.socketId]: 'Critic',
-          [defender.socketId]: 'Defender'
-        }
-      });
-
-      startRoomTimer(roomId);
-      io.to(roomId).emit('time_sync', { criticTime: 300, defenderTime: 300, activeSpeaker: 'Critic', timestamp: Date.now() });
-
-      // Track match for disconnects
-      [critic, defender].forEach(p => {
-        const s = io.sockets.sockets.get(p.socketId);
-        if (s) s.currentMatchId = roomId;
-      });
+      await startQueuedMatch({ player1, player2: newPlayer });
     } else {
-      if (!realtimeCoordinator.enabled) waitingQueues[topicId].push(newPlayer);
+      if (!realtimeCoordinator.enabled) waitingQueues[queueId].push(newPlayer);
       refreshRuntimeGauges();
-      socket.emit('waiting_for_opponent');
-      console.log(`[matchmaking] ⏳ ${socket.id} waiting for compatible partner in ${topicId}`);
+      socket.emit('waiting_for_opponent', waitingPayload(newPlayer));
+      console.log(`[matchmaking] ⏳ ${socket.id} waiting for compatible partner in ${queueId} (${topics.length} topic(s))`);
     }
   });
 
@@ -1786,12 +2548,14 @@ io.on('connection', (socket) => {
       },
       transcript: room.transcript,
       cognitiveInsights: room.cognitiveGraph || extractCognitiveInsights(room.transcript),
-      activeSpeaker: room.activeSpeaker,
+      aiOpponent: room.aiOpponent || null,
+      ...roomClockPayload(room),
       resume: true
     });
 
     // Notify opponent
     io.to(roomId).emit('match_resumed', { role: role === 'critic' ? 'Critic' : 'Defender' });
+    logMatchEvent(roomId, room, 'player_rejoined', { role: role === 'critic' ? 'Critic' : 'Defender' });
   });
 
   /**
@@ -1809,70 +2573,292 @@ io.on('connection', (socket) => {
     }
 
     // Verify it's the player's turn
-    const userId = socket.verifiedUserId;
-    let playerRole = null;
-
-    // Robust check: match by authenticated User ID
-    if (userId) {
-      if (room.critic_id === userId) playerRole = 'Critic';
-      else if (room.defender_id === userId) playerRole = 'Defender';
+    const playerRole = debaterRoleFor(room, socket);
+    if (!playerRole) {
+      socket.emit('error', { message: 'You are not a participant in this match' });
+      return;
     }
 
-    // Fallback: match by Socket ID
-    if (!playerRole) {
-      if (room.players.critic === socket.id) playerRole = 'Critic';
-      else if (room.players.defender === socket.id) playerRole = 'Defender';
+    // Rejected turns get a structured event the client can explain, and every
+    // rejection is counted so scripted or abusive clients show up in metrics.
+    // The room is saved so the attempt just counted survives a failover.
+    const rejectTurn = async (code, rejectionMessage, details = {}) => {
+      recordTurnRejection({ reason: code, format: room.formatKey });
+      socket.emit('turn_rejected', { roomId, code, message: rejectionMessage, ...details });
+      await realtimeCoordinator.saveRoom(roomId, room);
+    };
+
+    // Every attempt counts against the rate window, so hammering the socket
+    // with rejected turns is throttled too.
+    if (recordTurnAttempt(room, playerRole)) {
+      await rejectTurn('SUBMITTING_TOO_FAST', 'You are submitting turns too quickly. Wait a moment and try again.');
+      return;
     }
 
-    if (!playerRole) {
-      socket.emit('error', { message: 'You are not a participant in this match' });
+    if (isRoomPaused(room)) {
+      await rejectTurn('ROOM_PAUSED', 'The match is paused. Wait for it to resume.');
       return;
     }
 
     if (playerRole !== room.activeSpeaker) {
-      socket.emit('error', { message: 'Not your turn' });
+      await rejectTurn('NOT_YOUR_TURN', 'Not your turn');
       return;
     }
 
-    // Add message to transcript (including Affective Tone)
-    const turnMessage = {
-      id: Date.now() + Math.random().toString(36).substring(7),
-      speaker: playerRole,
-      text: message,
-      tone: tone || 'neutral',
-      timestamp: new Date().toISOString()
-    };
+    const upcomingTurn = describeNextTurn(room, playerRole);
+    const validation = validateTurn({ room, message, exchange: upcomingTurn.exchange });
+    if (!validation.ok) {
+      await rejectTurn(validation.code, validation.message, { limit: validation.limit ?? null, actual: validation.actual ?? null });
+      return;
+    }
+    const text = validation.text;
 
-    room.transcript.push(turnMessage);
+    // The phase engine tags the turn and enforces cross-examination rules.
+    const turnPhase = resolveTurnPhase(room, playerRole, text);
+    if (turnPhase.error) {
+      await rejectTurn('QUESTION_REQUIRED', turnPhase.error);
+      return;
+    }
 
-    const cognitiveInsight = analyzeCognitiveTurn({
-      message: turnMessage,
-      transcript: room.transcript,
-      topic: room.topic
-    });
-    turnMessage.cognitive = cognitiveInsight;
-    if (!Array.isArray(room.cognitiveGraph)) room.cognitiveGraph = [];
-    room.cognitiveGraph.push(cognitiveInsight);
-    recordCognitiveInsight(cognitiveInsight);
+    await commitTurn(roomId, room, { speaker: playerRole, text, tone, turnPhase });
+  });
 
-    console.log(`[submit_turn] ${playerRole} submitted message [Tone: ${tone || 'neutral'}]. Transcript length: ${room.transcript.length}. Cognitive risk: ${cognitiveInsight.riskScore.toFixed(2)}`);
+  /**
+   * Tactical timeouts and mutual pauses
+   * Each debater gets one short timeout per match; a longer pause needs the
+   * opponent to accept. The room timer lease holder freezes the clocks.
+   */
+  const withDebaterRoom = async (roomId, handler) => {
+    let room = activeRooms[roomId];
+    if (!room && realtimeCoordinator.enabled) {
+      room = await realtimeCoordinator.loadRoom(roomId);
+      if (room) activeRooms[roomId] = room;
+    }
+    if (!room || room.status !== 'active') {
+      socket.emit('error', { message: 'Invalid room or match not active' });
+      return;
+    }
+    const role = debaterRoleFor(room, socket);
+    if (!role) {
+      socket.emit('error', { message: 'You are not a participant in this match' });
+      return;
+    }
+    await handler(room, role);
+  };
 
-    // Swap active speaker (chess clock - timers are never reset)
-    room.activeSpeaker = room.activeSpeaker === 'Critic' ? 'Defender' : 'Critic';
+  const beginRoomPause = async (roomId, room, pause) => {
+    await realtimeCoordinator.setRoomPause(roomId, pause);
     await realtimeCoordinator.saveRoom(roomId, room);
+    io.to(roomId).emit('room_paused', roomPausedPayload(roomId, room));
+    logMatchEvent(roomId, room, 'room_paused', { kind: pause.kind, by: pause.by, resumesAt: pause.resumesAt });
+    recordMatchEvent(pause.kind === 'timeout' ? 'tactical_timeout' : 'mutual_pause');
+  };
+
+  socket.on('call_timeout', async ({ roomId } = {}) => {
+    await withDebaterRoom(roomId, async (room, role) => {
+      const result = callTacticalTimeout(room, role);
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      await beginRoomPause(roomId, room, result.pause);
+    });
+  });
 
-    io.to(roomId).emit('cognitive_insight', cognitiveInsight);
+  socket.on('request_pause', async ({ roomId } = {}) => {
+    await withDebaterRoom(roomId, async (room, role) => {
+      if (room.aiOpponent) {
+        socket.emit('error', { message: 'Your AI sparring partner does not take pauses. Use your tactical timeout instead.' });
+        return;
+      }
+      const result = requestMutualPause(room, role);
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      if (result.pause) {
+        await beginRoomPause(roomId, room, result.pause);
+        return;
+      }
+      await realtimeCoordinator.saveRoom(roomId, room);
+      io.to(roomId).emit('pause_requested', { roomId, by: role, expiresAt: result.request.expiresAt });
+    });
+  });
 
-    // Broadcast new turn to room
-    console.log(`[submit_turn] Broadcasting transcript with ${room.transcript.length} messages to room ${roomId}`);
-    io.to(roomId).emit('new_turn', {
-      transcript: room.transcript,
-      activeSpeaker: room.activeSpeaker,
-      lastSpeaker: playerRole,
-      cognitiveInsight
+  socket.on('respond_pause', async ({ roomId, accept } = {}) => {
+    await withDebaterRoom(roomId, async (room, role) => {
+      const result = respondToPauseRequest(room, role, Boolean(accept));
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      if (result.pause) {
+        await beginRoomPause(roomId, room, result.pause);
+        return;
+      }
+      await realtimeCoordinator.saveRoom(roomId, room);
+      io.to(roomId).emit('pause_declined', { roomId, by: role });
+    });
+  });
+
+  socket.on('resume_room', async ({ roomId } = {}) => {
+    await withDebaterRoom(roomId, async (room, role) => {
+      const result = resumeFromPause(room, role);
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      await realtimeCoordinator.clearRoomPause(roomId);
+      await realtimeCoordinator.saveRoom(roomId, room);
+      io.to(roomId).emit('room_resumed', { roomId, reason: 'resumed', kind: result.pause.kind, by: role, ...roomClockPayload(room) });
+      logMatchEvent(roomId, room, 'room_resumed', { reason: 'resumed', kind: result.pause.kind, by: role });
+    });
+  });
+
+  /**
+   * Draw offers and resignation
+   * Either debater may resign at any point. A draw needs the opponent to
+   * accept (or offer back) before the offer lapses; both end the match with
+   * the result already decided.
+   */
+  socket.on('offer_draw', async ({ roomId } = {}) => {
+    await withDebaterRoom(roomId, async (room, role) => {
+      if (room.aiOpponent) {
+        socket.emit('error', { message: 'Your AI sparring partner plays every match to the end.' });
+        return;
+      }
+      const result = offerDraw(room, role);
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      if (result.agreed) {
+        await concludeTimedRoom(roomId, room, { reason: 'draw_agreed' });
+        return;
+      }
+      await realtimeCoordinator.saveRoom(roomId, room);
+      io.to(roomId).emit('draw_offered', { roomId, by: role, expiresAt: result.offer.expiresAt });
+      logMatchEvent(roomId, room, 'draw_offered', { by: role });
+    });
+  });
+
+  socket.on('accept_draw', async ({ roomId } = {}) => {
+    await withDebaterRoom(roomId, async (room, role) => {
+      const result = acceptDraw(room, role);
+      if (result.error) {
+        await realtimeCoordinator.saveRoom(roomId, room);
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      await concludeTimedRoom(roomId, room, { reason: 'draw_agreed' });
+    });
+  });
+
+  socket.on('resign', async ({ roomId } = {}) => {
+    await withDebaterRoom(roomId, async (room, role) => {
+      console.log(`[match_endings] ${role} resigned room ${roomId}.`);
+      await concludeTimedRoom(roomId, room, resignationResult(role));
     });
   });
 
+  /**
+   * Rematch handshake
+   * Either debater of a finished match may ask to run it back. The opponent
+   * accepts within the offer window (or asks too) and both land in a new
+   * match on the same topic with roles swapped, linked as a series.
+   */
+  const loadRematchCandidate = async (matchId) => {
+    if (typeof matchId !== 'string' || !matchId) return null;
+    const columns = 'id, status, topic, topic_title, critic_id, defender_id, format_key';
+    const select = fields => supabase.from('matches').select(fields).eq('id', matchId).maybeSingle();
+    let { data: match, error: matchError } = await select(`${columns}, series_id, series_game`);
+    // Before migration 011 there is no series to extend.
+    if (matchError && /series_/.test(matchError.message || '')) ({ data: match } = await select(columns));
+    if (!match) return null;
+    const { count, error } = await supabase.from('matches').select('id', { count: 'exact', head: true }).eq('rematch_of', matchId);
+    return { ...match, rematched: !error && count > 0, series: await loadMatchSeries(match.series_id) };
+  };
+
+  const rematchError = (matchId, message) => socket.emit('rematch_error', { matchId, message });
+
+  const acceptRematch = async (match, offer) => {
+    if (!offer) {
+      rematchError(match.id, 'The rematch offer has expired.');
+      return;
+    }
+    try {
+      const roomId = await startRematch(match);
+      recordMatchEvent('rematch_started');
+      console.log(`[Rematch] Match ${match.id} rematched as ${roomId}.`);
+    } catch (error) {
+      const message = error?.code === '23505'
+        ? 'This match has already been rematched.'
+        : error?.code === 'PROFILE_PENDING' ? error.message : 'Could not start the rematch.';
+      console.error('[Rematch] Start error:', error?.message || error);
+      for (const userId of [offer.by, offer.to]) emitToUser(userId, 'rematch_error', { matchId: match.id, message });
+    }
+  };
+
+  socket.on('request_rematch', async ({ matchId } = {}) => {
+    if (draining) {
+      socket.emit('server_draining', { reconnectInMs: DRAIN_RECONNECT_MS });
+      return;
+    }
+    const userId = socket.verifiedUserId;
+    try {
+      const match = await loadRematchCandidate(matchId);
+      const eligibility = checkRematchEligibility(match, userId);
+      if (eligibility.error) {
+        rematchError(matchId, eligibility.error);
+        return;
+      }
+      const pending = await realtimeCoordinator.getRematchOffer(matchId);
+      if (isLiveRematchOffer(pending) && pending.by === eligibility.opponentId) {
+        // Both asked: a crossing request counts as acceptance.
+        await acceptRematch(match, await realtimeCoordinator.takeRematchOffer(matchId));
+        return;
+      }
+      if (isLiveRematchOffer(pending)) {
+        rematchError(matchId, 'Your rematch request is still waiting for an answer.');
+        return;
+      }
+      const offer = createRematchOffer(match, userId);
+      await realtimeCoordinator.setRematchOffer(matchId, offer);
+      emitToUser(userId, 'rematch_pending', offer);
+      emitToUser(eligibility.opponentId, 'rematch_requested', offer);
+    } catch (error) {
+      console.error('[Rematch] Request error:', error?.message || error);
+      rematchError(matchId, 'Could not request a rematch.');
+    }
+  });
+
+  socket.on('respond_rematch', async ({ matchId, accept } = {}) => {
+    const userId = socket.verifiedUserId;
+    try {
+      const pending = await realtimeCoordinator.getRematchOffer(matchId);
+      if (!isLiveRematchOffer(pending) || pending.to !== userId) {
+        rematchError(matchId, 'There is no rematch offer to answer.');
+        return;
+      }
+      // Claiming the offer is atomic, so a double click cannot start two matches.
+      const offer = await realtimeCoordinator.takeRematchOffer(matchId);
+      if (!accept) {
+        if (offer) for (const id of [offer.by, offer.to]) emitToUser(id, 'rematch_declined', { matchId, by: userId });
+        return;
+      }
+      const match = await loadRematchCandidate(matchId);
+      const eligibility = checkRematchEligibility(match, userId);
+      if (eligibility.error) {
+        rematchError(matchId, eligibility.error);
+        return;
+      }
+      await acceptRematch(match, offer);
+    } catch (error) {
+      console.error('[Rematch] Response error:', error?.message || error);
+      rematchError(matchId, 'Could not start the rematch.');
+    }
+  });
+
   /**
    * Summon AI Judge (Objection Lifeline)
    */
@@ -1937,7 +2923,7 @@ io.on('connection', (socket) => {
       return;
     }
 
-    if (process.env.GEMINI_API_KEY) {
+    if (llm.configured('objection')) {
       const allowance = await consumeSocketAiAllowance({
         userId: callerId,
         userFeature: 'ai-objection-user-daily',
@@ -1967,11 +2953,12 @@ io.on('connection', (socket) => {
     console.log(`[summon_ai_judge] ${playerRole} used their lifeline on message ${targetMessageId}`);
 
     try {
-      // Create a Smart Window: up to 40 messages ending at the target message
+      // Everything up to the target message: the recent window verbatim and
+      // earlier turns as digests. Each chunk is digested once; later
+      // objections and the judges reuse it from the digest cache.
       const targetIndex = room.transcript.findIndex(m => m.id === targetMessageId);
-      const startIndex = Math.max(0, targetIndex - 39);
-      const windowContext = room.transcript.slice(startIndex, targetIndex + 1);
-      const debateContextText = windowContext.map(m => `${m.speaker}: ${m.text}`).join('\n');
+      const condensed = await condenseTranscript(room.transcript.slice(0, targetIndex + 1), { generate: llm.forFeature('summary') });
+      const debateContextText = condensedTranscriptText(condensed);
 
       const prompt = `You are a strict master debate judge. Analyze a specific argument made in a debate about '${room.topic}'.
 
@@ -1990,16 +2977,18 @@ io.on('connection', (socket) => {
 
       Return ONLY valid JSON: { "flagged": boolean, "type": "fallacy"|"fact"|null, "reason": string|null }`;
 
-      const aiResponse = await generateWithRetry(prompt, 3, true);
+      const aiResponse = await llm.generate('objection', prompt);
 
       // Emit intervention to room
-      io.to(roomId).emit('ai_intervention_result', {
+      const intervention = {
         targetMessageId,
         caller: playerRole,
         flagged: aiResponse.flagged,
         type: aiResponse.type || null,
         reason: aiResponse.reason || null
-      });
+      };
+      io.to(roomId).emit('ai_intervention_result', intervention);
+      logMatchEvent(roomId, room, 'ai_intervention', intervention);
     } catch (error) {
       console.error("[Socket] AI Judge Error:", error);
       // Refund the lifeline on error
@@ -2071,7 +3060,7 @@ Respond STRICTLY with a valid JSON object and nothing else: {"isDuplicate": true
 
       let jsonResult;
       try {
-        jsonResult = await generateWithRetry(prompt, 3, true);
+        jsonResult = await llm.generate('topics', prompt);
       } catch (parseError) {
         console.error("[AI Bouncer] Failed to parse Gemini response:", parseError);
         // Fallback: Assume it's unique if parsing fails, so we don't block the user
@@ -2099,7 +3088,7 @@ Categories: ${validCategories.join(', ')}
 If none fit well, use "General".
 Respond STRICTLY with a valid JSON object and nothing else: {"category": "CategoryName"}`;
 
-          const catResult = await generateWithRetry(categoryPrompt, 2, true);
+          const catResult = await llm.generate('topics', categoryPrompt, { maxRetries: 2 });
           if (catResult?.category && validCategories.includes(catResult.category)) {
             detectedCategory = catResult.category;
             console.log(`[AI Bouncer] Detected category for "${newTopic}": ${detectedCategory}`);
@@ -2135,21 +3124,11 @@ Respond STRICTLY with a valid JSON object and nothing else: {"category": "Catego
     return `${prefix}-${suffix}`;
   }
 
-  /**
-   * Helper to wrap Supabase calls with a timeout
-   */
-  async function withTimeout(promise, timeoutMs = 8000) {
-    const timeout = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Database request timeout')), timeoutMs)
-    );
-    return Promise.race([promise, timeout]);
-  }
-
   /**
    * create_private_arena — Auto-called when a user enters the lobby.
    * Creates a row in private_arenas and returns the arena code.
    */
-  socket.on('create_private_arena', async ({ topicId, topicTitle }) => {
+  socket.on('create_private_arena', async ({ topicId, topicTitle, bestOf }) => {
     const userId = socket.verifiedUserId;
     try {
       let arenaCode;
@@ -2171,7 +3150,9 @@ Respond STRICTLY with a valid JSON object and nothing else: {"category": "Catego
         topic_id: topicId,
         topic_title: topicTitle,
         creator_id: userId,
-        status: 'waiting'
+        status: 'waiting',
+        // Only sets write the column, so arenas still open before migration 012.
+        ...(normalizeBestOf(bestOf) > 1 ? { best_of: normalizeBestOf(bestOf) } : {})
       }).select().single(), 10000);
 
       if (error) throw error;
@@ -2304,7 +3285,8 @@ Respond STRICTLY with a valid JSON object and nothing else: {"category": "Catego
           topicTitle: arena.topic_title,
           topicId: arena.topic_id,
           creatorId: arena.creator_id,
-          joinerId: arena.joiner_id
+          joinerId: arena.joiner_id,
+          bestOf: normalizeBestOf(arena.best_of)
         });
       }
     } catch (err) {
@@ -2333,11 +3315,37 @@ Respond STRICTLY with a valid JSON object and nothing else: {"category": "Catego
     }
   });
 
+  /**
+   * private_arena_set_best_of — The creator sets the series length before
+   * starting; both players see it, and start_private_debate reads it back.
+   */
+  socket.on('private_arena_set_best_of', async ({ arenaId, bestOf }) => {
+    try {
+      const { data: arena } = await supabase.from('private_arenas')
+        .select('creator_id, status').eq('id', arenaId).single();
+      if (!arena || arena.creator_id !== socket.verifiedUserId || arena.status === 'started') {
+        socket.emit('private_arena_error', { message: 'Only the arena creator can change the series length before the debate starts.' });
+        return;
+      }
+      const seriesBestOf = normalizeBestOf(bestOf);
+      const { error } = await supabase.from('private_arenas')
+        .update({ best_of: seriesBestOf }).eq('id', arenaId);
+      if (error) throw error;
+      io.to(`private_${arenaId}`).emit('private_arena_best_of_update', { bestOf: seriesBestOf });
+    } catch (err) {
+      console.error('[Private Arena] Series length error:', err);
+    }
+  });
+
   /**
    * start_private_debate — Creates match, assigns roles, starts debate.
    * Bypasses the normal matchmaking queue entirely.
    */
-  socket.on('start_private_debate', async ({ arenaId }) => {
+  socket.on('start_private_debate', async ({ arenaId, formatKey }) => {
+    if (draining) {
+      socket.emit('server_draining', { reconnectInMs: DRAIN_RECONNECT_MS });
+      return;
+    }
     try {
       const { data: arena, error } = await supabase.from('private_arenas')
         .select('*').eq('id', arenaId).single();
@@ -2421,95 +3429,85 @@ Respond STRICTLY with a valid JSON object and nothing else: {"category": "Catego
         return;
       }
 
-      // Create match
-      const { data: matchData, error: matchError } = await withTimeout(supabase.from('matches').insert({
-        topic: arena.topic_title,
-        topic_title: arena.topic_title,
-        status: 'active',
-        critic_id: criticUserId,
-        defender_id: defenderUserId
-      }).select().single(), 10000);
-      if (matchError) throw matchError;
-
-      const roomId = matchData.id;
-      await supabase.from('private_arenas').update({ status: 'started', match_id: roomId }).eq('id', arenaId);
+      // The creator picks the format when starting; the arena row keeps it.
+      const format = resolveDebateFormat(isDebateFormat(formatKey) ? formatKey : arena.format_key);
+
+      // A best-of set gets its series row before the first game exists. Its
+      // length is the one agreed on the challenge or arena, never what the
+      // starting client sends.
+      const seriesBestOf = normalizeBestOf(arena.best_of);
+      let series = null;
+      if (seriesBestOf > 1) {
+        const { data: challenge } = await supabase.from('challenges').select('id').eq('match_id', arenaId).maybeSingle();
+        series = await createMatchSeries(buildSeriesInsert({
+          bestOf: seriesBestOf,
+          criticUserId,
+          defenderUserId,
+          topic: arena.topic_title,
+          formatKey: format.key,
+          source: challenge ? 'challenge' : 'private_arena',
+        }));
+      }
 
       // Get sockets in private room and move them to match room
-      const room = io.sockets.adapter.rooms.get(`private_${arenaId}`);
+      const seatSockets = (roomId) => {
+        const room = io.sockets.adapter.rooms.get(`private_${arenaId}`);
 
-      // CRITICAL FIX: Properly identify critic and defender sockets by their tagged roles
-      let criticSid = null;
-      let defenderSid = null;
-      const connectedSockets = [];
+        // CRITICAL FIX: Properly identify critic and defender sockets by their tagged roles
+        let criticSid = null;
+        let defenderSid = null;
+        const connectedSockets = [];
 
-      if (room) {
-        for (const sid of room) {
-          const s = io.sockets.sockets.get(sid);
-          if (s) {
-            connectedSockets.push(s);
-            s.join(roomId);
-            s.currentMatchId = roomId;
-
-            // Determine if this socket's owner is the critic or defender
-            if (s.privateArenaRole === 'creator') {
-              if (creatorRole === 'Critic') {
-                criticSid = s.id;
-              } else {
-                defenderSid = s.id;
-              }
-            } else if (s.privateArenaRole === 'joiner') {
-              if (joinerRole === 'Critic') {
-                criticSid = s.id;
-              } else {
-                defenderSid = s.id;
+        if (room) {
+          for (const sid of room) {
+            const s = io.sockets.sockets.get(sid);
+            if (s) {
+              connectedSockets.push(s);
+              s.join(roomId);
+              s.currentMatchId = roomId;
+
+              // Determine if this socket's owner is the critic or defender
+              if (s.privateArenaRole === 'creator') {
+                if (creatorRole === 'Critic') {
+                  criticSid = s.id;
+                } else {
+                  defenderSid = s.id;
+                }
+              } else if (s.privateArenaRole === 'joiner') {
+                if (joinerRole === 'Critic') {
+                  criticSid = s.id;
+                } else {
+                  defenderSid = s.id;
+                }
               }
             }
           }
         }
-      }
 
-      // Fallback to array order if roles weren't properly tagged
-      if (!criticSid) criticSid = connectedSockets[0]?.id || 'unknown';
-      if (!defenderSid) defenderSid = connectedSockets[1]?.id || connectedSockets[0]?.id || 'unknown';
-
-      activeRooms[roomId] = {
-        players: { critic: criticSid, defender: defenderSid },
-        critic_id: criticUserId,
-        defender_id: defenderUserId,
-        topic: arena.topic_title,
-        activeSpeaker: 'Critic',
-        criticTime: 300,
-        defenderTime: 300,
-        transcript: [],
-        cognitiveGraph: [],
-        status: 'active',
-        startTime: Date.now(),
-        lifelines: {
-          [criticUserId]: 1,
-          [defenderUserId]: 1
-        }
+        // Fallback to array order if roles weren't properly tagged
+        if (!criticSid) criticSid = connectedSockets[0]?.id || 'unknown';
+        if (!defenderSid) defenderSid = connectedSockets[1]?.id || connectedSockets[0]?.id || 'unknown';
+        return { criticSid, defenderSid };
       };
-      await realtimeCoordinator.saveRoom(roomId, activeRooms[roomId]);
-
-      recordMatchEvent('started');
-      refreshRuntimeGauges();
 
-      // Emit match_found — clients identify their role via userId
-      io.to(roomId).emit('match_found', {
-        roomId,
-        topic: arena.topic_title,
-        criticUserId,
-        defenderUserId,
-        roles: {
-          [criticSid]: 'Critic',
-          [defenderSid]: 'Defender'
-        }
+      const roomId = await launchPrivateMatch({
+        insert: {
+          topic: arena.topic_title,
+          topic_title: arena.topic_title,
+          status: 'active',
+          critic_id: criticUserId,
+          defender_id: defenderUserId,
+          format_key: format.key,
+          ...(series ? { series_id: series.id, series_game: 1 } : {})
+        },
+        format,
+        source: 'private_arena',
+        seatSockets,
+        bestOf: series?.best_of || null,
       });
+      await supabase.from('private_arenas').update({ status: 'started', match_id: roomId, format_key: format.key }).eq('id', arenaId);
 
-      startRoomTimer(roomId);
-      io.to(roomId).emit('time_sync', { criticTime: 300, defenderTime: 300, activeSpeaker: 'Critic', timestamp: Date.now() });
-
-      console.log(`[Private Arena] Debate started! Room: ${roomId}, Topic: "${arena.topic_title}", Critic: ${criticSid}, Defender: ${defenderSid}`);
+      console.log(`[Private Arena] Debate started! Room: ${roomId}, Topic: "${arena.topic_title}"`);
     } catch (err) {
       console.error('[Private Arena] Start error:', err);
       // Surface actual error to client (fallback logic prevents "null" object errors usually, but Supabase matches table inserts may throw constraints)
@@ -2540,7 +3538,7 @@ Task: Determine which single topic from the 'Available topics' list best matches
 Even a rough conceptual match is valid (e.g., "is veg good" perfectly matches "veg vs non-veg"). If there is absolutely zero relation to any topic, then it's not found.
 Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false, "matchedTopic": "exact string of matched topic if true, or null"}`;
 
-      const jsonResult = await generateWithRetry(prompt, 3, true);
+      const jsonResult = await llm.generate('topics', prompt);
       console.log(`[Semantic Search] Result:`, jsonResult);
       socket.emit('semantic_search_result', jsonResult);
     } catch (err) {
@@ -2568,7 +3566,7 @@ Task: Determine which single topic from the 'Available topics' list best matches
 Even a rough conceptual match is valid (e.g., "is veg good" perfectly matches "veg vs non-veg"). If there is absolutely zero relation to any topic, then it's not found.
 Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false, "matchedTopic": "exact string of matched topic if true, or null"}`;
 
-      const jsonResult = await generateWithRetry(prompt, 3, true);
+      const jsonResult = await llm.generate('topics', prompt);
       console.log(`[Semantic Search Completed] Result:`, jsonResult);
       socket.emit('semantic_search_completed_result', jsonResult);
     } catch (err) {
@@ -2596,7 +3594,7 @@ Task: Determine which single topic from the 'Available topics' list best matches
 Even a rough conceptual match is valid (e.g., "is veg good" perfectly matches "veg vs non-veg"). If there is absolutely zero relation to any topic, then it's not found.
 Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false, "matchedTopic": "exact string of matched topic if true, or null"}`;
 
-      const jsonResult = await generateWithRetry(prompt, 3, true);
+      const jsonResult = await llm.generate('topics', prompt);
       console.log(`[Semantic Search MyArena Trending] Result:`, jsonResult);
       socket.emit('semantic_search_myarena_trending_result', jsonResult);
     } catch (err) {
@@ -2624,7 +3622,7 @@ Task: Determine which single topic from the 'Available topics' list best matches
 Even a rough conceptual match is valid (e.g., "is veg good" perfectly matches "veg vs non-veg"). If there is absolutely zero relation to any topic, then it's not found.
 Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false, "matchedTopic": "exact string of matched topic if true, or null"}`;
 
-      const jsonResult = await generateWithRetry(prompt, 3, true);
+      const jsonResult = await llm.generate('topics', prompt);
       console.log(`[Semantic Search MyArena Saved] Result:`, jsonResult);
       socket.emit('semantic_search_myarena_saved_result', jsonResult);
     } catch (err) {
@@ -2643,12 +3641,12 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
     // Sync the current state to the late-joining spectator
     const room = activeRooms[roomId];
     if (room) {
+      socket.spectatingRoomId = roomId;
+      logMatchEvent(roomId, room, 'spectators_changed', { spectators: localSpectatorCount(roomId, room) });
       socket.emit('spectator_sync', {
         transcript: room.transcript || [],
         cognitiveInsights: room.cognitiveGraph || extractCognitiveInsights(room.transcript),
-        criticTime: room.criticTime,
-        defenderTime: room.defenderTime,
-        activeSpeaker: room.activeSpeaker
+        ...roomClockPayload(room)
       });
     } else {
       console.log(`[matchmaking] 👁️ Room ${roomId} inactive in memory. Attempting DB recovery for spectator...`);
@@ -2687,19 +3685,12 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
   // CHALLENGE & NOTIFICATION SYSTEM
   // =========================================================================
 
-  /**
-   * Helper: Emit to all sockets belonging to a specific user
-   */
-  function emitToUser(targetUserId, event, data) {
-    io.to(`user:${targetUserId}`).emit(event, data);
-    return getUserSocketIds(targetUserId).length > 0;
-  }
-
   /**
    * send_challenge — Challenger invites another user to a debate
    */
-  socket.on('send_challenge', async ({ targetUserId, topicId, topicTitle, challengerStance }) => {
+  socket.on('send_challenge', async ({ targetUserId, topicId, topicTitle, challengerStance, bestOf }) => {
     const challengerId = socket.verifiedUserId;
+    const seriesBestOf = normalizeBestOf(bestOf);
     try {
       // --- Validations ---
       if (!targetUserId || !topicId || !topicTitle) {
@@ -2755,7 +3746,8 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
           arena_code: arenaCode,
           status: 'pending',
           challenger_stance: challengerStance || 'Random',
-          expires_at: expiresAt
+          expires_at: expiresAt,
+          ...(seriesBestOf > 1 ? { best_of: seriesBestOf } : {})
         })
         .select()
         .single();
@@ -2784,6 +3776,7 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
           topic_title: topicTitle,
           arena_code: arenaCode,
           challenger_stance: challengerStance || 'Random',
+          best_of: seriesBestOf,
           expires_at: expiresAt
         }
       });
@@ -2803,6 +3796,7 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
           topic_title: topicTitle,
           arena_code: arenaCode,
           challenger_stance: challengerStance || 'Random',
+          best_of: seriesBestOf,
           expires_at: expiresAt
         }
       });
@@ -2817,6 +3811,7 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
         topic_title: topicTitle,
         arena_code: arenaCode,
         challenger_stance: challengerStance || 'Random',
+        best_of: seriesBestOf,
         expires_at: expiresAt
       });
 
@@ -2907,7 +3902,8 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
             creator_id: challenge.challenger_id,
             joiner_id: userId,
             creator_stance: challenge.challenger_stance,
-            status: 'paired'
+            status: 'paired',
+            ...(normalizeBestOf(challenge.best_of) > 1 ? { best_of: normalizeBestOf(challenge.best_of) } : {})
           })
           .select()
           .single();
@@ -3205,6 +4201,11 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
       if (session.socketId === socket.id) session.cancelled = true;
     }
 
+    if (socket.spectatingRoomId && activeRooms[socket.spectatingRoomId]) {
+      const spectatedRoom = activeRooms[socket.spectatingRoomId];
+      logMatchEvent(socket.spectatingRoomId, spectatedRoom, 'spectators_changed', { spectators: localSpectatorCount(socket.spectatingRoomId, spectatedRoom) });
+    }
+
     // Remove user from socket map
     if (socket.verifiedUserId) {
       removeUserSocket(socket.verifiedUserId, socket.id);
@@ -3243,7 +4244,9 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
         room = await realtimeCoordinator.loadRoom(matchId).catch(() => null);
         if (room) activeRooms[matchId] = room;
       }
-      if (room && room.status === 'active') {
+      // While draining the room lives on in Redis for another instance to
+      // adopt, so a disconnect here is not an abandonment.
+      if (room && room.status === 'active' && !draining) {
         const role = room.players.critic === socket.id ? 'critic' : 'defender';
         const userId = role === 'critic' ? room.critic_id : room.defender_id;
 
@@ -3253,6 +4256,7 @@ Respond STRICTLY with a valid JSON object and nothing else: {"found": true/false
           role: role === 'critic' ? 'Critic' : 'Defender',
           message: 'Opponent disconnected. Match paused for 30s...'
         });
+        logMatchEvent(matchId, room, 'player_disconnected', { role: role === 'critic' ? 'Critic' : 'Defender', graceSeconds: 30 });
 
         if (!gracePeriodTimeouts[matchId]) gracePeriodTimeouts[matchId] = {};
 
@@ -3336,6 +4340,58 @@ httpServer.on('error', (error) => {
   process.exit(1);
 });
 
+/**
+ * Graceful Drain (SIGTERM / SIGINT)
+ * ---------------------------------------------------------------------------
+ * Deploys send SIGTERM. Instead of dropping live rooms (which the zombie
+ * sweep later marks abandoned) the instance stops taking new matches, saves
+ * every room to Redis, releases its timer leases and tells clients to
+ * reconnect; their rejoin_match lands on a ready instance, which adopts the
+ * room and restarts its clock. Without Redis there is nowhere to hand rooms
+ * off to, so they end with the process as before.
+ */
+const drainAndShutdown = async (signal) => {
+  if (draining) return;
+  draining = true;
+  console.log(`[shutdown] ${signal} received. Draining ${Object.keys(activeRooms).length} live room(s)...`);
+  recordMatchEvent('drain_started');
+  clearInterval(matchmakingSweepTimer);
+  clearInterval(orphanSweepTimer);
+  seasonScheduler.close();
+  leaderboardRefresher.close();
+  ratingIntegrityMonitor.close();
+  setTimeout(() => process.exit(1), DRAIN_TIMEOUT_MS).unref();
+
+  for (const [roomId, room] of Object.entries(activeRooms)) {
+    if (roomTimers[roomId]) {
+      clearInterval(roomTimers[roomId]);
+      delete roomTimers[roomId];
+    }
+    Object.values(gracePeriodTimeouts[roomId] || {}).forEach(timeout => clearTimeout(timeout));
+    delete gracePeriodTimeouts[roomId];
+    try {
+      await realtimeCoordinator.saveRoom(roomId, room);
+      await realtimeCoordinator.releaseTimerLease(roomId);
+    } catch (error) {
+      console.warn(`[shutdown] Could not hand off room ${roomId}:`, error.message);
+    }
+  }
+
+  io.emit('server_draining', { reconnectInMs: DRAIN_RECONNECT_MS });
+  await matchEventLog.close();
+
+  // Give load balancers time to see /ready fail before the sockets drop.
+  await new Promise(resolve => setTimeout(resolve, DRAIN_RECONNECT_MS));
+  // Closes the socket server and the HTTP server it is attached to.
+  io.close(() => {
+    console.log('[shutdown] Drain complete.');
+    process.exit(0);
+  });
+};
+
+process.once('SIGTERM', () => { drainAndShutdown('SIGTERM'); });
+process.once('SIGINT', () => { drainAndShutdown('SIGINT'); });
+
 httpServer.listen(PORT, () => {
   console.log(`🚀 Server is listening on http://localhost:${PORT}`);
 
@@ -13,12 +13,9 @@
  * -----------------------------------------------------------------------------
  */
 
-// Google Gemini embedding + chat clients used by LangChain.
+// Google Gemini embedding client used by LangChain.
 // NOTE: Requires GOOGLE_API_KEY in environment variables.
-import {
-  GoogleGenerativeAIEmbeddings,
-  ChatGoogleGenerativeAI,
-} from '@langchain/google-genai';
+import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
 
 // MemoryVectorStore keeps vectors in-memory for fast prototyping and local runs.
 import { MemoryVectorStore } from 'langchain/vectorstores/memory';
@@ -26,11 +23,8 @@ import { MemoryVectorStore } from 'langchain/vectorstores/memory';
 // Document class provides a consistent shape for retrievable chunks.
 import { Document } from 'langchain/document';
 
-// Prompt builder for structured system + user context prompts.
-import { ChatPromptTemplate } from '@langchain/core/prompts';
-
-// Output parser converts model messages into plain string output.
-import { StringOutputParser } from '@langchain/core/output_parsers';
+// Chat turns run on whichever provider LLM_AGENTS_PROVIDER selects.
+import { sharedLlmClient } from '../../lib/llmProviders.js';
 import {
   createStructuredActorOutput,
   formatEvidenceForPrompt,
@@ -178,51 +172,44 @@ export const createKnowledgeBase = async (chunks, options = {}) => {
 /**
  * Helper: createPersonaChain
  * ---------------------------------------------------------------------------
- * Creates a runnable persona chain (model + prompt + parser).
+ * Creates a runnable persona chain (system prompt + evidence prompt + LLM).
  *
  * Why persona-specific prompts:
  * - Multi-agent systems work best when each agent has a clear role.
  * - Defender and Critic must behave differently to generate a useful debate.
  * - Strong role prompts reduce bland, generic responses.
  *
- * @param {ChatGoogleGenerativeAI} model - Shared chat model instance.
+ * @param {ReturnType<import('../../lib/llmProviders.js').createLlmClient>} llm - Shared LLM client.
  * @param {string} systemPrompt - Persona instructions.
  * @returns {{ invoke: (input: {topic: string, evidence: string, priorContext?: string}) => Promise<string> }}
  */
-const createPersonaChain = (model, systemPrompt) => {
-  const prompt = ChatPromptTemplate.fromMessages([
-    ['system', systemPrompt],
-    [
-      'human',
-      [
-        'Debate Topic/Question:',
-        '{topic}',
-        '',
-        'Conversation Context (if any):',
-        '{priorContext}',
-        '',
-        'Retrieved Evidence from the document:',
-        '{evidence}',
-        '',
-        'Instructions:',
-        '- Build your argument using only supported claims from retrieved evidence.',
-        '- Cite supporting snippets using only their exact bracketed IDs, for example [E3].',
-        '- Never create an evidence ID that is not present in the retrieved evidence block.',
-        '- Quote or closely reference exact facts whenever possible.',
-        '- Keep tone professional and analytical.',
-      ].join('\n'),
-    ],
-  ]);
-
-  // Compose: prompt -> model -> plain string.
-  const chain = prompt.pipe(model).pipe(new StringOutputParser());
-
-  return {
-    invoke: async ({ topic, evidence, priorContext = 'No previous turns yet.' }) => {
-      return chain.invoke({ topic, evidence, priorContext });
-    },
-  };
-};
+const createPersonaChain = (llm, systemPrompt) => ({
+  invoke: async ({ topic, evidence, priorContext = 'No previous turns yet.' }) => {
+    const prompt = [
+      'Debate Topic/Question:',
+      topic,
+      '',
+      'Conversation Context (if any):',
+      priorContext,
+      '',
+      'Retrieved Evidence from the document:',
+      evidence,
+      '',
+      'Instructions:',
+      '- Build your argument using only supported claims from retrieved evidence.',
+      '- Cite supporting snippets using only their exact bracketed IDs, for example [E3].',
+      '- Never create an evidence ID that is not present in the retrieved evidence block.',
+      '- Quote or closely reference exact facts whenever possible.',
+      '- Keep tone professional and analytical.',
+    ].join('\n');
+
+    // A single attempt: the debate loop paces turns and surfaces rate limits.
+    return llm.generate('agents', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt },
+    ], { json: false, maxRetries: 1, temperature: 0.5 });
+  },
+});
 
 /**
  * createAgents
@@ -239,27 +226,20 @@ const createPersonaChain = (model, systemPrompt) => {
  * 3) Generate a role-specific argument.
  *
  * @param {import('@langchain/core/retrievers').BaseRetrieverInterface} retriever - Retriever from createKnowledgeBase.
+ * @param {ReturnType<import('../../lib/llmProviders.js').createLlmClient>} [llm] - LLM client; defaults to the shared one.
  * @returns {Promise<{
  *   defender: { respond: (input: {topic: string, priorContext?: string}) => Promise<string> },
  *   critic: { respond: (input: {topic: string, priorContext?: string}) => Promise<string> }
  * }>}
  * @throws {Error} If chat model or persona setup fails.
  */
-export const createAgents = async (retriever) => {
+export const createAgents = async (retriever, llm = sharedLlmClient()) => {
   try {
     // Validate retriever interface shape to prevent runtime surprises.
     if (!retriever || typeof retriever.invoke !== 'function') {
       throw new Error('A valid retriever with an invoke function is required to create agents.');
     }
 
-    // Shared Gemini chat model configuration for both personas.
-    const chatModel = new ChatGoogleGenerativeAI({
-      model: 'gemini-2.5-flash',
-      temperature: 0.5,
-      apiKey: process.env.GOOGLE_API_KEY,
-      maxRetries: 0,
-    });
-
     // Defender persona: support and fortify document claims with evidence.
     const defenderSystemPrompt = [
       'You are "The Defender" in a formal AI debate.',
@@ -278,8 +258,8 @@ export const createAgents = async (retriever) => {
     ].join(' ');
 
     // Build runnable persona chains.
-    const defenderChain = createPersonaChain(chatModel, defenderSystemPrompt);
-    const criticChain = createPersonaChain(chatModel, criticSystemPrompt);
+    const defenderChain = createPersonaChain(llm, defenderSystemPrompt);
+    const criticChain = createPersonaChain(llm, criticSystemPrompt);
 
     // Create standard response wrapper to avoid duplicated retrieval logic.
     const buildResponder = (personaChain) => ({
@@ -308,7 +288,7 @@ export const createAgents = async (retriever) => {
           return createStructuredActorOutput(response, retrievedDocs);
         } catch (error) {
           if (isRateLimitError(error)) {
-            throw new Error('RATE_LIMIT_CHAT: Google chat RPM limit reached during debate turn.');
+            throw new Error('RATE_LIMIT_CHAT: Chat model rate limit reached during debate turn.');
           }
 
           throw new Error(`Failed to generate persona response: ${error.message}`);
@@ -1,6 +1,4 @@
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
-import { ChatPromptTemplate } from '@langchain/core/prompts';
-import { StringOutputParser } from '@langchain/core/output_parsers';
+import { sharedLlmClient } from '../../lib/llmProviders.js';
 import { summarizeCitationIntegrity } from './evidence.js';
 
 const clampScore = (value, fallback) => {
@@ -8,14 +6,6 @@ const clampScore = (value, fallback) => {
   return Number.isFinite(number) ? Math.max(0, Math.min(100, Math.round(number))) : fallback;
 };
 
-const parseJsonObject = (value) => {
-  const normalized = `${value || ''}`.replace(/```(?:json)?/gi, '').replace(/```/g, '').trim();
-  const start = normalized.indexOf('{');
-  const end = normalized.lastIndexOf('}');
-  if (start < 0 || end <= start) throw new Error('Evaluator did not return a JSON object.');
-  return JSON.parse(normalized.slice(start, end + 1));
-};
-
 const buildEvaluationPayload = (topic, transcript) => ({
   topic,
   turns: transcript
@@ -48,28 +38,20 @@ const deterministicFallback = (integrity) => {
   };
 };
 
-export const evaluateGrounding = async ({ topic, transcript, model = null }) => {
+export const evaluateGrounding = async ({ topic, transcript, llm = sharedLlmClient() }) => {
   const integrity = summarizeCitationIntegrity(transcript);
   const fallback = deterministicFallback(integrity);
 
   try {
-    const evaluationModel = model || new ChatGoogleGenerativeAI({
-      model: 'gemini-2.5-flash',
-      temperature: 0.1,
-      apiKey: process.env.GOOGLE_API_KEY,
-      maxRetries: 0,
-    });
-    const prompt = ChatPromptTemplate.fromMessages([
-      ['system', [
+    const semantic = await llm.generate('judge', [
+      { role: 'system', content: [
         'You evaluate a source-grounded debate against only the retrieved evidence supplied for each turn.',
         'Return strict JSON with: groundedness, argumentQuality, unsupportedClaimRisk (0-100), summary, strongestGroundedPoint, weakestSupportedPoint.',
         'Do not reward a claim merely because it contains a citation marker; assess whether its cited excerpt supports it.',
-      ].join(' ')],
-      ['human', '{payload}'],
-    ]);
-    const chain = prompt.pipe(evaluationModel).pipe(new StringOutputParser());
-    const raw = await chain.invoke({ payload: JSON.stringify(buildEvaluationPayload(topic, transcript)) });
-    const semantic = parseJsonObject(raw);
+      ].join(' ') },
+      { role: 'user', content: JSON.stringify(buildEvaluationPayload(topic, transcript)) },
+    ], { maxRetries: 1, temperature: 0.1 });
+    if (!semantic || Array.isArray(semantic) || typeof semantic !== 'object') throw new Error('Evaluator did not return a JSON object.');
     return {
       groundedness: clampScore(semantic.groundedness, fallback.groundedness),
       evidenceUsage: integrity.evidenceUsage,
@@ -18,7 +18,8 @@ import {
   createDailyAllowance,
   createRateLimit,
 } from '../lib/rateLimit.js';
-import { JUDGE_PANEL, runBlindJudgePanel } from '../lib/judgePanel.js';
+import { JUDGE_PANEL, parseJudgeSeats, resolveJudgeSeats, runBlindJudgePanel } from '../lib/judgePanel.js';
+import { createLlmClient } from '../lib/llmProviders.js';
 import { buildVerifiedTournamentResult } from '../lib/tournamentIntegrity.js';
 
 test('cohort percentile uses the observed distribution rather than a score formula', () => {
@@ -201,6 +202,65 @@ test('competitive 2v2 requires and aggregates three blind independent judges', a
   await assert.rejects(() => runBlindJudgePanel({ advancedAi: false, allowFallback: false }), /not configured/);
 });
 
+// A judge scorecard with every metric set to `score`.
+const scorecard = score => Object.fromEntries([
+  'logic', 'evidence', 'rebuttal', 'clarity', 'conciseness', 'persuasion',
+  'listening', 'calibration', 'humility', 'sourceReliability', 'emotionalControl',
+].map(metric => [metric, score]));
+
+test('judge seats bind to their own models and the panel reports cross-model agreement', async () => {
+  assert.deepEqual(parseJudgeSeats('openai:gpt-4o-mini@0.2, ollama:llama3.1:8b'), [
+    { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.2 },
+    { provider: 'ollama', model: 'llama3.1:8b' },
+    {},
+  ]);
+  const llm = createLlmClient({ env: { LLM_JUDGE_PROVIDER: 'gemini' }, providers: {} });
+  const seats = resolveJudgeSeats(llm, 'openai@0.2,,ollama');
+  assert.deepEqual(seats.map(seat => `${seat.provider}:${seat.model}`), ['openai:gpt-4o-mini', 'gemini:gemini-2.5-flash', 'ollama:llama3.1']);
+  assert.equal(seats[0].temperature, 0.2);
+
+  const bindings = [];
+  // The Ollama seat consistently prefers the other side.
+  const generate = async (prompt, retries, json, binding) => {
+    bindings.push(binding);
+    const contrarian = binding.provider === 'ollama';
+    return { critic: scorecard(contrarian ? 5 : 8), defender: scorecard(contrarian ? 7 : 6), confidence: 0.8 };
+  };
+  const result = await runBlindJudgePanel({ transcript: [{ side: 'critic', text: 'Claim.' }], generate, seats });
+  assert.deepEqual(bindings, seats);
+  assert.deepEqual(result.verdicts.map(verdict => verdict.model.provider), ['openai', 'gemini', 'ollama']);
+  const agreement = result.scores.result_metadata.model_agreement;
+  assert.equal(agreement.heterogeneous, true);
+  assert.equal(agreement.pairs.length, 3);
+  assert.equal(agreement.agreement, 0.33);
+  assert.equal(agreement.max_margin_gap, 4);
+  assert.equal(agreement.models.find(model => model.model === 'ollama:llama3.1').winner, 'defender');
+  assert.equal(result.winningSide, 'critic');
+});
+
+test('judges annotate turns by message id and the panel keeps the median effect', async () => {
+  const annotations = [
+    [{ message_id: 'm2', side: 'defender', effect: 2, reason: 'Answered the cost objection directly.' }, { message_id: 'm1', side: 'critic', effect: -1, reason: 'Assertion without support.' }],
+    [{ message_id: 'm2', side: 'defender', effect: 5, reason: 'Strong rebuttal.' }, { message_id: 'ghost', side: 'critic', effect: 2, reason: 'Invented id.' }],
+    [{ message_id: 'm2', side: 'critic', effect: 1, reason: 'Critic credit on m2 from one judge; its median is 0, so it is dropped.' }],
+  ];
+  let call = 0;
+  const generate = async (prompt) => {
+    assert.match(prompt, /\[m2\] Defender: Pilots kept employment steady\./);
+    return { critic: scorecard(6), defender: scorecard(7), turn_annotations: annotations[call++] };
+  };
+  const result = await runBlindJudgePanel({
+    transcript: [{ id: 'm1', speaker: 'Critic', text: 'It will cost too much.' }, { id: 'm2', speaker: 'Defender', text: 'Pilots kept employment steady.' }],
+    generate,
+  });
+  assert.deepEqual(result.verdicts[1].turn_annotations, [{ message_id: 'm2', side: 'defender', effect: 2, reason: 'Strong rebuttal.' }]);
+  // m2 for the defender has effects 2, 2 and 0; the lone critic notes median to 0.
+  assert.deepEqual(result.scores.turn_annotations.map(({ message_id, side: turnSide, effect, judges }) => ({ message_id, side: turnSide, effect, judges })), [
+    { message_id: 'm2', side: 'defender', effect: 2, judges: 2 },
+  ]);
+  assert.equal(result.scores.turn_annotations[0].reasons.length, 2);
+});
+
 test('launch migration codifies core RLS and service-only atomic voting', async () => {
   const migration = await readFile(new URL('../migrations/005_launch_readiness.sql', import.meta.url), 'utf8');
   for (const table of ['profiles', 'topics', 'matches', 'votes', 'user_follows', 'topic_follows', 'notifications']) {
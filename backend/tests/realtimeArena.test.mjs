@@ -0,0 +1,1156 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  applyTurnToClock,
+  createFormatState,
+  formatClockState,
+  resolveDebateFormat,
+  tickFormatClock,
+} from '../lib/debateFormats.js';
+import { advancePhaseState, describeNextTurn, expirePendingQuestion, resolveTurnPhase } from '../lib/debatePhases.js';
+import { analyzeCognitiveTurn } from '../lib/cognitiveEngine.js';
+import { JUDGE_PANEL, buildBlindJudgePrompt } from '../lib/judgePanel.js';
+import {
+  aiFallbackInSeconds,
+  aiRatingFor,
+  aiSideFor,
+  buildAiTurnPrompt,
+  buildLocalAiTurn,
+  fitAiTurn,
+  shouldOfferAiOpponent,
+  vsAiRatingUpdate,
+} from '../lib/aiSparring.js';
+import {
+  SPARRING_DIFFICULTIES,
+  SPARRING_PERSONAS,
+  buildPersonaReply,
+  buildPracticePrompt,
+  resolveSparringProfile,
+  summarizePersonaProgress,
+} from '../lib/sparringPersonas.js';
+import {
+  DRAW_OFFERS_PER_SIDE,
+  DRAW_OFFER_TTL_MS,
+  MATCH_ENDING_TYPES,
+  acceptDraw,
+  decidedOutcome,
+  offerDraw,
+  resignationResult,
+  summarizeMatchEndings,
+} from '../lib/matchEndings.js';
+import { MATCH_EVENT_TYPES, buildReplayTimeline, createMatchEventLog } from '../lib/matchEventLog.js';
+import { decayedRd, glicko, glicko2Update, isProvisional } from '../lib/glicko2.js';
+import { buildResolutionArgs, buildSeriesRatingArgs, resolveVerdict } from '../lib/matchResolution.js';
+import { buildLeaderboardArgs, buildMoversArgs, leaderboardBoards, parseLeaderboardQuery } from '../lib/leaderboards.js';
+import { inferRatingDomain } from '../lib/ratingDomains.js';
+import { analyzeRatingIntegrity, integrityReportRow, ratingIntegrity, releaseIntegrityFreeze } from '../lib/ratingIntegrity.js';
+import { buildRatingHistoryPoints, parseRatingHistoryQuery, summarizeRatingHistory } from '../lib/ratingHistory.js';
+import {
+  buildCloseSeasonArgs,
+  dueSeasonTransitions,
+  rankStandings,
+  seasonCredentials,
+  seasonRules,
+  softResetRating,
+} from '../lib/seasons.js';
+import { buildSeriesInsert, isRatedAsSet, normalizeBestOf, seriesStanding } from '../lib/matchSeries.js';
+import {
+  REMATCH_OFFER_TTL_MS,
+  buildRematchInsert,
+  checkRematchEligibility,
+  createRematchOffer,
+  isLiveRematchOffer,
+  launchLinkedRematch,
+} from '../lib/rematch.js';
+import {
+  MUTUAL_PAUSE_SECONDS,
+  TACTICAL_TIMEOUT_SECONDS,
+  callTacticalTimeout,
+  isRoomPaused,
+  pauseSnapshot,
+  requestMutualPause,
+  respondToPauseRequest,
+  resumeFromPause,
+} from '../lib/roomPauses.js';
+import { createLlmClient, createStubProvider, repairJson, resolveLlmConfig } from '../lib/llmProviders.js';
+import { extractArgumentMap, storeArgumentMap } from '../lib/argumentMap.js';
+import { condenseTranscript, condensedTranscriptText, transcriptDigest } from '../lib/transcriptDigest.js';
+import { TURN_ATTEMPTS_PER_WINDOW, TURN_ATTEMPT_WINDOW_MS, recordTurnAttempt, validateTurn } from '../lib/turnValidation.js';
+import {
+  ANY_ARENA_QUEUE,
+  findOpponentIndex,
+  negotiateTopic,
+  pairWaitingPlayers,
+  ratingsCompatible,
+  searchBand,
+} from '../lib/matchmaking.js';
+import { createRealtimeCoordinator } from '../lib/realtimeState.js';
+
+const bands = { initial: 100, step: 50, intervalMs: 10_000, max: 300 };
+const player = (socketId, rating, joinedAt = 0, preferredRole = 'Random') => ({
+  socketId,
+  userId: `user-${socketId}`,
+  rating,
+  joinedAt,
+  preferredRole,
+  topicId: 'topic-1',
+  topicTitle: 'Is AI a threat?',
+});
+const anyArena = (socketId, topics, joinedAt = 0) => ({
+  ...player(socketId, 1000, joinedAt),
+  topicId: ANY_ARENA_QUEUE,
+  topicTitle: null,
+  topics,
+});
+
+// An in-memory stand-in for the node-redis calls the coordinator makes. Like
+// node-redis, scanIterator yields pages of keys rather than single keys.
+// String keys expire against `client.now`, which tests move forward by hand.
+const fakeRedis = (lists = new Map()) => {
+  const strings = new Map();
+  const live = key => {
+    const entry = strings.get(key);
+    if (entry && entry.expiresAt <= client.now) strings.delete(key);
+    return strings.get(key) || null;
+  };
+  const remove = (key, raw) => {
+    const list = lists.get(key) || [];
+    const index = list.indexOf(raw);
+    if (index === -1) return 0;
+    list.splice(index, 1);
+    return 1;
+  };
+  const client = {
+    lists,
+    now: Date.now(),
+    on: () => client,
+    connect: async () => {},
+    duplicate: () => client,
+    watch: async () => {},
+    unwatch: async () => {},
+    lRange: async key => [...(lists.get(key) || [])],
+    lRem: async (key, count, raw) => remove(key, raw),
+    set: async (key, value, { NX, PX, EX } = {}) => {
+      if (NX && live(key)) return null;
+      const ttl = PX ?? (EX ? EX * 1000 : null);
+      strings.set(key, { value, expiresAt: ttl ? client.now + ttl : Infinity });
+      return 'OK';
+    },
+    get: async key => live(key)?.value ?? null,
+    exists: async key => (live(key) ? 1 : 0),
+    pExpire: async (key, ttl) => {
+      const entry = live(key);
+      if (entry) entry.expiresAt = client.now + ttl;
+      return entry ? 1 : 0;
+    },
+    del: async keys => [keys].flat().filter(key => strings.delete(key)).length,
+    async *scanIterator({ MATCH }) {
+      const keys = [...lists.keys(), ...[...strings.keys()].filter(live)].filter(key => key.startsWith(MATCH.replace(/\*$/, '')));
+      for (let start = 0; start < keys.length; start += 2) yield keys.slice(start, start + 2);
+    },
+    multi: () => {
+      const steps = [];
+      const transaction = {
+        lRem: (key, count, raw) => { steps.push(() => remove(key, raw)); return transaction; },
+        rPush: (key, raw) => { steps.push(() => lists.set(key, [...(lists.get(key) || []), raw])); return transaction; },
+        expire: () => transaction,
+        exec: async () => steps.map(step => step()),
+      };
+      return transaction;
+    },
+  };
+  return client;
+};
+
+test('matchmaking search band widens in steps while waiting and stops at the cap', () => {
+  assert.deepEqual(searchBand(player('a', 1200, 0), 0, bands), {
+    rating: 1200, width: 100, min: 1100, max: 1300, waitedSeconds: 0, widest: false,
+  });
+  assert.equal(searchBand(player('a', 1200, 0), 25_000, bands).width, 200);
+  assert.equal(searchBand(player('a', 1200, 0), 120_000, bands).width, 300);
+  assert.equal(searchBand(player('a', 1200, 0), 120_000, bands).widest, true);
+  assert.equal(searchBand({ joinedAt: 0 }, 0, bands).rating, 1000);
+});
+
+test('matchmaking prefers the closest compatible rating and honours role preferences', () => {
+  const queue = [
+    player('far', 1450, 0),
+    player('critic', 1205, 0, 'Critic'),
+    player('near', 1230, 0),
+  ];
+  assert.equal(findOpponentIndex(queue, player('me', 1200, 0), 0, bands), 1);
+  assert.equal(findOpponentIndex(queue, player('me', 1200, 0, 'Critic'), 0, bands), 2);
+  assert.equal(findOpponentIndex([player('me', 1200, 0)], player('me', 1200, 0), 0, bands), -1);
+  assert.equal(ratingsCompatible(player('a', 1000, 0), player('b', 1250, 0), 0, bands), false);
+  assert.equal(ratingsCompatible(player('a', 1000, 0), player('b', 1250, 40_000), 40_000, bands), true);
+});
+
+test('queue sweep pairs players once their bands overlap, longest wait first', () => {
+  const queue = [player('late', 1180, 20_000), player('early', 1000, 0), player('outlier', 1900, 0)];
+  assert.equal(pairWaitingPlayers(queue, 0, bands).pairs.length, 0);
+
+  const { pairs, remaining } = pairWaitingPlayers(queue, 30_000, bands);
+  assert.deepEqual(pairs.map(pair => pair.map(entry => entry.socketId)), [['early', 'late']]);
+  assert.deepEqual(remaining.map(entry => entry.socketId), ['outlier']);
+});
+
+test('redis queue sweep reads every page of scanned queue keys', async () => {
+  const now = Date.now();
+  const redis = fakeRedis(new Map([
+    ['arena:queue:ethics', [JSON.stringify(player('a', 1900, now))]],
+    ['arena:queue:science', []],
+    ['arena:queue:history', [JSON.stringify(player('b', 1210, now)), JSON.stringify(player('c', 1220, now))]],
+  ]));
+  const coordinator = await createRealtimeCoordinator({
+    io: { adapter: () => {} },
+    redisUrl: 'redis://fake',
+    createRedisClient: () => redis,
+  });
+
+  const { pairs, waiting } = await coordinator.sweepQueues(now);
+  assert.deepEqual(pairs.map(pair => [pair.first.socketId, pair.second.socketId]), [['b', 'c']]);
+  assert.deepEqual(waiting.map(entry => entry.socketId), ['a']);
+  assert.deepEqual(redis.lists.get('arena:queue:history'), []);
+  assert.equal(await coordinator.removeQueuedSocket('a'), 1);
+});
+
+const fakeCoordinator = redis => createRealtimeCoordinator({
+  io: { adapter: () => {} },
+  redisUrl: 'redis://fake',
+  createRedisClient: () => redis,
+});
+
+test('orphan sweep adopts a live room once its timer lease lapses', async () => {
+  const redis = fakeRedis();
+  const owner = await fakeCoordinator(redis);
+  const survivor = await fakeCoordinator(redis);
+  const room = { status: 'active', startTime: redis.now - 60_000, criticTime: 120, defenderTime: 120 };
+  await owner.saveRoom('room-1', room);
+  assert.equal(await owner.acquireTimerLease('room-1'), true);
+  assert.deepEqual(await survivor.adoptOrphanedRooms({ now: redis.now }), []);
+
+  // The owner stops renewing, as it would after a crash.
+  redis.now += 6000;
+  const adopted = await survivor.adoptOrphanedRooms({ now: redis.now });
+  assert.deepEqual(adopted.map(entry => [entry.roomId, entry.room.status]), [['room-1', 'active']]);
+  assert.equal(await survivor.renewTimerLease('room-1'), true);
+  assert.equal(await owner.renewTimerLease('room-1'), false);
+  assert.deepEqual(await owner.adoptOrphanedRooms({ now: redis.now }), []);
+});
+
+test('an ended room is never adopted, even before its cleanup runs', async () => {
+  const redis = fakeRedis();
+  const owner = await fakeCoordinator(redis);
+  const other = await fakeCoordinator(redis);
+  const room = { status: 'active', startTime: redis.now - 60_000, criticTime: 0, defenderTime: 40 };
+  await owner.saveRoom('room-1', room);
+  assert.equal(await owner.acquireTimerLease('room-1'), true);
+
+  await owner.endRoom('room-1', { ...room, status: 'timeout' });
+  assert.equal((await other.loadRoom('room-1')).status, 'timeout');
+  assert.equal(await redis.exists('arena:timer:room-1'), 0);
+  redis.now += 6000;
+  assert.deepEqual(await other.adoptOrphanedRooms({ now: redis.now }), []);
+  // The sweep gives back the lease it took to inspect the room.
+  assert.equal(await redis.exists('arena:timer:room-1'), 0);
+});
+
+test('ending a room through another instance stops the lease holder on its next renewal', async () => {
+  const redis = fakeRedis();
+  const holder = await fakeCoordinator(redis);
+  const receiver = await fakeCoordinator(redis);
+  const room = { status: 'active', startTime: redis.now - 60_000, criticTime: 90, defenderTime: 80 };
+  await holder.saveRoom('room-1', room);
+  assert.equal(await holder.acquireTimerLease('room-1'), true);
+
+  // The resignation reached the instance that does not run the clock.
+  await receiver.endRoom('room-1', { ...room, status: 'finished' });
+  assert.equal(await holder.renewTimerLease('room-1'), false);
+  assert.equal((await holder.loadRoom('room-1')).status, 'finished');
+  redis.now += 6000;
+  assert.deepEqual(await receiver.adoptOrphanedRooms({ now: redis.now }), []);
+});
+
+test('any-arena players negotiate an overlapping topic and explain the choice', () => {
+  const ubi = { id: 'ubi', title: 'Universal basic income', source: 'followed' };
+  const space = { id: 'space', title: 'Space exploration', source: 'followed' };
+  const ai = { id: 'topic-1', title: 'Is AI a threat?', source: 'listed' };
+
+  assert.equal(negotiateTopic(player('a', 1000), player('b', 1000)).reason, 'same_topic');
+  const fixed = negotiateTopic(anyArena('a', [ubi, ai]), player('b', 1000));
+  assert.equal(fixed.id, 'topic-1');
+  assert.equal(fixed.reason, 'fixed_topic');
+  assert.match(fixed.message, /exact topic/);
+  const mutual = negotiateTopic(anyArena('a', [space, ubi]), anyArena('b', [ubi, space, ai]));
+  assert.equal(mutual.id, 'space');
+  assert.equal(mutual.reason, 'mutual_follow');
+  assert.equal(negotiateTopic(anyArena('a', [space]), anyArena('b', [ubi])), null);
+
+  const queue = [anyArena('open', [ubi, ai]), anyArena('elsewhere', [space])];
+  assert.equal(findOpponentIndex(queue, player('topic', 1000), 0, bands), 0);
+});
+
+test('clock formats flag the speaker who runs out and apply Fischer increments', () => {
+  const fischer = createFormatState('fischer');
+  assert.equal(fischer.criticTime, 180);
+  applyTurnToClock(fischer, 'Critic');
+  assert.equal(fischer.criticTime, 195);
+  assert.equal(fischer.activeSpeaker, 'Defender');
+
+  const blitz = { ...createFormatState('blitz'), defenderTime: 1, activeSpeaker: 'Defender' };
+  assert.deepEqual(tickFormatClock(blitz), { ended: true, reason: 'timeout', winner: 'Critic' });
+  assert.equal(resolveDebateFormat('unknown').key, 'classic');
+  assert.equal(resolveDebateFormat('classic').ratingFormat, 'Ranked Classic');
+});
+
+test('speech formats advance through scheduled segments and end after the last speech', () => {
+  const room = createFormatState('lincoln_douglas');
+  assert.equal(room.activeSpeaker, 'Defender');
+  assert.equal(formatClockState(room).segment.phase, 'opening');
+
+  applyTurnToClock(room, 'Defender');
+  assert.equal(formatClockState(room).segment.phase, 'cross_examination');
+  applyTurnToClock(room, 'Critic');
+  assert.equal(room.activeSpeaker, 'Defender', 'cross-examination alternates inside the segment');
+  assert.equal(room.segmentIndex, 1);
+
+  room.segmentTime = 1;
+  assert.equal(tickFormatClock(room).segmentChanged, true);
+  assert.equal(room.activeSpeaker, 'Critic');
+
+  const oxford = createFormatState('oxford');
+  const speeches = resolveDebateFormat('oxford').segments;
+  const results = speeches.map(segment => applyTurnToClock(oxford, segment.speaker));
+  assert.deepEqual(results.at(-1), { ended: true, reason: 'format_complete', winner: null });
+  assert.equal(oxford.criticTime + oxford.defenderTime, 0);
+});
+
+test('matchmaking only pairs players queued for the same format', () => {
+  const waiting = [{ ...player('blitz', 1000), formatKey: 'blitz' }, { ...player('classic', 1000) }];
+  assert.equal(findOpponentIndex(waiting, { ...player('me', 1000), formatKey: 'classic' }, 0, bands), 1);
+  assert.equal(findOpponentIndex(waiting, { ...player('me', 1000), formatKey: 'oxford' }, 0, bands), -1);
+});
+
+test('debate format migration records formats on matches and private arenas', async () => {
+  const migration = await readFile(new URL('../migrations/008_debate_formats.sql', import.meta.url), 'utf8');
+  assert.match(migration, /alter table public\.matches\s+add column if not exists format_key/);
+  assert.match(migration, /alter table public\.private_arenas\s+add column if not exists format_key/);
+  for (const key of ['blitz', 'classic', 'fischer', 'lincoln_douglas', 'oxford']) assert.match(migration, new RegExp(`'${key}'`));
+});
+
+const takeTurn = (room, speaker, text) => {
+  const tagged = resolveTurnPhase(room, speaker, text);
+  if (tagged.error) return tagged;
+  const turn = { id: `t${room.transcript.length}`, speaker, text, ...tagged };
+  room.transcript.push(turn);
+  applyTurnToClock(room, speaker, { nextSpeaker: advancePhaseState(room, turn) });
+  return turn;
+};
+
+test('clock rooms script openings and a cross-examination exchange each way', () => {
+  const room = { ...createFormatState('classic'), transcript: [] };
+  assert.equal(takeTurn(room, 'Critic', 'Opening case.').phase, 'opening');
+  assert.equal(takeTurn(room, 'Defender', 'Opening reply.').phase, 'opening');
+  assert.match(resolveTurnPhase(room, 'Critic', 'No question here.').error, /question/);
+
+  const question = takeTurn(room, 'Critic', 'Where is your evidence?');
+  assert.equal(question.exchange, 'question');
+  const answer = takeTurn(room, 'Defender', 'In the 2023 survey.');
+  assert.deepEqual([answer.exchange, answer.answersTo], ['answer', question.id]);
+  assert.equal(room.activeSpeaker, 'Defender', 'the answerer keeps the floor to ask next');
+  takeTurn(room, 'Defender', 'Do you dispute it?');
+  assert.equal(takeTurn(room, 'Critic', 'Yes.').exchange, 'answer');
+  assert.equal(takeTurn(room, 'Defender', 'Then consider this.').phase, 'rebuttal');
+
+  room.criticTime = 30;
+  assert.equal(resolveTurnPhase(room, 'Critic', 'To sum up.').phase, 'closing');
+});
+
+test('unanswered cross-examination questions are marked when the segment expires', () => {
+  const room = { ...createFormatState('lincoln_douglas'), transcript: [] };
+  takeTurn(room, 'Defender', 'Affirmative case.');
+  const question = takeTurn(room, 'Critic', 'Why should we accept that premise?');
+  room.segmentTime = 1;
+  tickFormatClock(room);
+  assert.equal(expirePendingQuestion(room).id, question.id);
+  assert.equal(room.transcript[1].unanswered, true);
+});
+
+test('closings that raise new material are flagged and judges see phase labels', () => {
+  const transcript = [
+    { id: 'a', speaker: 'Critic', text: 'Universal basic income weakens incentives to work.', phase: 'opening' },
+    { id: 'b', speaker: 'Defender', text: 'Pilot programmes found employment held steady.', phase: 'rebuttal' },
+  ];
+  const closing = { id: 'c', speaker: 'Critic', phase: 'closing', text: 'Consider inflation spirals, housing speculation, currency devaluation, pension collapse and migration pressure.' };
+  const insight = analyzeCognitiveTurn({ message: closing, transcript: [...transcript, closing], topic: 'Universal basic income' });
+  assert.ok(insight.newArgument);
+  assert.equal(insight.phase, 'closing');
+
+  const summary = { ...closing, id: 'd', text: 'Pilot employment held steady but incentives to work still weaken.' };
+  assert.equal(analyzeCognitiveTurn({ message: summary, transcript: [...transcript, summary], topic: 'Universal basic income' }).newArgument, null);
+
+  const prompt = buildBlindJudgePrompt({
+    judge: JUDGE_PANEL[0],
+    topic: 'Universal basic income',
+    transcript: [...transcript, { ...closing, cognitive: insight }],
+    sideKeys: ['critic', 'defender'],
+    sideLabels: ['Critic', 'Defender'],
+  });
+  assert.match(prompt, /\[Rebuttal\] Defender:/);
+  assert.match(prompt, /\[Closing; flagged: possible new argument in closing\] Critic:/);
+  assert.match(prompt, /Closings should summarise/);
+});
+
+test('turn validation enforces the format budget and rejects duplicates', () => {
+  const room = { ...createFormatState('blitz'), transcript: [{ speaker: 'Defender', text: 'Markets allocate scarce goods efficiently.' }] };
+  const { maxWords, maxChars } = resolveDebateFormat('blitz').turnLimits;
+
+  assert.deepEqual(validateTurn({ room, message: '  Prices signal scarcity.  ' }), { ok: true, text: 'Prices signal scarcity.' });
+  assert.equal(validateTurn({ room, message: { text: 'hi' } }).code, 'INVALID_TURN');
+  assert.equal(validateTurn({ room, message: '   ' }).code, 'EMPTY_TURN');
+  assert.equal(validateTurn({ room, message: 'No.' }).code, 'TOO_FEW_WORDS');
+  assert.equal(validateTurn({ room, message: 'No.', exchange: 'answer' }).ok, true);
+
+  const wordy = validateTurn({ room, message: Array(maxWords + 1).fill('word').join(' ') });
+  assert.equal(wordy.code, 'TOO_MANY_WORDS');
+  assert.equal(wordy.limit, maxWords);
+  assert.equal(validateTurn({ room, message: `${'a'.repeat(maxChars)} b c` }).code, 'TOO_MANY_CHARACTERS');
+  assert.equal(validateTurn({ room, message: 'markets allocate SCARCE goods efficiently' }).code, 'DUPLICATE_TURN');
+});
+
+test('turn attempts are rate limited per speaker inside a sliding window', () => {
+  const room = {};
+  for (let attempt = 0; attempt < TURN_ATTEMPTS_PER_WINDOW; attempt += 1) {
+    assert.equal(recordTurnAttempt(room, 'Critic', 1000 + attempt), false);
+  }
+  assert.equal(recordTurnAttempt(room, 'Critic', 1100), true);
+  assert.equal(recordTurnAttempt(room, 'Defender', 1100), false);
+  assert.equal(recordTurnAttempt(room, 'Critic', 1100 + TURN_ATTEMPT_WINDOW_MS), false);
+});
+
+test('each debater gets one tactical timeout and only the caller can end it early', () => {
+  const room = createFormatState('classic');
+  const { pause } = callTacticalTimeout(room, 'Critic', 1000);
+  assert.equal(pause.resumesAt, 1000 + TACTICAL_TIMEOUT_SECONDS * 1000);
+  assert.ok(isRoomPaused(room, 2000));
+  assert.match(callTacticalTimeout(room, 'Defender', 2000).error, /already paused/);
+  assert.match(resumeFromPause(room, 'Defender', 2000).error, /Only the debater/);
+  assert.equal(resumeFromPause(room, 'Critic', 2000).pause.kind, 'timeout');
+
+  assert.match(callTacticalTimeout(room, 'Critic', 3000).error, /already used/);
+  callTacticalTimeout(room, 'Defender', 3000);
+  assert.equal(isRoomPaused(room, 3000 + TACTICAL_TIMEOUT_SECONDS * 1000), false);
+  assert.deepEqual(pauseSnapshot(room, 4000).timeoutsUsed, { Critic: true, Defender: true });
+});
+
+test('mutual pauses need the opponent to accept before the clocks freeze', () => {
+  const room = createFormatState('classic');
+  assert.equal(requestMutualPause(room, 'Critic', 1000).request.by, 'Critic');
+  assert.equal(isRoomPaused(room, 1000), false);
+  assert.match(respondToPauseRequest(room, 'Critic', true, 1500).error, /Only your opponent/);
+  assert.equal(pauseSnapshot(room, 1500).pendingRequest.by, 'Critic');
+  assert.match(respondToPauseRequest(room, 'Defender', true, 30_000).error, /no pause request/);
+
+  requestMutualPause(room, 'Critic', 2000);
+  assert.equal(respondToPauseRequest(room, 'Defender', false, 2500).declined.by, 'Critic');
+  assert.equal(pauseSnapshot(room, 2500).pendingRequest, null);
+
+  requestMutualPause(room, 'Defender', 3000);
+  const { pause } = requestMutualPause(room, 'Critic', 3500);
+  assert.equal(pause.kind, 'mutual');
+  assert.equal(pauseSnapshot(room, 3500).secondsLeft, MUTUAL_PAUSE_SECONDS);
+  assert.ok(resumeFromPause(room, 'Defender', 4000).pause);
+});
+
+test('match event log batches inserts and disables itself without the table', async () => {
+  const inserted = [];
+  let missing = false;
+  const supabase = {
+    from: table => ({
+      insert: async rows => {
+        if (missing) return { error: { message: `relation "public.${table}" does not exist` } };
+        inserted.push(...rows);
+        return { error: null };
+      },
+    }),
+  };
+  const log = createMatchEventLog({ supabase, flushIntervalMs: 60_000 });
+  const clock = { ...formatClockState(createFormatState('classic')), pause: { paused: false } };
+  log.record('match-1', 'turn_submitted', { turn: { id: 't1' } }, clock);
+  log.record('match-1', 'not_an_event');
+  assert.equal(log.pending(), 1);
+  assert.equal(await log.flush(), 1);
+  assert.deepEqual(inserted[0].clock, { criticTime: 300, defenderTime: 300, activeSpeaker: 'Critic', segment: null, paused: false });
+
+  missing = true;
+  log.record('match-1', 'clock_snapshot', {}, clock);
+  await log.flush();
+  log.record('match-1', 'clock_snapshot', {}, clock);
+  assert.equal(log.pending(), 0);
+  await log.close();
+});
+
+test('replay timelines are relative to the first event and fall back to transcripts', () => {
+  const replay = buildReplayTimeline([
+    { id: 2, event_type: 'turn_submitted', occurred_at: '2026-01-01T00:00:05.000Z', payload: { turn: { id: 'a' } }, clock: { criticTime: 295 } },
+    { id: 1, event_type: 'match_started', occurred_at: '2026-01-01T00:00:00.000Z', payload: {}, clock: { criticTime: 300 } },
+  ]);
+  assert.equal(replay.legacy, false);
+  assert.deepEqual(replay.events.map(event => [event.type, event.t]), [['match_started', 0], ['turn_submitted', 5000]]);
+  assert.equal(replay.durationMs, 5000);
+
+  const legacy = buildReplayTimeline([], { transcript: [
+    { id: 'a', timestamp: '2026-01-01T00:00:00.000Z' },
+    { id: 'b', timestamp: '2026-01-01T00:00:09.000Z' },
+  ] });
+  assert.equal(legacy.legacy, true);
+  assert.equal(legacy.events[1].payload.turn.id, 'b');
+  assert.equal(legacy.events[1].clock, null);
+});
+
+test('match events migration constrains types to the server list', async () => {
+  // 010 re-creates the constraint with draw offers added.
+  const sql = await readFile(new URL('../migrations/010_match_endings.sql', import.meta.url), 'utf8');
+  for (const type of MATCH_EVENT_TYPES) assert.match(sql, new RegExp(`'${type}'`));
+});
+
+test('draw offers need the opponent to accept before they lapse', () => {
+  const room = {};
+  assert.equal(offerDraw(room, 'Critic', 0).offer.by, 'Critic');
+  assert.match(offerDraw(room, 'Critic', 1).error, /waiting/);
+  assert.match(acceptDraw(room, 'Critic', 2).error, /no draw offer/);
+  assert.equal(acceptDraw({ drawOffer: { by: 'Critic', expiresAt: 100 } }, 'Defender', 50).agreed, true);
+  assert.match(acceptDraw({ drawOffer: { by: 'Critic', expiresAt: 100 } }, 'Defender', 100).error, /no draw offer/);
+
+  const crossing = {};
+  offerDraw(crossing, 'Defender', 0);
+  assert.equal(offerDraw(crossing, 'Critic', 1000).agreed, true);
+  assert.equal(crossing.drawOffer, null);
+
+  const limited = {};
+  for (let i = 0; i < DRAW_OFFERS_PER_SIDE; i += 1) offerDraw(limited, 'Critic', i * DRAW_OFFER_TTL_MS);
+  assert.match(offerDraw(limited, 'Critic', DRAW_OFFERS_PER_SIDE * DRAW_OFFER_TTL_MS).error, /no draw offers left/);
+});
+
+test('resignations and agreed draws settle the Elo result without judging', () => {
+  assert.deepEqual(resignationResult('Critic'), { reason: 'resignation', winner: 'Defender', resignedBy: 'Critic' });
+  const match = { critic_id: 'c', defender_id: 'd' };
+  assert.deepEqual(decidedOutcome({ ...match, ending_type: 'resignation', winner_id: 'd' }), { sCritic: 0, sDefender: 1, winnerId: 'd' });
+  assert.deepEqual(decidedOutcome({ ...match, ending_type: 'draw_agreed' }), { sCritic: 0.5, sDefender: 0.5, winnerId: null });
+  assert.equal(decidedOutcome({ ...match, ending_type: 'timeout', winner_id: 'c' }), null);
+  assert.equal(decidedOutcome({ ...match, ending_type: 'resignation', winner_id: 'someone-else' }), null);
+
+  const record = summarizeMatchEndings([
+    { ...match, status: 'completed', ending_type: 'resignation', winner_id: 'c' },
+    { ...match, status: 'completed', ending_type: 'draw_agreed', winner_id: null },
+    { ...match, status: 'abandoned', ending_type: 'abandoned', winner_id: 'd' },
+    { ...match, status: 'pending_votes', ending_type: 'format_complete', winner_id: null },
+  ], 'c');
+  assert.deepEqual(record, { wins: 1, losses: 1, draws: 1, resigned: 0, opponentResigned: 1, drawsAgreed: 1, abandoned: 1 });
+});
+
+test('match endings migration constrains ending types to the server list', async () => {
+  const sql = await readFile(new URL('../migrations/010_match_endings.sql', import.meta.url), 'utf8');
+  for (const type of MATCH_ENDING_TYPES) assert.match(sql, new RegExp(`'${type}'`));
+});
+
+test('rematches are open to both debaters of a finished, unrematched match', () => {
+  const match = { id: 'm1', status: 'pending_votes', critic_id: 'c', defender_id: 'd' };
+  assert.deepEqual(checkRematchEligibility(match, 'c'), { opponentId: 'd' });
+  assert.match(checkRematchEligibility(match, 'spectator').error, /two debaters/);
+  assert.match(checkRematchEligibility({ ...match, status: 'active' }, 'c').error, /in progress/);
+  assert.match(checkRematchEligibility({ ...match, status: 'abandoned' }, 'c').error, /Abandoned/);
+  assert.match(checkRematchEligibility({ ...match, rematched: true }, 'd').error, /already been rematched/);
+
+  const offer = createRematchOffer(match, 'd', 1000);
+  assert.deepEqual(offer, { matchId: 'm1', by: 'd', to: 'c', expiresAt: 1000 + REMATCH_OFFER_TTL_MS });
+  assert.equal(isLiveRematchOffer(offer, 1000 + REMATCH_OFFER_TTL_MS - 1), true);
+  assert.equal(isLiveRematchOffer(offer, 1000 + REMATCH_OFFER_TTL_MS), false);
+});
+
+test('a rematch swaps roles on the same topic and extends the series', () => {
+  const first = { id: 'm1', topic_title: 'AI art', critic_id: 'c', defender_id: 'd', format_key: 'blitz' };
+  const second = buildRematchInsert(first);
+  assert.deepEqual(second, {
+    topic: 'AI art',
+    topic_title: 'AI art',
+    status: 'active',
+    critic_id: 'd',
+    defender_id: 'c',
+    format_key: 'blitz',
+    series_id: 'm1',
+    series_game: 2,
+    rematch_of: 'm1',
+  });
+  const third = buildRematchInsert({ ...first, id: 'm2', series_id: 'm1', series_game: 2 });
+  assert.equal(third.series_id, 'm1');
+  assert.equal(third.series_game, 3);
+  assert.equal(third.rematch_of, 'm2');
+});
+
+test('match series migration allows each match to be rematched once', async () => {
+  const sql = await readFile(new URL('../migrations/011_match_series.sql', import.meta.url), 'utf8');
+  assert.match(sql, /create unique index if not exists idx_matches_rematch_of/);
+  for (const column of ['series_id', 'series_game', 'rematch_of']) assert.match(sql, new RegExp(`add column if not exists ${column}`));
+});
+
+test('single-instance coordinator hands a rematch offer to one taker only', async () => {
+  const coordinator = await createRealtimeCoordinator({ redisUrl: '' });
+  await coordinator.setRematchOffer('m1', { by: 'c', to: 'd', expiresAt: Date.now() + 10_000 });
+  assert.equal((await coordinator.getRematchOffer('m1')).by, 'c');
+  assert.equal((await coordinator.takeRematchOffer('m1')).to, 'd');
+  assert.equal(await coordinator.takeRematchOffer('m1'), null);
+  await coordinator.setRematchOffer('m2', { by: 'c', to: 'd', expiresAt: Date.now() - 1 });
+  assert.equal(await coordinator.getRematchOffer('m2'), null);
+});
+
+test('a duplicate rematch accept is rejected instead of launching unlinked', async () => {
+  const insert = buildRematchInsert({ id: 'm1', critic_id: 'c', defender_id: 'd', topic_title: 'AI', format_key: 'classic' });
+  const launched = [];
+  const duplicate = Object.assign(new Error('duplicate key value violates unique constraint "idx_matches_rematch_of"'), { code: '23505' });
+  await assert.rejects(
+    launchLinkedRematch(insert, (row) => { launched.push(row); throw duplicate; }),
+    error => error.code === '23505',
+  );
+  assert.equal(launched.length, 1);
+
+  const missing = Object.assign(new Error('column "rematch_of" of relation "matches" does not exist'), { code: '42703' });
+  const rows = [];
+  const result = await launchLinkedRematch(insert, (row, { linked }) => {
+    rows.push(row);
+    if (linked) throw missing;
+    return 'room-2';
+  });
+  assert.equal(result, 'room-2');
+  assert.equal(rows[1].rematch_of, undefined);
+  assert.equal(rows[1].critic_id, 'd');
+});
+
+test('best-of series are decided on aggregate once a side cannot be caught', () => {
+  const series = { best_of: 3, player_a_id: 'a', player_b_id: 'b' };
+  const game = (winner, status = 'completed') => ({ status, winner_id: winner });
+
+  const open = seriesStanding(series, [game('a'), game(null, 'pending_votes')]);
+  assert.deepEqual(open, { aScore: 1, bScore: 0, played: 1, decided: false, sA: null, winnerId: null });
+
+  const swept = seriesStanding(series, [game('a'), game('a')]);
+  assert.equal(swept.decided, true);
+  assert.equal(swept.winnerId, 'a');
+  assert.equal(swept.sA, 1);
+
+  // A drawn game is half a point each; three games always decide a best-of-3.
+  const level = seriesStanding(series, [game('a'), game(null), game('b')]);
+  assert.deepEqual(level, { aScore: 1.5, bScore: 1.5, played: 3, decided: true, sA: 0.5, winnerId: null });
+  assert.equal(seriesStanding(series, [game('b'), game(null), game('b')]).winnerId, 'b');
+});
+
+test('series lengths are normalised and only sets are rated as a whole', () => {
+  assert.equal(normalizeBestOf('3'), 3);
+  assert.equal(normalizeBestOf(4), 1);
+  assert.equal(normalizeBestOf(undefined), 1);
+  assert.equal(isRatedAsSet({ best_of: 5 }), true);
+  assert.equal(isRatedAsSet({ best_of: null }), false);
+  assert.deepEqual(
+    buildSeriesInsert({ bestOf: 3, criticUserId: 'a', defenderUserId: 'b', topic: 'AI art', formatKey: 'blitz', source: 'challenge' }),
+    { best_of: 3, player_a_id: 'a', player_b_id: 'b', topic_title: 'AI art', format_key: 'blitz', status: 'active', source: 'challenge' },
+  );
+
+  const game = { id: 'g1', status: 'pending_votes', critic_id: 'a', defender_id: 'b' };
+  const set = { best_of: 3, status: 'active' };
+  assert.match(checkRematchEligibility({ ...game, series: set }, 'a').error, /still scoring/);
+  assert.deepEqual(checkRematchEligibility({ ...game, status: 'completed', series: set }, 'a'), { opponentId: 'b' });
+  assert.match(checkRematchEligibility({ ...game, status: 'completed', series: { ...set, status: 'completed' } }, 'b').error, /series is over/);
+  assert.deepEqual(checkRematchEligibility({ ...game, series: { best_of: null, status: 'open' } }, 'a'), { opponentId: 'b' });
+});
+
+test('match series migration repoints matches at the series table', async () => {
+  const sql = await readFile(new URL('../migrations/012_best_of_series.sql', import.meta.url), 'utf8');
+  assert.match(sql, /create table if not exists public\.match_series/);
+  assert.match(sql, /foreign key \(series_id\) references public\.match_series\(id\)/);
+  for (const table of ['private_arenas', 'challenges']) assert.match(sql, new RegExp(`alter table public\\.${table}\\s+add column if not exists best_of`));
+});
+
+test('queued players fall back to the AI on the side they did not ask for', () => {
+  const config = { enabled: true, queueWaitMs: 60_000 };
+  const waiting = { userId: 'u1', joinedAt: 0, preferredRole: 'Critic' };
+  assert.equal(shouldOfferAiOpponent(waiting, 59_999, config), false);
+  assert.equal(shouldOfferAiOpponent(waiting, 60_000, config), true);
+  assert.equal(shouldOfferAiOpponent({ ...waiting, isSyntheticSwarmBot: true }, 90_000, config), false);
+  assert.equal(shouldOfferAiOpponent(waiting, 90_000, { ...config, enabled: false }), false);
+  assert.equal(aiFallbackInSeconds(waiting, 15_500, config), 45);
+
+  assert.equal(aiSideFor('Critic'), 'Defender');
+  assert.equal(aiSideFor('Defender'), 'Critic');
+  assert.equal(aiSideFor('Random', () => 0.2), 'Critic');
+});
+
+test('local AI turns pass the same validation and phase rules as human turns', () => {
+  const room = createFormatState('classic');
+  room.transcript = [];
+  const topic = 'Cities should ban private cars';
+  const limits = resolveDebateFormat('classic').turnLimits;
+  const play = (speaker, text) => {
+    const turn = { id: `t${room.transcript.length}`, speaker, text, ...resolveTurnPhase(room, speaker, text) };
+    room.transcript.push(turn);
+    room.activeSpeaker = advancePhaseState(room, turn);
+  };
+
+  // The AI plays Critic through the openings, both cross-examination
+  // exchanges and into free rebuttals.
+  const side = 'Critic';
+  while (room.transcript.length < 9) {
+    if (room.activeSpeaker !== side) {
+      play(room.activeSpeaker, `Turn ${room.transcript.length}: congestion pricing already cut traffic, so why add a ban?`);
+      continue;
+    }
+    const turn = describeNextTurn(room, side);
+    const text = fitAiTurn(buildLocalAiTurn({ topic, side, turn, transcript: room.transcript }), limits, turn.exchange);
+    assert.equal(validateTurn({ room, message: text, exchange: turn.exchange }).ok, true, text);
+    assert.equal(resolveTurnPhase(room, side, text).error, undefined, text);
+    play(side, text);
+  }
+
+  const prompt = buildAiTurnPrompt({ topic, side: 'Defender', turn: { phase: 'cross_examination', exchange: 'question' }, transcript: room.transcript, maxWords: 250 });
+  assert.match(prompt, /argues for the motion/);
+  assert.match(prompt, /End with a question mark/);
+  assert.equal(fitAiTurn('one two three four', { maxWords: 3, maxChars: 100 }, 'question'), 'one two three?');
+});
+
+test('AI spars move only the vs AI rating and count resignations for the AI', () => {
+  const fresh = vsAiRatingUpdate({ rating: 1200, aiRating: 1200, score: 1 });
+  const settled = vsAiRatingUpdate({ rating: 1200, rd: 60, volatility: 0.06, aiRating: 1200, score: 1 });
+  assert.ok(fresh.change > settled.change && settled.change > 0);
+  assert.ok(fresh.rd < 350);
+  assert.ok(vsAiRatingUpdate({ rating: 1200, rd: 60, aiRating: 1200, score: 0 }).change < 0);
+
+  assert.deepEqual(decidedOutcome({ ending_type: 'resignation', ai_side: 'Critic', defender_id: 'u' }), { sCritic: 1, sDefender: 0, winnerId: null });
+  assert.deepEqual(
+    summarizeMatchEndings([
+      { status: 'completed', winner_id: null, ai_side: 'Critic', defender_id: 'u' },
+      { status: 'completed', winner_id: 'u', critic_id: 'u' },
+    ], 'u'),
+    { wins: 1, losses: 0, draws: 0, resigned: 0, opponentResigned: 0, drawsAgreed: 0, abandoned: 0 },
+  );
+});
+
+test('each sparring persona and difficulty plays legal live turns in its own voice', () => {
+  const topic = 'Cities should ban private cars';
+  const limits = resolveDebateFormat('classic').turnLimits;
+  const voices = new Set();
+  for (const persona of Object.keys(SPARRING_PERSONAS)) {
+    for (const difficulty of Object.keys(SPARRING_DIFFICULTIES)) {
+      const room = createFormatState('classic');
+      room.transcript = [];
+      const side = 'Defender';
+      while (room.transcript.length < 7) {
+        const speaker = room.activeSpeaker;
+        const turn = describeNextTurn(room, speaker);
+        const text = speaker === side
+          ? fitAiTurn(buildLocalAiTurn({ topic, side, turn, transcript: room.transcript, persona, difficulty }), limits, turn.exchange)
+          : `Turn ${room.transcript.length}: congestion pricing already reduced downtown traffic, so why would a ban be necessary?`;
+        assert.equal(validateTurn({ room, message: text, exchange: turn.exchange }).ok, true, `${persona}/${difficulty}: ${text}`);
+        const entry = { id: `t${room.transcript.length}`, speaker, text, ...resolveTurnPhase(room, speaker, text) };
+        room.transcript.push(entry);
+        room.activeSpeaker = advancePhaseState(room, entry);
+      }
+      voices.add(room.transcript.filter(entry => entry.speaker === side).map(entry => entry.text).join('\n'));
+    }
+  }
+  assert.equal(voices.size, 9);
+
+  const prompt = buildAiTurnPrompt({ topic, side: 'Critic', turn: { phase: 'rebuttal' }, maxWords: 250, persona: 'skeptic', difficulty: 'expert' });
+  assert.match(prompt, /data-driven skeptic/);
+  assert.match(prompt, /Steelman/);
+  assert.ok(aiRatingFor('novice') < aiRatingFor('club') && aiRatingFor('club') < aiRatingFor('expert'));
+  assert.equal(aiRatingFor('grandmaster'), aiRatingFor('club'));
+});
+
+test('practice replies follow the chosen persona and press harder at higher levels', () => {
+  const message = 'Remote work improves productivity because commuting wastes hours every week.';
+  const reply = (persona, difficulty) => buildPersonaReply({ ...resolveSparringProfile({ persona, difficulty }), topic: 'Remote work', stance: 'for', message, round: 1 });
+
+  assert.equal(reply('skeptic', 'club'), reply('skeptic', 'club'));
+  assert.match(reply('socratic', 'club'), /What exactly do you mean by “productivity”\?/);
+  assert.match(reply('skeptic', 'club'), /base rate/);
+  assert.match(reply('devils_advocate', 'club'), /nobody in the room/);
+  assert.ok(reply('socratic', 'novice').length < reply('socratic', 'club').length);
+  assert.match(reply('socratic', 'expert'), /second question/);
+  assert.deepEqual(
+    [resolveSparringProfile({ persona: 'oracle' }).persona.key, resolveSparringProfile({ difficulty: 'hard' }).difficulty.key],
+    ['socratic', 'club'],
+  );
+  const prompt = buildPracticePrompt({ ...resolveSparringProfile({ persona: 'devils_advocate', difficulty: 'novice' }), topic: 'Remote work', stance: 'for', message });
+  assert.match(prompt, /devil's advocate/);
+  assert.match(prompt, /50-80 words/);
+});
+
+test('persona progress groups practice and ranked spars by level', () => {
+  const progress = summarizePersonaProgress([
+    { persona: 'skeptic', difficulty: 'club', scores: { overall: 60 }, completed_at: '2026-10-01T10:00:00Z' },
+    { persona: 'skeptic', difficulty: 'club', scores: { overall: 81 }, completed_at: '2026-10-03T10:00:00Z' },
+    { persona: 'skeptic', difficulty: 'expert', scores: { result: 'loss', rating_change: -18 }, completed_at: '2026-10-02T10:00:00Z' },
+    { persona: 'skeptic', difficulty: 'expert', scores: { result: 'win', rating_change: 30 }, completed_at: '2026-10-04T10:00:00Z' },
+    { persona: null, difficulty: null, scores: { overall: 99 }, completed_at: '2026-10-05T10:00:00Z' },
+  ]);
+  assert.deepEqual(progress.map(level => `${level.persona}:${level.difficulty}`), ['skeptic:expert', 'skeptic:club']);
+  assert.deepEqual(
+    { sessions: progress[0].sessions, wins: progress[0].wins, losses: progress[0].losses, average: progress[0].average },
+    { sessions: 2, wins: 1, losses: 1, average: null },
+  );
+  assert.deepEqual(
+    { best: progress[1].best, average: progress[1].average, lastPlayedAt: progress[1].lastPlayedAt },
+    { best: 81, average: 71, lastPlayedAt: '2026-10-03T10:00:00Z' },
+  );
+});
+
+test('AI sparring migration ties the AI side to the empty seat', async () => {
+  const sql = await readFile(new URL('../migrations/013_ai_sparring.sql', import.meta.url), 'utf8');
+  assert.match(sql, /alter table public\.matches\s+add column if not exists ai_side/);
+  assert.match(sql, /ai_side = 'Critic' and critic_id is null/);
+  assert.match(sql, /ai_side = 'Defender' and defender_id is null/);
+});
+
+test('sparring persona migration constrains persona and difficulty keys', async () => {
+  const sql = await readFile(new URL('../migrations/014_sparring_personas.sql', import.meta.url), 'utf8');
+  for (const persona of Object.keys(SPARRING_PERSONAS)) assert.match(sql, new RegExp(`'${persona}'`));
+  for (const difficulty of Object.keys(SPARRING_DIFFICULTIES)) assert.match(sql, new RegExp(`'${difficulty}'`));
+  assert.match(sql, /alter table public\.practice_sessions\s+add column if not exists persona/);
+  assert.match(sql, /add column if not exists ai_difficulty/);
+});
+
+test('match verdicts weigh judges over the audience and respect decided endings', () => {
+  const scores = (critic, defender) => ({ critic: { logic: critic, facts: critic, relevance: critic }, defender: { logic: defender, facts: defender, relevance: defender } });
+  const base = { id: 'm1', critic_id: 'c', defender_id: 'd' };
+
+  const judged = resolveVerdict({ ...base, ai_scores: scores(9, 5), audience_votes_critic: 1, audience_votes_defender: 3 });
+  assert.deepEqual({ sCritic: judged.sCritic, winnerId: judged.winnerId, judged: judged.judged }, { sCritic: 1, winnerId: 'c', judged: true });
+  assert.equal(resolveVerdict({ ...base, ai_scores: scores(7, 7) }).winnerId, null);
+  assert.equal(resolveVerdict({ ...base, audience_votes_defender: 10 }).winnerId, 'd');
+
+  const resigned = resolveVerdict({ ...base, ending_type: 'resignation', winner_id: 'd', audience_votes_critic: 10 });
+  assert.deepEqual(resigned, { sCritic: 0, sDefender: 1, winnerId: 'd', decided: true });
+
+  assert.deepEqual(buildResolutionArgs({ match: base, verdict: resigned, ratingFormats: ['Classic', 'Open'], rated: false }), {
+    p_match_id: 'm1',
+    p_s_critic: 0,
+    p_winner_id: 'd',
+    p_rating_formats: ['Classic', 'Open'],
+    p_rated: false,
+    p_ai_rating: null,
+  });
+  assert.equal(buildSeriesRatingArgs({ series: { id: 's1' }, standing: { aScore: 2, bScore: 1, played: 3, sA: 1, winnerId: 'c' } }).p_s_a, 1);
+});
+
+test('glicko-2 matches the reference example and regains RD while idle', () => {
+  const player = { rating: 1500, rd: 200, volatility: 0.06 };
+  const next = glicko2Update(player, [
+    { rating: 1400, rd: 30, score: 1 },
+    { rating: 1550, rd: 100, score: 0 },
+    { rating: 1700, rd: 300, score: 0 },
+  ]);
+  assert.equal(next.rating, 1464);
+  assert.ok(Math.abs(next.rd - 151.52) < 0.01);
+  assert.ok(Math.abs(next.volatility - 0.05999) < 0.0001);
+
+  const now = Date.parse('2026-03-01T00:00:00Z');
+  const settled = { rd: 60, volatility: 0.06, ratedAt: '2026-02-28T12:00:00Z' };
+  assert.equal(decayedRd(settled, now), 60);
+  assert.equal(isProvisional(settled, now), false);
+  const idle = { ...settled, ratedAt: '2024-01-01T00:00:00Z' };
+  assert.ok(decayedRd(idle, now) > glicko.provisionalRd);
+  assert.equal(isProvisional(idle, now), true);
+  assert.equal(decayedRd({ rd: 340, volatility: 0.06, ratedAt: '2020-01-01' }, now), 350);
+});
+
+test('season scheduler closes ended seasons before opening the next one', () => {
+  const now = Date.parse('2026-04-01T00:00:00Z');
+  const ended = { id: 's1', status: 'active', starts_at: '2026-01-01T00:00:00Z', ends_at: '2026-03-31T00:00:00Z' };
+  const next = { id: 's2', status: 'upcoming', starts_at: '2026-03-31T00:00:00Z', ends_at: '2026-06-30T00:00:00Z' };
+  const later = { id: 's3', status: 'upcoming', starts_at: '2026-07-01T00:00:00Z', ends_at: '2026-09-30T00:00:00Z' };
+  assert.deepEqual(dueSeasonTransitions([ended, next, later], now), { close: [ended], open: next });
+  assert.equal(dueSeasonTransitions([{ ...ended, ends_at: '2026-05-01T00:00:00Z' }, next], now).open, null);
+
+  const rules = seasonRules({ reset_factor: 2, min_matches: 3, award_top: 1 });
+  assert.equal(rules.resetFactor, 1);
+  assert.deepEqual(buildCloseSeasonArgs(ended, rules), {
+    p_season_id: 's1', p_min_matches: 3, p_reset_factor: 1, p_ladder_base: 1200, p_format_base: 1000, p_reset_rd: 150,
+  });
+  assert.equal(softResetRating(1600, 1200, 0.5), 1400);
+  assert.equal(softResetRating(1000, 1200, 0.5), 1100);
+});
+
+test('season standings rank qualified players and award the top finishers', () => {
+  const ranked = rankStandings([
+    { user_id: 'a', rating: 1500, rating_deviation: 80, matches_played: 9 },
+    { user_id: 'b', rating: 1500, rating_deviation: 60, matches_played: 6 },
+    { user_id: 'c', rating: 1700, rating_deviation: 60, matches_played: 2 },
+    { user_id: 'd', rating: 1400, rating_deviation: 60, matches_played: 5 },
+    { user_id: 'e', rating: 1400, rating_deviation: 60, matches_played: 7 },
+  ], { minMatches: 5 });
+  assert.deepEqual(ranked.map(row => [row.user_id, row.rank]), [['b', 1], ['a', 2], ['d', 3], ['e', 3]]);
+
+  const season = { id: 's1', slug: 'spring-2026', name: 'Spring 2026', rules: { award_top: 2 } };
+  const credentials = seasonCredentials(season, [
+    { format_key: 'Overall', user_id: 'b', rank: 1, rating: 1500, matches_played: 6 },
+    { format_key: 'Overall', user_id: 'a', rank: 2, rating: 1480, matches_played: 9 },
+    { format_key: 'Overall', user_id: 'd', rank: 3, rating: 1400, matches_played: 5 },
+    { format_key: 'Ranked Classic', user_id: 'a', rank: 1, rating: 1300, matches_played: 12 },
+  ]);
+  assert.deepEqual(credentials.map(item => [item.userId, item.key, item.title, item.level]), [
+    ['b', 'season:spring-2026:overall', 'Spring 2026 Champion', 'champion'],
+    ['a', 'season:spring-2026:overall', 'Spring 2026 Top 2', 'podium'],
+    ['a', 'season:spring-2026:ranked-classic', 'Spring 2026 Ranked Classic Champion', 'champion'],
+  ]);
+});
+
+test('leaderboard queries are validated and paged', () => {
+  const boards = leaderboardBoards().map(board => board.key);
+  assert.ok(boards.includes('Overall') && boards.includes('Ranked Classic') && boards.includes('Technology'));
+
+  const query = parseLeaderboardQuery({ board: 'Technology', region: 'Europe', page: '3', limit: '10' });
+  assert.deepEqual({ offset: query.offset, limit: query.limit, window: query.window }, { offset: 20, limit: 10, window: 'all' });
+  assert.equal(buildLeaderboardArgs(query, { minMatches: 5 }).p_min_matches, 5);
+  assert.equal(parseLeaderboardQuery({ limit: '5000' }).limit, 100);
+
+  for (const bad of [{ board: 'Chess' }, { window: 'year' }, { region: 'Mars' }, { club: 'not-a-uuid' }, { season: 'spring', window: 'week' }]) {
+    assert.throws(() => parseLeaderboardQuery(bad), error => error.statusCode === 400);
+  }
+});
+
+test('weekly movers ask for the rating changes of the chosen board', () => {
+  const now = Date.parse('2026-05-08T00:00:00Z');
+  const format = buildMoversArgs(parseLeaderboardQuery({ board: 'Ranked Classic', window: 'week' }), now);
+  assert.equal(format.p_since, '2026-05-01T00:00:00.000Z');
+  assert.equal(format.p_board, 'Ranked Classic');
+  assert.equal(Object.hasOwn(format, 'p_format_keys'), false);
+
+  const domain = buildMoversArgs(parseLeaderboardQuery({ board: 'Science', window: 'month' }), now);
+  assert.deepEqual([domain.p_board, domain.p_since], ['Science', '2026-04-08T00:00:00.000Z']);
+  assert.equal(inferRatingDomain('Should AI write laws?'), 'Technology');
+});
+
+test('rating history summary finds peaks and streaks, skipping adjustments', () => {
+  const history = [
+    { rating: 1216, change: 16, reason: 'match', created_at: '2026-01-01' },
+    { rating: 1230, change: 14, reason: 'match', created_at: '2026-01-02' },
+    { rating: 1215, change: -15, reason: 'adjustment', created_at: '2026-01-03' },
+    { rating: 1244, change: 29, reason: 'series', created_at: '2026-01-04' },
+    { rating: 1190, change: -54, reason: 'abandon', created_at: '2026-01-05' },
+    { rating: 1178, change: -12, reason: 'match', created_at: '2026-01-06' },
+  ];
+  const summary = summarizeRatingHistory(history);
+  assert.deepEqual(summary.peak, { rating: 1244, at: '2026-01-04' });
+  assert.equal(summary.low.rating, 1178);
+  assert.equal(summary.longestWinStreak, 3);
+  assert.deepEqual(summary.currentStreak, { type: 'loss', length: 2 });
+  assert.equal(summarizeRatingHistory([]).peak, null);
+  assert.deepEqual(parseRatingHistoryQuery({ limit: '9999' }), { key: 'Overall', limit: 500 });
+
+  const matchId = '11111111-1111-4111-8111-111111111111';
+  const [point] = buildRatingHistoryPoints(
+    [{ rating: 1216, change: 16, reason: 'match', match_id: matchId, rating_deviation: '88', created_at: '2026-01-01' }],
+    [{ match_id: matchId, tournament_id: 't1', round_number: 2, tournaments: { title: 'Spring Cup' } }],
+  );
+  assert.deepEqual(point.tournament, { id: 't1', title: 'Spring Cup', round: 2 });
+  assert.equal(point.rating_deviation, 88);
+});
+
+const integrityGame = (index, critic, defender, winner, overrides = {}) => ({
+  id: `m${index}`,
+  critic_id: critic,
+  defender_id: defender,
+  winner_id: winner,
+  status: 'completed',
+  ending_type: 'resignation',
+  elo_change_critic: winner === critic ? 12 : -12,
+  elo_change_defender: winner === defender ? 12 : -12,
+  created_at: `2026-03-0${1 + Math.floor(index / 4)}T10:0${index % 4}:00Z`,
+  resolved_at: `2026-03-0${1 + Math.floor(index / 4)}T10:0${index % 4}:40Z`,
+  ...overrides,
+});
+
+test('integrity analyzer flags win trading, alt accounts and rating dumping', () => {
+  const now = Date.parse('2026-03-10T00:00:00Z');
+  const trading = Array.from({ length: 8 }, (_, index) => integrityGame(index, 'amy', 'ben', index % 2 ? 'amy' : 'ben'));
+  const [trade] = analyzeRatingIntegrity(trading, { profiles: { amy: { created_at: '2025-01-01' }, ben: { created_at: '2025-01-01' } }, now });
+  assert.equal(trade.kind, 'win_trading');
+  assert.ok(trade.score >= ratingIntegrity.reportScore, String(trade.score));
+  assert.equal(trade.lastMatchId, 'm7');
+
+  const feeding = Array.from({ length: 6 }, (_, index) => integrityGame(index, 'cal', 'alt', 'cal'));
+  const cases = analyzeRatingIntegrity(feeding, { profiles: { cal: { created_at: '2025-01-01' }, alt: { created_at: '2026-03-01' } }, now });
+  const alt = cases.find(item => item.kind === 'alt_account');
+  assert.equal(alt.reportedUserId, 'cal');
+  assert.ok(alt.score >= ratingIntegrity.freezeScore);
+  const dumping = cases.find(item => item.kind === 'rating_dumping');
+  assert.equal(dumping.reportedUserId, 'alt');
+  assert.equal(dumping.score, 0.48);
+
+  const row = integrityReportRow(alt);
+  assert.equal(row.reporter_id, null);
+  assert.equal(row.integrity_key, `${alt.key}:m5`);
+  assert.equal(row.source, 'integrity');
+
+  // Long, even games between regular opponents are not suspicious.
+  const rivals = Array.from({ length: 4 }, (_, index) => integrityGame(index, 'dan', 'eve', index < 2 ? 'dan' : 'eve', { ending_type: 'format_complete', resolved_at: '2026-03-09T00:00:00Z' }));
+  const others = Array.from({ length: 4 }, (_, index) => integrityGame(10 + index, 'dan', `p${index}`, 'dan', { ending_type: 'format_complete', resolved_at: '2026-03-09T00:00:00Z' }));
+  const rivalry = analyzeRatingIntegrity([...rivals, ...others], { now }).find(item => item.kind === 'win_trading');
+  assert.ok(rivalry.score < ratingIntegrity.reportScore, String(rivalry.score));
+});
+
+// Just enough of the PostgREST builder for filters, a limit and updates.
+const fakeTables = tables => ({
+  from: (name) => {
+    const filters = [];
+    let patch = null;
+    let limit = Infinity;
+    const query = {
+      select: () => query,
+      update: (values) => { patch = values; return query; },
+      eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+      neq: (column, value) => { filters.push(row => row[column] !== value); return query; },
+      in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+      contains: (column, { players }) => { filters.push(row => players.every(id => row[column]?.players?.includes(id))); return query; },
+      order: () => query,
+      limit: (count) => { limit = count; return query; },
+      then: (resolve) => {
+        const rows = tables[name].filter(row => filters.every(filter => filter(row))).slice(0, limit);
+        if (patch) rows.forEach(row => Object.assign(row, patch));
+        return resolve({ data: rows.map(row => ({ ...row })), error: null });
+      },
+    };
+    return query;
+  },
+});
+
+test('resolving an integrity report keeps players frozen who are named in another open case', async () => {
+  const frozenAt = '2026-03-01T00:00:00Z';
+  const tables = {
+    profiles: [
+      { id: 'ann', rating_frozen_at: frozenAt, rating_frozen_report_id: 'r1' },
+      { id: 'bob', rating_frozen_at: frozenAt, rating_frozen_report_id: 'r1' },
+      { id: 'cat', rating_frozen_at: frozenAt, rating_frozen_report_id: 'r3' },
+    ],
+    moderation_reports: [
+      { id: 'r1', source: 'integrity', status: 'actioned', evidence: { players: ['ann', 'bob'] } },
+      { id: 'r2', source: 'integrity', status: 'open', evidence: { players: ['bob', 'cat'] } },
+      { id: 'r3', source: 'integrity', status: 'dismissed', evidence: { players: ['cat'] } },
+      { id: 'r4', source: 'user', status: 'open', evidence: { players: ['ann'] } },
+    ],
+  };
+
+  assert.equal(await releaseIntegrityFreeze({ supabase: fakeTables(tables), reportId: 'r1' }), 1);
+  assert.deepEqual(tables.profiles.map(({ id, rating_frozen_at: at, rating_frozen_report_id: report }) => [id, Boolean(at), report]), [
+    ['ann', false, null],
+    ['bob', true, 'r2'],
+    ['cat', true, 'r3'],
+  ]);
+});
+
+test('LLM config resolves per feature and repairs malformed JSON replies', () => {
+  const env = { LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4.1', LLM_JUDGE_PROVIDER: 'ollama', LLM_PRACTICE_MODEL: 'gpt-4o-mini' };
+  assert.deepEqual(resolveLlmConfig('judge', env), { feature: 'judge', provider: 'ollama', model: 'llama3.1' });
+  assert.equal(resolveLlmConfig('summary', env).model, 'gpt-4.1');
+  assert.equal(resolveLlmConfig('practice', env).model, 'gpt-4o-mini');
+  assert.equal(resolveLlmConfig('topics', {}).provider, 'gemini');
+  assert.throws(() => resolveLlmConfig('judge', { LLM_PROVIDER: 'mystery' }), error => error.code === 'LLM_CONFIG');
+
+  assert.deepEqual(repairJson('```json\n{"winner": "critic"}\n```'), { winner: 'critic' });
+  assert.deepEqual(repairJson('Verdict: {"scores": [1, 2,], "note": "a } in text"} Hope this helps!'), { scores: [1, 2], note: 'a } in text' });
+  assert.deepEqual(repairJson('{"verdicts": [{"id": "c1", "winner": "def'), { verdicts: [{ id: 'c1', winner: 'def' }] });
+  assert.throws(() => repairJson('no json here'));
+});
+
+test('LLM client retries unusable replies through the stub provider', async () => {
+  const replies = ['Sorry, I cannot comply.', '{"outcome": "upheld",}'];
+  const delays = [];
+  const llm = createLlmClient({
+    env: { LLM_PROVIDER: 'stub' },
+    providers: { stub: createStubProvider({ reply: () => replies.shift() }) },
+    sleep: async ms => { delays.push(ms); },
+  });
+  assert.equal(llm.configured('judge'), true);
+  assert.deepEqual(await llm.generate('judge', 'Review this appeal'), { outcome: 'upheld' });
+  assert.deepEqual(delays, [2000]);
+
+  await assert.rejects(llm.generate('objection', 'Check this', { maxRetries: 2 }), /No JSON found/);
+
+  const offline = createLlmClient({ env: { LLM_SUMMARY_PROVIDER: 'stub' }, providers: { stub: createStubProvider() } });
+  assert.equal(await offline.forFeature('summary')('Summarize the debate', 1, false), 'Stub reply: Summarize the debate');
+});
+
+test('long transcripts are condensed into id-linked digests ahead of the recent window', async () => {
+  const transcript = Array.from({ length: 70 }, (_, index) => ({ id: `t${index + 1}`, speaker: index % 2 ? 'Defender' : 'Critic', text: `Point ${index + 1}. Supporting detail.` }));
+  const prompts = [];
+  const generate = async (prompt) => {
+    prompts.push(prompt);
+    const ids = [...prompt.matchAll(/\[(t\d+)\]/g)].map(match => match[1]);
+    return { arguments: [{ speaker: 'Critic', claim: `Argument from ${ids[0]}`, status: 'unanswered', message_ids: [ids[0], ids[2], 'invented'] }] };
+  };
+  const condensed = await condenseTranscript(transcript, { generate });
+  assert.equal(prompts.length, 3);
+  assert.deepEqual(condensed.metadata, { total_turns: 70, summarized_turns: 30, recent_turns: 40, digests: 3, levels: 1, mode: 'llm' });
+  assert.deepEqual(condensed.digests[0], { from: 1, to: 12, mode: 'llm', arguments: [{ speaker: 'Critic', claim: 'Argument from t1', status: 'unanswered', message_ids: ['t1', 't3'] }] });
+  const text = condensedTranscriptText(condensed);
+  assert.match(text, /Earlier turns 1-30 of 70/);
+  assert.match(text, /- Critic \[t1, t3\]: Argument from t1 \(unanswered\)/);
+  assert.match(text, /\[t31\] Critic: Point 31\./);
+  assert.doesNotMatch(text, /Point 30\./);
+
+  // Without a model, chunks fall back to extractive digests and are merged
+  // again once there are more than `maxDigests`.
+  const rules = { ...transcriptDigest, recentTurns: 4, chunkTurns: 2, maxDigests: 3 };
+  const offline = await condenseTranscript(transcript.slice(0, 20), { rules });
+  assert.deepEqual(offline.metadata, { total_turns: 20, summarized_turns: 16, recent_turns: 4, digests: 3, levels: 2, mode: 'extractive' });
+  assert.deepEqual(offline.digests[0].arguments[0], { speaker: 'Critic', claim: 'Point 1.', status: null, message_ids: ['t1'] });
+});
+
+test('argument maps link turns by rebuttal and concession and list dropped points', async () => {
+  const transcript = [
+    { id: 'a', speaker: 'Critic', text: 'Universal income drains public budgets quickly.' },
+    { id: 'b', speaker: 'Defender', text: 'Public budgets recover because universal income replaces overlapping programs.' },
+    { id: 'c', speaker: 'Critic', text: 'Work incentives collapse when income arrives unconditionally.' },
+    { id: 'd', speaker: 'Defender', text: 'Fair point, some hours fall.' },
+    { id: 'e', speaker: 'Critic', text: 'Inflation will erase every gain.' },
+  ];
+  const now = () => new Date('2026-05-01T00:00:00Z');
+  const heuristic = await extractArgumentMap({ transcript, now });
+  assert.equal(heuristic.mode, 'heuristic');
+  assert.deepEqual(heuristic.edges, [{ from: 'n2', to: 'n1', type: 'rebuts' }, { from: 'n4', to: 'n3', type: 'concedes' }]);
+  assert.deepEqual(heuristic.nodes.map(node => `${node.message_id}:${node.kind}:${node.status}`), ['a:claim:answered', 'b:attack:dropped', 'c:claim:conceded', 'd:claim:dropped', 'e:claim:dropped']);
+  assert.deepEqual(heuristic.dropped, { critic: ['n2', 'n4'], defender: ['n5'] });
+
+  // Model nodes on unknown messages and edges that break the side rules are dropped.
+  const generate = async () => ({
+    nodes: [
+      { id: 'x1', message_id: 'a', kind: 'claim', text: 'UBI is unaffordable.' },
+      { id: 'x2', message_id: 'b', kind: 'attack', text: 'Program consolidation pays for it.' },
+      { id: 'x3', message_id: 'zz', kind: 'claim', text: 'Invented turn.' },
+      { id: 'x4', message_id: 'e', kind: 'support', text: 'Inflation erases gains.' },
+    ],
+    edges: [{ from: 'x2', to: 'x1', type: 'rebuts' }, { from: 'x4', to: 'x2', type: 'supports' }, { from: 'x4', to: 'x1', type: 'supports' }],
+  });
+  const modelMap = await extractArgumentMap({ transcript, generate, now });
+  assert.equal(modelMap.mode, 'llm');
+  assert.deepEqual(modelMap.nodes.map(node => node.id), ['x1', 'x2', 'x4']);
+  assert.deepEqual(modelMap.edges, [{ from: 'x2', to: 'x1', type: 'rebuts' }, { from: 'x4', to: 'x1', type: 'supports' }]);
+  assert.deepEqual(modelMap.dropped, { critic: ['x2'], defender: [] });
+});
+
+test('argument maps are skipped only when the argument_map column is missing', async () => {
+  const supabaseFailing = error => ({
+    from: () => ({ update: () => ({ eq: async () => ({ error }) }) }),
+  });
+  const transcript = [{ id: 'x1', speaker: 'Critic', text: 'Cities should fund transit before new roads.' }];
+
+  const missing = { code: '42703', message: 'column "argument_map" of relation "matches" does not exist' };
+  assert.equal(await storeArgumentMap({ supabase: supabaseFailing(missing), matchId: 'm1', transcript }), null);
+  const uncached = { code: 'PGRST204', message: "Could not find the 'argument_map' column of 'matches' in the schema cache" };
+  assert.equal(await storeArgumentMap({ supabase: supabaseFailing(uncached), matchId: 'm1', transcript }), null);
+
+  const noTable = { code: '42P01', message: 'relation "matches" does not exist' };
+  await assert.rejects(storeArgumentMap({ supabase: supabaseFailing(noTable), matchId: 'm1', transcript }), noTable);
+  const otherColumn = { code: '42703', message: 'column "status" does not exist' };
+  await assert.rejects(storeArgumentMap({ supabase: supabaseFailing(otherColumn), matchId: 'm1', transcript }), otherColumn);
+});
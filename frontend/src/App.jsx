@@ -135,12 +135,30 @@ const App = () => {
       setNeedRefresh(true);
     };
 
+    // The backend is shutting down for a deploy: reconnect (with jitter) so
+    // the load balancer routes us to a ready instance, which re-adopts any
+    // live room through the normal rejoin flow.
+    let drainReconnectTimer = null;
+    const handleServerDraining = ({ reconnectInMs = 3000 } = {}) => {
+      clearTimeout(drainReconnectTimer);
+      drainReconnectTimer = setTimeout(
+        () => {
+          socket.disconnect();
+          socket.connect();
+        },
+        reconnectInMs + Math.random() * 1000,
+      );
+    };
+
     socket.on("app_version", handleAppVersion);
     socket.on("app_upgrade_available", handleAppUpgrade);
+    socket.on("server_draining", handleServerDraining);
 
     return () => {
+      clearTimeout(drainReconnectTimer);
       socket.off("app_version", handleAppVersion);
       socket.off("app_upgrade_available", handleAppUpgrade);
+      socket.off("server_draining", handleServerDraining);
     };
   }, [setNeedRefresh]);
 
@@ -366,7 +384,7 @@ const App = () => {
             element={
               session ? (
                 <ErrorBoundary>
-                  <MatchReview />
+                  <MatchReview socket={socket} />
                 </ErrorBoundary>
               ) : (
                 <Navigate to="/" replace />
@@ -1204,6 +1204,8 @@ const CompeteTab = ({
       </div>
     </Card>
 
+    {data.season.slug && <SeasonStandings slug={data.season.slug} />}
+
     <div>
       <div className="mb-4 flex items-end justify-between gap-4">
         <div>
@@ -1345,6 +1347,100 @@ const CompeteTab = ({
   </div>
 );
 
+const SeasonStandings = ({ slug }) => {
+  const [format, setFormat] = useState("Overall");
+  const [state, setState] = useState({ loading: true, data: null, error: "" });
+  useEffect(() => {
+    let current = true;
+    api
+      .get(`/product/seasons/${slug}/standings`, {
+        params: { format, limit: 10 },
+      })
+      .then((response) => {
+        if (current)
+          setState({ loading: false, data: response.data, error: "" });
+      })
+      .catch((error) => {
+        if (!current) return;
+        setState({
+          loading: false,
+          data: null,
+          error: error.response?.data?.message || "Unable to load standings.",
+        });
+      });
+    return () => {
+      current = false;
+    };
+  }, [slug, format]);
+  const chooseFormat = (next) => {
+    if (next === format) return;
+    setState((previous) => ({ ...previous, loading: true }));
+    setFormat(next);
+  };
+  const standings = state.data?.standings || [];
+  return (
+    <Card className="p-6">
+      <div className="mb-5 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-black text-white">Season standings</h2>
+          <p className="mt-1 text-sm text-slate-500">
+            {state.data?.live
+              ? `Live table. ${state.data.rules.min_matches} games to qualify; ratings are pulled ${Math.round(state.data.rules.reset_factor * 100)}% back toward the base when the season closes.`
+              : "Final standings recorded when the season closed."}
+          </p>
+        </div>
+        <Medal className="h-5 w-5 text-violet-400" />
+      </div>
+      <div className="mb-4 flex flex-wrap gap-2">
+        {(state.data?.formats || ["Overall"]).map((key) => (
+          <button
+            key={key}
+            onClick={() => chooseFormat(key)}
+            className={`rounded-full border px-3 py-1 text-xs font-bold ${key === format ? "border-violet-500/50 bg-violet-500/15 text-violet-200" : "border-slate-700 text-slate-400"}`}
+          >
+            {key}
+          </button>
+        ))}
+      </div>
+      {state.loading ? (
+        <Loader2 className="mx-auto h-6 w-6 animate-spin text-violet-400" />
+      ) : state.error ? (
+        <p className="text-sm text-rose-300">{state.error}</p>
+      ) : standings.length ? (
+        <div className="space-y-2">
+          {standings.map((row) => (
+            <div
+              key={row.user_id}
+              className="flex items-center justify-between rounded-xl bg-slate-950/60 px-4 py-3 text-sm"
+            >
+              <span className="flex items-center gap-3">
+                <span className="w-6 text-center font-black text-violet-300">
+                  {row.rank}
+                </span>
+                <span className="font-semibold text-slate-200">
+                  {row.username}
+                </span>
+              </span>
+              <span className="text-right">
+                <span className="font-black text-white">{row.rating}</span>
+                <span className="ml-2 text-xs text-slate-500">
+                  {row.matches_played} games
+                  {row.next_season_rating != null &&
+                    ` · resets to ${row.next_season_rating}`}
+                </span>
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">
+          Nobody has qualified for this table yet.
+        </p>
+      )}
+    </Card>
+  );
+};
+
 const ClassroomsTab = ({
   data,
   onCreate,
@@ -1902,6 +1998,13 @@ const TrustOperations = ({
               <div className="text-sm font-bold text-slate-200">
                 {report.category}
               </div>
+              {report.source === "integrity" && (
+                <div className="mt-1 text-[10px] font-bold uppercase text-amber-300">
+                  Automated flag ·{" "}
+                  {Math.round(Number(report.integrity_score || 0) * 100)}%
+                  suspicion
+                </div>
+              )}
               <div className="mt-1 line-clamp-2 text-xs text-slate-500">
                 {report.details || "No additional detail"}
               </div>
@@ -0,0 +1,182 @@
+import { useMemo, useState } from "react";
+import { ArrowUpRight, GitBranch } from "lucide-react";
+
+const SIDES = ["critic", "defender"];
+
+const SIDE_STYLES = {
+  critic: {
+    label: "Critic",
+    text: "text-rose-400",
+    border: "border-rose-500/40",
+  },
+  defender: {
+    label: "Defender",
+    text: "text-cyan-400",
+    border: "border-cyan-500/40",
+  },
+};
+
+const STATUS_STYLES = {
+  answered: "bg-slate-700/60 text-slate-300",
+  conceded: "bg-emerald-500/15 text-emerald-300",
+  dropped: "bg-amber-500/15 text-amber-300",
+};
+
+// The claim/support/attack graph stored on a finished match. Selecting a point
+// highlights what it answers and what answered it; points a side never
+// answered are listed as dropped by that side. While `pending`, the map is
+// still being built and a placeholder stands in for it.
+const ArgumentMap = ({ map, pending = false, onJumpToMessage }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [droppedOnly, setDroppedOnly] = useState(false);
+
+  const nodesById = useMemo(
+    () => Object.fromEntries((map?.nodes || []).map((node) => [node.id, node])),
+    [map],
+  );
+  const linked = useMemo(() => {
+    if (!selectedId) return null;
+    return (map?.edges || []).filter(
+      (edge) => edge.from === selectedId || edge.to === selectedId,
+    );
+  }, [map, selectedId]);
+  const linkedIds = new Set(
+    (linked || []).flatMap((edge) => [edge.from, edge.to]),
+  );
+
+  if (!map?.nodes?.length) {
+    if (!pending) return null;
+    return (
+      <div className="bg-[#0b0f19] p-6 rounded-xl border border-slate-800 shadow-lg mt-8">
+        <h2 className="text-2xl font-bold text-slate-200 flex items-center gap-2">
+          <GitBranch className="h-6 w-6 text-violet-400" /> Argument Map
+        </h2>
+        <p className="mt-3 text-sm text-slate-400 animate-pulse">
+          Mapping the arguments. The map appears here once it is ready.
+        </p>
+      </div>
+    );
+  }
+  const selected = selectedId ? nodesById[selectedId] : null;
+
+  return (
+    <div className="bg-[#0b0f19] p-6 rounded-xl border border-slate-800 shadow-lg mt-8">
+      <div className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <h2 className="text-2xl font-bold text-slate-200 flex items-center gap-2">
+          <GitBranch className="h-6 w-6 text-violet-400" /> Argument Map
+        </h2>
+        <div className="flex flex-wrap items-center gap-3 text-xs">
+          {SIDES.map((side) => (
+            <span
+              key={side}
+              className="rounded-full border border-amber-500/30 bg-amber-500/10 px-3 py-1 text-amber-200"
+            >
+              Dropped by {SIDE_STYLES[side].label}:{" "}
+              {map.dropped?.[side]?.length || 0}
+            </span>
+          ))}
+          <label className="flex items-center gap-2 text-slate-400">
+            <input
+              type="checkbox"
+              checked={droppedOnly}
+              onChange={(event) => setDroppedOnly(event.target.checked)}
+            />
+            Dropped points only
+          </label>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+        {SIDES.map((side) => (
+          <div key={side} className="space-y-3">
+            <h3
+              className={`text-sm font-bold uppercase tracking-wider ${SIDE_STYLES[side].text}`}
+            >
+              {SIDE_STYLES[side].label}
+            </h3>
+            {map.nodes
+              .filter(
+                (node) =>
+                  node.side === side &&
+                  (!droppedOnly || node.status === "dropped"),
+              )
+              .map((node) => {
+                const dimmed =
+                  selectedId &&
+                  node.id !== selectedId &&
+                  !linkedIds.has(node.id);
+                return (
+                  <button
+                    key={node.id}
+                    type="button"
+                    onClick={() =>
+                      setSelectedId(node.id === selectedId ? null : node.id)
+                    }
+                    className={`w-full rounded-lg border bg-slate-900/60 p-3 text-left transition-opacity ${
+                      node.id === selectedId
+                        ? `${SIDE_STYLES[side].border} ring-1 ring-violet-400/60`
+                        : "border-slate-800"
+                    } ${dimmed ? "opacity-40" : ""}`}
+                  >
+                    <div className="mb-1 flex items-center gap-2 text-[11px] uppercase tracking-wide">
+                      <span className="text-slate-500">
+                        Turn {node.turn} · {node.kind}
+                      </span>
+                      {node.status && (
+                        <span
+                          className={`rounded px-1.5 py-0.5 ${STATUS_STYLES[node.status]}`}
+                        >
+                          {node.status}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-slate-200">{node.text}</p>
+                  </button>
+                );
+              })}
+          </div>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="mt-6 rounded-lg border border-violet-500/30 bg-violet-500/5 p-4 text-sm">
+          <div className="mb-2 flex items-center justify-between gap-3">
+            <p className="font-semibold text-slate-200">
+              {SIDE_STYLES[selected.side]?.label || selected.side}, turn{" "}
+              {selected.turn}
+            </p>
+            <button
+              type="button"
+              onClick={() => onJumpToMessage?.(selected.message_id)}
+              className="inline-flex items-center gap-1 text-xs font-semibold text-violet-300 hover:text-violet-200"
+            >
+              Show in transcript <ArrowUpRight className="h-3 w-3" />
+            </button>
+          </div>
+          {linked.length ? (
+            <ul className="space-y-1 text-slate-400">
+              {linked.map((edge) => {
+                const other =
+                  nodesById[edge.from === selected.id ? edge.to : edge.from];
+                return (
+                  <li key={`${edge.from}-${edge.to}-${edge.type}`}>
+                    {edge.from === selected.id
+                      ? `This point ${edge.type}`
+                      : `${SIDE_STYLES[other?.side]?.label || "Opponent"} ${edge.type} it`}
+                    : <span className="text-slate-300">{other?.text}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-slate-400">
+              No other point supports, answers or concedes this one.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArgumentMap;
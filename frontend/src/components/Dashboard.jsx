@@ -5,6 +5,8 @@ import { supabase } from '../lib/supabaseClient';
 import { getTopicDomain } from '../lib/domainUtils';
 import { Radar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ResponsiveContainer } from 'recharts';
 import ProfileModal from './ProfileModal';
+import { ProvisionalTag } from '../lib/rankUtils';
+import { PROVISIONAL_RD } from '../lib/ratingUtils';
 
 // Deployment trigger1
 const Dashboard = ({ user, socket }) => {
@@ -73,6 +75,7 @@ const Dashboard = ({ user, socket }) => {
 
         const newStats = {
           elo: unifiedStats?.elo_rating ?? 1000,
+          rd: unifiedStats?.rating_deviation ?? null,
           totalMatches: unifiedStats?.total_matches ?? 0,
           winRate: unifiedStats?.win_rate ?? 0
         };
@@ -212,7 +215,10 @@ const Dashboard = ({ user, socket }) => {
                 <Activity className="h-4 w-4" />
                 <h3 className="font-semibold uppercase tracking-wider text-xs">Elo Rating</h3>
               </div>
-              <p className="text-3xl font-bold text-slate-100">{stats.elo}</p>
+              <div className="flex items-center gap-2">
+                <p className="text-3xl font-bold text-slate-100">{stats.elo}</p>
+                {stats.rd != null && stats.rd > PROVISIONAL_RD && <ProvisionalTag />}
+              </div>
             </div>
             <div className="bg-slate-900 border border-slate-800 rounded-xl p-4 shadow-sm">
               <div className="flex items-center gap-2 text-emerald-400 mb-1">
@@ -322,6 +328,11 @@ const Dashboard = ({ user, socket }) => {
                           }`}>
                           {match.status === 'pending_votes' ? 'In Deliberation' : match.status}
                         </span>
+                        {['resignation', 'draw_agreed'].includes(match.ending_type) && (
+                          <span className="px-2 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider w-fit bg-slate-800 text-slate-300">
+                            {match.ending_type === 'draw_agreed' ? 'Draw agreed' : match.winner_id === user?.id ? 'Opponent resigned' : 'Resigned'}
+                          </span>
+                        )}
                         <span className={`shrink-0 text-[10px] font-black uppercase tracking-wider px-2 py-0.5 rounded-full border w-fit ${getTopicDomain(match.topic_title || match.topic).color}`}>
                           {getTopicDomain(match.topic_title || match.topic).domain}
                         </span>
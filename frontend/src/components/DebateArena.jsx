@@ -17,6 +17,10 @@ import {
   AlertTriangle,
   GitBranch,
   Activity,
+  PauseCircle,
+  PlayCircle,
+  Flag,
+  Handshake,
 } from "lucide-react";
 import useVoiceRecognition, {
   analyzeTextTone,
@@ -85,6 +89,13 @@ const riskTone = (severity) => {
 
 const riskLabel = (score = 0) =>
   `${Math.round(Math.max(0, Math.min(1, score)) * 100)}%`;
+const PHASE_LABELS = {
+  opening: "Opening",
+  cross_examination: "Cross-ex",
+  rebuttal: "Rebuttal",
+  closing: "Closing",
+};
+
 const ENABLE_AI_OBJECTION = true;
 
 /**
@@ -99,6 +110,7 @@ const DebateArena = ({ socket = null, user = null }) => {
     topic: initialTopic,
     isSpectator,
     stances: initialStances,
+    topicNegotiation,
   } = state || {};
 
   const chatContainerRef = useRef(null);
@@ -108,6 +120,14 @@ const DebateArena = ({ socket = null, user = null }) => {
   const [isPaused, setIsPaused] = useState(false);
   const [pauseMessage, setPauseMessage] = useState("");
   const [pauseCountdown, setPauseCountdown] = useState(30);
+  // Tactical timeouts and mutual pauses (server-driven, separate from the
+  // disconnect grace overlay above).
+  const [roomPause, setRoomPause] = useState(null);
+  const [roomPauseSeconds, setRoomPauseSeconds] = useState(0);
+  const [pauseRequest, setPauseRequest] = useState(null);
+  const [timeoutsUsed, setTimeoutsUsed] = useState({});
+  const [drawOffer, setDrawOffer] = useState(null);
+  const [matchEnding, setMatchEnding] = useState(null);
   const [isInitializing, setIsInitializing] = useState(true);
   const [loadingMsg, setLoadingMsg] = useState("Initializing Arena...");
   const [errorMsg, setErrorMsg] = useState(null);
@@ -122,6 +142,11 @@ const DebateArena = ({ socket = null, user = null }) => {
   );
   const [roomId, setRoomId] = useState(matchId || null);
   const [topic, setTopic] = useState(initialTopic || "");
+  const [formatLabel, setFormatLabel] = useState(state?.formatLabel || null);
+  const [segment, setSegment] = useState(state?.segment || null);
+  const [nextTurn, setNextTurn] = useState(state?.nextTurn || null);
+  // Set when the queue fell back to the server-side sparring opponent.
+  const [aiOpponent, setAiOpponent] = useState(state?.aiOpponent || null);
 
   // Timer sync timestamp to prevent flickering from out-of-order events
   const lastTimeSyncRef = useRef(0);
@@ -136,6 +161,9 @@ const DebateArena = ({ socket = null, user = null }) => {
   const [localTranscript, setLocalTranscript] = useState([]);
   const [cognitiveInsights, setCognitiveInsights] = useState([]);
   const [inputText, setInputText] = useState("");
+  // Server-side turn validation: the draft is restored if a turn bounces.
+  const [turnRejection, setTurnRejection] = useState(null);
+  const lastSubmittedTextRef = useRef("");
 
   // Voice of Reason: Scratchpad state (for off-turn voice drafts)
   const [scratchpadText, setScratchpadText] = useState("");
@@ -420,15 +448,32 @@ const DebateArena = ({ socket = null, user = null }) => {
       );
       setActiveSpeaker(data.activeSpeaker || "Critic");
       setTopic(data.topic || "");
+      setFormatLabel(data.formatLabel || null);
+      setSegment(data.segment || null);
+      setNextTurn(data.nextTurn || null);
+      setAiOpponent(data.aiOpponent || null);
+      applyPauseSnapshot(data.pause);
       setIsInitializing(false); // Unlock UI for transient rooms
       // Reset timer sync on match found
       lastTimeSyncRef.current = 0;
     };
 
+    const applyPauseSnapshot = (snapshot) => {
+      if (!snapshot) return;
+      setRoomPause(snapshot.paused ? snapshot : null);
+      setRoomPauseSeconds(snapshot.secondsLeft || 0);
+      setTimeoutsUsed(snapshot.timeoutsUsed || {});
+      setPauseRequest(snapshot.pendingRequest || null);
+    };
+
     const handleTimeSync = ({
       criticTime: ct,
       defenderTime: dt,
       activeSpeaker: as,
+      formatLabel: fl,
+      segment: seg,
+      nextTurn: nt,
+      pause,
       timestamp,
     }) => {
       // Prevent flickering from out-of-order or duplicate time_sync events
@@ -441,6 +486,10 @@ const DebateArena = ({ socket = null, user = null }) => {
       setCriticTime(ct);
       setDefenderTime(dt);
       setActiveSpeaker(as);
+      if (fl) setFormatLabel(fl);
+      setSegment(seg || null);
+      setNextTurn(nt || null);
+      applyPauseSnapshot(pause);
     };
 
     const handleNewTurn = ({
@@ -459,8 +508,10 @@ const DebateArena = ({ socket = null, user = null }) => {
       setActiveSpeaker(as);
     };
 
-    const handleMatchOver = ({ finalState }) => {
+    const handleMatchOver = ({ finalState, reason, winner, resignedBy }) => {
       setMatchStatus("finished");
+      setMatchEnding({ reason, winner, resignedBy });
+      setDrawOffer(null);
       setLocalTranscript(finalState.transcript);
       setCognitiveInsights(
         extractCognitiveInsights(finalState.transcript || []),
@@ -483,6 +534,10 @@ const DebateArena = ({ socket = null, user = null }) => {
       setCriticTime(data.criticTime);
       setDefenderTime(data.defenderTime);
       setActiveSpeaker(data.activeSpeaker);
+      if (data.formatLabel) setFormatLabel(data.formatLabel);
+      setSegment(data.segment || null);
+      setNextTurn(data.nextTurn || null);
+      applyPauseSnapshot(data.pause);
       setIsAutoScrollEnabled(true);
     };
 
@@ -585,6 +640,30 @@ const DebateArena = ({ socket = null, user = null }) => {
       setCognitiveInsights((prev) => mergeCognitiveInsights(prev, [insight]));
     };
 
+    const handleRoomPaused = (snapshot) => applyPauseSnapshot(snapshot);
+
+    const handleRoomResumed = (data) => {
+      setRoomPause(null);
+      setRoomPauseSeconds(0);
+      if (data?.pause) applyPauseSnapshot(data.pause);
+    };
+
+    const handlePauseRequested = ({ by, expiresAt }) => {
+      setPauseRequest({ by, expiresAt });
+    };
+
+    const handlePauseDeclined = () => setPauseRequest(null);
+
+    const handleDrawOffered = ({ by, expiresAt }) => {
+      setDrawOffer({ by, expiresAt });
+    };
+
+    const handleTurnRejected = ({ code, message }) => {
+      setTurnRejection({ code, message: message || "Turn rejected" });
+      const draft = lastSubmittedTextRef.current;
+      if (draft) setInputText((prev) => prev || draft);
+    };
+
     socket.on("match_found", handleMatchFound);
     socket.on("time_sync", handleTimeSync);
     socket.on("new_turn", handleNewTurn);
@@ -601,6 +680,12 @@ const DebateArena = ({ socket = null, user = null }) => {
     socket.on("ai_intervention_result", handleAiResult);
     socket.on("ai_intervention", handleAiResult);
     socket.on("cognitive_insight", handleCognitiveInsight);
+    socket.on("turn_rejected", handleTurnRejected);
+    socket.on("room_paused", handleRoomPaused);
+    socket.on("room_resumed", handleRoomResumed);
+    socket.on("pause_requested", handlePauseRequested);
+    socket.on("pause_declined", handlePauseDeclined);
+    socket.on("draw_offered", handleDrawOffered);
 
     // 🚀 PROACTIVE REJOIN: If we mount and socket is already connected, rejoin immediately
     if (socket.connected && user?.id && roomId && !isSpectator) {
@@ -627,6 +712,12 @@ const DebateArena = ({ socket = null, user = null }) => {
       socket.off("ai_intervention_result", handleAiResult);
       socket.off("ai_intervention", handleAiResult);
       socket.off("cognitive_insight", handleCognitiveInsight);
+      socket.off("turn_rejected", handleTurnRejected);
+      socket.off("room_paused", handleRoomPaused);
+      socket.off("room_resumed", handleRoomResumed);
+      socket.off("pause_requested", handlePauseRequested);
+      socket.off("pause_declined", handlePauseDeclined);
+      socket.off("draw_offered", handleDrawOffered);
     };
   }, [socket, user, roomId, isSpectator, navigate, playerRole]);
 
@@ -643,6 +734,39 @@ const DebateArena = ({ socket = null, user = null }) => {
     };
   }, [isPaused]);
 
+  // Room pause countdown; the server resumes the clocks when it runs out.
+  useEffect(() => {
+    if (!roomPause) return undefined;
+    const interval = setInterval(() => {
+      setRoomPauseSeconds((prev) => Math.max(0, prev - 1));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [roomPause]);
+
+  // Unanswered pause requests lapse on the server after 20s.
+  useEffect(() => {
+    if (!pauseRequest) return undefined;
+    const timeout = setTimeout(() => setPauseRequest(null), 20000);
+    return () => clearTimeout(timeout);
+  }, [pauseRequest]);
+
+  // Draw offers lapse on the server after 30s.
+  useEffect(() => {
+    if (!drawOffer) return undefined;
+    const timeout = setTimeout(() => setDrawOffer(null), 30000);
+    return () => clearTimeout(timeout);
+  }, [drawOffer]);
+
+  const handleResign = () => {
+    if (!window.confirm("Resign this debate? It counts as a loss.")) return;
+    emitPauseAction("resign");
+  };
+
+  const emitPauseAction = (event, payload = {}) => {
+    if (!roomId) return;
+    socket.emit(event, { roomId, ...payload });
+  };
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -670,6 +794,8 @@ const DebateArena = ({ socket = null, user = null }) => {
       tone: tone || "neutral",
     });
 
+    lastSubmittedTextRef.current = inputText.trim();
+    setTurnRejection(null);
     setInputText("");
     if (textareaRef.current) textareaRef.current.style.height = "auto";
   }, [activeSpeaker, inputText, matchStatus, playerRole, roomId, socket]);
@@ -688,12 +814,16 @@ const DebateArena = ({ socket = null, user = null }) => {
 
   const handleTextareaChange = (e) => {
     setInputText(e.target.value);
+    if (turnRejection) setTurnRejection(null);
     e.target.style.height = "auto";
     e.target.style.height = Math.min(e.target.scrollHeight, 120) + "px";
   };
 
+  const isDebater = playerRole === "Critic" || playerRole === "Defender";
   const isInputDisabled =
-    matchStatus !== "active" || playerRole !== activeSpeaker;
+    matchStatus !== "active" ||
+    playerRole !== activeSpeaker ||
+    Boolean(roomPause);
 
   // FAILSAFE 1: Error State
   if (errorMsg) {
@@ -837,10 +967,199 @@ const DebateArena = ({ socket = null, user = null }) => {
                   <MessageCircle className="h-3 w-3" /> {topic}
                 </p>
               )}
+              {topicNegotiation && topicNegotiation.reason !== "same_topic" && (
+                <p className="mt-1 text-[10px] text-slate-500 px-2">
+                  Negotiated topic: {topicNegotiation.message}
+                </p>
+              )}
             </div>
           )}
 
           {/* Timers */}
+          {(formatLabel || segment || nextTurn) && (
+            <div className="shrink-0 mb-2 flex flex-wrap items-center justify-center gap-2 text-[10px] sm:text-xs font-bold uppercase tracking-widest text-slate-400">
+              {formatLabel && (
+                <span className="text-indigo-300">{formatLabel}</span>
+              )}
+              {aiOpponent && (
+                <>
+                  <span className="text-slate-600">·</span>
+                  <span
+                    className="text-cyan-300"
+                    title="Rated on your separate vs AI rating, not your main Elo"
+                  >
+                    vs AI {aiOpponent.side}
+                    {aiOpponent.personaLabel
+                      ? ` · ${aiOpponent.personaLabel}`
+                      : ""}{" "}
+                    ({aiOpponent.rating})
+                  </span>
+                </>
+              )}
+              {!segment && nextTurn?.phase && (
+                <>
+                  <span className="text-slate-600">·</span>
+                  <span>{PHASE_LABELS[nextTurn.phase] || nextTurn.phase}</span>
+                </>
+              )}
+              {segment && (
+                <>
+                  <span className="text-slate-600">·</span>
+                  <span>
+                    {segment.label} ({segment.index + 1}/{segment.total})
+                  </span>
+                  <span className="font-mono text-slate-200">
+                    {formatTime(segment.secondsLeft)}
+                  </span>
+                </>
+              )}
+              {nextTurn?.exchange && nextTurn.speaker === playerRole && (
+                <span className="text-amber-300 normal-case tracking-normal">
+                  {nextTurn.exchange === "question"
+                    ? "Your turn to ask — end with a question."
+                    : "Answer your opponent's question."}
+                </span>
+              )}
+            </div>
+          )}
+
+          {/* Timeouts & mutual pauses */}
+          {roomPause && (
+            <div className="shrink-0 mb-2 flex flex-wrap items-center justify-center gap-2 rounded-xl border border-cyan-500/40 bg-cyan-950/40 px-3 py-2 text-xs text-cyan-100">
+              <PauseCircle className="h-4 w-4 text-cyan-300" />
+              <span className="font-bold uppercase tracking-widest">
+                {roomPause.kind === "timeout"
+                  ? `${roomPause.by} timeout`
+                  : "Mutual pause"}
+              </span>
+              <span className="font-mono text-cyan-300">
+                {formatTime(roomPauseSeconds)}
+              </span>
+              <span className="text-cyan-200/70">Clocks are frozen.</span>
+              {isDebater &&
+                (roomPause.kind === "mutual" ||
+                  roomPause.by === playerRole) && (
+                  <button
+                    type="button"
+                    onClick={() => emitPauseAction("resume_room")}
+                    className="flex items-center gap-1 rounded-lg border border-cyan-400/40 px-2 py-0.5 font-bold text-cyan-200 hover:bg-cyan-500/10"
+                  >
+                    <PlayCircle className="h-3.5 w-3.5" /> Resume
+                  </button>
+                )}
+            </div>
+          )}
+
+          {!roomPause && pauseRequest && (
+            <div className="shrink-0 mb-2 flex flex-wrap items-center justify-center gap-2 rounded-xl border border-slate-700 bg-slate-900/70 px-3 py-2 text-xs text-slate-300">
+              {pauseRequest.by === playerRole ? (
+                <span>Pause requested — waiting for your opponent…</span>
+              ) : (
+                <>
+                  <span>{pauseRequest.by} asked for a pause.</span>
+                  {isDebater && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          emitPauseAction("respond_pause", { accept: true })
+                        }
+                        className="rounded-lg border border-emerald-500/40 px-2 py-0.5 font-bold text-emerald-300 hover:bg-emerald-500/10"
+                      >
+                        Accept
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          emitPauseAction("respond_pause", { accept: false })
+                        }
+                        className="rounded-lg border border-slate-600 px-2 py-0.5 font-bold text-slate-400 hover:bg-slate-800"
+                      >
+                        Decline
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {drawOffer && (
+            <div className="shrink-0 mb-2 flex flex-wrap items-center justify-center gap-2 rounded-xl border border-amber-500/30 bg-amber-950/30 px-3 py-2 text-xs text-amber-100">
+              <Handshake className="h-4 w-4 text-amber-300" />
+              {drawOffer.by === playerRole ? (
+                <span>Draw offered — waiting for your opponent…</span>
+              ) : (
+                <>
+                  <span>{drawOffer.by} offers a draw.</span>
+                  {isDebater && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => emitPauseAction("accept_draw")}
+                        className="rounded-lg border border-emerald-500/40 px-2 py-0.5 font-bold text-emerald-300 hover:bg-emerald-500/10"
+                      >
+                        Accept draw
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setDrawOffer(null)}
+                        className="rounded-lg border border-slate-600 px-2 py-0.5 font-bold text-slate-400 hover:bg-slate-800"
+                      >
+                        Play on
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {isDebater && matchStatus === "active" && (
+            <div className="shrink-0 mb-2 flex items-center justify-center gap-2 text-[10px] sm:text-xs">
+              {!roomPause && !pauseRequest && (
+                <>
+                  <button
+                    type="button"
+                    disabled={timeoutsUsed[playerRole]}
+                    onClick={() => emitPauseAction("call_timeout")}
+                    className="flex items-center gap-1 rounded-lg border border-slate-700 px-2 py-1 font-bold text-slate-400 transition hover:border-cyan-500/40 hover:text-cyan-300 disabled:cursor-not-allowed disabled:opacity-40"
+                  >
+                    <PauseCircle className="h-3.5 w-3.5" />
+                    {timeoutsUsed[playerRole]
+                      ? "Timeout used"
+                      : "Timeout (30s)"}
+                  </button>
+                  {!aiOpponent && (
+                    <button
+                      type="button"
+                      onClick={() => emitPauseAction("request_pause")}
+                      className="rounded-lg border border-slate-700 px-2 py-1 font-bold text-slate-400 transition hover:border-cyan-500/40 hover:text-cyan-300"
+                    >
+                      Request pause
+                    </button>
+                  )}
+                </>
+              )}
+              {!drawOffer && !aiOpponent && (
+                <button
+                  type="button"
+                  onClick={() => emitPauseAction("offer_draw")}
+                  className="flex items-center gap-1 rounded-lg border border-slate-700 px-2 py-1 font-bold text-slate-400 transition hover:border-amber-500/40 hover:text-amber-300"
+                >
+                  <Handshake className="h-3.5 w-3.5" /> Offer draw
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleResign}
+                className="flex items-center gap-1 rounded-lg border border-slate-700 px-2 py-1 font-bold text-slate-400 transition hover:border-rose-500/40 hover:text-rose-300"
+              >
+                <Flag className="h-3.5 w-3.5" /> Resign
+              </button>
+            </div>
+          )}
+
           <div className="shrink-0 grid grid-cols-2 gap-2 sm:gap-4 mb-3 sm:mb-5">
             <div
               className={`rounded-xl border-2 p-2 sm:p-4 transition-all duration-300 ${
@@ -1004,7 +1323,22 @@ const DebateArena = ({ socket = null, user = null }) => {
                               : "text-indigo-300"
                           }`}
                         >
-                          <span>{message?.speaker}</span>
+                          <span>
+                            {message?.speaker}
+                            {message?.phase && (
+                              <span className="ml-2 opacity-60 font-medium">
+                                {PHASE_LABELS[message.phase] || message.phase}
+                                {message.exchange
+                                  ? ` · ${message.exchange}`
+                                  : ""}
+                              </span>
+                            )}
+                            {message?.unanswered && (
+                              <span className="ml-2 text-amber-300">
+                                Unanswered
+                              </span>
+                            )}
+                          </span>
                           {message?.tone && message.tone !== "neutral" && (
                             <span className="text-[9px] opacity-40 italic font-medium ml-2">
                               [{message.tone}]
@@ -1018,6 +1352,13 @@ const DebateArena = ({ socket = null, user = null }) => {
                           scrollToBottom={scrollToBottomSafe}
                         />
 
+                        {cognitive?.newArgument && (
+                          <p className="mt-2 text-[11px] text-amber-300/90">
+                            New argument in closing:{" "}
+                            {cognitive.newArgument.summary}
+                          </p>
+                        )}
+
                         {shouldShowCognitive && (
                           <div
                             className={`mt-3 rounded-xl border px-3 py-2 text-xs ${riskTone(cognitive.severity)}`}
@@ -1171,6 +1512,15 @@ const DebateArena = ({ socket = null, user = null }) => {
                 </div>
               )}
 
+              {turnRejection && (
+                <div className="mb-2 flex items-center gap-2 rounded-lg border border-amber-500/30 bg-amber-500/10 px-3 py-1.5">
+                  <AlertTriangle className="h-3.5 w-3.5 shrink-0 text-amber-400" />
+                  <p className="text-xs text-amber-200">
+                    {turnRejection.message}
+                  </p>
+                </div>
+              )}
+
               <div className="flex w-full gap-2 sm:gap-3 items-end">
                 <div className="flex-1 min-w-0">
                   <textarea
@@ -1229,6 +1579,18 @@ const DebateArena = ({ socket = null, user = null }) => {
             <h2 className="text-3xl font-bold text-slate-100 mb-2">
               DEBATE CONCLUDED!
             </h2>
+            {matchEnding?.reason === "resignation" && (
+              <p className="text-base font-semibold text-rose-300 mb-1">
+                {matchEnding.resignedBy === playerRole
+                  ? "You resigned."
+                  : `${matchEnding.resignedBy} resigned — ${matchEnding.winner} wins.`}
+              </p>
+            )}
+            {matchEnding?.reason === "draw_agreed" && (
+              <p className="text-base font-semibold text-amber-300 mb-1">
+                Draw agreed by both debaters.
+              </p>
+            )}
             <p className="text-lg text-slate-400">Heading to Deliberation...</p>
           </div>
         </div>
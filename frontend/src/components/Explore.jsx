@@ -2,8 +2,8 @@ import { Compass, Hash, Trophy, Flame, Swords, Users, Vote, Activity, Search, X,
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../lib/supabaseClient';
 import { getTopicDomain, broadTopicsList } from '../lib/domainUtils';
-import { RankBadge } from '../lib/rankUtils';
 import ProfileModal from './ProfileModal';
+import Leaderboard from './Leaderboard';
 import React, { useEffect, useState } from 'react';
 
 const Explore = ({ socket, user }) => {
@@ -14,7 +14,6 @@ const Explore = ({ socket, user }) => {
   const [liveMatches, setLiveMatches] = useState(() => JSON.parse(localStorage.getItem('explore_live')) || []);
   const endedMatchIdsRef = React.useRef(new Set());
   const [activeUserCounts, setActiveUserCounts] = useState(() => JSON.parse(localStorage.getItem('explore_counts')) || {});
-  const [leaderboard, setLeaderboard] = useState(() => JSON.parse(localStorage.getItem('explore_leaderboard')) || []);
   const [searchQuery, setSearchQuery] = useState('');
   const [deliberationSearchQuery, setDeliberationSearchQuery] = useState('');
   const [completedSearchQuery, setCompletedSearchQuery] = useState('');
@@ -78,22 +77,6 @@ const Explore = ({ socket, user }) => {
       }
     };
 
-    const fetchLeaderboard = async () => {
-      const { data, error } = await supabase
-        .from('profiles')
-        .select('*')
-        .order('elo_rating', { ascending: false })
-        .limit(5);
-
-      if (error) {
-        console.error("[Explore] Leaderboard Fetch Error:", error.message, error.details);
-      }
-      if (!error && data) {
-        setLeaderboard(data);
-        localStorage.setItem('explore_leaderboard', JSON.stringify(data));
-      }
-    };
-
     const fetchDeliberating = async () => {
       const { data, error } = await supabase
         .from('matches')
@@ -191,7 +174,6 @@ const Explore = ({ socket, user }) => {
     };
 
     fetchTopics();
-    fetchLeaderboard();
     fetchDeliberating();
     fetchLive();
     fetchTopicTotals();
@@ -1081,48 +1063,13 @@ const Explore = ({ socket, user }) => {
             <Trophy className="h-6 w-6 text-amber-500" />
             Hall of Fame
           </h2>
-          <div className="bg-slate-900/50 border border-[#1e293b] rounded-2xl p-4 space-y-3">
-            {leaderboard.length > 0 ? leaderboard.map((profile, index) => {
-              const medal = index === 0
-                ? { label: '🥇', color: 'text-amber-400' }
-                : index === 1
-                  ? { label: '🥈', color: 'text-slate-300' }
-                  : index === 2
-                    ? { label: '🥉', color: 'text-amber-700' }
-                    : { label: `#${index + 1}`, color: 'text-slate-500' };
-
-              return (
-                <div
-                  key={profile.id}
-                  onClick={() => {
-                    setSelectedProfile({ id: profile.id, username: profile.username || profile.email?.split('@')[0], email: profile.email });
-                    setIsProfileModalOpen(true);
-                  }}
-                  className="flex items-center justify-between px-4 py-3 rounded-xl bg-[#0b0f19] border border-slate-800/60 hover:border-slate-700 transition cursor-pointer active:scale-[0.98]"
-                >
-                  <div className="flex items-center gap-3">
-                    <span className={`text-xl font-bold w-8 text-center ${medal.color}`}>{medal.label}</span>
-                    <span className="text-slate-100 font-semibold truncate">
-                      {profile.username || profile.email?.split('@')[0] || 'Anonymous'}
-                    </span>
-                  </div>
-                  <div className="flex items-center gap-2 sm:gap-4">
-                    <div className="hidden xs:block">
-                      <RankBadge elo={profile.elo_rating || 1000} />
-                    </div>
-                    <div className="flex items-center gap-1.5 w-[45px] sm:w-[50px] justify-end">
-                      <Activity className="h-3.5 w-3.5 text-cyan-400" />
-                      <span className="text-cyan-300 font-bold text-sm">{profile.elo_rating ?? 1000}</span>
-                    </div>
-                  </div>
-                </div>
-              );
-            }) : (
-              <div className="flex items-center justify-center min-h-[160px]">
-                <p className="text-slate-500 font-medium tracking-wide">No ranked debaters yet. Win a match to claim your spot!</p>
-              </div>
-            )}
-          </div>
+          <Leaderboard
+            user={user}
+            onSelectProfile={(profile) => {
+              setSelectedProfile(profile);
+              setIsProfileModalOpen(true);
+            }}
+          />
         </div>
       </div>
 
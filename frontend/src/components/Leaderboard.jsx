@@ -0,0 +1,325 @@
+import { useEffect, useState } from "react";
+import { Activity, ChevronLeft, ChevronRight, TrendingUp } from "lucide-react";
+import api from "../services/api";
+import { supabase } from "../lib/supabaseClient";
+import { RankBadge } from "../lib/rankUtils";
+
+const DEFAULT_FILTERS = {
+  board: "Overall",
+  window: "all",
+  region: "",
+  club: "",
+  season: "",
+};
+const WINDOW_LABELS = {
+  all: "All time",
+  week: "This week",
+  month: "This month",
+};
+const CACHE_KEY = "explore_leaderboard_board";
+
+const medalFor = (rank) =>
+  rank === 1
+    ? { label: "🥇", color: "text-amber-400" }
+    : rank === 2
+      ? { label: "🥈", color: "text-slate-300" }
+      : rank === 3
+        ? { label: "🥉", color: "text-amber-700" }
+        : { label: `#${rank}`, color: "text-slate-500" };
+
+const FilterSelect = ({ value, onChange, children, label }) => (
+  <select
+    aria-label={label}
+    value={value}
+    onChange={(event) => onChange(event.target.value)}
+    className="rounded-lg border border-slate-800 bg-slate-950 px-2 py-1.5 text-xs font-bold text-slate-300 focus:border-cyan-500 focus:outline-none"
+  >
+    {children}
+  </select>
+);
+
+/**
+ * Leaderboard
+ * Pages through the backend's boards: the main ladder, each format and
+ * topic-domain rating, narrowed by region, club or season, or switched to
+ * the week's and month's biggest movers. Signed-in players can set the
+ * region they are ranked under.
+ */
+const Leaderboard = ({ user, onSelectProfile }) => {
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [page, setPage] = useState(1);
+  const [options, setOptions] = useState(null);
+  const [myRegion, setMyRegion] = useState("");
+  const [state, setState] = useState(() => ({
+    loading: false,
+    error: "",
+    data: JSON.parse(localStorage.getItem(CACHE_KEY) || "null"),
+  }));
+
+  useEffect(() => {
+    let current = true;
+    api
+      .get("/product/leaderboards/filters")
+      .then(({ data }) => {
+        if (current) setOptions(data);
+      })
+      .catch(() => {});
+    if (user?.id) {
+      supabase
+        .from("profiles")
+        .select("region")
+        .eq("id", user.id)
+        .maybeSingle()
+        .then(({ data }) => {
+          if (current) setMyRegion(data?.region || "");
+        });
+    }
+    return () => {
+      current = false;
+    };
+  }, [user?.id]);
+
+  useEffect(() => {
+    let current = true;
+    const params = { ...filters, page, limit: 10 };
+    Object.keys(params).forEach((key) => {
+      if (params[key] === "") delete params[key];
+    });
+    api
+      .get("/product/leaderboards", { params })
+      .then(({ data }) => {
+        if (!current) return;
+        setState({ loading: false, error: "", data });
+        const isDefault =
+          page === 1 &&
+          Object.entries(DEFAULT_FILTERS).every(
+            ([key, value]) => filters[key] === value,
+          );
+        if (isDefault) localStorage.setItem(CACHE_KEY, JSON.stringify(data));
+      })
+      .catch((error) => {
+        if (!current) return;
+        setState((previous) => ({
+          ...previous,
+          loading: false,
+          error:
+            error.response?.data?.message || "Unable to load the leaderboard.",
+        }));
+      });
+    return () => {
+      current = false;
+    };
+  }, [filters, page]);
+
+  const setFilter = (key, value) => {
+    setState((previous) => ({ ...previous, loading: true, error: "" }));
+    setPage(1);
+    setFilters((previous) => ({
+      ...previous,
+      [key]: value,
+      // A season and a movers window cannot be combined.
+      ...(key === "season" && value ? { window: "all" } : {}),
+      ...(key === "window" && value !== "all" ? { season: "" } : {}),
+    }));
+  };
+
+  const turnPage = (next) => {
+    setState((previous) => ({ ...previous, loading: true }));
+    setPage(next);
+  };
+
+  const saveRegion = async (region) => {
+    setMyRegion(region);
+    try {
+      await api.put("/product/profile/region", { region: region || null });
+    } catch (error) {
+      setState((previous) => ({
+        ...previous,
+        error: error.response?.data?.message || "Unable to save your region.",
+      }));
+    }
+  };
+
+  const entries = state.data?.entries || [];
+  const movers = filters.window !== "all";
+  const pages = state.data?.pages || 1;
+
+  return (
+    <div className="space-y-3 rounded-2xl border border-[#1e293b] bg-slate-900/50 p-4">
+      <div className="flex flex-wrap gap-2">
+        <FilterSelect
+          label="Board"
+          value={filters.board}
+          onChange={(value) => setFilter("board", value)}
+        >
+          {(options?.boards || [{ key: "Overall" }]).map((board) => (
+            <option key={board.key} value={board.key}>
+              {board.key}
+            </option>
+          ))}
+        </FilterSelect>
+        <FilterSelect
+          label="Time window"
+          value={filters.window}
+          onChange={(value) => setFilter("window", value)}
+        >
+          {(options?.windows || ["all"]).map((window) => (
+            <option key={window} value={window}>
+              {WINDOW_LABELS[window] || window}
+            </option>
+          ))}
+        </FilterSelect>
+        <FilterSelect
+          label="Region"
+          value={filters.region}
+          onChange={(value) => setFilter("region", value)}
+        >
+          <option value="">All regions</option>
+          {(options?.regions || []).map((region) => (
+            <option key={region} value={region}>
+              {region}
+            </option>
+          ))}
+        </FilterSelect>
+        {options?.clubs?.length > 0 && (
+          <FilterSelect
+            label="Club"
+            value={filters.club}
+            onChange={(value) => setFilter("club", value)}
+          >
+            <option value="">All clubs</option>
+            {options.clubs.map((club) => (
+              <option key={club.id} value={club.id}>
+                {club.name}
+              </option>
+            ))}
+          </FilterSelect>
+        )}
+        {options?.seasons?.length > 0 && (
+          <FilterSelect
+            label="Season"
+            value={filters.season}
+            onChange={(value) => setFilter("season", value)}
+          >
+            <option value="">Any season</option>
+            {options.seasons.map((season) => (
+              <option key={season.slug} value={season.slug}>
+                {season.name}
+              </option>
+            ))}
+          </FilterSelect>
+        )}
+      </div>
+
+      {state.error && <p className="text-sm text-rose-400">{state.error}</p>}
+
+      <div className={`space-y-3 ${state.loading ? "opacity-60" : ""}`}>
+        {entries.length > 0 ? (
+          entries.map((entry) => {
+            const medal = medalFor(entry.rank);
+            return (
+              <div
+                key={entry.user_id}
+                onClick={() =>
+                  onSelectProfile({
+                    id: entry.user_id,
+                    username: entry.username,
+                  })
+                }
+                className="flex cursor-pointer items-center justify-between rounded-xl border border-slate-800/60 bg-[#0b0f19] px-4 py-3 transition hover:border-slate-700 active:scale-[0.98]"
+              >
+                <div className="flex min-w-0 items-center gap-3">
+                  <span
+                    className={`w-8 text-center text-xl font-bold ${medal.color}`}
+                  >
+                    {medal.label}
+                  </span>
+                  <span className="truncate font-semibold text-slate-100">
+                    {entry.username || "Anonymous"}
+                  </span>
+                </div>
+                <div className="flex items-center gap-2 sm:gap-4">
+                  <div className="hidden xs:block">
+                    <RankBadge
+                      elo={entry.rating}
+                      rd={entry.rating_deviation ?? undefined}
+                    />
+                  </div>
+                  {movers ? (
+                    <div className="flex items-center justify-end gap-1.5">
+                      <TrendingUp className="h-3.5 w-3.5 text-emerald-400" />
+                      <span
+                        className={`text-sm font-bold ${entry.rating_change >= 0 ? "text-emerald-300" : "text-rose-300"}`}
+                      >
+                        {entry.rating_change >= 0 ? "+" : ""}
+                        {entry.rating_change}
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="flex w-[45px] items-center justify-end gap-1.5 sm:w-[50px]">
+                      <Activity className="h-3.5 w-3.5 text-cyan-400" />
+                      <span className="text-sm font-bold text-cyan-300">
+                        {entry.rating}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })
+        ) : (
+          <div className="flex min-h-[160px] items-center justify-center">
+            <p className="font-medium tracking-wide text-slate-500">
+              {state.loading
+                ? "Loading the board…"
+                : "No ranked debaters here yet. Win a match to claim your spot!"}
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 text-xs text-slate-500">
+        <div className="flex items-center gap-2">
+          <button
+            aria-label="Previous page"
+            disabled={page <= 1 || state.loading}
+            onClick={() => turnPage(page - 1)}
+            className="rounded-lg border border-slate-800 p-1.5 disabled:opacity-40"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <span>
+            Page {page} of {Math.max(1, pages)}
+          </span>
+          <button
+            aria-label="Next page"
+            disabled={page >= pages || state.loading}
+            onClick={() => turnPage(page + 1)}
+            className="rounded-lg border border-slate-800 p-1.5 disabled:opacity-40"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+        </div>
+        {user?.id && (
+          <label className="flex items-center gap-2">
+            My region
+            <FilterSelect
+              label="My region"
+              value={myRegion}
+              onChange={saveRegion}
+            >
+              <option value="">Not set</option>
+              {(options?.regions || []).map((region) => (
+                <option key={region} value={region}>
+                  {region}
+                </option>
+              ))}
+            </FilterSelect>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -16,6 +16,7 @@ import {
 import { useLocation, useNavigate, useParams } from "react-router-dom";
 import { useEffect, useState, useRef, useMemo } from "react";
 import { generateStances } from "../utils/stanceUtils";
+import api from "../services/api";
 
 const Lobby = ({ socket, user }) => {
   const { topicId } = useParams();
@@ -34,6 +35,15 @@ const Lobby = ({ socket, user }) => {
   const [opponentStance, setOpponentStance] = useState(null);
   const [copied, setCopied] = useState(false);
   const [privateError, setPrivateError] = useState(null);
+  const [searchBand, setSearchBand] = useState(null);
+  const [aiFallbackIn, setAiFallbackIn] = useState(null);
+  const [topicScope, setTopicScope] = useState("exact");
+  const [formats, setFormats] = useState([]);
+  const [formatKey, setFormatKey] = useState("classic");
+  const [bestOf, setBestOf] = useState(1);
+  const [sparring, setSparring] = useState({ personas: [], difficulties: [] });
+  const [aiPersona, setAiPersona] = useState("socratic");
+  const [aiDifficulty, setAiDifficulty] = useState("club");
 
   // Check if we arrived via "Join Arena" with an arenaCode in route state
   const incomingArenaCode = location.state?.arenaCode;
@@ -47,6 +57,33 @@ const Lobby = ({ socket, user }) => {
   // Calculate dynamic stances
   const stances = useMemo(() => generateStances(topic.title), [topic.title]);
 
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get("/product/formats")
+      .then(({ data }) => {
+        if (!cancelled) setFormats(data?.formats || []);
+      })
+      .catch(() => {
+        // Without the catalog the lobby simply queues for Classic 5+0.
+      });
+    api
+      .get("/product/sparring/personas")
+      .then(({ data }) => {
+        if (!cancelled)
+          setSparring({
+            personas: data?.personas || [],
+            difficulties: data?.difficulties || [],
+          });
+      })
+      .catch(() => {
+        // The server falls back to its default sparring partner.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   useEffect(() => {
     console.log("[Lobby] Rendered - Version: 1.0.1 (WakingMsgRemoved)");
     if (!socket) return;
@@ -66,13 +103,20 @@ const Lobby = ({ socket, user }) => {
       if (!assignedRole && data.roles) {
         assignedRole = data.roles[socket.id] || null;
       }
+      // Any-arena matches may negotiate a different topic than this lobby's.
+      const matchStances =
+        data.topic && data.topic !== topic.title
+          ? generateStances(data.topic)
+          : stances;
       navigate(`/arena/${data.roomId}`, {
-        state: { ...data, assignedRole, stances },
+        state: { ...data, assignedRole, stances: matchStances },
       });
     };
 
-    const handleWaiting = () => {
+    const handleWaiting = (payload) => {
       setIsMatchmaking(true);
+      setSearchBand(payload?.band || null);
+      setAiFallbackIn(payload?.aiFallbackInSeconds ?? null);
     };
 
     // --- Private Arena listeners ---
@@ -84,9 +128,15 @@ const Lobby = ({ socket, user }) => {
       setPrivateError(null);
     };
 
-    const handleArenaJoined = ({ arenaId: id, creatorId, joinerId }) => {
+    const handleArenaJoined = ({
+      arenaId: id,
+      creatorId,
+      joinerId,
+      bestOf: arenaBestOf,
+    }) => {
       setArenaId(id);
       setIsPaired(true);
+      setBestOf(arenaBestOf || 1);
       setPrivateError(null);
       if (creatorId === user?.id) {
         setMyRole("creator");
@@ -108,6 +158,11 @@ const Lobby = ({ socket, user }) => {
       }
     };
 
+    // The set length lives on the arena row, so both players see the same one.
+    const handleBestOfUpdate = ({ bestOf: agreedBestOf }) => {
+      setBestOf(agreedBestOf || 1);
+    };
+
     const handlePrivateError = ({ message }) => {
       setPrivateError(message);
 
@@ -159,6 +214,7 @@ const Lobby = ({ socket, user }) => {
     socket.on("private_arena_created", handleArenaCreated);
     socket.on("private_arena_joined", handleArenaJoined);
     socket.on("private_arena_stance_update", handleStanceUpdate);
+    socket.on("private_arena_best_of_update", handleBestOfUpdate);
     socket.on("private_arena_error", handlePrivateError);
 
     // Initial attempt if connected and Auto-join logic based on how we arrived
@@ -179,6 +235,7 @@ const Lobby = ({ socket, user }) => {
       socket.off("private_arena_created", handleArenaCreated);
       socket.off("private_arena_joined", handleArenaJoined);
       socket.off("private_arena_stance_update", handleStanceUpdate);
+      socket.off("private_arena_best_of_update", handleBestOfUpdate);
       socket.off("private_arena_error", handlePrivateError);
     };
   }, [
@@ -212,7 +269,7 @@ const Lobby = ({ socket, user }) => {
 
     if (isPaired && arenaId) {
       // Private arena — start directly!
-      socket.emit("start_private_debate", { arenaId });
+      socket.emit("start_private_debate", { arenaId, formatKey });
       setIsMatchmaking(true);
       return;
     }
@@ -224,6 +281,10 @@ const Lobby = ({ socket, user }) => {
       topicId: topic.id,
       topicTitle: topic.title,
       preferredRole: selectedRole,
+      topicScope,
+      formatKey,
+      aiPersona,
+      aiDifficulty,
     });
   };
 
@@ -231,6 +292,7 @@ const Lobby = ({ socket, user }) => {
     if (!socket) return;
     socket.emit("leave_queue");
     setIsMatchmaking(false);
+    setSearchBand(null);
   };
 
   const handleCopyCode = () => {
@@ -245,6 +307,22 @@ const Lobby = ({ socket, user }) => {
     return id.split("-")[0] + "...";
   };
 
+  const topicScopes = [
+    { id: "exact", label: "This topic", hint: "Only debate this topic" },
+    {
+      id: "followed",
+      label: "+ Followed topics",
+      hint: "Also accept any topic you follow to find a match sooner",
+    },
+    {
+      id: "surprise",
+      label: "Surprise me",
+      hint: "Any topic you follow (or a trending one)",
+    },
+  ];
+
+  const seriesLengths = [1, 3, 5];
+
   const displayRoles = [
     {
       id: "Defender",
@@ -418,6 +496,113 @@ const Lobby = ({ socket, user }) => {
                 ))}
               </div>
 
+              {formats.length > 0 && (!isPaired || myRole === "creator") && (
+                <div className="flex flex-wrap items-center justify-center gap-2">
+                  {formats.map((format) => (
+                    <button
+                      key={format.key}
+                      onClick={() => setFormatKey(format.key)}
+                      title={
+                        format.segments
+                          ? format.segments
+                              .map((segment) => segment.label)
+                              .join(" → ")
+                          : `${format.clock.initialSeconds / 60} min each${format.clock.incrementSeconds ? `, +${format.clock.incrementSeconds}s per turn` : ""}`
+                      }
+                      className={`px-4 py-2 rounded-xl border text-xs font-bold uppercase tracking-widest transition-all ${
+                        formatKey === format.key
+                          ? "bg-indigo-500/10 border-indigo-500/40 text-indigo-300"
+                          : "bg-slate-900/40 border-slate-800 text-slate-500 hover:text-slate-300"
+                      }`}
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {isPaired && myRole === "creator" && (
+                <div className="flex flex-wrap items-center justify-center gap-2">
+                  {seriesLengths.map((length) => (
+                    <button
+                      key={length}
+                      onClick={() =>
+                        socket?.emit("private_arena_set_best_of", {
+                          arenaId,
+                          bestOf: length,
+                        })
+                      }
+                      title={
+                        length > 1
+                          ? `First to ${Math.ceil(length / 2)} wins; rated once on the series result`
+                          : "One game, rated on its own"
+                      }
+                      className={`px-4 py-2 rounded-xl border text-xs font-bold uppercase tracking-widest transition-all ${
+                        bestOf === length
+                          ? "bg-amber-500/10 border-amber-500/40 text-amber-300"
+                          : "bg-slate-900/40 border-slate-800 text-slate-500 hover:text-slate-300"
+                      }`}
+                    >
+                      {length > 1 ? `Best of ${length}` : "Single game"}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {isPaired && myRole === "joiner" && bestOf > 1 && (
+                <p className="text-center text-xs font-bold uppercase tracking-widest text-amber-300">
+                  Best of {bestOf}: first to {Math.ceil(bestOf / 2)} wins
+                </p>
+              )}
+
+              {!isPaired && (
+                <div className="flex flex-wrap items-center justify-center gap-2">
+                  {topicScopes.map((scope) => (
+                    <button
+                      key={scope.id}
+                      onClick={() => setTopicScope(scope.id)}
+                      title={scope.hint}
+                      className={`px-4 py-2 rounded-xl border text-xs font-bold uppercase tracking-widest transition-all ${
+                        topicScope === scope.id
+                          ? "bg-cyan-500/10 border-cyan-500/40 text-cyan-300"
+                          : "bg-slate-900/40 border-slate-800 text-slate-500 hover:text-slate-300"
+                      }`}
+                    >
+                      {scope.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {!isPaired && sparring.personas.length > 0 && (
+                <div className="flex flex-wrap items-center justify-center gap-2 text-xs text-slate-500">
+                  <Bot className="h-4 w-4 text-violet-400" />
+                  <span>AI sparring partner</span>
+                  <select
+                    value={aiPersona}
+                    onChange={(event) => setAiPersona(event.target.value)}
+                    className="rounded-lg border border-slate-800 bg-slate-900/60 px-2 py-1.5 font-bold text-slate-300"
+                  >
+                    {sparring.personas.map((persona) => (
+                      <option key={persona.key} value={persona.key}>
+                        {persona.label}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={aiDifficulty}
+                    onChange={(event) => setAiDifficulty(event.target.value)}
+                    className="rounded-lg border border-slate-800 bg-slate-900/60 px-2 py-1.5 font-bold text-slate-300"
+                  >
+                    {sparring.difficulties.map((difficulty) => (
+                      <option key={difficulty.key} value={difficulty.key}>
+                        {difficulty.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div className="flex flex-col items-center gap-6 pt-4">
                 {isPaired && myRole === "joiner" && !!arenaId ? (
                   <div className="w-full sm:w-80 flex flex-col items-center justify-center gap-2 bg-slate-800/80 text-slate-400 px-6 py-4 rounded-2xl border border-slate-700">
@@ -454,7 +639,7 @@ const Lobby = ({ socket, user }) => {
                   <button
                     onClick={() =>
                       navigate(
-                        `/practice?${new URLSearchParams({ mode: "sparring", topic: topic.title, stance: selectedRole === "Critic" ? "against" : "for" }).toString()}`,
+                        `/practice?${new URLSearchParams({ mode: "sparring", topic: topic.title, stance: selectedRole === "Critic" ? "against" : "for", persona: aiPersona, difficulty: aiDifficulty }).toString()}`,
                       )
                     }
                     className="w-full sm:w-80 flex items-center justify-center gap-2 bg-violet-500/10 hover:bg-violet-500/20 text-violet-300 px-6 py-3 rounded-xl border border-violet-500/30 transition-all text-sm font-bold"
@@ -506,9 +691,18 @@ const Lobby = ({ socket, user }) => {
                   {!isPaired && (
                     <div className="bg-slate-950/50 border border-slate-800 px-4 py-2 rounded-lg flex items-center gap-2 text-xs text-slate-500">
                       <AlertCircle className="h-3 w-3" />
-                      Estimated wait time: &lt; 15 seconds
+                      {searchBand
+                        ? `Searching ${searchBand.min}–${searchBand.max} Elo${searchBand.widest ? " (widest band)" : ""}`
+                        : "Estimated wait time: < 15 seconds"}
                     </div>
                   )}
+                  {!isPaired && aiFallbackIn !== null && (
+                    <p className="text-xs text-slate-500">
+                      {aiFallbackIn > 0
+                        ? `No match in ${aiFallbackIn}s? You'll spar a ranked AI opponent (vs AI rating).`
+                        : "Seating you against a ranked AI opponent…"}
+                    </p>
+                  )}
                 </div>
               </div>
 
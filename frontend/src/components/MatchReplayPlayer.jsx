@@ -0,0 +1,211 @@
+import { useEffect, useMemo, useState } from "react";
+import { Clock, Eye, Loader2, Pause, Play } from "lucide-react";
+import api from "../services/api";
+import { describeReplayEvent, replayStateAt } from "../utils/replayTimeline";
+
+const SPEEDS = [1, 2, 4, 8];
+const TICK_MS = 250;
+
+const formatClock = (seconds) => {
+  const safe = Math.max(0, Math.floor(seconds || 0));
+  return `${String(Math.floor(safe / 60)).padStart(2, "0")}:${String(
+    safe % 60,
+  ).padStart(2, "0")}`;
+};
+
+/**
+ * MatchReplayPlayer
+ * Scrubs through a finished debate from its persisted event log. The clocks
+ * tick as they did live; the parent renders the turns reported through
+ * `onTranscriptChange` and owns the stop button (`onClose` is used when the
+ * replay cannot load).
+ */
+const MatchReplayPlayer = ({ matchId, onTranscriptChange, onClose }) => {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/product/matches/${matchId}/replay`)
+      .then(({ data }) => {
+        if (cancelled) return;
+        setReplay(data.replay);
+        setPosition(0);
+        setPlaying(true);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.response?.data?.message || "Replay unavailable.");
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [matchId]);
+
+  const duration = replay?.durationMs || 0;
+
+  useEffect(() => {
+    if (!playing || !replay) return undefined;
+    const interval = setInterval(() => {
+      setPosition((prev) => {
+        const next = Math.min(duration, prev + TICK_MS * speed);
+        if (next >= duration) setPlaying(false);
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(interval);
+  }, [duration, playing, replay, speed]);
+
+  const state = useMemo(
+    () => replayStateAt(replay, position),
+    [replay, position],
+  );
+
+  useEffect(() => {
+    if (replay) onTranscriptChange(state.turns);
+  }, [onTranscriptChange, replay, state.turns]);
+
+  if (error) {
+    return (
+      <div className="mb-4 flex items-center justify-between rounded-xl border border-amber-500/30 bg-amber-500/10 px-4 py-3 text-sm text-amber-200">
+        <span>{error}</span>
+        <button onClick={onClose} className="font-bold text-amber-300">
+          Close
+        </button>
+      </div>
+    );
+  }
+
+  if (!replay) {
+    return (
+      <div className="mb-4 flex items-center gap-2 rounded-xl border border-slate-700 bg-slate-900/60 px-4 py-3 text-sm text-slate-400">
+        <Loader2 className="h-4 w-4 animate-spin" /> Loading replay…
+      </div>
+    );
+  }
+
+  const { clock } = state;
+
+  return (
+    <div className="mb-6 rounded-xl border border-slate-700 bg-slate-900/70 p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={() => {
+            if (position >= duration) setPosition(0);
+            setPlaying((prev) => !prev);
+          }}
+          className="inline-flex items-center gap-1 rounded-lg border border-green-500/30 bg-green-600/20 px-3 py-1.5 text-xs font-bold uppercase tracking-wider text-green-400"
+        >
+          {playing ? (
+            <Pause className="h-3.5 w-3.5" />
+          ) : (
+            <Play className="h-3.5 w-3.5" />
+          )}
+          {playing ? "Pause" : "Play"}
+        </button>
+        <div className="flex items-center gap-1">
+          {SPEEDS.map((option) => (
+            <button
+              key={option}
+              onClick={() => setSpeed(option)}
+              className={`rounded-md px-2 py-1 text-xs font-bold ${
+                speed === option
+                  ? "bg-cyan-500/20 text-cyan-300"
+                  : "text-slate-500 hover:text-slate-300"
+              }`}
+            >
+              {option}×
+            </button>
+          ))}
+        </div>
+        <span className="font-mono text-xs text-slate-400">
+          {formatClock(position / 1000)} / {formatClock(duration / 1000)}
+        </span>
+        {state.spectators > 0 && (
+          <span className="flex items-center gap-1 text-xs text-slate-500">
+            <Eye className="h-3.5 w-3.5" /> {state.spectators}
+          </span>
+        )}
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={duration}
+        step={250}
+        value={position}
+        onChange={(e) => setPosition(Number(e.target.value))}
+        className="w-full accent-cyan-500"
+        aria-label="Replay position"
+      />
+
+      {clock ? (
+        <div className="grid grid-cols-2 gap-3 text-sm">
+          {["Critic", "Defender"].map((role) => (
+            <div
+              key={role}
+              className={`flex items-center justify-between rounded-lg border px-3 py-2 ${
+                clock.activeSpeaker === role
+                  ? role === "Critic"
+                    ? "border-rose-500/50 bg-rose-950/30"
+                    : "border-cyan-500/50 bg-cyan-950/30"
+                  : "border-slate-700/50 bg-slate-800/40"
+              }`}
+            >
+              <span className="text-xs font-bold uppercase tracking-widest text-slate-300">
+                {role}
+              </span>
+              <span className="flex items-center gap-1 font-mono text-slate-100">
+                <Clock className="h-3.5 w-3.5 text-slate-500" />
+                {formatClock(
+                  role === "Critic" ? clock.criticTime : clock.defenderTime,
+                )}
+              </span>
+            </div>
+          ))}
+          {clock.segment && (
+            <p className="col-span-2 text-center text-xs text-slate-400">
+              {clock.segment.label} · {formatClock(clock.segment.secondsLeft)}
+            </p>
+          )}
+        </div>
+      ) : (
+        replay.legacy && (
+          <p className="text-xs text-slate-500">
+            This match predates the event log, so the replay shows turns without
+            clocks.
+          </p>
+        )
+      )}
+
+      {state.paused && (
+        <p className="text-center text-xs font-bold uppercase tracking-widest text-cyan-300">
+          Match paused
+        </p>
+      )}
+
+      {state.activity.length > 0 && (
+        <ul className="space-y-1 text-xs text-slate-400">
+          {state.activity.map((event, index) => (
+            <li
+              key={`${event.type}-${event.t}-${index}`}
+              className="flex gap-2"
+            >
+              <span className="font-mono text-slate-600">
+                {formatClock(event.t / 1000)}
+              </span>
+              <span>{describeReplayEvent(event)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MatchReplayPlayer;
@@ -33,8 +33,15 @@ import {
   CartesianGrid,
 } from "recharts";
 import TrustResultPanel from "./TrustResultPanel";
+import ArgumentMap from "./ArgumentMap";
+import MatchReplayPlayer from "./MatchReplayPlayer";
+import RematchPanel from "./RematchPanel";
 import api from "../services/api";
 
+// Matches the backend transcript digest: turns saved before messages carried
+// ids are referenced by their 1-based position.
+const turnRef = (message, index) => String(message.id ?? index + 1);
+
 const E2E_TEST_AUTH = import.meta.env.VITE_E2E_TEST_AUTH === "true";
 const e2eUser = () => {
   const id =
@@ -44,7 +51,18 @@ const e2eUser = () => {
   return { id, email: `${id}@example.test`, user_metadata: { username: id } };
 };
 
-const MatchReview = () => {
+// How often, and how many times, a finished match is checked for its
+// argument map, which the backend builds while the judges run.
+const ARGUMENT_MAP_POLL_MS = 4000;
+const ARGUMENT_MAP_POLLS = 15;
+
+const ENDING_LABELS = {
+  resignation: "Resignation",
+  draw_agreed: "Draw agreed",
+  timeout: "Clock expired",
+};
+
+const MatchReview = ({ socket }) => {
   const { matchId } = useParams();
   const navigate = useNavigate();
   const [match, setMatch] = useState(null);
@@ -54,9 +72,13 @@ const MatchReview = () => {
   const [currentUser, setCurrentUser] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [displayedTranscript, setDisplayedTranscript] = useState([]);
-  const isPlayingRef = useRef(false);
+  // Turns revealed so far by the replay player; null when not replaying.
+  const [replayTurns, setReplayTurns] = useState(null);
   const messagesEndRef = useRef(null);
   const [exportingId, setExportingId] = useState(null);
+  const [seriesState, setSeriesState] = useState(null);
+  // Transcript turn picked from the argument map.
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
 
   // Memoize the chart data to prevent flickering
   const radarData = useMemo(() => {
@@ -90,6 +112,20 @@ const MatchReview = () => {
     ];
   }, [match?.ai_scores]);
 
+  // Judge panel annotations keyed by turn ref, so each transcript turn can
+  // show what it won or cost its side.
+  const turnAnnotations = useMemo(() => {
+    const byTurn = {};
+    for (const annotation of match?.ai_scores?.turn_annotations || []) {
+      (byTurn[annotation.message_id] ||= []).push(annotation);
+    }
+    return byTurn;
+  }, [match?.ai_scores]);
+  const judgeCount =
+    match?.ai_scores?.result_metadata?.judge_count ||
+    match?.ai_scores?.judge_verdicts?.length ||
+    3;
+
   // Block the chart from re-rendering unless the data actually changes
   const memoizedRadarChart = useMemo(
     () => (
@@ -267,6 +303,60 @@ const MatchReview = () => {
     };
   }, [matchId]);
 
+  // Best-of sets: the running score, refreshed as each game is judged.
+  const seriesId = match?.series_id;
+  const matchStatus = match?.status;
+  useEffect(() => {
+    if (!seriesId) return undefined;
+    let cancelled = false;
+    const loadSeries = () =>
+      api
+        .get(`/product/series/${seriesId}`)
+        .then(({ data }) => {
+          if (!cancelled) setSeriesState(data);
+        })
+        .catch((error) =>
+          console.warn("Unable to load series:", error.message),
+        );
+    const handleSeriesUpdated = (payload) => {
+      if (payload?.seriesId === seriesId) loadSeries();
+    };
+
+    loadSeries();
+    socket?.on("series_updated", handleSeriesUpdated);
+    return () => {
+      cancelled = true;
+      socket?.off("series_updated", handleSeriesUpdated);
+    };
+  }, [socket, seriesId, matchStatus]);
+
+  // The argument map can land after the page has loaded; keep asking for it
+  // until it does. Matches from before maps existed stop after a while.
+  const awaitingArgumentMap =
+    ["pending_votes", "completed"].includes(matchStatus) &&
+    Boolean(match) &&
+    !match.argument_map;
+  const [argumentMapPollsDone, setArgumentMapPollsDone] = useState(false);
+  useEffect(() => {
+    if (!matchId || !awaitingArgumentMap) return undefined;
+    let attempts = 0;
+    const timer = setInterval(async () => {
+      attempts += 1;
+      const { data } = await supabase
+        .from("matches")
+        .select("argument_map")
+        .eq("id", matchId)
+        .single();
+      if (data?.argument_map) {
+        setMatch((prev) => ({ ...prev, argument_map: data.argument_map }));
+      } else if (attempts >= ARGUMENT_MAP_POLLS) {
+        clearInterval(timer);
+        setArgumentMapPollsDone(true);
+      }
+    }, ARGUMENT_MAP_POLL_MS);
+    return () => clearInterval(timer);
+  }, [matchId, awaitingArgumentMap]);
+
   const hasScrolledRef = useRef(false);
   const hasTranscript = Boolean(match?.transcript);
 
@@ -278,44 +368,23 @@ const MatchReview = () => {
     }
   }, [hasTranscript]);
 
-  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-  const startReplay = async () => {
+  const startReplay = () => {
     if (!match?.transcript) return;
     setIsPlaying(true);
-    isPlayingRef.current = true;
-    setDisplayedTranscript([]);
-
-    for (let i = 0; i < match.transcript.length; i++) {
-      if (!isPlayingRef.current) break;
-
-      const message = match.transcript[i];
-
-      if (i === 0) {
-        await sleep(500);
-      } else {
-        const prevMessage = match.transcript[i - 1];
-        const prevTime = new Date(prevMessage.timestamp).getTime();
-        const currTime = new Date(message.timestamp).getTime();
-        const diff = prevTime && currTime ? currTime - prevTime : 1000;
-        const clampedDelay = Math.max(800, Math.min(2500, diff));
-
-        await sleep(clampedDelay);
-      }
-
-      if (!isPlayingRef.current) break;
-
-      setDisplayedTranscript((prev) => [...prev, message]);
-    }
-
-    setIsPlaying(false);
-    isPlayingRef.current = false;
   };
 
-  const stopReplay = () => {
+  const stopReplay = useCallback(() => {
     setIsPlaying(false);
-    isPlayingRef.current = false;
-    setDisplayedTranscript(match?.transcript || []);
+    setReplayTurns(null);
+  }, []);
+
+  const visibleTranscript = replayTurns ?? displayedTranscript;
+
+  const jumpToMessage = (messageId) => {
+    setFocusedMessageId(messageId);
+    document
+      .getElementById(`turn-${messageId}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
   };
 
   const handleVote = async (votedForId) => {
@@ -406,12 +475,34 @@ const MatchReview = () => {
     criticAiTotal + (match?.audience_votes_critic || 0) * 2;
   const final_score_defender =
     defenderAiTotal + (match?.audience_votes_defender || 0) * 2;
-  const winner =
+  const scoredWinner =
     final_score_critic > final_score_defender
       ? "Critic"
       : final_score_defender > final_score_critic
         ? "Defender"
         : "Tie";
+  // Resignations and agreed draws settle the result regardless of scores.
+  // Only the player can resign an AI spar, so the AI's side takes it.
+  const winner =
+    match?.ending_type === "draw_agreed"
+      ? "Tie"
+      : match?.ending_type === "resignation" && match.ai_side
+        ? match.ai_side
+        : match?.ending_type === "resignation" && match.winner_id
+          ? match.winner_id === match.critic_id
+            ? "Critic"
+            : "Defender"
+          : scoredWinner;
+  // AI spars move the player's separate vs AI rating, not their Elo.
+  const ratingUnit = match?.ai_side ? "vs AI" : "ELO";
+  const endingLabel = ENDING_LABELS[match?.ending_type];
+  // Set score from the viewer's side when they play in it.
+  const standing = seriesState?.standing;
+  const seriesScore = standing
+    ? seriesState.series.player_b_id === currentUser?.id
+      ? `${standing.bScore}–${standing.aScore}`
+      : `${standing.aScore}–${standing.bScore}`
+    : "";
 
   // Safety check: if match is null or undefined, return loading
   if (!match) {
@@ -465,6 +556,23 @@ const MatchReview = () => {
                   ? "Pending Votes"
                   : "Completed"}
               </span>
+              {match.series_id && (
+                <span className="px-3 py-1 rounded-full text-sm font-medium bg-cyan-950/40 text-cyan-300 border border-cyan-500/30">
+                  {seriesState?.series?.best_of > 1
+                    ? `Best of ${seriesState.series.best_of} · Game ${match.series_game} · ${seriesScore}`
+                    : `Series game ${match.series_game}`}
+                </span>
+              )}
+              {match.ai_side && (
+                <span className="px-3 py-1 rounded-full text-sm font-medium bg-cyan-950/40 text-cyan-300 border border-cyan-500/30">
+                  AI sparring
+                </span>
+              )}
+              {endingLabel && (
+                <span className="px-3 py-1 rounded-full text-sm font-medium bg-slate-800 text-slate-300 border border-slate-700">
+                  {endingLabel}
+                </span>
+              )}
               <div className="flex items-center gap-2 text-sm text-slate-400">
                 <Clock className="h-4 w-4" />
                 {new Date(match.created_at).toLocaleDateString()}
@@ -479,6 +587,17 @@ const MatchReview = () => {
       {/* AI Highlights (Viral Loop) */}
       <div className="p-6 pt-0 space-y-4">
         <div className="max-w-4xl mx-auto">
+          {socket &&
+            !match.ai_side &&
+            ["pending_votes", "completed"].includes(match.status) &&
+            [match.critic_id, match.defender_id].includes(currentUser?.id) && (
+              <RematchPanel
+                socket={socket}
+                match={match}
+                series={seriesState?.series}
+                currentUser={currentUser}
+              />
+            )}
           {/* AI Highlights Section - Managed by Feature Flag */}
           {ENABLE_AI_HIGHLIGHTS && (
             <>
@@ -608,10 +727,18 @@ const MatchReview = () => {
           </div>
 
           <div className="space-y-4">
-            {displayedTranscript && displayedTranscript.length > 0 ? (
-              displayedTranscript.map((message, index) => (
+            {isPlaying && (
+              <MatchReplayPlayer
+                matchId={match.id}
+                onTranscriptChange={setReplayTurns}
+                onClose={stopReplay}
+              />
+            )}
+            {visibleTranscript && visibleTranscript.length > 0 ? (
+              visibleTranscript.map((message, index) => (
                 <div
                   key={message.id || index}
+                  id={`turn-${turnRef(message, index)}`}
                   className={`flex ${
                     message.speaker === "Critic"
                       ? "justify-start"
@@ -623,6 +750,11 @@ const MatchReview = () => {
                       message.speaker === "Critic"
                         ? "bg-rose-950/40 border-rose-500/30 text-rose-100"
                         : "bg-cyan-950/40 border-cyan-500/30 text-cyan-100"
+                    } ${
+                      focusedMessageId &&
+                      turnRef(message, index) === focusedMessageId
+                        ? "ring-2 ring-violet-400/70"
+                        : ""
                     }`}
                   >
                     <div className="flex items-center gap-2 mb-2">
@@ -636,6 +768,37 @@ const MatchReview = () => {
                     <div className="whitespace-pre-wrap text-sm">
                       {message.text}
                     </div>
+                    {turnAnnotations[turnRef(message, index)]?.map(
+                      (annotation) => (
+                        <div
+                          key={annotation.side}
+                          className={`mt-3 rounded-lg border px-3 py-2 text-xs ${
+                            annotation.effect > 0
+                              ? "border-emerald-500/30 bg-emerald-500/10 text-emerald-200"
+                              : "border-amber-500/30 bg-amber-500/10 text-amber-200"
+                          }`}
+                          title={annotation.reasons
+                            .map((item) => `${item.judge}: ${item.reason}`)
+                            .join("\n")}
+                        >
+                          <span className="font-bold capitalize">
+                            {annotation.effect > 0 ? "+" : ""}
+                            {annotation.effect} {annotation.side}
+                          </span>
+                          <span className="opacity-70">
+                            {" "}
+                            · {annotation.judges}/{judgeCount} judges ·{" "}
+                            {
+                              annotation.reasons.find(
+                                (item) =>
+                                  Math.sign(item.effect) ===
+                                  Math.sign(annotation.effect),
+                              )?.reason
+                            }
+                          </span>
+                        </div>
+                      ),
+                    )}
                   </div>
                 </div>
               ))
@@ -704,6 +867,12 @@ const MatchReview = () => {
 
           <TrustResultPanel match={match} currentUser={currentUser} />
 
+          <ArgumentMap
+            map={match.argument_map}
+            pending={awaitingArgumentMap && !argumentMapPollsDone}
+            onJumpToMessage={jumpToMessage}
+          />
+
           {/* Audience Sentiment (Added Below AI Radar) */}
           <div className="bg-[#0b0f19] p-6 rounded-xl border border-slate-800 shadow-lg mt-8">
             <h2 className="text-2xl font-bold text-center text-slate-200 mb-6 flex items-center justify-center gap-2">
@@ -951,9 +1120,13 @@ const MatchReview = () => {
                         : "text-amber-200/80"
                   }`}
                 >
-                  {winner === "Tie"
-                    ? `An evenly matched debate • ${final_score_critic} points each`
-                    : `Decisive victory with ${winner === "Critic" ? final_score_critic : final_score_defender} points`}
+                  {match.ending_type === "resignation"
+                    ? `${winner === "Critic" ? "Defender" : "Critic"} resigned`
+                    : match.ending_type === "draw_agreed"
+                      ? "Draw agreed by both debaters"
+                      : winner === "Tie"
+                        ? `An evenly matched debate • ${final_score_critic} points each`
+                        : `Decisive victory with ${winner === "Critic" ? final_score_critic : final_score_defender} points`}
                 </p>
 
                 {/* ELO Change Display - Glassmorphism Card */}
@@ -969,7 +1142,7 @@ const MatchReview = () => {
                   {/* Critic ELO */}
                   <div className="text-center">
                     <p className="text-xs font-semibold uppercase tracking-wider text-slate-400 mb-1">
-                      Critic
+                      Critic{match.ai_side === "Critic" && " (AI)"}
                     </p>
                     <p
                       className={`text-2xl font-bold ${
@@ -983,7 +1156,7 @@ const MatchReview = () => {
                       {(match.elo_change_critic || 0) > 0 ? "+" : ""}
                       {match.elo_change_critic || 0}
                       <span className="text-sm font-medium text-slate-400 ml-1">
-                        ELO
+                        {ratingUnit}
                       </span>
                     </p>
                   </div>
@@ -1002,7 +1175,7 @@ const MatchReview = () => {
                   {/* Defender ELO */}
                   <div className="text-center">
                     <p className="text-xs font-semibold uppercase tracking-wider text-slate-400 mb-1">
-                      Defender
+                      Defender{match.ai_side === "Defender" && " (AI)"}
                     </p>
                     <p
                       className={`text-2xl font-bold ${
@@ -1016,7 +1189,7 @@ const MatchReview = () => {
                       {(match.elo_change_defender || 0) > 0 ? "+" : ""}
                       {match.elo_change_defender || 0}
                       <span className="text-sm font-medium text-slate-400 ml-1">
-                        ELO
+                        {ratingUnit}
                       </span>
                     </p>
                   </div>
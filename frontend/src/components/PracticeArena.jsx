@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
-  ArrowLeft, ArrowRight, Bot, BrainCircuit, CheckCircle2, Clock3, Loader2,
+  ArrowLeft, ArrowRight, BarChart3, Bot, BrainCircuit, CheckCircle2, Clock3, Loader2,
   RotateCcw, Send, Share2, ShieldCheck, Sparkles, Target, Trophy,
 } from 'lucide-react';
 import api from '../services/api';
@@ -32,6 +32,10 @@ const PracticeArena = () => {
   const [error, setError] = useState('');
   const [capacityNotice, setCapacityNotice] = useState('');
   const [elapsed, setElapsed] = useState(0);
+  const [sparring, setSparring] = useState({ personas: [], difficulties: [] });
+  const [persona, setPersona] = useState(search.get('persona') || 'socratic');
+  const [difficulty, setDifficulty] = useState(search.get('difficulty') || 'club');
+  const [progress, setProgress] = useState([]);
   const startedAt = useRef(Date.now());
   const bottomRef = useRef(null);
   const speech = usePollySpeech();
@@ -44,10 +48,20 @@ const PracticeArena = () => {
 
   useEffect(() => { bottomRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [transcript, activity]);
 
+  const loadProgress = () => api.get('/product/practice/progress').then(({ data }) => setProgress(data?.progress || [])).catch(() => setProgress([]));
+  useEffect(() => {
+    api.get('/product/sparring/personas').then(({ data }) => setSparring({ personas: data?.personas || [], difficulties: data?.difficulties || [] })).catch(() => {});
+    loadProgress();
+  }, []);
+
   const userTurns = useMemo(() => transcript.filter(turn => turn.role === 'user').length, [transcript]);
   const isBusy = Boolean(activity);
   const isScoring = activity === 'scoring';
   const canFinish = userTurns >= 3 && !isBusy;
+  // The partner is fixed once the first round is argued so each session counts towards one level.
+  const partnerLocked = userTurns > 0 && !result;
+  const personaLabel = sparring.personas.find(item => item.key === persona)?.label || 'Socratic opponent';
+  const levelLabel = (entry) => `${sparring.personas.find(item => item.key === entry.persona)?.label || entry.persona} · ${sparring.difficulties.find(item => item.key === entry.difficulty)?.label || entry.difficulty}`;
   const roomSubtitle = isScoring
     ? 'Session complete · preparing your results'
     : activity === 'responding'
@@ -63,7 +77,7 @@ const PracticeArena = () => {
     const nextHistory = [...transcript, { role: 'user', text, round }];
     setTranscript(nextHistory); setMessage(''); setActivity('responding'); setError('');
     try {
-      const response = await api.post('/product/practice/respond', { topic, stance, message: text, history: nextHistory, scenario_key: scenario, round });
+      const response = await api.post('/product/practice/respond', { topic, stance, message: text, history: nextHistory, scenario_key: scenario, round, persona, difficulty });
       setTranscript(current => [...current, { role: 'opponent', text: response.data.response, round }]);
       setCoachCue(response.data.coachCue);
       setCapacityNotice(response.data.notice || '');
@@ -77,8 +91,9 @@ const PracticeArena = () => {
     if (!canFinish) return;
     setActivity('scoring'); setError('');
     try {
-      const response = await api.post('/product/practice/complete', { topic, transcript, scenario_key: scenario, duration_seconds: elapsed });
+      const response = await api.post('/product/practice/complete', { topic, transcript, scenario_key: scenario, duration_seconds: elapsed, persona, difficulty });
       setResult(response.data.result);
+      loadProgress();
     } catch (requestError) {
       setError(requestError.response?.data?.message || 'Scoring could not be completed.');
     } finally { setActivity(''); }
@@ -107,6 +122,12 @@ const PracticeArena = () => {
             <h1 className="mt-4 text-xl font-black leading-tight text-white">{topic}</h1>
             <p className="mt-3 text-xs leading-5 text-slate-500">Private, unranked practice. Coaching progress is recorded; competitive Elo is not affected.</p>
           </section>
+          {sparring.personas.length > 0 && <section className="rounded-2xl border border-slate-800 bg-slate-900/70 p-5">
+            <div className="flex items-center gap-2 text-xs font-black uppercase tracking-wider text-violet-300"><Bot className="h-4 w-4" /> Sparring partner</div>
+            <div className="mt-3 grid gap-2">{sparring.personas.map(item => <button key={item.key} type="button" disabled={partnerLocked} onClick={() => setPersona(item.key)} className={`rounded-lg border px-3 py-2 text-left text-xs font-bold disabled:opacity-50 ${persona === item.key ? 'border-violet-400 bg-violet-500/15 text-violet-200' : 'border-slate-700 text-slate-400 hover:border-slate-500'}`}>{item.label}</button>)}</div>
+            <div className="mt-3 grid grid-cols-3 gap-2">{sparring.difficulties.map(item => <button key={item.key} type="button" disabled={partnerLocked} onClick={() => setDifficulty(item.key)} className={`rounded-lg border px-2 py-1.5 text-[11px] font-black uppercase tracking-wide disabled:opacity-50 ${difficulty === item.key ? 'border-cyan-400 bg-cyan-500/15 text-cyan-200' : 'border-slate-700 text-slate-500 hover:border-slate-500'}`}>{item.label}</button>)}</div>
+            {partnerLocked && <p className="mt-3 text-[11px] text-slate-500">Locked for this session. Practice again to switch.</p>}
+          </section>}
           <section className="rounded-2xl border border-slate-800 bg-slate-900/70 p-5">
             <div className="flex items-center gap-2 text-xs font-black uppercase tracking-wider text-cyan-400"><Target className="h-4 w-4" /> Live coach</div>
             <p className="mt-3 text-sm leading-6 text-slate-300">{coachCue}</p>
@@ -115,6 +136,10 @@ const PracticeArena = () => {
             <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-center"><div className="text-xl font-black text-white">{Math.min(userTurns, 3)}/3</div><div className="mt-1 text-[10px] font-bold uppercase tracking-wider text-slate-500">Rounds</div></div>
             <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-center"><div className="flex items-center justify-center gap-1 text-xl font-black text-white"><Clock3 className="h-4 w-4 text-slate-500" />{Math.floor(elapsed / 60)}:{String(elapsed % 60).padStart(2, '0')}</div><div className="mt-1 text-[10px] font-bold uppercase tracking-wider text-slate-500">Elapsed</div></div>
           </div>
+          {progress.length > 0 && <section className="rounded-2xl border border-slate-800 bg-slate-900/70 p-5">
+            <div className="flex items-center gap-2 text-xs font-black uppercase tracking-wider text-amber-300"><BarChart3 className="h-4 w-4" /> Progress by level</div>
+            <ul className="mt-3 space-y-2">{progress.map(entry => <li key={`${entry.persona}-${entry.difficulty}`} className="flex items-center justify-between gap-3 text-xs"><span className="font-semibold text-slate-300">{levelLabel(entry)}</span><span className="shrink-0 text-slate-500">{entry.average !== null ? `best ${entry.best} · avg ${entry.average}` : `${entry.wins}W ${entry.losses}L ${entry.draws}D`} · {entry.sessions}×</span></li>)}</ul>
+          </section>}
           <section className="rounded-2xl border border-emerald-500/20 bg-emerald-500/5 p-4 text-xs leading-5 text-emerald-200/80"><ShieldCheck className="mr-2 inline h-4 w-4" />Scoring rewards direct reasoning, evidence, calibration, and listening—not aggression or vocabulary.</section>
         </aside>
 
@@ -122,7 +147,7 @@ const PracticeArena = () => {
           {!result ? <>
             <header className="flex items-center justify-between gap-4 border-b border-slate-800 px-5 py-4"><div><h2 className="font-black text-white">Reasoning room</h2><p className={`text-xs ${isScoring ? 'font-semibold text-cyan-300' : 'text-slate-500'}`}>{roomSubtitle}</p></div><div className="text-right"><div className="flex items-center justify-end gap-2"><span className={`h-2 w-2 rounded-full ${isScoring ? 'animate-pulse bg-cyan-400' : 'animate-pulse bg-emerald-400'}`} /><span className={`text-xs font-bold ${isScoring ? 'text-cyan-300' : 'text-emerald-400'}`}>{isScoring ? 'Scoring session' : 'Coach online'}</span></div>{speech.capabilities?.enabled && !isScoring && <p className="mt-1 text-[10px] font-bold uppercase tracking-wider text-slate-600">Voice output · Amazon Polly</p>}</div></header>
             <div className="flex-1 space-y-5 overflow-y-auto p-4 sm:p-6">
-              {transcript.map((turn, index) => <div key={`${turn.role}-${index}`} className={`flex ${turn.role === 'user' ? 'justify-end' : 'justify-start'}`}><div className={`max-w-[88%] rounded-2xl border p-4 sm:max-w-[72%] ${turn.role === 'user' ? 'border-cyan-500/30 bg-cyan-500/10' : 'border-slate-700 bg-slate-800/80'}`}><div className="mb-2 flex items-center gap-2 text-[10px] font-black uppercase tracking-widest text-slate-500">{turn.role === 'user' ? <BrainCircuit className="h-3 w-3 text-cyan-400" /> : <Bot className="h-3 w-3 text-violet-400" />}{turn.role === 'user' ? 'You' : mode === 'simulation' ? 'Counterpart' : 'Socratic opponent'}{turn.round > 0 && <span>· Round {turn.round}</span>}</div><p className="whitespace-pre-wrap text-sm leading-7 text-slate-200">{turn.text}</p>{turn.role === 'opponent' && <PollyListenButton speech={speech} text={turn.text} speechId={`practice-${index}`} className="mt-3" />}</div></div>)}
+              {transcript.map((turn, index) => <div key={`${turn.role}-${index}`} className={`flex ${turn.role === 'user' ? 'justify-end' : 'justify-start'}`}><div className={`max-w-[88%] rounded-2xl border p-4 sm:max-w-[72%] ${turn.role === 'user' ? 'border-cyan-500/30 bg-cyan-500/10' : 'border-slate-700 bg-slate-800/80'}`}><div className="mb-2 flex items-center gap-2 text-[10px] font-black uppercase tracking-widest text-slate-500">{turn.role === 'user' ? <BrainCircuit className="h-3 w-3 text-cyan-400" /> : <Bot className="h-3 w-3 text-violet-400" />}{turn.role === 'user' ? 'You' : mode === 'simulation' ? 'Counterpart' : personaLabel}{turn.round > 0 && <span>· Round {turn.round}</span>}</div><p className="whitespace-pre-wrap text-sm leading-7 text-slate-200">{turn.text}</p>{turn.role === 'opponent' && <PollyListenButton speech={speech} text={turn.text} speechId={`practice-${index}`} className="mt-3" />}</div></div>)}
               {isBusy && <div className="flex justify-start" role="status" aria-live="polite"><div className={`flex items-center gap-3 rounded-2xl border px-4 py-3 text-sm ${isScoring ? 'border-cyan-500/30 bg-cyan-500/10 text-cyan-200' : 'border-slate-700 bg-slate-800/80 text-slate-400'}`}><Loader2 className={`h-4 w-4 animate-spin ${isScoring ? 'text-cyan-400' : 'text-violet-400'}`} /> {isScoring ? `Analyzing ${userTurns} rounds and preparing your final score…` : 'Constructing the strongest counterargument…'}</div></div>}
               <div ref={bottomRef} />
             </div>
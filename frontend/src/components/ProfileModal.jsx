@@ -2,6 +2,9 @@ import { useCallback, useEffect, useState, useRef } from 'react';
 import { X, LogOut, Shield, Wifi, Copy, CheckCircle2, ArrowLeft, UserPlus, UserCheck, Swords, Search, ChevronDown, Loader2 } from 'lucide-react';
 import { supabase } from '../lib/supabaseClient';
 import { useNavigate } from 'react-router-dom';
+import { ProvisionalTag } from '../lib/rankUtils';
+import { PROVISIONAL_RD } from '../lib/ratingUtils';
+import RatingHistoryChart from './RatingHistoryChart';
 
 const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, socket }) => {
     const navigate = useNavigate();
@@ -17,6 +20,7 @@ const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, s
     const [topicSearch, setTopicSearch] = useState('');
     const [selectedTopic, setSelectedTopic] = useState(null);
     const [selectedStance, setSelectedStance] = useState('Random');
+    const [selectedBestOf, setSelectedBestOf] = useState(1);
     const [challengeStatus, setChallengStatus] = useState('idle'); // idle | sending | sent | error
     const [challengeFeedback, setChallengeFeedback] = useState('');
     const [isDropdownOpen, setIsDropdownOpen] = useState(false);
@@ -66,7 +70,7 @@ const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, s
 
         const fetchStats = async () => {
             const { data } = await supabase.rpc('get_user_stats', { p_user_id: activeUser.id });
-            if (data) setStats({ elo: data.elo_rating || 1000, matches: data.total_matches || 0 });
+            if (data) setStats({ elo: data.elo_rating || 1000, matches: data.total_matches || 0, rd: data.rating_deviation ?? null });
         };
 
         fetchStats();
@@ -102,6 +106,7 @@ const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, s
         challengeTimeoutRef.current = null;
         setSelectedTopic(null);
         setSelectedStance('Random');
+        setSelectedBestOf(1);
         setChallengStatus('idle');
         setChallengeFeedback('');
         setTopicSearch('');
@@ -206,7 +211,8 @@ const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, s
             targetUserId: activeUser.id,
             topicId: selectedTopic.id,
             topicTitle: selectedTopic.title,
-            challengerStance: selectedStance
+            challengerStance: selectedStance,
+            bestOf: selectedBestOf
         });
 
         // Safety timeout
@@ -330,6 +336,26 @@ const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, s
                                 </div>
                             </div>
 
+                            {/* Series Length */}
+                            <div>
+                                <label className="block text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Format</label>
+                                <div className="grid grid-cols-3 gap-2">
+                                    {[1, 3, 5].map(length => (
+                                        <button
+                                            key={length}
+                                            onClick={() => setSelectedBestOf(length)}
+                                            className={`py-2.5 rounded-xl text-xs font-bold border transition-all ${
+                                                selectedBestOf === length
+                                                    ? 'bg-amber-500/10 border-amber-500/30 text-amber-300 ring-2 ring-offset-2 ring-offset-slate-900 ring-amber-500'
+                                                    : 'bg-slate-800/50 border-slate-700 text-slate-400 hover:bg-slate-800'
+                                            }`}
+                                        >
+                                            {length > 1 ? `Best of ${length}` : 'Single game'}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
                             {/* Feedback */}
                             {challengeFeedback && (
                                 <div className={`text-sm font-medium px-4 py-3 rounded-xl border ${
@@ -408,6 +434,7 @@ const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, s
                             <div className="text-left overflow-hidden">
                                 <p className="text-[10px] text-slate-400 font-bold uppercase tracking-wider">Current Division</p>
                                 <p className={`text-sm font-bold truncate ${rank.color}`}>{rank.name}</p>
+                                {stats.rd != null && stats.rd > PROVISIONAL_RD && <ProvisionalTag className="mt-1" />}
                             </div>
                         </div>
 
@@ -417,6 +444,9 @@ const ProfileModal = ({ isOpen, onClose, viewUser, currentUserId, currentUser, s
                             <p className="text-sm font-medium text-slate-300">{stats?.matches || 0} Total Matches Played</p>
                         </div>
 
+                        {/* Rating History */}
+                        {activeUser?.id && <RatingHistoryChart key={activeUser.id} userId={activeUser.id} />}
+
                         {/* Player ID Copy */}
                         <button onClick={handleCopyId} className="flex items-center justify-between p-3 rounded-xl border border-slate-700 bg-slate-800/50 hover:bg-slate-700/50 transition-colors group w-full text-left">
                             <div className="flex items-center gap-4 overflow-hidden">
@@ -0,0 +1,220 @@
+import { useEffect, useState } from "react";
+import { Flame, Trophy } from "lucide-react";
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ReferenceDot,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import api from "../services/api";
+
+const REASON_LABELS = {
+  match: "Match",
+  series: "Series",
+  abandon: "Abandoned",
+  adjustment: "Adjustment",
+};
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+  });
+
+const HistoryTooltip = ({ active, payload }) => {
+  const point = payload?.[0]?.payload;
+  if (!active || !point) return null;
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950 px-3 py-2 text-xs">
+      <p className="font-bold text-slate-100">
+        {point.rating}
+        {point.change != null && (
+          <span
+            className={point.change >= 0 ? "text-emerald-400" : "text-rose-400"}
+          >
+            {" "}
+            ({point.change >= 0 ? "+" : ""}
+            {point.change})
+          </span>
+        )}
+      </p>
+      <p className="text-slate-400">
+        {REASON_LABELS[point.reason] || point.reason} · {formatDay(point.at)}
+      </p>
+      {point.tournament && (
+        <p className="text-amber-300">
+          {point.tournament.title}, round {point.tournament.round}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * RatingHistoryChart
+ * A player's rating match by match on the ladder or any format rating they
+ * have played, marking their peak and the games played in tournaments.
+ */
+const RatingHistoryChart = ({ userId }) => {
+  const [key, setKey] = useState("Overall");
+  const [state, setState] = useState({ loading: true, error: "", data: null });
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let current = true;
+    api
+      .get(`/product/users/${userId}/rating-history`, { params: { key } })
+      .then(({ data }) => {
+        if (current) setState({ loading: false, error: "", data });
+      })
+      .catch((error) => {
+        if (!current) return;
+        setState({
+          loading: false,
+          error:
+            error.response?.data?.message || "Unable to load rating history.",
+          data: null,
+        });
+      });
+    return () => {
+      current = false;
+    };
+  }, [userId, key]);
+
+  const chooseKey = (next) => {
+    setState((previous) => ({ ...previous, loading: true }));
+    setKey(next);
+  };
+
+  const points = (state.data?.points || []).map((point, index) => ({
+    ...point,
+    index,
+  }));
+  const summary = state.data?.summary;
+  const peak = summary?.peak
+    ? points.find(
+        (point) =>
+          point.rating === summary.peak.rating && point.at === summary.peak.at,
+      )
+    : null;
+  const tournamentPoints = points.filter(
+    (point, index) =>
+      point.tournament &&
+      points[index - 1]?.tournament?.id !== point.tournament.id,
+  );
+
+  return (
+    <div className="w-full rounded-xl border border-slate-700 bg-slate-800/20 p-3">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <p className="text-[10px] font-bold uppercase tracking-wider text-slate-400">
+          Rating history
+        </p>
+        {state.data?.keys?.length > 1 && (
+          <select
+            aria-label="Rating"
+            value={key}
+            onChange={(event) => chooseKey(event.target.value)}
+            className="max-w-[140px] rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-[11px] font-bold text-slate-300 focus:border-cyan-500 focus:outline-none"
+          >
+            {state.data.keys.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {state.error ? (
+        <p className="py-6 text-center text-xs text-slate-500">{state.error}</p>
+      ) : points.length < 2 ? (
+        <p className="py-6 text-center text-xs text-slate-500">
+          {state.loading
+            ? "Loading rating history…"
+            : "Play a few rated matches to chart this rating."}
+        </p>
+      ) : (
+        <>
+          <div className={`h-36 w-full ${state.loading ? "opacity-60" : ""}`}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={points}
+                margin={{ top: 8, right: 8, bottom: 0, left: -24 }}
+              >
+                <CartesianGrid stroke="#1e293b" vertical={false} />
+                <XAxis dataKey="index" hide />
+                <YAxis
+                  domain={["dataMin - 20", "dataMax + 20"]}
+                  tick={{ fill: "#64748b", fontSize: 10 }}
+                  allowDecimals={false}
+                />
+                <Tooltip content={<HistoryTooltip />} />
+                {tournamentPoints.map((point) => (
+                  <ReferenceLine
+                    key={`${point.tournament.id}-${point.index}`}
+                    x={point.index}
+                    stroke="#f59e0b"
+                    strokeDasharray="3 3"
+                  />
+                ))}
+                <Line
+                  type="monotone"
+                  dataKey="rating"
+                  stroke="#22d3ee"
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+                {peak && (
+                  <ReferenceDot
+                    x={peak.index}
+                    y={peak.rating}
+                    r={4}
+                    fill="#fbbf24"
+                    stroke="#0f172a"
+                  />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="mt-2 grid grid-cols-3 gap-2 text-center text-[11px]">
+            <div>
+              <p className="font-bold text-amber-300">{summary.peak.rating}</p>
+              <p className="text-slate-500">Peak</p>
+            </div>
+            <div>
+              <p className="flex items-center justify-center gap-1 font-bold text-emerald-300">
+                <Flame className="h-3 w-3" />
+                {summary.longestWinStreak}
+              </p>
+              <p className="text-slate-500">Best streak</p>
+            </div>
+            <div>
+              <p
+                className={`font-bold ${summary.currentStreak?.type === "loss" ? "text-rose-300" : "text-slate-200"}`}
+              >
+                {summary.currentStreak
+                  ? `${summary.currentStreak.length}${summary.currentStreak.type === "win" ? "W" : "L"}`
+                  : "–"}
+              </p>
+              <p className="text-slate-500">Current</p>
+            </div>
+          </div>
+          {tournamentPoints.length > 0 && (
+            <p className="mt-2 flex items-center gap-1 text-[10px] text-slate-500">
+              <Trophy className="h-3 w-3 text-amber-400" />
+              Dashed lines mark tournament games.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RatingHistoryChart;
@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { RotateCcw } from "lucide-react";
+import { generateStances } from "../utils/stanceUtils";
+
+/**
+ * RematchPanel
+ * Lets either debater of a finished match ask to run it back with sides
+ * swapped. The server starts the new match once the opponent accepts (or
+ * asks too) and both players receive `match_found`. Inside a best-of set the
+ * same handshake starts the next game, once this one has been judged.
+ */
+const RematchPanel = ({ socket, match, series, currentUser }) => {
+  const navigate = useNavigate();
+  const [offer, setOffer] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const userId = currentUser?.id;
+
+  useEffect(() => {
+    if (!socket || !match?.id) return undefined;
+    const forThisMatch = (handler) => (payload) => {
+      if (payload?.matchId === match.id) handler(payload);
+    };
+
+    const handleOffer = forThisMatch((payload) => {
+      setOffer(payload);
+      setNotice(null);
+    });
+    const handleDeclined = forThisMatch(({ by }) => {
+      setOffer(null);
+      setNotice(
+        by === userId
+          ? "Rematch declined."
+          : "Your opponent declined the rematch.",
+      );
+    });
+    const handleError = forThisMatch(({ message }) => {
+      setOffer(null);
+      setNotice(message || "Could not start the rematch.");
+    });
+    const handleMatchFound = (data) => {
+      if (![data.criticUserId, data.defenderUserId].includes(userId)) return;
+      navigate(`/arena/${data.roomId}`, {
+        state: {
+          ...data,
+          assignedRole: data.criticUserId === userId ? "Critic" : "Defender",
+          stances: generateStances(data.topic),
+        },
+      });
+    };
+
+    socket.on("rematch_requested", handleOffer);
+    socket.on("rematch_pending", handleOffer);
+    socket.on("rematch_declined", handleDeclined);
+    socket.on("rematch_error", handleError);
+    socket.on("match_found", handleMatchFound);
+    return () => {
+      socket.off("rematch_requested", handleOffer);
+      socket.off("rematch_pending", handleOffer);
+      socket.off("rematch_declined", handleDeclined);
+      socket.off("rematch_error", handleError);
+      socket.off("match_found", handleMatchFound);
+    };
+  }, [socket, match?.id, navigate, userId]);
+
+  // Offers lapse on the server; clear ours at the same moment.
+  useEffect(() => {
+    if (!offer) return undefined;
+    const timeout = setTimeout(
+      () => setOffer(null),
+      Math.max(0, offer.expiresAt - Date.now()),
+    );
+    return () => clearTimeout(timeout);
+  }, [offer]);
+
+  const inSet = series?.best_of > 1;
+  const nextGame = (Number(match.series_game) || 1) + 1;
+  if (inSet && series.status !== "active") return null;
+  const waitingForVerdict = inSet && match.status !== "completed";
+
+  const emit = (event, payload = {}) => {
+    setNotice(null);
+    socket.emit(event, { matchId: match.id, ...payload });
+  };
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center justify-between gap-3 rounded-xl border border-slate-700 bg-slate-900/60 px-4 py-3 text-sm">
+      <div className="flex items-center gap-2 text-slate-300">
+        <RotateCcw className="h-4 w-4 text-cyan-400" />
+        {offer?.to === userId ? (
+          <span>
+            {inSet
+              ? `Your opponent is ready for game ${nextGame}.`
+              : "Your opponent wants a rematch with sides swapped."}
+          </span>
+        ) : offer?.by === userId ? (
+          <span>
+            {inSet ? `Ready for game ${nextGame}` : "Rematch requested"} —
+            waiting for your opponent…
+          </span>
+        ) : (
+          <span>
+            {notice ||
+              (waitingForVerdict
+                ? `Game ${nextGame} opens once the judges score this one.`
+                : inSet
+                  ? `Game ${nextGame} of ${series.best_of} — sides swap.`
+                  : "Run it back on the same topic, sides swapped.")}
+          </span>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        {offer?.to === userId ? (
+          <>
+            <button
+              onClick={() => emit("respond_rematch", { accept: true })}
+              className="rounded-lg border border-emerald-500/40 px-3 py-1.5 text-xs font-bold text-emerald-300 hover:bg-emerald-500/10"
+            >
+              Accept
+            </button>
+            <button
+              onClick={() => emit("respond_rematch", { accept: false })}
+              className="rounded-lg border border-slate-600 px-3 py-1.5 text-xs font-bold text-slate-400 hover:bg-slate-800"
+            >
+              Decline
+            </button>
+          </>
+        ) : (
+          !offer && (
+            <button
+              onClick={() => emit("request_rematch")}
+              disabled={!socket?.connected || waitingForVerdict}
+              className="rounded-lg border border-cyan-500/40 bg-cyan-950/40 px-3 py-1.5 text-xs font-bold uppercase tracking-wide text-cyan-200 hover:border-cyan-400 disabled:opacity-40"
+            >
+              {inSet ? `Start game ${nextGame}` : "Request rematch"}
+            </button>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RematchPanel;
@@ -1,5 +1,6 @@
 import { Trophy, BookOpen, Scroll, Star, Crown } from 'lucide-react';
 import React from 'react';
+import { isProvisional } from './ratingUtils';
 
 /**
  * Calculates the user's rank based on their Elo rating.
@@ -73,20 +74,36 @@ const getRankInfo = (elo) => {
 
 /**
  * Renders a small badge for the given Elo rating, useful for leaderboards and cards.
+ * Pass the rating's Glicko `rd` (and `ratedAt` when the RD is the stored, undecayed
+ * one) to mark ratings that are still provisional.
  */
-export const RankBadge = ({ elo, className = '' }) => {
+export const RankBadge = ({ elo, rd, ratedAt, volatility, className = '' }) => {
   const rank = getRankInfo(elo);
   const Icon = rank.Icon;
+  const provisional = rd !== undefined && isProvisional({ rd, ratedAt, volatility });
 
   return (
     <div 
       className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full border ${rank.bgColor} ${rank.borderColor} ${rank.shadow} ${className}`}
-      title={`${rank.name} (${elo} Elo)`}
+      title={provisional ? `${rank.name} (${elo}?, provisional rating)` : `${rank.name} (${elo} Elo)`}
     >
       <Icon className={`h-3.5 w-3.5 ${rank.color}`} />
       <span className={`text-xs font-bold uppercase tracking-wider ${rank.color}`}>
-        {rank.name}
+        {rank.name}{provisional && '?'}
       </span>
     </div>
   );
 };
+
+/**
+ * Marks a rating that is still settling (high Glicko RD): new players and
+ * players returning after a long break.
+ */
+export const ProvisionalTag = ({ className = '' }) => (
+  <span
+    className={`inline-flex items-center px-1.5 py-0.5 rounded border border-amber-400/40 bg-amber-400/10 text-[10px] font-bold uppercase tracking-wider text-amber-300 ${className}`}
+    title="Provisional: this rating will move quickly until more matches are played"
+  >
+    Provisional
+  </span>
+);
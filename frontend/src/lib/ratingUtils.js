@@ -0,0 +1,19 @@
+// Glicko-2 display helpers. The backend (lib/glicko2.js) owns the maths; the
+// UI only needs to know how uncertain a rating is today, which grows with
+// every idle day since it last moved.
+export const DEFAULT_RD = 350;
+export const PROVISIONAL_RD = Number(import.meta.env.VITE_GLICKO_PROVISIONAL_RD) || 110;
+
+const SCALE = 173.7178;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const currentRd = ({ rd, volatility = 0.06, ratedAt } = {}, now = Date.now()) => {
+  const stored = Number(rd);
+  if (!Number.isFinite(stored)) return DEFAULT_RD;
+  const idleDays = ratedAt ? Math.max(0, Math.floor((now - new Date(ratedAt).getTime()) / DAY_MS)) : 0;
+  if (!idleDays) return Math.min(DEFAULT_RD, stored);
+  const phi = stored / SCALE;
+  return Math.min(DEFAULT_RD, SCALE * Math.sqrt(phi * phi + idleDays * volatility * volatility));
+};
+
+export const isProvisional = (rating, now = Date.now()) => currentRd(rating, now) > PROVISIONAL_RD;
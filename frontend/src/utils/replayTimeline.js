@@ -0,0 +1,111 @@
+/**
+ * replayStateAt
+ * Rebuilds what the live room looked like `position` ms into a replay built
+ * by GET /product/matches/:id/replay: the turns on screen, the clocks (ticking
+ * down from the latest snapshot unless the room was paused), AI rulings and
+ * the most recent room activity.
+ */
+const ACTIVITY_TYPES = new Set([
+  "match_started",
+  "segment_changed",
+  "ai_intervention",
+  "room_paused",
+  "room_resumed",
+  "player_disconnected",
+  "player_rejoined",
+  "draw_offered",
+  "match_ended",
+]);
+
+const tickClock = (clock, elapsedSeconds) => {
+  if (!clock || elapsedSeconds <= 0) return clock;
+  if (clock.segment) {
+    return {
+      ...clock,
+      segment: {
+        ...clock.segment,
+        secondsLeft: Math.max(0, clock.segment.secondsLeft - elapsedSeconds),
+      },
+    };
+  }
+  const key =
+    clock.activeSpeaker === "Defender" ? "defenderTime" : "criticTime";
+  return { ...clock, [key]: Math.max(0, clock[key] - elapsedSeconds) };
+};
+
+export const replayStateAt = (replay, position) => {
+  const turns = [];
+  const interventions = {};
+  const activity = [];
+  let clockEvent = null;
+  let paused = false;
+  let spectators = 0;
+
+  for (const event of replay?.events || []) {
+    if (event.t > position) break;
+    if (event.clock) clockEvent = event;
+    if (event.type === "turn_submitted" && event.payload?.turn) {
+      turns.push(event.payload.turn);
+    } else if (event.type === "ai_intervention") {
+      interventions[event.payload.targetMessageId] = event.payload;
+    } else if (event.type === "room_paused") {
+      paused = true;
+    } else if (event.type === "room_resumed") {
+      paused = false;
+    } else if (event.type === "spectators_changed") {
+      spectators = event.payload?.spectators || 0;
+    }
+    if (ACTIVITY_TYPES.has(event.type)) activity.push(event);
+  }
+
+  const ended = activity.at(-1)?.type === "match_ended";
+  const frozen = paused || ended || clockEvent?.clock?.paused;
+  const elapsed = clockEvent ? Math.floor((position - clockEvent.t) / 1000) : 0;
+
+  return {
+    turns,
+    interventions,
+    spectators,
+    paused,
+    activity: activity.slice(-3).reverse(),
+    clock: clockEvent
+      ? frozen
+        ? clockEvent.clock
+        : tickClock(clockEvent.clock, elapsed)
+      : null,
+  };
+};
+
+export const describeReplayEvent = (event) => {
+  const payload = event.payload || {};
+  switch (event.type) {
+    case "match_started":
+      return "Debate started";
+    case "segment_changed":
+      return event.clock?.segment?.label || "Next speech";
+    case "ai_intervention":
+      return payload.flagged
+        ? `AI judge upheld ${payload.caller}'s objection`
+        : `AI judge dismissed ${payload.caller}'s objection`;
+    case "room_paused":
+      return payload.kind === "timeout"
+        ? `${payload.by} called a timeout`
+        : "Mutual pause";
+    case "room_resumed":
+      return "Play resumed";
+    case "player_disconnected":
+      return `${payload.role} disconnected`;
+    case "player_rejoined":
+      return `${payload.role} reconnected`;
+    case "draw_offered":
+      return `${payload.by} offered a draw`;
+    case "match_ended":
+      if (payload.reason === "abandoned") return "Match abandoned";
+      if (payload.reason === "resignation")
+        return `${payload.resignedBy} resigned`;
+      if (payload.reason === "draw_agreed") return "Draw agreed";
+      return "Debate concluded";
+    default:
+      return event.type;
+  }
+};